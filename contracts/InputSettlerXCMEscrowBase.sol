@@ -0,0 +1,2017 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+import {InputSettlerPurchase} from "oif/input/InputSettlerPurchase.sol";
+import {InputSettlerEscrow} from "oif/input/escrow/InputSettlerEscrow.sol";
+import {IInputSettlerEscrow} from "oif/interfaces/IInputSettlerEscrow.sol";
+import {InputSettlerBase} from "oif/input/InputSettlerBase.sol";
+import {EIP712} from "openzeppelin/utils/cryptography/EIP712.sol";
+import {IERC5267} from "openzeppelin/interfaces/IERC5267.sol";
+import {AccessControl} from "openzeppelin/access/AccessControl.sol";
+import {SafeERC20} from "openzeppelin/token/ERC20/utils/SafeERC20.sol";
+import {IERC20} from "openzeppelin/token/ERC20/IERC20.sol";
+import {Address} from "openzeppelin/utils/Address.sol";
+import {StandardOrder, StandardOrderType} from "oif/input/types/StandardOrderType.sol";
+import {MandateOutput} from "oif/input/types/MandateOutputType.sol";
+import {OrderPurchase} from "oif/input/types/OrderPurchaseType.sol";
+import {LibAddress} from "oif/libs/LibAddress.sol";
+import {IXcm} from "./interfaces/IXcm.sol";
+import {ILibrary} from "./interfaces/ILibrary.sol";
+import {SponsorCollection} from "./libraries/SponsorCollection.sol";
+import {SplitOrder} from "./libraries/SplitOrder.sol";
+import {ReentrancyGuard} from "openzeppelin/utils/ReentrancyGuard.sol";
+import {SafeCast} from "openzeppelin/utils/math/SafeCast.sol";
+import {EnumerableSet} from "openzeppelin/utils/structs/EnumerableSet.sol";
+
+/**
+ * @title InputSettlerXCMEscrowBase
+ * @notice Settles OIF orders via XCM when eligible, and through the base escrow settler otherwise.
+ * @dev Shared by {InputSettlerXCMEscrow}, configured in its constructor, and the proxied
+ * {InputSettlerXCMEscrowUpgradeable}, configured by its initializer. State is only appended to,
+ * before `__gap`, so that the layout of deployed proxies is preserved across upgrades.
+ */
+abstract contract InputSettlerXCMEscrowBase is
+    InputSettlerPurchase,
+    IInputSettlerEscrow,
+    AccessControl,
+    ReentrancyGuard
+{
+    using StandardOrderType for StandardOrder;
+    using LibAddress for uint256;
+    using SafeCast for uint256;
+    using LibAddress for bytes32;
+    using EnumerableSet for EnumerableSet.UintSet;
+    using EnumerableSet for EnumerableSet.AddressSet;
+
+    /// @notice Role allowed to manage teleport routes and their limits
+    bytes32 public constant ROUTE_MANAGER_ROLE = keccak256("ROUTE_MANAGER_ROLE");
+
+    /// @notice Role allowed to disable XCM and forbid routes, but not to re-enable them
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+
+    /// @dev XCM teleport amounts are limited to uint128
+    uint256 private constant MAX_XCM_AMOUNT = type(uint128).max;
+
+    /// @dev Context type of the outputs carrying the order's maximum XCM weight
+    bytes1 private constant MAX_WEIGHT_CONTEXT_TYPE = 0xa0;
+
+    /// @dev Version of the max weight context encoding
+    bytes1 private constant MAX_WEIGHT_CONTEXT_VERSION = 0x01;
+
+    /// @dev Max weight context: type byte, version byte, uint64 refTime, uint64 proofSize
+    uint256 private constant MAX_WEIGHT_CONTEXT_LENGTH = 18;
+
+    /// @dev Denominator of weight margins and protocol fees
+    uint256 private constant BPS = 10_000;
+
+    /// @notice Cap on the protocol fee of any token, in basis points
+    uint16 public constant MAX_FEE_BPS = 500;
+
+    /// @notice Token identifier of the chain's native asset, paid as `msg.value` to `open`
+    address public constant NATIVE_ASSET = 0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE;
+
+    /// @notice Library building the XCM messages
+    address public inkLibrary;
+
+    /// @notice XCM precompile executing and sending the messages
+    address public xcmPrecompile;
+
+    /// @notice Escrow settler the orders not settled via XCM are delegated to
+    address public baseSettler;
+
+    bool public xcmEnabled;
+
+    /// @notice Whether orders mixing XCM-eligible and other outputs are split instead of fully escrowed
+    bool public splitEnabled;
+
+    /// @dev Destinations with at least one allowed token
+    EnumerableSet.UintSet private teleportDestinations;
+
+    /// @dev Tokens allowed to be teleported, per destination
+    mapping(uint32 => EnumerableSet.AddressSet) private teleportTokens;
+
+    /// @dev Configuration of each allowed (destination, token) pair, reset when the pair is forbidden
+    mapping(uint32 => mapping(address => RouteConfig)) private routeConfigs;
+
+    /// @dev Weight ceiling and margin of locally executed messages, per destination
+    mapping(uint32 => WeightLimit) private weightLimits;
+
+    /// @dev Teleport caps per destination and token
+    mapping(uint32 => mapping(address => RateLimit)) private rateLimits;
+
+    /// @notice Maximum amount of a token a single order may teleport, zero if unlimited
+    mapping(address => uint256) public maxOrderAmount;
+
+    /// @notice Handling of the inputs exceeding the outputs of orders settled via XCM
+    SurplusPolicy public surplusPolicy;
+
+    /// @notice Receiver of the surplus under `SurplusPolicy.Collect`
+    address public surplusRecipient;
+
+    /// @notice Receiver of the protocol fee charged on orders settled via XCM
+    address public feeRecipient;
+
+    /// @notice Protocol fee of tokens without their own fee, in basis points
+    uint16 public defaultFeeBps;
+
+    /// @dev Protocol fees overriding `defaultFeeBps`, per token
+    mapping(address => TokenFee) private tokenFees;
+
+    /// @dev Orders settled via XCM, by `settlerOrderIdentifier` and by identifier on the base settler
+    /// at the time of settlement
+    mapping(bytes32 => bool) private xcmSettled;
+
+    /// @notice Account type of the XCM beneficiaries on each destination
+    mapping(uint32 => BeneficiaryFormat) public beneficiaryFormat;
+
+    /// @dev XCM location of each registered OIF chain ID
+    mapping(uint256 => ChainLocation) private chainLocations;
+
+    /// @dev Reserved slots for state added by later versions, shrunk by the number of slots added
+    uint256[47] private __gap;
+
+    struct TransferAmount {
+        uint256 amount;
+        address token;
+    }
+
+    /// @notice A (destination, token) pair allowed for teleport.
+    struct TeleportRoute {
+        uint32 destination;
+        address token;
+    }
+
+    /// @notice How the XCM message of a route is built and delivered.
+    enum RouteMode {
+        /// @dev Transfer of the route's `TransferKind`, executed locally via `IXcm.execute`.
+        Execute,
+        /// @dev Program built by `ILibrary.remoteTransfer` and dispatched to the destination via `IXcm.send`.
+        Send
+    }
+
+    /// @notice Asset transfer used by locally executed routes.
+    enum TransferKind {
+        /// @dev Teleport built by `ILibrary.teleport`, for assets with teleport trust between the chains.
+        Teleport,
+        /// @dev Reserve transfer built by `ILibrary.reserveTransfer`.
+        ReserveTransfer
+    }
+
+    /// @notice Account type of the beneficiaries on a destination, selecting how output recipients are passed to the library.
+    enum BeneficiaryFormat {
+        /// @dev 32-byte Substrate accounts, passed as is to `teleport`, `reserveTransfer` and `remoteTransfer`.
+        AccountId32,
+        /// @dev 20-byte Ethereum accounts, passed to the `ToKey20` functions. Recipients must be left-padded addresses.
+        AccountKey20
+    }
+
+    /// @notice XCM location an OIF chain ID resolves to.
+    /// @dev Routes, weight limits and beneficiary formats are configured per parachain ID, zero being the relay chain.
+    struct ChainLocation {
+        /// @custom:property Whether the chain is the relay chain, whose `paraId` is zero.
+        bool relay;
+        /// @custom:property Parachain ID, zero for the relay chain.
+        uint32 paraId;
+        /// @custom:property SCALE-encoded location nested in the chain, e.g. a pallet or a bridged network,
+        /// that `RouteMode.Send` programs are sent to instead of the chain itself. Empty if none.
+        bytes nested;
+    }
+
+    /// @notice An OIF chain ID and its XCM location.
+    struct ChainRegistration {
+        uint256 chainId;
+        ChainLocation location;
+    }
+
+    /// @notice Per-pair configuration of an allowed route.
+    struct RouteConfig {
+        /// @custom:property Delivery mode of the route's XCM message.
+        RouteMode mode;
+        /// @custom:property Transfer kind of `RouteMode.Execute` routes.
+        TransferKind kind;
+    }
+
+    /// @notice Weight handling of messages executed locally for a destination.
+    struct WeightLimit {
+        /// @custom:property Maximum refTime of a message, zero if unlimited.
+        uint64 refTime;
+        /// @custom:property Maximum proofSize of a message, zero if unlimited.
+        uint64 proofSize;
+        /// @custom:property Margin added to the weighed message, in basis points.
+        uint16 marginBps;
+    }
+
+    /// @dev XCM message of an output, built and weighed before the order is routed.
+    struct XCMDelivery {
+        /// @custom:property Configuration of the output's route.
+        RouteConfig config;
+        /// @custom:property Location the message is sent to, for `RouteMode.Send` routes.
+        bytes destination;
+        /// @custom:property The SCALE-encoded XCM message.
+        bytes message;
+        /// @custom:property Weight to execute the message with, for `RouteMode.Execute` routes.
+        IXcm.Weight weight;
+    }
+
+    /// @notice Cap on the amount teleported over a (destination, token) route.
+    /// @dev Usage recovers linearly, `limit` per `window` seconds, so the cap applies to any rolling window.
+    struct RateLimit {
+        /// @custom:property Maximum amount per window, zero if unlimited.
+        uint128 limit;
+        /// @custom:property Window length in seconds.
+        uint32 window;
+        /// @custom:property Usage recorded at `updatedAt`.
+        uint128 used;
+        /// @custom:property Timestamp of the last usage update.
+        uint64 updatedAt;
+    }
+
+    /// @notice Protocol fee of a single token.
+    struct TokenFee {
+        /// @custom:property Whether the token has its own fee instead of `defaultFeeBps`.
+        bool set;
+        /// @custom:property Fee in basis points of the amount teleported.
+        uint16 bps;
+    }
+
+    /// @notice Handling of the inputs exceeding the outputs of an order settled via XCM.
+    enum SurplusPolicy {
+        /// @dev The surplus stays with the payer: it is not collected by `open` and returned to the sponsor by `openFor`.
+        Keep,
+        /// @dev The full inputs are collected and the surplus is paid to `surplusRecipient`.
+        Collect
+    }
+
+    /// @notice Status of an order across both routes, returned by `orderStatus`.
+    /// @dev The first values mirror the `OrderStatus` of the base settler.
+    enum SettlementStatus {
+        /// @dev The order was not opened.
+        None,
+        /// @dev The inputs are escrowed in the base settler.
+        Deposited,
+        /// @dev The escrowed inputs were claimed by the solver.
+        Claimed,
+        /// @dev The escrowed inputs were refunded.
+        Refunded,
+        /// @dev The outputs were delivered via XCM. For split orders, the remaining outputs have
+        /// the status of their derived order on the base settler.
+        XCMSettled
+    }
+
+    /// @notice Reason an order is settled via the base settler instead of XCM.
+    /// @dev `None` means the order is eligible for XCM settlement.
+    enum XCMFallbackReason {
+        None,
+        XCMDisabled,
+        NoInputs,
+        NoOutputs,
+        RecipientZero,
+        CallOrContextPresent,
+        TeleportNotAllowed,
+        OutputAmountTooLarge,
+        InputAmountTooLarge,
+        OutputsNotCovered,
+        RateLimited,
+        OrderAmountTooLarge,
+        EscrowNotFunded,
+        FeeNotCovered,
+        RecipientFormatInvalid,
+        /// @dev The output chain ID has no location in the chain registry.
+        ChainNotRegistered,
+        /// @dev The weighed message of the output exceeds the weight ceiling of its destination.
+        WeightLimitExceeded,
+        /// @dev The weighed messages up to the output exceed the order's max weight.
+        OrderWeightExceeded
+    }
+
+    /// @dev Raised by {SponsorCollection} on `openFor`, declared for the settler ABI
+    error SignatureNotSupported(bytes1 signatureType);
+    error InvalidSignatureCount(uint256 expected, uint256 provided);
+    error InvalidRateLimitWindow();
+    error InvalidSurplusRecipient();
+    error InvalidFeeRecipient();
+    error FeeTooHigh(uint16 bps);
+    error InvalidNativeValue(uint256 expected, uint256 provided);
+    error NativeAssetNotEscrowable();
+    error OrderAlreadyOpened(bytes32 orderId, SettlementStatus status);
+    error RouteNotAllowed(uint32 destination, address token);
+    error InvalidChainLocation(uint256 chainId);
+
+    event TeleportAllowed(uint32 destination, address token);
+    event TeleportForbidden(uint32 destination, address token);
+    event XCMEnabledChanged(bool enabled);
+    event InkLibrarySet(address inkLibrary);
+    event XCMPrecompileSet(address xcmPrecompile);
+    event BaseSettlerSet(address baseSettler);
+    event SplitEnabledChanged(bool enabled);
+    event RateLimitSet(uint32 destination, address token, uint128 limit, uint32 window);
+    event MaxOrderAmountSet(address token, uint256 maxAmount);
+    event RouteModeSet(uint32 destination, address token, RouteMode mode);
+    event TransferKindSet(uint32 destination, address token, TransferKind kind);
+    event WeightLimitSet(uint32 destination, uint64 refTime, uint64 proofSize, uint16 marginBps);
+    event BeneficiaryFormatSet(uint32 destination, BeneficiaryFormat format);
+    event ChainRegistered(uint256 chainId, bool relay, uint32 paraId, bytes nested);
+    event ChainUnregistered(uint256 chainId);
+    event SurplusPolicySet(SurplusPolicy policy, address recipient);
+    event FeeRecipientSet(address recipient);
+    event FeeSet(address token, uint16 bps);
+    event TokenFeeCleared(address token);
+    event XCMLimitExceeded(
+        uint256 indexed destination,
+        address indexed token,
+        XCMFallbackReason reason
+    );
+    event XCMOpen(bytes32 indexed orderId, address indexed user, StandardOrder order);
+    event XCMTeleportExecuted(
+        bytes32 indexed orderId,
+        uint256 indexed destination,
+        address token,
+        uint256 amount,
+        bytes32 recipient
+    );
+    event XCMReserveTransferExecuted(
+        bytes32 indexed orderId,
+        uint256 indexed destination,
+        address token,
+        uint256 amount,
+        bytes32 recipient
+    );
+    event XCMMessageSent(
+        bytes32 indexed orderId,
+        uint256 indexed destination,
+        address token,
+        uint256 amount,
+        bytes32 recipient
+    );
+    event XCMSurplus(bytes32 indexed orderId, address indexed token, uint256 amount, address recipient);
+    event XCMFeeCharged(bytes32 indexed orderId, address indexed token, uint256 amount, address recipient);
+    event XCMOrderSplit(bytes32 indexed orderId, bytes32 indexed escrowOrderId, uint256[] escrowedOutputs);
+
+    constructor() EIP712("PolkadotOIFEscrow", "1") {}
+
+    /**
+     * @dev Sets the external contracts, enables XCM and grants all roles to `admin`.
+     * Called once, by the constructor or the initializer of the deployed settler.
+     * @param _inkLibrary The library building the XCM messages.
+     * @param _xcmPrecompile The XCM precompile.
+     * @param _baseSettler The escrow settler of orders not settled via XCM.
+     * @param admin The initial holder of all roles.
+     */
+    function _initializeSettler(
+        address _inkLibrary,
+        address _xcmPrecompile,
+        address _baseSettler,
+        address admin
+    ) internal {
+        _setInkLibrary(_inkLibrary);
+        _setXCMPrecompile(_xcmPrecompile);
+        _setBaseSettler(_baseSettler);
+        xcmEnabled = true;
+        _grantRole(DEFAULT_ADMIN_ROLE, admin);
+        _grantRole(ROUTE_MANAGER_ROLE, admin);
+        _grantRole(PAUSER_ROLE, admin);
+    }
+
+    /**
+     * @dev Restricts a function to accounts with `ROUTE_MANAGER_ROLE` or `PAUSER_ROLE`.
+     * Reverts with {AccessControlUnauthorizedAccount} for `ROUTE_MANAGER_ROLE` otherwise.
+     */
+    modifier onlyRouteManagerOrPauser() {
+        if (!hasRole(PAUSER_ROLE, _msgSender())) _checkRole(ROUTE_MANAGER_ROLE);
+        _;
+    }
+
+    /**
+     * @notice Opens an intent for `order.user` with tokens from `sponsor`. If XCM is available, the
+     *         intent is executed via XCM. Otherwise, the intent is executed via the base settler.
+     * @dev On the XCM path the full inputs are collected from the sponsor into this contract, the
+     * outputs are teleported, the protocol fee is paid from the surplus and the rest is handled
+     * according to `surplusPolicy`, or escrowed for the remaining outputs when the order is split.
+     * The signature must therefore authorize this contract, while on the fallback path it must
+     * authorize the base settler. Use `previewRoute` to determine which one applies before signing.
+     * Orders already opened on either route revert with {OrderAlreadyOpened}, see `orderStatus`.
+     * Inputs of `NATIVE_ASSET` cannot be collected from a sponsor, so orders with native inputs revert
+     * with {NativeAssetNotEscrowable} on either route; they are opened with `open` instead.
+     * Supported signature types (first byte of `signature`):
+     * - 0x00: Permit2 batch transfer with a `Permit2Witness` over expires, inputOracle and outputs.
+     *   The Permit2 nonce is `order.nonce` and the deadline is `order.fillDeadline`.
+     * - 0x01: ERC-3009 `receiveWithAuthorization` per input with the order identifier as nonce and
+     *   `order.fillDeadline` as validBefore. Multiple inputs take an ABI encoded `bytes[]`.
+     * @param order StandardOrder representing the intent.
+     * @param sponsor Address to collect tokens from.
+     * @param signature Allowance signature from sponsor with supported signature type encoding.
+     */
+    function openFor(
+        StandardOrder calldata order,
+        address sponsor,
+        bytes calldata signature
+    ) external nonReentrant {
+        if (_nativeInputAmount(order.inputs) != 0) revert NativeAssetNotEscrowable();
+        (bytes32 orderId, bytes32 settlerOrderId) = _requireUnopened(order);
+        (bool available, bool[] memory escrowed, XCMDelivery[] memory deliveries) = _prepareXCMSettlement(order);
+        if (available) {
+            _validateInputChain(order.originChainId);
+            _validateTimestampHasNotPassed(order.fillDeadline);
+            _validateTimestampHasNotPassed(order.expires);
+            xcmSettled[orderId] = true;
+            xcmSettled[settlerOrderId] = true;
+            SponsorCollection.collect(order, orderId, sponsor, signature);
+            TransferAmount[] memory transferAmounts = _transferAmountsFromOutputs(order.outputs, escrowed);
+            _approveTokens(transferAmounts, xcmPrecompile);
+            _executeXCM(order, orderId, escrowed, deliveries);
+            _disableApprovals(transferAmounts, xcmPrecompile);
+            TransferAmount[] memory owed = _outputTotals(order.outputs, escrowed);
+            _chargeFees(orderId, owed, sponsor, true);
+            TransferAmount[] memory surplus = _inputSurplus(order.inputs, owed);
+            if (escrowed.length != 0) {
+                _approveTokens(surplus, baseSettler);
+                _openEscrowed(order, orderId, escrowed, surplus);
+            } else {
+                _settleSurplus(orderId, surplus, sponsor, true);
+            }
+        } else {
+            InputSettlerEscrow(baseSettler).openFor(order, sponsor, signature);
+        }
+    }
+
+    /**
+     * @notice Opens an intent for `order.user`. If XCM is available, the intent is executed via XCM.
+     *         Otherwise, the intent is executed via the base settler.
+     * @dev On the XCM path only the outputs and the protocol fee are collected, plus the surplus
+     * under `SurplusPolicy.Collect`.
+     * When the order is split, the inputs left after the teleported outputs are also collected
+     * and escrowed in the base settler for the remaining outputs.
+     * Inputs of `NATIVE_ASSET` are paid with `msg.value`, which must equal their total. They are
+     * teleported by funding the library call with value, and their surplus is refunded to the sender
+     * under `SurplusPolicy.Keep`. The base settler only escrows ERC20 tokens, so orders with native
+     * inputs revert unless they are settled entirely via XCM.
+     * Orders already opened on either route revert with {OrderAlreadyOpened}, see `orderStatus`.
+     * @param order StandardOrder representing the intent.
+     */
+    function open(StandardOrder calldata order) external payable nonReentrant {
+        uint256 nativeAmount = _nativeInputAmount(order.inputs);
+        if (msg.value != nativeAmount) revert InvalidNativeValue(nativeAmount, msg.value);
+        (bytes32 orderId, bytes32 settlerOrderId) = _requireUnopened(order);
+        (bool available, bool[] memory escrowed, XCMDelivery[] memory deliveries) = _prepareXCMSettlement(order);
+        if (nativeAmount != 0 && (!available || escrowed.length != 0)) revert NativeAssetNotEscrowable();
+        if (available) {
+            _validateInputChain(order.originChainId);
+            _validateTimestampHasNotPassed(order.fillDeadline);
+            _validateTimestampHasNotPassed(order.expires);
+            xcmSettled[orderId] = true;
+            xcmSettled[settlerOrderId] = true;
+            TransferAmount[] memory transferAmounts = _transferAmountsFromOutputs(order.outputs, escrowed);
+            _collectAndApproveTokens(transferAmounts, xcmPrecompile);
+            _executeXCM(order, orderId, escrowed, deliveries);
+            _disableApprovals(transferAmounts, xcmPrecompile);
+            TransferAmount[] memory owed = _outputTotals(order.outputs, escrowed);
+            _chargeFees(orderId, owed, msg.sender, false);
+            TransferAmount[] memory remainder = _inputSurplus(order.inputs, owed);
+            if (escrowed.length != 0) {
+                _collectAndApproveTokens(remainder, baseSettler);
+                _openEscrowed(order, orderId, escrowed, remainder);
+            } else {
+                _settleSurplus(orderId, remainder, msg.sender, false);
+            }
+        } else {
+            TransferAmount[] memory transferAmounts = _transferAmountsFromInputs(order.inputs);
+            _collectAndApproveTokens(transferAmounts, baseSettler);
+            InputSettlerEscrow(baseSettler).open(order);
+        }
+    }
+
+    /**
+     * @notice Collects tokens from the sender and approves them for the recipient.
+     * @dev `NATIVE_ASSET` amounts are skipped, as they are received as `msg.value`.
+     * @param transferAmounts Array of TransferAmount structs containing the amount and token.
+     * @param recipient Address to collect tokens from.
+     */
+    function _collectAndApproveTokens(
+        TransferAmount[] memory transferAmounts,
+        address recipient
+    ) private {
+        uint256 numTransfers = transferAmounts.length;
+        for (uint256 i = 0; i < numTransfers; ++i) {
+            TransferAmount memory transfer = transferAmounts[i];
+            uint256 amount = transfer.amount;
+            if (amount == 0 || transfer.token == NATIVE_ASSET) continue;
+            IERC20 token = IERC20(transfer.token);
+            SafeERC20.safeTransferFrom(
+                token,
+                msg.sender,
+                address(this),
+                amount
+            );
+            SafeERC20.safeIncreaseAllowance(token, recipient, amount);
+        }
+    }
+
+    /**
+     * @notice Approves the tokens held by this contract for the recipient.
+     * @param transferAmounts Array of TransferAmount structs containing the amount and token.
+     * @param recipient Address to approve.
+     */
+    function _approveTokens(
+        TransferAmount[] memory transferAmounts,
+        address recipient
+    ) private {
+        uint256 numTransfers = transferAmounts.length;
+        for (uint256 i = 0; i < numTransfers; ++i) {
+            TransferAmount memory transfer = transferAmounts[i];
+            if (transfer.amount == 0) continue;
+            SafeERC20.safeIncreaseAllowance(IERC20(transfer.token), recipient, transfer.amount);
+        }
+    }
+
+    /**
+     * @notice Hands the inputs not paid out to outputs to the payer or `surplusRecipient`, per `surplusPolicy`.
+     * @dev Emits {XCMSurplus} for each input with a surplus.
+     * @param orderId Identifier of the order on the base settler.
+     * @param surplus Per input, the amount left after the teleported outputs.
+     * @param payer Address the inputs are collected from.
+     * @param collected Whether the surplus is held by this contract (`openFor`) or still by the payer (`open`).
+     */
+    function _settleSurplus(
+        bytes32 orderId,
+        TransferAmount[] memory surplus,
+        address payer,
+        bool collected
+    ) private {
+        address recipient = surplusPolicy == SurplusPolicy.Collect ? surplusRecipient : payer;
+        uint256 numInputs = surplus.length;
+        for (uint256 i = 0; i < numInputs; ++i) {
+            TransferAmount memory transfer = surplus[i];
+            if (transfer.amount == 0) continue;
+            if (collected || transfer.token == NATIVE_ASSET) {
+                _transferOut(transfer.token, recipient, transfer.amount);
+            } else if (recipient != payer) {
+                SafeERC20.safeTransferFrom(IERC20(transfer.token), payer, recipient, transfer.amount);
+            }
+            emit XCMSurplus(orderId, transfer.token, transfer.amount, recipient);
+        }
+    }
+
+    /**
+     * @notice Pays the protocol fee on the teleported amount of each token to `feeRecipient`.
+     * @dev Emits {XCMFeeCharged} for each token with a non-zero fee. The fee is added to `owed`,
+     * so that the surplus is what remains after both the outputs and the fee.
+     * @param orderId Identifier of the order on the base settler.
+     * @param owed Per token, the teleported amount, as returned by `_outputTotals`.
+     * @param payer Address the inputs are collected from.
+     * @param collected Whether the inputs are held by this contract (`openFor`) or still by the payer (`open`).
+     */
+    function _chargeFees(
+        bytes32 orderId,
+        TransferAmount[] memory owed,
+        address payer,
+        bool collected
+    ) private {
+        address recipient = feeRecipient;
+        uint256 numTokens = owed.length;
+        for (uint256 i = 0; i < numTokens; ++i) {
+            TransferAmount memory transfer = owed[i];
+            uint256 fee = _feeOf(transfer.token, transfer.amount);
+            if (fee == 0) continue;
+            transfer.amount += fee;
+            if (collected || transfer.token == NATIVE_ASSET) {
+                _transferOut(transfer.token, recipient, fee);
+            } else {
+                SafeERC20.safeTransferFrom(IERC20(transfer.token), payer, recipient, fee);
+            }
+            emit XCMFeeCharged(orderId, transfer.token, fee, recipient);
+        }
+    }
+
+    /**
+     * @dev Pays `amount` of `token` held by this contract to `to`, as value for `NATIVE_ASSET`.
+     */
+    function _transferOut(address token, address to, uint256 amount) private {
+        if (token == NATIVE_ASSET) {
+            Address.sendValue(payable(to), amount);
+        } else {
+            SafeERC20.safeTransfer(IERC20(token), to, amount);
+        }
+    }
+
+    /**
+     * @dev Returns the total amount of `NATIVE_ASSET` in the inputs.
+     * @param inputs The input array of [token, amount] pairs.
+     */
+    function _nativeInputAmount(uint256[2][] calldata inputs) private pure returns (uint256 amount) {
+        uint256 numInputs = inputs.length;
+        for (uint256 i = 0; i < numInputs; ++i) {
+            if (inputs[i][0] == uint256(uint160(NATIVE_ASSET))) amount += inputs[i][1];
+        }
+    }
+
+    /**
+     * @dev Returns the protocol fee on teleporting `amount` of `token`, rounded down.
+     */
+    function _feeOf(address token, uint256 amount) private view returns (uint256) {
+        return amount * feeBps(token) / BPS;
+    }
+
+    /**
+     * @dev Returns the total amount of each token paid out to the outputs, in order of first appearance.
+     * @param outputs The MandateOutput array to aggregate.
+     * @param escrowed Outputs left to the base settler, which are not counted.
+     */
+    function _outputTotals(
+        MandateOutput[] calldata outputs,
+        bool[] memory escrowed
+    ) private pure returns (TransferAmount[] memory totals) {
+        uint256 numOutputs = outputs.length;
+        address[] memory tokens = new address[](numOutputs);
+        uint256[] memory amounts = new uint256[](numOutputs);
+        uint256 numTokens = 0;
+        for (uint256 i = 0; i < numOutputs; ++i) {
+            if (_isEscrowed(escrowed, i)) continue;
+            address token = outputs[i].token.fromIdentifier();
+            uint256 idx = _findInArray(token, tokens, numTokens);
+            if (idx == numTokens) {
+                tokens[idx] = token;
+                numTokens++;
+            }
+            amounts[idx] += outputs[i].amount;
+        }
+
+        totals = new TransferAmount[](numTokens);
+        for (uint256 i = 0; i < numTokens; ++i) {
+            totals[i] = TransferAmount({amount: amounts[i], token: tokens[i]});
+        }
+    }
+
+    /**
+     * @dev Returns, per input, the amount left after paying what is owed in the same token.
+     * Inputs are spent in order. Assumes the inputs cover `owed`, which is consumed.
+     * @param inputs The input array of [token, amount] pairs.
+     * @param owed Per token, the amount paid from the inputs.
+     */
+    function _inputSurplus(
+        uint256[2][] calldata inputs,
+        TransferAmount[] memory owed
+    ) private pure returns (TransferAmount[] memory surplus) {
+        uint256 numInputs = inputs.length;
+        uint256 numTokens = owed.length;
+        surplus = new TransferAmount[](numInputs);
+        for (uint256 i = 0; i < numInputs; ++i) {
+            address token = inputs[i][0].validatedCleanAddress();
+            uint256 amount = inputs[i][1];
+            for (uint256 j = 0; j < numTokens; ++j) {
+                if (owed[j].token != token) continue;
+                uint256 paid = amount < owed[j].amount ? amount : owed[j].amount;
+                owed[j].amount -= paid;
+                amount -= paid;
+            }
+            surplus[i] = TransferAmount({amount: amount, token: token});
+        }
+    }
+
+    /**
+     * @notice Disables approvals for the tokens for the recipient after the order was processed.
+     * @param transferAmounts Array of TransferAmount structs containing the amount and token.
+     * @param recipient Address to disable approvals for.
+     */
+    function _disableApprovals(
+        TransferAmount[] memory transferAmounts,
+        address recipient
+    ) private {
+        uint256 numTransfers = transferAmounts.length;
+        for (uint256 i = 0; i < numTransfers; ++i) {
+            TransferAmount memory transfer = transferAmounts[i];
+            if (transfer.token == NATIVE_ASSET) continue;
+            IERC20 token = IERC20(transfer.token);
+            SafeERC20.forceApprove(token, recipient, 0);
+        }
+    }
+
+    /**
+     * @dev Returns an array of TransferAmount structs from order outputs.
+     * @param outputs The MandateOutput array to extract transfer amounts from.
+     * @param escrowed Outputs left to the base settler, which get a zero amount.
+     */
+    function _transferAmountsFromOutputs(
+        MandateOutput[] calldata outputs,
+        bool[] memory escrowed
+    ) private pure returns (TransferAmount[] memory) {
+        uint256 length = outputs.length;
+        TransferAmount[] memory transferAmounts = new TransferAmount[](length);
+        for (uint256 i = 0; i < length; ++i) {
+            transferAmounts[i] = TransferAmount({
+                amount: _isEscrowed(escrowed, i) ? 0 : outputs[i].amount,
+                token: outputs[i].token.fromIdentifier()
+            });
+        }
+        return transferAmounts;
+    }
+
+    /**
+     * @dev Returns an array of TransferAmount structs from order inputs.
+     * @param inputs The input array of [token, amount] pairs.
+     */
+    function _transferAmountsFromInputs(
+        uint256[2][] calldata inputs
+    ) private pure returns (TransferAmount[] memory) {
+        uint256 length = inputs.length;
+        TransferAmount[] memory transferAmounts = new TransferAmount[](length);
+        for (uint256 i = 0; i < length; ++i) {
+            transferAmounts[i] = TransferAmount({
+                amount: inputs[i][1],
+                token: inputs[i][0].validatedCleanAddress()
+            });
+        }
+        return transferAmounts;
+    }
+
+    /**
+     * @notice Predicts whether `open` would settle the order via XCM or fall back to the base settler.
+     * @dev Runs the same checks as `open`, except the weight limits: messages are only built and
+     * weighed by `open`, which falls back with `WeightLimitExceeded` or `OrderWeightExceeded`.
+     * `index` points at the offending output (or input for `InputAmountTooLarge`) and is zero
+     * for order-level reasons.
+     * @param order The StandardOrder to check.
+     * @return reason `XCMFallbackReason.None` if the order would be settled via XCM, the fallback reason otherwise.
+     * @return index Index of the output or input that caused the fallback.
+     * @return escrowed Per output, whether it is escrowed in the base settler. Empty unless the order is split.
+     */
+    function previewRoute(
+        StandardOrder calldata order
+    ) external view returns (XCMFallbackReason reason, uint256 index, bool[] memory escrowed) {
+        escrowed = _escrowedOutputs(order.outputs);
+        (reason, index) = _xcmFallbackReason(order, escrowed);
+        if (reason != XCMFallbackReason.None) escrowed = new bool[](0);
+    }
+
+    /**
+     * @notice Returns the protocol fee `open` would charge on the order if it is settled via XCM.
+     * @dev The fee applies to the teleported total of each token and is paid from the inputs on top
+     * of the outputs. Orders falling back to the base settler are not charged, use `previewRoute`
+     * to tell which route applies.
+     * @param order The StandardOrder to quote.
+     * @return fees Per teleported token, in order of first appearance in the outputs, the fee amount.
+     */
+    function quoteFees(
+        StandardOrder calldata order
+    ) external view returns (TransferAmount[] memory fees) {
+        fees = _outputTotals(order.outputs, _escrowedOutputs(order.outputs));
+        for (uint256 i = 0; i < fees.length; ++i) {
+            fees[i].amount = _feeOf(fees[i].token, fees[i].amount);
+        }
+    }
+
+    /**
+     * @notice Returns the protocol fee of `token` in basis points: its own fee if set, `defaultFeeBps` otherwise.
+     * @param token The address of the ERC20 token.
+     */
+    function feeBps(address token) public view returns (uint16) {
+        TokenFee memory fee = tokenFees[token];
+        return fee.set ? fee.bps : defaultFeeBps;
+    }
+
+    /**
+     * @dev Selects the route of the order and, for the XCM route, builds and weighs its messages.
+     * This is not a pure check: once the other checks pass, the messages are built by the library,
+     * which is paid the amount of native outputs out of `msg.value`, before any ERC20 input is
+     * collected. If the order then falls back, `open` reverts with {NativeAssetNotEscrowable} for
+     * native inputs, so that value only leaves with an order settled via XCM.
+     * Emits {XCMLimitExceeded} when the order falls back because of a rate limit, per-order maximum
+     * or weight limit.
+     * @param order The StandardOrder struct containing input and output requirements.
+     * @return available True if XCM settlement is available for the order, false otherwise.
+     * @return escrowed Per output, whether it is left to the base settler. Empty unless the order is split.
+     * @return deliveries Per output, its weighed XCM message. Only set if `available`.
+     */
+    function _prepareXCMSettlement(
+        StandardOrder calldata order
+    ) private returns (bool available, bool[] memory escrowed, XCMDelivery[] memory deliveries) {
+        escrowed = _escrowedOutputs(order.outputs);
+        (XCMFallbackReason reason, uint256 index) = _xcmFallbackReason(order, escrowed);
+        if (reason == XCMFallbackReason.None) (reason, index, deliveries) = _buildXCMDeliveries(order.outputs, escrowed);
+        if (
+            reason == XCMFallbackReason.RateLimited ||
+            reason == XCMFallbackReason.OrderAmountTooLarge ||
+            reason == XCMFallbackReason.WeightLimitExceeded ||
+            reason == XCMFallbackReason.OrderWeightExceeded
+        ) {
+            MandateOutput calldata output = order.outputs[index];
+            emit XCMLimitExceeded(output.chainId, output.token.fromIdentifier(), reason);
+        }
+        available = reason == XCMFallbackReason.None;
+    }
+
+    /**
+     * @dev Determines why an order cannot be settled via XCM.
+     * Validates feature flag, presence and validity of order inputs/outputs, and ensures teleport and amount constraints.
+     * Escrowed outputs are skipped, except that the inputs must leave something to escrow for them.
+     * @param order The StandardOrder struct containing input and output requirements.
+     * @param escrowed Per output, whether it is left to the base settler. Empty if the order is not split.
+     * @return reason `XCMFallbackReason.None` if XCM settlement is available, the first failed check otherwise.
+     * @return index Index of the offending output or input, zero for order-level reasons.
+     */
+    function _xcmFallbackReason(
+        StandardOrder calldata order,
+        bool[] memory escrowed
+    ) private view returns (XCMFallbackReason reason, uint256 index) {
+        if (!xcmEnabled) return (XCMFallbackReason.XCMDisabled, 0);
+        if (order.inputs.length == 0) return (XCMFallbackReason.NoInputs, 0);
+        if (order.outputs.length == 0) return (XCMFallbackReason.NoOutputs, 0);
+
+        (reason, index) = _validateOutputsForXCM(order.outputs, escrowed);
+        if (reason != XCMFallbackReason.None) return (reason, index);
+
+        (reason, index) = _validateInputsForXCM(order.inputs);
+        if (reason != XCMFallbackReason.None) return (reason, index);
+
+        (reason, index) = _verifyInputsCoverOutputs(order.inputs, order.outputs, escrowed);
+        if (reason != XCMFallbackReason.None) return (reason, index);
+
+        return _validateLimitsForXCM(order.outputs, escrowed);
+    }
+
+    /**
+     * @dev Selects the outputs of a split order: those failing the XCM output checks are left to the base settler.
+     * An order is only split if split mode is enabled and at least one output is XCM-eligible; the
+     * result is empty otherwise, so the whole order goes one way.
+     * @param outputs Array of MandateOutput to select from.
+     * @return escrowed Per output, whether it is left to the base settler, or empty if the order is not split.
+     */
+    function _escrowedOutputs(
+        MandateOutput[] calldata outputs
+    ) private view returns (bool[] memory escrowed) {
+        if (!splitEnabled) return escrowed;
+        uint256 numOutputs = outputs.length;
+        escrowed = new bool[](numOutputs);
+        uint256 numEscrowed = 0;
+        for (uint256 i = 0; i < numOutputs; ++i) {
+            if (_outputFallbackReason(outputs[i]) != XCMFallbackReason.None) {
+                escrowed[i] = true;
+                numEscrowed++;
+            }
+        }
+        if (numEscrowed == 0 || numEscrowed == numOutputs) return new bool[](0);
+    }
+
+    /**
+     * @dev Returns whether output `index` is left to the base settler.
+     * @param escrowed Per output escrow flags, empty if the order is not split.
+     * @param index The output index.
+     */
+    function _isEscrowed(bool[] memory escrowed, uint256 index) private pure returns (bool) {
+        return escrowed.length != 0 && escrowed[index];
+    }
+
+    /**
+     * @notice Escrows the inputs left after the teleported outputs for the remaining outputs of a split order.
+     * @dev See {SplitOrder-openEscrowed}. The remainders must be held and approved for the base settler.
+     * @param order The split StandardOrder.
+     * @param orderId Identifier of `order` on the base settler.
+     * @param escrowed Per output, whether it is left to the base settler.
+     * @param remainder Per input, the amount left after the teleported outputs.
+     */
+    function _openEscrowed(
+        StandardOrder calldata order,
+        bytes32 orderId,
+        bool[] memory escrowed,
+        TransferAmount[] memory remainder
+    ) private {
+        uint256 numInputs = remainder.length;
+        uint256[2][] memory inputs = new uint256[2][](numInputs);
+        for (uint256 i = 0; i < numInputs; ++i) {
+            inputs[i] = [uint256(uint160(remainder[i].token)), remainder[i].amount];
+        }
+        (bytes32 escrowOrderId, uint256[] memory escrowedOutputs) =
+            SplitOrder.openEscrowed(baseSettler, order, escrowed, inputs);
+        emit XCMOrderSplit(orderId, escrowOrderId, escrowedOutputs);
+    }
+
+    /**
+     * @dev Validates that all outputs are suitable for XCM (Cross-Consensus Messaging) settlement.
+     * Checks that each output has:
+     * - A non-zero recipient.
+     * - No embedded contract call or context, except a max weight context, which any output may carry.
+     * - A chainId registered in the chain registry.
+     * - The token and parachain combination is approved for teleport.
+     * - The recipient fits the beneficiary format of the destination.
+     * - The output amount does not exceed the max allowed.
+     * @param outputs Array of MandateOutput to validate.
+     * @param escrowed Outputs left to the base settler, which are skipped.
+     * @return reason `XCMFallbackReason.None` if all outputs are XCM-compatible, the first failed check otherwise.
+     * @return index Index of the first incompatible output.
+     */
+    function _validateOutputsForXCM(
+        MandateOutput[] calldata outputs,
+        bool[] memory escrowed
+    ) private view returns (XCMFallbackReason, uint256) {
+        uint256 numOutputs = outputs.length;
+        for (uint256 i = 0; i < numOutputs; ++i) {
+            if (_isEscrowed(escrowed, i)) continue;
+            XCMFallbackReason reason = _outputFallbackReason(outputs[i]);
+            if (reason != XCMFallbackReason.None) return (reason, i);
+        }
+        return (XCMFallbackReason.None, 0);
+    }
+
+    /**
+     * @dev Runs the XCM checks of `_validateOutputsForXCM` on a single output.
+     * Outputs may carry a max weight context, any other context or call falls back.
+     * @param output The MandateOutput to validate.
+     * @return `XCMFallbackReason.None` if the output is XCM-compatible, the first failed check otherwise.
+     */
+    function _outputFallbackReason(
+        MandateOutput calldata output
+    ) private view returns (XCMFallbackReason) {
+        if (output.recipient == bytes32(0)) return XCMFallbackReason.RecipientZero;
+        if (output.call.length != 0 || (output.context.length != 0 && !_isMaxWeightContext(output.context))) {
+            return XCMFallbackReason.CallOrContextPresent;
+        }
+
+        ChainLocation storage location = chainLocations[output.chainId];
+        if (!_isRegistered(location)) return XCMFallbackReason.ChainNotRegistered;
+        uint32 destination = location.paraId;
+
+        address token = output.token.fromIdentifier();
+        if (!teleportTokens[destination].contains(token)) return XCMFallbackReason.TeleportNotAllowed;
+
+        if (
+            beneficiaryFormat[destination] == BeneficiaryFormat.AccountKey20 &&
+            uint256(output.recipient) > type(uint160).max
+        ) return XCMFallbackReason.RecipientFormatInvalid;
+
+        if (output.amount > MAX_XCM_AMOUNT) return XCMFallbackReason.OutputAmountTooLarge;
+        return XCMFallbackReason.None;
+    }
+
+    /**
+     * @dev Validates that each XCM input does not exceed the maximum allowed amount.
+     * @param inputs Array of input token and amount pairs for XCM settlement.
+     * @return reason `XCMFallbackReason.None` if all input amounts are within the allowed XCM maximum,
+     * `XCMFallbackReason.InputAmountTooLarge` otherwise.
+     * @return index Index of the first input exceeding the maximum.
+     */
+    function _validateInputsForXCM(
+        uint256[2][] calldata inputs
+    ) private pure returns (XCMFallbackReason, uint256) {
+        uint256 numInputs = inputs.length;
+        for (uint256 i = 0; i < numInputs; ++i) {
+            uint256[2] calldata input = inputs[i];
+            uint256 amount = input[1];
+            if (amount > MAX_XCM_AMOUNT) {
+                return (XCMFallbackReason.InputAmountTooLarge, i);
+            }
+        }
+        return (XCMFallbackReason.None, 0);
+    }
+
+    /**
+     * @dev Checks whether the provided input tokens can fully cover the required output amounts per token.
+     *
+     * For each output, aggregates the required amounts by token address.
+     * Then subtracts any provided input amounts for those tokens.
+     * Succeeds if all required outputs, plus the protocol fee of their token, are fully covered
+     * by the corresponding inputs.
+     * Escrowed outputs of a split order are not paid from the inputs; instead, some input must
+     * be left after the other outputs to fund their escrow.
+     *
+     * @param inputs Array of [token, amount] pairs representing available input tokens.
+     * @param outputs Array of MandateOutput specifying required output tokens and amounts.
+     * @param escrowed Outputs left to the base settler.
+     * @return reason `XCMFallbackReason.None` if all outputs are covered by the inputs per token,
+     * `XCMFallbackReason.OutputsNotCovered` or `XCMFallbackReason.FeeNotCovered` otherwise, or
+     * `XCMFallbackReason.EscrowNotFunded` if nothing is left to escrow.
+     * @return index Index of the first output whose token is not covered, or the first escrowed output.
+     */
+    function _verifyInputsCoverOutputs(
+        uint256[2][] calldata inputs,
+        MandateOutput[] calldata outputs,
+        bool[] memory escrowed
+    ) private view returns (XCMFallbackReason, uint256) {
+        // Aggregation and coverage logic
+        uint256 numInputs = inputs.length;
+        uint256 numOutputs = outputs.length;
+
+        // We track required output amounts per token
+        uint256[] memory tempOutputAmounts = new uint256[](numOutputs);
+        address[] memory tempKeys = new address[](numOutputs);
+        uint256 emptyIdx = 0;
+
+        // 1. Aggregate required outputs
+        for (uint256 i = 0; i < numOutputs; ++i) {
+            if (_isEscrowed(escrowed, i)) continue;
+            MandateOutput calldata output = outputs[i];
+            uint256 amount = output.amount;
+            address token = output.token.fromIdentifier();
+            uint256 idx = _findInArray(token, tempKeys, emptyIdx);
+            if (idx == emptyIdx) {
+                emptyIdx++;
+                tempKeys[idx] = token;
+            }
+            uint256 newAmount = tempOutputAmounts[idx] + amount;
+            if (newAmount < tempOutputAmounts[idx]) {
+                return (XCMFallbackReason.OutputsNotCovered, i);
+            }
+            tempOutputAmounts[idx] = newAmount;
+        }
+
+        // 2. Add the protocol fee of each token, outputs being validated to fit in uint128
+        uint256[] memory fees = new uint256[](emptyIdx);
+        for (uint256 i = 0; i < emptyIdx; ++i) {
+            fees[i] = _feeOf(tempKeys[i], tempOutputAmounts[i]);
+            tempOutputAmounts[i] += fees[i];
+        }
+
+        // 3. Subtract available inputs
+        bool funded = false;
+        for (uint256 i = 0; i < numInputs; ++i) {
+            uint256[2] calldata input = inputs[i];
+            address token = input[0].validatedCleanAddress();
+            uint256 amount = input[1];
+            uint256 idx = _findInArray(token, tempKeys, emptyIdx);
+            if (idx != emptyIdx) {
+                if (amount > tempOutputAmounts[idx]) {
+                    funded = true;
+                    tempOutputAmounts[idx] = 0;
+                } else {
+                    tempOutputAmounts[idx] -= amount;
+                }
+            } else if (amount != 0) {
+                funded = true;
+            }
+        }
+
+        // 4. Verify all output requirements are met, then the fees
+        for (uint256 i = 0; i < emptyIdx; ++i) {
+            if (tempOutputAmounts[i] > 0) {
+                return (
+                    tempOutputAmounts[i] > fees[i] ? XCMFallbackReason.OutputsNotCovered : XCMFallbackReason.FeeNotCovered,
+                    _firstOutputWithToken(outputs, tempKeys[i], escrowed)
+                );
+            }
+        }
+
+        // 5. Verify the escrowed outputs are funded by the remainder
+        if (escrowed.length != 0 && !funded) {
+            uint256 firstEscrowed = 0;
+            while (!escrowed[firstEscrowed]) firstEscrowed++;
+            return (XCMFallbackReason.EscrowNotFunded, firstEscrowed);
+        }
+        return (XCMFallbackReason.None, 0);
+    }
+
+    /**
+     * @dev Validates that the outputs stay within the configured teleport limits:
+     * - The total per token does not exceed `maxOrderAmount`.
+     * - The total per (parachain, token) route fits in the remaining rate limit capacity.
+     * Assumes the outputs passed `_validateOutputsForXCM` and `_verifyInputsCoverOutputs`.
+     * @param outputs Array of MandateOutput to validate.
+     * @param escrowed Outputs left to the base settler, which are not counted.
+     * @return reason `XCMFallbackReason.None` if all limits are respected, the first exceeded limit otherwise.
+     * @return index Index of the first output of the token or route exceeding its limit.
+     */
+    function _validateLimitsForXCM(
+        MandateOutput[] calldata outputs,
+        bool[] memory escrowed
+    ) private view returns (XCMFallbackReason, uint256) {
+        uint256 numOutputs = outputs.length;
+        for (uint256 i = 0; i < numOutputs; ++i) {
+            if (_isEscrowed(escrowed, i)) continue;
+            uint32 destination = chainLocations[outputs[i].chainId].paraId;
+            address token = outputs[i].token.fromIdentifier();
+
+            uint256 tokenAmount = 0;
+            uint256 routeAmount = 0;
+            for (uint256 j = 0; j < numOutputs; ++j) {
+                if (_isEscrowed(escrowed, j) || outputs[j].token.fromIdentifier() != token) continue;
+                tokenAmount += outputs[j].amount;
+                if (chainLocations[outputs[j].chainId].paraId == destination) {
+                    routeAmount += outputs[j].amount;
+                }
+            }
+
+            uint256 maxAmount = maxOrderAmount[token];
+            if (maxAmount != 0 && tokenAmount > maxAmount) return (XCMFallbackReason.OrderAmountTooLarge, i);
+
+            RateLimit storage rateLimit = rateLimits[destination][token];
+            if (rateLimit.limit != 0 && _rateLimitUsage(rateLimit) + routeAmount > rateLimit.limit) {
+                return (XCMFallbackReason.RateLimited, i);
+            }
+        }
+        return (XCMFallbackReason.None, 0);
+    }
+
+    /**
+     * @dev Returns the current usage of a rate limit after linear recovery since the last update.
+     * @param rateLimit The rate limit to read.
+     */
+    function _rateLimitUsage(
+        RateLimit storage rateLimit
+    ) private view returns (uint256) {
+        if (rateLimit.limit == 0) return 0;
+        uint256 recovered = (block.timestamp - rateLimit.updatedAt) * rateLimit.limit / rateLimit.window;
+        return recovered >= rateLimit.used ? 0 : rateLimit.used - recovered;
+    }
+
+    /**
+     * @dev Records `amount` teleported over the (destination, token) route.
+     * @param destination The parachain ID.
+     * @param token The teleported token.
+     * @param amount The teleported amount.
+     */
+    function _consumeRateLimit(
+        uint32 destination,
+        address token,
+        uint128 amount
+    ) private {
+        RateLimit storage rateLimit = rateLimits[destination][token];
+        if (rateLimit.limit == 0) return;
+        rateLimit.used = (_rateLimitUsage(rateLimit) + amount).toUint128();
+        rateLimit.updatedAt = uint64(block.timestamp);
+    }
+
+    /**
+     * @dev Returns the index of the first output paying out `token`.
+     * @param outputs Array of MandateOutput to search.
+     * @param token The token address to look for.
+     * @param escrowed Outputs left to the base settler, which are skipped.
+     * @return The index of the first matching output; `outputs.length` if there is none.
+     */
+    function _firstOutputWithToken(
+        MandateOutput[] calldata outputs,
+        address token,
+        bool[] memory escrowed
+    ) private pure returns (uint256) {
+        uint256 numOutputs = outputs.length;
+        for (uint256 i = 0; i < numOutputs; ++i) {
+            if (!_isEscrowed(escrowed, i) && outputs[i].token.fromIdentifier() == token) {
+                return i;
+            }
+        }
+        return numOutputs;
+    }
+
+    /**
+     * @dev Builds the XCM message of each output delivered via XCM and weighs those executed locally.
+     * Messages of native outputs are built with value, see `_buildMessage`. Weights include the
+     * destination margin. An order falls back when a message exceeds the weight
+     * ceiling of its destination, or when the messages exceed the order's max weight.
+     * @param outputs Array of MandateOutput to build the messages of.
+     * @param escrowed Outputs left to the base settler, which are skipped.
+     * @return reason `XCMFallbackReason.None` if all weights are within limits, the first exceeded limit otherwise.
+     * @return index Index of the output exceeding a limit.
+     * @return deliveries Per output, its XCM message and execution weight.
+     */
+    function _buildXCMDeliveries(
+        MandateOutput[] calldata outputs,
+        bool[] memory escrowed
+    ) private returns (XCMFallbackReason reason, uint256 index, XCMDelivery[] memory deliveries) {
+        uint256 numOutputs = outputs.length;
+        deliveries = new XCMDelivery[](numOutputs);
+        IXcm.Weight memory maxWeight = _orderMaxWeight(outputs, escrowed);
+        uint256 totalRefTime = 0;
+        uint256 totalProofSize = 0;
+        for (uint256 i = 0; i < numOutputs; ++i) {
+            if (_isEscrowed(escrowed, i)) continue;
+            MandateOutput calldata output = outputs[i];
+            ChainLocation storage location = chainLocations[output.chainId];
+            uint32 destination = location.paraId;
+            address token = output.token.fromIdentifier();
+            XCMDelivery memory delivery = deliveries[i];
+            delivery.config = routeConfigs[destination][token];
+            (delivery.destination, delivery.message) =
+                _buildMessage(delivery.config, destination, output.recipient, token, output.amount.toUint128());
+            if (delivery.config.mode == RouteMode.Send) {
+                // Programs for a location nested in the chain are sent there instead of to the chain itself
+                if (location.nested.length != 0) delivery.destination = location.nested;
+                continue;
+            }
+            bool withinLimit;
+            (delivery.weight, withinLimit) = _weighMessage(delivery.message, destination);
+            if (!withinLimit) return (XCMFallbackReason.WeightLimitExceeded, i, deliveries);
+            totalRefTime += delivery.weight.refTime;
+            totalProofSize += delivery.weight.proofSize;
+            if (
+                (maxWeight.refTime != 0 && totalRefTime > maxWeight.refTime) ||
+                (maxWeight.proofSize != 0 && totalProofSize > maxWeight.proofSize)
+            ) return (XCMFallbackReason.OrderWeightExceeded, i, deliveries);
+        }
+        return (XCMFallbackReason.None, 0, deliveries);
+    }
+
+    /// @notice Executes XCM teleport for each output
+    /// @dev IMPORTANT: If execution fails partway through the loop, the entire
+    /// transaction reverts. However, any XCM messages already dispatched may have
+    /// irrevocable off-chain effects depending on precompile implementation.
+    /// That's why it is important for administrators to carefully consider
+    /// the chains where teleport is allowed.
+    /// @param order The standard order to execute XCM teleport for
+    /// @param orderId Identifier of `order` on the base settler, emitted with each delivered output
+    /// @param escrowed Outputs left to the base settler, which are not delivered
+    /// @param deliveries Per output, the message built and weighed by `_buildXCMDeliveries`
+    function _executeXCM(
+        StandardOrder calldata order,
+        bytes32 orderId,
+        bool[] memory escrowed,
+        XCMDelivery[] memory deliveries
+    ) private {
+        emit XCMOpen(orderId, order.user, order);
+        uint256 numOutputs = order.outputs.length;
+        for (uint256 i = 0; i < numOutputs; ++i) {
+            if (_isEscrowed(escrowed, i)) continue;
+            MandateOutput calldata output = order.outputs[i];
+            _consumeRateLimit(chainLocations[output.chainId].paraId, output.token.fromIdentifier(), output.amount.toUint128());
+        }
+
+        IXcm xcm = IXcm(xcmPrecompile);
+        for (uint256 i = 0; i < numOutputs; ++i) {
+            if (_isEscrowed(escrowed, i)) continue;
+            XCMDelivery memory delivery = deliveries[i];
+            MandateOutput calldata output = order.outputs[i];
+            address token = output.token.fromIdentifier();
+            if (delivery.config.mode == RouteMode.Send) {
+                xcm.send(delivery.destination, delivery.message);
+                emit XCMMessageSent(orderId, output.chainId, token, output.amount, output.recipient);
+            } else {
+                xcm.execute(delivery.message, delivery.weight);
+                if (delivery.config.kind == TransferKind.ReserveTransfer) {
+                    emit XCMReserveTransferExecuted(orderId, output.chainId, token, output.amount, output.recipient);
+                } else {
+                    emit XCMTeleportExecuted(orderId, output.chainId, token, output.amount, output.recipient);
+                }
+            }
+        }
+    }
+
+    /**
+     * @dev Builds the XCM message of an output with the library function of its route and the
+     * beneficiary format of its destination.
+     * @param config Configuration of the output's route.
+     * @param destination The parachain ID.
+     * @param recipient The output recipient, a left-padded address for `BeneficiaryFormat.AccountKey20`.
+     * @param token The output token, funded with the call value if it is `NATIVE_ASSET`.
+     * @param amount The amount to transfer.
+     * @return location Destination location of `RouteMode.Send` routes, empty otherwise.
+     * @return message The SCALE-encoded XCM message.
+     */
+    function _buildMessage(
+        RouteConfig memory config,
+        uint32 destination,
+        bytes32 recipient,
+        address token,
+        uint128 amount
+    ) private returns (bytes memory location, bytes memory message) {
+        ILibrary ink = ILibrary(inkLibrary);
+        // Native outputs are funded with the call value instead of an allowance
+        uint256 value = token == NATIVE_ASSET ? amount : 0;
+        if (beneficiaryFormat[destination] == BeneficiaryFormat.AccountKey20) {
+            address key = recipient.fromIdentifier();
+            if (config.mode == RouteMode.Send) {
+                return ink.remoteTransferToKey20{value: value}(destination, key, amount);
+            }
+            if (config.kind == TransferKind.ReserveTransfer) {
+                return (location, ink.reserveTransferToKey20{value: value}(destination, key, amount));
+            }
+            return (location, ink.teleportToKey20{value: value}(destination, key, amount));
+        }
+        if (config.mode == RouteMode.Send) {
+            return ink.remoteTransfer{value: value}(destination, recipient, amount);
+        }
+        if (config.kind == TransferKind.ReserveTransfer) {
+            return (location, ink.reserveTransfer{value: value}(destination, recipient, amount));
+        }
+        return (location, ink.teleport{value: value}(destination, recipient, amount));
+    }
+
+    /**
+     * @dev Weighs a locally executed message, adds the destination margin and checks the destination ceiling.
+     * @param message The SCALE-encoded XCM message.
+     * @param destination The parachain ID the message transfers to.
+     * @return weight The weight to execute the message with.
+     * @return withinLimit Whether the weight is within the ceiling of `destination`.
+     */
+    function _weighMessage(
+        bytes memory message,
+        uint32 destination
+    ) private view returns (IXcm.Weight memory weight, bool withinLimit) {
+        weight = IXcm(xcmPrecompile).weighMessage(message);
+        WeightLimit memory limit = weightLimits[destination];
+        if (limit.marginBps != 0) {
+            weight.refTime = (uint256(weight.refTime) * (BPS + limit.marginBps) / BPS).toUint64();
+            weight.proofSize = (uint256(weight.proofSize) * (BPS + limit.marginBps) / BPS).toUint64();
+        }
+        withinLimit = (limit.refTime == 0 || weight.refTime <= limit.refTime) &&
+            (limit.proofSize == 0 || weight.proofSize <= limit.proofSize);
+    }
+
+    /**
+     * @dev Returns whether `context` is a max weight context:
+     * `0xa0 || 0x01 || uint64 refTime || uint64 proofSize`, the second byte being the encoding version.
+     */
+    function _isMaxWeightContext(bytes calldata context) private pure returns (bool) {
+        return context.length == MAX_WEIGHT_CONTEXT_LENGTH &&
+            context[0] == MAX_WEIGHT_CONTEXT_TYPE &&
+            context[1] == MAX_WEIGHT_CONTEXT_VERSION;
+    }
+
+    /**
+     * @dev Returns the order's maximum XCM weight: per component, the lowest nonzero value of the
+     * max weight contexts of the outputs delivered via XCM. Zero components are unlimited.
+     * @param outputs Array of MandateOutput carrying the contexts.
+     * @param escrowed Outputs left to the base settler, whose contexts are ignored.
+     */
+    function _orderMaxWeight(
+        MandateOutput[] calldata outputs,
+        bool[] memory escrowed
+    ) private pure returns (IXcm.Weight memory maxWeight) {
+        uint256 numOutputs = outputs.length;
+        for (uint256 i = 0; i < numOutputs; ++i) {
+            bytes calldata context = outputs[i].context;
+            if (_isEscrowed(escrowed, i) || !_isMaxWeightContext(context)) continue;
+            uint64 refTime = uint64(bytes8(context[2:10]));
+            uint64 proofSize = uint64(bytes8(context[10:18]));
+            if (refTime != 0 && (maxWeight.refTime == 0 || refTime < maxWeight.refTime)) {
+                maxWeight.refTime = refTime;
+            }
+            if (proofSize != 0 && (maxWeight.proofSize == 0 || proofSize < maxWeight.proofSize)) {
+                maxWeight.proofSize = proofSize;
+            }
+        }
+    }
+
+    /**
+     * @notice Calls InputSettlerEscrow.finalise with the given parameters.
+     * @dev This is a passthrough to the base settler's finalise method.
+     */
+    function finalise(
+        StandardOrder calldata order,
+        InputSettlerBase.SolveParams[] calldata solveParams,
+        bytes32 destination,
+        bytes calldata call
+    ) external nonReentrant {
+        InputSettlerEscrow(baseSettler).finalise(
+            order,
+            solveParams,
+            destination,
+            call
+        );
+    }
+
+    /**
+     * @notice Calls InputSettlerEscrow.finaliseWithSignature with the given parameters.
+     * @dev This is a passthrough to the base settler's finaliseWithSignature method.
+     */
+    function finaliseWithSignature(
+        StandardOrder calldata order,
+        InputSettlerBase.SolveParams[] calldata solveParams,
+        bytes32 destination,
+        bytes calldata call,
+        bytes calldata orderOwnerSignature
+    ) external nonReentrant {
+        InputSettlerEscrow(baseSettler).finaliseWithSignature(
+            order,
+            solveParams,
+            destination,
+            call,
+            orderOwnerSignature
+        );
+    }
+
+    /**
+     * @notice Returns the status of an order on either route.
+     * @dev Orders settled via XCM are recorded by this contract, escrowed orders by the base
+     * settler. Identifiers are those of the current base settler, see `orderIdentifier`. Orders
+     * settled via XCM are also found by `settlerOrderIdentifier`, which `setBaseSettler` does not change.
+     * @param orderId Identifier of the order.
+     */
+    function orderStatus(bytes32 orderId) public view returns (SettlementStatus) {
+        if (xcmSettled[orderId]) return SettlementStatus.XCMSettled;
+        return SettlementStatus(uint8(InputSettlerEscrow(baseSettler).orderStatus(orderId)));
+    }
+
+    /**
+     * @dev Computes the identifiers of `order` and reverts with {OrderAlreadyOpened} if it was
+     * opened on either route, so that an order is settled at most once. Orders settled via XCM are
+     * checked by `settlerOrderId`, so they cannot be opened again after `setBaseSettler`.
+     * @param order The StandardOrder being opened.
+     * @return orderId Identifier of `order` on the base settler.
+     * @return settlerOrderId Identifier of `order` on this settler, see `settlerOrderIdentifier`.
+     */
+    function _requireUnopened(
+        StandardOrder calldata order
+    ) private view returns (bytes32 orderId, bytes32 settlerOrderId) {
+        orderId = InputSettlerEscrow(baseSettler).orderIdentifier(order);
+        settlerOrderId = order.orderIdentifier();
+        if (xcmSettled[settlerOrderId]) revert OrderAlreadyOpened(orderId, SettlementStatus.XCMSettled);
+        SettlementStatus status = orderStatus(orderId);
+        if (status != SettlementStatus.None) revert OrderAlreadyOpened(orderId, status);
+    }
+
+    /**
+     * @notice Calls InputSettlerEscrow.refund with the given parameters.
+     * @dev This is a passthrough to the base settler's refund method. Once `order.expires` has
+     * passed, anyone can return the inputs of an escrowed order to `order.user`. The remaining
+     * outputs of a split order are refunded with its derived order, see {XCMOrderSplit}.
+     */
+    function refund(StandardOrder calldata order) external nonReentrant {
+        InputSettlerEscrow(baseSettler).refund(order);
+    }
+
+    /**
+     * @notice Calls InputSettlerEscrow.orderIdentifier with the given parameters.
+     * @dev This is a passthrough to the base settler's orderIdentifier method.
+     */
+    function orderIdentifier(
+        StandardOrder memory order
+    ) external view returns (bytes32) {
+        return InputSettlerEscrow(baseSettler).orderIdentifier(order);
+    }
+
+    /**
+     * @notice Returns the identifier of `order` on this settler, computed like `orderIdentifier` with
+     * the address of this settler instead of the base settler.
+     * @dev Orders settled via XCM are recorded under it, independently of the base settler.
+     */
+    function settlerOrderIdentifier(
+        StandardOrder calldata order
+    ) external view returns (bytes32) {
+        return order.orderIdentifier();
+    }
+
+    /**
+     * @notice Calls InputSettlerEscrow.purchaseOrder with the given parameters.
+     * @dev This is a passthrough to the base settler's purchaseOrder method.
+     */
+    function purchaseOrder(
+        OrderPurchase memory orderPurchase,
+        StandardOrder memory order,
+        bytes32 orderSolvedByIdentifier,
+        bytes32 purchaser,
+        uint256 expiryTimestamp,
+        bytes memory solverSignature
+    ) external nonReentrant {
+        InputSettlerEscrow(baseSettler).purchaseOrder(
+            orderPurchase,
+            order,
+            orderSolvedByIdentifier,
+            purchaser,
+            expiryTimestamp,
+            solverSignature
+        );
+    }
+
+    /**
+     * @notice Returns the purchase of an order from a solver, as recorded by the base settler.
+     * @dev This is a passthrough to the base settler's purchasedOrders getter. Purchases are
+     * forwarded to the base settler, so the inherited `purchasedOrders` of this contract stays empty.
+     * @param solver Identifier of the solver the order was purchased from.
+     * @param orderId Identifier of the order on the base settler.
+     */
+    function basePurchasedOrders(
+        bytes32 solver,
+        bytes32 orderId
+    ) external view returns (uint32 lastOrderTimestamp, bytes32 purchaser) {
+        return InputSettlerPurchase(baseSettler).purchasedOrders(solver, orderId);
+    }
+
+    /**
+     * @notice Returns the EIP-712 domain separator of the base settler.
+     * @dev This is a passthrough to the base settler's DOMAIN_SEPARATOR method. Solver and order
+     * owner signatures of forwarded calls are verified by the base settler against its own domain,
+     * not against the inherited `DOMAIN_SEPARATOR` of this contract.
+     */
+    function baseDomainSeparator() external view returns (bytes32) {
+        return InputSettlerEscrow(baseSettler).DOMAIN_SEPARATOR();
+    }
+
+    /**
+     * @notice Returns the EIP-712 domain of the base settler, see {IERC5267}.
+     * @dev This is a passthrough to the base settler's eip712Domain method, so that signatures for
+     * forwarded calls are built against the domain that verifies them.
+     */
+    function eip712Domain()
+        public
+        view
+        override
+        returns (
+            bytes1 fields,
+            string memory name,
+            string memory version,
+            uint256 chainId,
+            address verifyingContract,
+            bytes32 salt,
+            uint256[] memory extensions
+        )
+    {
+        return IERC5267(baseSettler).eip712Domain();
+    }
+
+    /**
+     * @notice Registers the XCM location outputs to an OIF chain ID are delivered to, replacing any previous one.
+     * @dev OIF chain IDs are EVM-style and collide with parachain IDs, so outputs to unregistered
+     * chain IDs fall back with `XCMFallbackReason.ChainNotRegistered`. Only callable by an admin.
+     * @param chainId The OIF chain ID.
+     * @param location The relay chain or a non-zero parachain ID, and an optional nested location.
+     * Emits a {ChainRegistered} event.
+     */
+    function registerChain(
+        uint256 chainId,
+        ChainLocation calldata location
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _registerChain(chainId, location);
+    }
+
+    /**
+     * @notice Registers the XCM location of each of the given OIF chain IDs.
+     * @dev Emits a {ChainRegistered} event per chain. Only callable by an admin.
+     * @param registrations The chain IDs and their locations.
+     */
+    function registerChains(
+        ChainRegistration[] calldata registrations
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        uint256 numRegistrations = registrations.length;
+        for (uint256 i = 0; i < numRegistrations; ++i) {
+            _registerChain(registrations[i].chainId, registrations[i].location);
+        }
+    }
+
+    /**
+     * @notice Removes the XCM location of an OIF chain ID, its outputs falling back to the base settler.
+     * @dev The routes and limits of its parachain are kept. Only callable by an admin.
+     * @param chainId The OIF chain ID.
+     * Emits a {ChainUnregistered} event.
+     */
+    function unregisterChain(uint256 chainId) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        delete chainLocations[chainId];
+        emit ChainUnregistered(chainId);
+    }
+
+    /**
+     * @notice Returns the XCM location of an OIF chain ID, zeroed if it is not registered.
+     * @param chainId The OIF chain ID.
+     */
+    function getChainLocation(
+        uint256 chainId
+    ) external view returns (ChainLocation memory) {
+        return chainLocations[chainId];
+    }
+
+    /**
+     * @notice Allows teleportation of a specific ERC20 token to a given destination parachain.
+     * @dev Sets the teleport permission for the (destination, token) pair to true.
+     * Only callable by a route manager.
+     * @param destination The parachain ID to allow teleporting to.
+     * @param token The address of the ERC20 token to permit for teleportation.
+     */
+    function allowTeleport(
+        uint32 destination,
+        address token
+    ) external onlyRole(ROUTE_MANAGER_ROLE) {
+        _allowTeleport(destination, token);
+    }
+
+    /**
+     * @notice Allows teleportation for each of the given (destination, token) pairs.
+     * @dev Emits a {TeleportAllowed} event per pair. Only callable by a route manager.
+     * @param routes The (destination, token) pairs to allow.
+     */
+    function allowTeleports(
+        TeleportRoute[] calldata routes
+    ) external onlyRole(ROUTE_MANAGER_ROLE) {
+        uint256 numRoutes = routes.length;
+        for (uint256 i = 0; i < numRoutes; ++i) {
+            _allowTeleport(routes[i].destination, routes[i].token);
+        }
+    }
+
+    /**
+     * @notice Forbids teleportation of a specific ERC20 token to a given destination parachain.
+     * @dev Removes teleport permission for the (destination, token) pair.
+     * Only callable by a route manager or a pauser.
+     * @param destination The parachain ID to disallow teleporting to.
+     * @param token The address of the ERC20 token to forbid for teleportation.
+     */
+    function forbidTeleport(
+        uint32 destination,
+        address token
+    ) external onlyRouteManagerOrPauser {
+        _forbidTeleport(destination, token);
+    }
+
+    /**
+     * @notice Forbids teleportation for each of the given (destination, token) pairs.
+     * @dev Emits a {TeleportForbidden} event per pair. Only callable by a route manager or a pauser.
+     * @param routes The (destination, token) pairs to forbid.
+     */
+    function forbidTeleports(
+        TeleportRoute[] calldata routes
+    ) external onlyRouteManagerOrPauser {
+        uint256 numRoutes = routes.length;
+        for (uint256 i = 0; i < numRoutes; ++i) {
+            _forbidTeleport(routes[i].destination, routes[i].token);
+        }
+    }
+
+    /**
+     * @notice Returns whether teleporting `token` to `destination` is allowed.
+     * @param destination The parachain ID.
+     * @param token The address of the ERC20 token.
+     */
+    function isTeleportAllowed(
+        uint32 destination,
+        address token
+    ) external view returns (bool) {
+        return teleportTokens[destination].contains(token);
+    }
+
+    /**
+     * @notice Returns the destinations with at least one token allowed for teleport.
+     */
+    function getTeleportDestinations() external view returns (uint32[] memory destinations) {
+        uint256 numDestinations = teleportDestinations.length();
+        destinations = new uint32[](numDestinations);
+        for (uint256 i = 0; i < numDestinations; ++i) {
+            destinations[i] = uint32(teleportDestinations.at(i));
+        }
+    }
+
+    /**
+     * @notice Returns the tokens allowed to be teleported to `destination`.
+     * @param destination The parachain ID.
+     */
+    function getTeleportTokens(
+        uint32 destination
+    ) external view returns (address[] memory) {
+        return teleportTokens[destination].values();
+    }
+
+    /**
+     * @notice Returns every (destination, token) pair allowed for teleport.
+     * @dev Iterates the whole allow-list; intended for off-chain use.
+     */
+    function getTeleportRoutes() external view returns (TeleportRoute[] memory routes) {
+        uint256 numDestinations = teleportDestinations.length();
+        uint256 numRoutes = 0;
+        for (uint256 i = 0; i < numDestinations; ++i) {
+            numRoutes += teleportTokens[uint32(teleportDestinations.at(i))].length();
+        }
+
+        routes = new TeleportRoute[](numRoutes);
+        uint256 idx = 0;
+        for (uint256 i = 0; i < numDestinations; ++i) {
+            uint32 destination = uint32(teleportDestinations.at(i));
+            EnumerableSet.AddressSet storage tokens = teleportTokens[destination];
+            uint256 numTokens = tokens.length();
+            for (uint256 j = 0; j < numTokens; ++j) {
+                routes[idx++] = TeleportRoute({destination: destination, token: tokens.at(j)});
+            }
+        }
+    }
+
+    /**
+     * @notice Sets how the XCM message of an allowed (destination, token) pair is delivered.
+     * @dev Routes default to `RouteMode.Execute` when allowed and are reset when forbidden.
+     * Only callable by a route manager.
+     * @param destination The parachain ID.
+     * @param token The address of the ERC20 token.
+     * @param mode The delivery mode.
+     * Emits a {RouteModeSet} event.
+     */
+    function setRouteMode(
+        uint32 destination,
+        address token,
+        RouteMode mode
+    ) external onlyRole(ROUTE_MANAGER_ROLE) {
+        if (!teleportTokens[destination].contains(token)) revert RouteNotAllowed(destination, token);
+        routeConfigs[destination][token].mode = mode;
+        emit RouteModeSet(destination, token, mode);
+    }
+
+    /**
+     * @notice Sets the asset transfer used by an allowed (destination, token) pair delivered with `RouteMode.Execute`.
+     * @dev Routes default to `TransferKind.Teleport` when allowed and are reset when forbidden.
+     * Only callable by a route manager.
+     * @param destination The parachain ID.
+     * @param token The address of the ERC20 token.
+     * @param kind The transfer kind.
+     * Emits a {TransferKindSet} event.
+     */
+    function setTransferKind(
+        uint32 destination,
+        address token,
+        TransferKind kind
+    ) external onlyRole(ROUTE_MANAGER_ROLE) {
+        if (!teleportTokens[destination].contains(token)) revert RouteNotAllowed(destination, token);
+        routeConfigs[destination][token].kind = kind;
+        emit TransferKindSet(destination, token, kind);
+    }
+
+    /**
+     * @notice Returns the configuration of a (destination, token) pair.
+     * @param destination The parachain ID.
+     * @param token The address of the ERC20 token.
+     */
+    function getRouteConfig(
+        uint32 destination,
+        address token
+    ) external view returns (RouteConfig memory) {
+        return routeConfigs[destination][token];
+    }
+
+    /**
+     * @notice Sets the weight ceiling and margin of messages executed locally for `destination`.
+     * @dev The margin is added to the weight returned by `weighMessage` before the ceiling is checked;
+     * orders whose messages exceed the ceiling fall back with `XCMFallbackReason.WeightLimitExceeded`.
+     * Only callable by a route manager.
+     * @param destination The parachain ID.
+     * @param limit The ceiling, zero components being unlimited, and the margin in basis points.
+     * Emits a {WeightLimitSet} event.
+     */
+    function setWeightLimit(
+        uint32 destination,
+        WeightLimit calldata limit
+    ) external onlyRole(ROUTE_MANAGER_ROLE) {
+        weightLimits[destination] = limit;
+        emit WeightLimitSet(destination, limit.refTime, limit.proofSize, limit.marginBps);
+    }
+
+    /**
+     * @notice Sets the account type of the beneficiaries on `destination`.
+     * @dev Outputs to `BeneficiaryFormat.AccountKey20` destinations whose recipient is not a
+     * left-padded address fall back with `XCMFallbackReason.RecipientFormatInvalid`.
+     * Only callable by a route manager.
+     * @param destination The parachain ID.
+     * @param format The beneficiary format, `BeneficiaryFormat.AccountId32` by default.
+     * Emits a {BeneficiaryFormatSet} event.
+     */
+    function setBeneficiaryFormat(
+        uint32 destination,
+        BeneficiaryFormat format
+    ) external onlyRole(ROUTE_MANAGER_ROLE) {
+        beneficiaryFormat[destination] = format;
+        emit BeneficiaryFormatSet(destination, format);
+    }
+
+    /**
+     * @notice Returns the weight ceiling and margin of `destination`.
+     * @param destination The parachain ID.
+     */
+    function getWeightLimit(
+        uint32 destination
+    ) external view returns (WeightLimit memory) {
+        return weightLimits[destination];
+    }
+
+    /**
+     * @notice Sets the teleport cap of a (destination, token) route.
+     * @dev Orders exceeding the remaining capacity fall back to the base settler.
+     * Current usage is kept when the limit changes. Only callable by a route manager.
+     * @param destination The parachain ID.
+     * @param token The address of the ERC20 token.
+     * @param limit Maximum amount teleported per `window`, zero to remove the cap.
+     * @param window Length of the rolling window in seconds.
+     * Emits a {RateLimitSet} event.
+     */
+    function setRateLimit(
+        uint32 destination,
+        address token,
+        uint128 limit,
+        uint32 window
+    ) external onlyRole(ROUTE_MANAGER_ROLE) {
+        if (limit != 0 && window == 0) revert InvalidRateLimitWindow();
+        RateLimit storage rateLimit = rateLimits[destination][token];
+        rateLimit.used = _rateLimitUsage(rateLimit).toUint128();
+        rateLimit.updatedAt = uint64(block.timestamp);
+        rateLimit.limit = limit;
+        rateLimit.window = window;
+        emit RateLimitSet(destination, token, limit, window);
+    }
+
+    /**
+     * @notice Sets the maximum amount of `token` a single order may teleport, across all outputs.
+     * @dev Orders exceeding it fall back to the base settler. Only callable by a route manager.
+     * @param token The address of the ERC20 token.
+     * @param maxAmount Maximum amount per order, zero to remove the maximum.
+     * Emits a {MaxOrderAmountSet} event.
+     */
+    function setMaxOrderAmount(
+        address token,
+        uint256 maxAmount
+    ) external onlyRole(ROUTE_MANAGER_ROLE) {
+        maxOrderAmount[token] = maxAmount;
+        emit MaxOrderAmountSet(token, maxAmount);
+    }
+
+    /**
+     * @notice Returns the rate limit of a (destination, token) route and its current usage.
+     * @param destination The parachain ID.
+     * @param token The address of the ERC20 token.
+     * @return limit Maximum amount per window, zero if unlimited.
+     * @return window Length of the rolling window in seconds.
+     * @return used Amount counted against the limit right now.
+     * @return available Amount that can still be teleported right now, `type(uint256).max` if unlimited.
+     * Zero while `used` exceeds a limit lowered below it.
+     */
+    function getRateLimit(
+        uint32 destination,
+        address token
+    ) external view returns (uint128 limit, uint32 window, uint256 used, uint256 available) {
+        RateLimit storage rateLimit = rateLimits[destination][token];
+        limit = rateLimit.limit;
+        window = rateLimit.window;
+        used = _rateLimitUsage(rateLimit);
+        available = limit == 0 ? type(uint256).max : used >= limit ? 0 : limit - used;
+    }
+
+    /**
+     * @notice Enables or disables XCM (Cross-Consensus Messaging) functionality.
+     * @dev Disabling is callable by a pauser, re-enabling only by an admin.
+     * @param enabled Boolean flag to set XCM enabled (true) or disabled (false).
+     * Emits a {XCMEnabledChanged} event.
+     */
+    function setXCMEnabled(bool enabled) external {
+        _checkRole(enabled ? DEFAULT_ADMIN_ROLE : PAUSER_ROLE);
+        xcmEnabled = enabled;
+        emit XCMEnabledChanged(enabled);
+    }
+
+    /**
+     * @notice Replaces the library building the XCM messages, e.g. after a change of its ABI.
+     * @dev Only callable by an admin.
+     * @param _inkLibrary The new library, must be non-zero.
+     * Emits an {InkLibrarySet} event.
+     */
+    function setInkLibrary(address _inkLibrary) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _setInkLibrary(_inkLibrary);
+    }
+
+    /**
+     * @notice Replaces the XCM precompile, e.g. after it moved to another address.
+     * @dev Only callable by an admin. No allowance is left to the previous precompile, as they
+     * are reset after each order.
+     * @param _xcmPrecompile The new precompile, must be non-zero.
+     * Emits an {XCMPrecompileSet} event.
+     */
+    function setXCMPrecompile(address _xcmPrecompile) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _setXCMPrecompile(_xcmPrecompile);
+    }
+
+    /**
+     * @notice Replaces the escrow settler new orders fall back to.
+     * @dev Only callable by an admin. Orders already escrowed stay in the previous base settler and
+     * must be finalised, purchased or refunded there directly.
+     * @param _baseSettler The new base settler, must be non-zero.
+     * Emits a {BaseSettlerSet} event.
+     */
+    function setBaseSettler(address _baseSettler) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _setBaseSettler(_baseSettler);
+    }
+
+    function _setInkLibrary(address _inkLibrary) private {
+        require(_inkLibrary != address(0), "Invalid inkLibrary address");
+        inkLibrary = _inkLibrary;
+        emit InkLibrarySet(_inkLibrary);
+    }
+
+    function _setXCMPrecompile(address _xcmPrecompile) private {
+        require(_xcmPrecompile != address(0), "Invalid xcmPrecompile address");
+        xcmPrecompile = _xcmPrecompile;
+        emit XCMPrecompileSet(_xcmPrecompile);
+    }
+
+    function _setBaseSettler(address _baseSettler) private {
+        require(_baseSettler != address(0), "Invalid baseSettler address");
+        baseSettler = _baseSettler;
+        emit BaseSettlerSet(_baseSettler);
+    }
+
+    /**
+     * @notice Enables or disables splitting orders that mix XCM-eligible and other outputs.
+     * @dev When enabled, the XCM-eligible outputs of such orders are delivered via XCM and the inputs
+     * left after them are escrowed in the base settler for the other outputs. When disabled, such
+     * orders are fully escrowed. Disabling is callable by a pauser, enabling only by an admin.
+     * @param enabled Boolean flag to set split mode enabled (true) or disabled (false).
+     * Emits a {SplitEnabledChanged} event.
+     */
+    function setSplitEnabled(bool enabled) external {
+        _checkRole(enabled ? DEFAULT_ADMIN_ROLE : PAUSER_ROLE);
+        splitEnabled = enabled;
+        emit SplitEnabledChanged(enabled);
+    }
+
+    /**
+     * @notice Sets how the inputs exceeding the outputs of orders settled via XCM are handled.
+     * @dev `SurplusPolicy.Collect` requires a non-zero recipient, such as a fee or solver reward address.
+     * Only affects orders opened afterwards.
+     * @param policy The surplus policy.
+     * @param recipient Receiver of the surplus under `SurplusPolicy.Collect`, ignored otherwise.
+     * Emits a {SurplusPolicySet} event.
+     */
+    function setSurplusPolicy(SurplusPolicy policy, address recipient) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (policy == SurplusPolicy.Collect && recipient == address(0)) revert InvalidSurplusRecipient();
+        surplusPolicy = policy;
+        surplusRecipient = recipient;
+        emit SurplusPolicySet(policy, recipient);
+    }
+
+    /**
+     * @notice Sets the receiver of the protocol fee.
+     * @dev Only callable by an admin.
+     * @param recipient The fee receiver, must be non-zero.
+     * Emits a {FeeRecipientSet} event.
+     */
+    function setFeeRecipient(address recipient) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (recipient == address(0)) revert InvalidFeeRecipient();
+        feeRecipient = recipient;
+        emit FeeRecipientSet(recipient);
+    }
+
+    /**
+     * @notice Sets the protocol fee charged on the teleported amount of `token`, or the default fee.
+     * @dev The fee is paid from the input surplus; orders whose inputs do not cover it fall back to
+     * the base settler with `XCMFallbackReason.FeeNotCovered`. A non-zero fee requires `feeRecipient`
+     * to be set. Only callable by an admin.
+     * @param token The address of the ERC20 token, or the zero address to set `defaultFeeBps`.
+     * @param bps The fee in basis points, at most `MAX_FEE_BPS`.
+     * Emits a {FeeSet} event.
+     */
+    function setFee(address token, uint16 bps) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (bps > MAX_FEE_BPS) revert FeeTooHigh(bps);
+        if (bps != 0 && feeRecipient == address(0)) revert InvalidFeeRecipient();
+        if (token == address(0)) {
+            defaultFeeBps = bps;
+        } else {
+            tokenFees[token] = TokenFee({set: true, bps: bps});
+        }
+        emit FeeSet(token, bps);
+    }
+
+    /**
+     * @notice Removes the own fee of `token`, which falls back to `defaultFeeBps`.
+     * @dev Only callable by an admin.
+     * @param token The address of the ERC20 token.
+     * Emits a {TokenFeeCleared} event.
+     */
+    function clearTokenFee(address token) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        delete tokenFees[token];
+        emit TokenFeeCleared(token);
+    }
+
+    function _registerChain(uint256 chainId, ChainLocation calldata location) private {
+        if (location.relay != (location.paraId == 0)) revert InvalidChainLocation(chainId);
+        chainLocations[chainId] = location;
+        emit ChainRegistered(chainId, location.relay, location.paraId, location.nested);
+    }
+
+    /// @dev Registered locations are the relay chain or a non-zero parachain ID.
+    function _isRegistered(ChainLocation storage location) private view returns (bool) {
+        return location.relay || location.paraId != 0;
+    }
+
+    /**
+     * @dev Adds the (destination, token) pair to the teleport allow-list.
+     * @param destination The parachain ID to allow teleporting to.
+     * @param token The address of the ERC20 token to permit for teleportation.
+     */
+    function _allowTeleport(uint32 destination, address token) private {
+        teleportTokens[destination].add(token);
+        teleportDestinations.add(destination);
+        emit TeleportAllowed(destination, token);
+    }
+
+    /**
+     * @dev Removes the (destination, token) pair from the teleport allow-list.
+     * The destination is dropped from the destination list once its last token is removed.
+     * @param destination The parachain ID to disallow teleporting to.
+     * @param token The address of the ERC20 token to forbid for teleportation.
+     */
+    function _forbidTeleport(uint32 destination, address token) private {
+        EnumerableSet.AddressSet storage tokens = teleportTokens[destination];
+        tokens.remove(token);
+        if (tokens.length() == 0) {
+            teleportDestinations.remove(destination);
+        }
+        delete routeConfigs[destination][token];
+        emit TeleportForbidden(destination, token);
+    }
+
+    /**
+     * @dev Searches for an address (`needle`) in the first `len` elements of the `haystack` array.
+     * @param needle The address to search for.
+     * @param haystack The array of addresses to search within.
+     * @param len The number of elements in `haystack` to consider during the search.
+     * @return The index of `needle` if found; otherwise, returns `len`.
+     */
+    function _findInArray(
+        address needle,
+        address[] memory haystack,
+        uint256 len
+    ) private pure returns (uint256) {
+        require(
+            len <= haystack.length,
+            "Array length must be greater than len"
+        );
+        for (uint256 i = 0; i < len; i++) {
+            if (needle == haystack[i]) {
+                return i;
+            }
+        }
+        return len;
+    }
+}
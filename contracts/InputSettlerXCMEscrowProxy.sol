@@ -0,0 +1,12 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+import {ERC1967Proxy} from "openzeppelin/proxy/ERC1967/ERC1967Proxy.sol";
+
+/**
+ * @title InputSettlerXCMEscrowProxy
+ * @notice ERC-1967 proxy of an {InputSettlerXCMEscrowUpgradeable} implementation.
+ * @dev `data` is the encoded `initialize` call, executed in the proxy on deployment.
+ */
+contract InputSettlerXCMEscrowProxy is ERC1967Proxy {
+    constructor(address implementation, bytes memory data) ERC1967Proxy(implementation, data) {}
+}
@@ -0,0 +1,39 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+import {Initializable} from "openzeppelin/proxy/utils/Initializable.sol";
+import {UUPSUpgradeable} from "openzeppelin/proxy/utils/UUPSUpgradeable.sol";
+import {InputSettlerXCMEscrowBase} from "./InputSettlerXCMEscrowBase.sol";
+
+/**
+ * @title InputSettlerXCMEscrowUpgradeable
+ * @notice UUPS upgradeable deployment of the XCM settler, used behind an {InputSettlerXCMEscrowProxy}.
+ * @dev The implementation cannot be initialized; the proxy is initialized with `initialize` on
+ * deployment. Upgrades are authorized by `DEFAULT_ADMIN_ROLE`.
+ * @custom:oz-upgrades-unsafe-allow constructor external-library-linking
+ */
+contract InputSettlerXCMEscrowUpgradeable is InputSettlerXCMEscrowBase, Initializable, UUPSUpgradeable {
+    constructor() {
+        _disableInitializers();
+    }
+
+    /**
+     * @notice Configures the proxy, replacing the constructor of {InputSettlerXCMEscrow}.
+     * @param _inkLibrary The library building the XCM messages.
+     * @param _xcmPrecompile The XCM precompile.
+     * @param _baseSettler The escrow settler of orders not settled via XCM.
+     * @param admin The initial holder of all roles, including the right to upgrade.
+     */
+    function initialize(
+        address _inkLibrary,
+        address _xcmPrecompile,
+        address _baseSettler,
+        address admin
+    ) external initializer {
+        _initializeSettler(_inkLibrary, _xcmPrecompile, _baseSettler, admin);
+    }
+
+    /**
+     * @dev Restricts upgrades to admins.
+     */
+    function _authorizeUpgrade(address) internal override onlyRole(DEFAULT_ADMIN_ROLE) {}
+}
@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+
+/// @title ERC-3009 Transfer With Authorization
+/// @notice Subset of EIP-3009 used to collect sponsored order inputs.
+/// @dev Documentation: https://eips.ethereum.org/EIPS/eip-3009
+interface IERC3009 {
+    /// @notice Receives a transfer from `from` authorized by its signature.
+    /// @dev The caller must be the payee (`to`).
+    /// @param from Payer's address (authorizer).
+    /// @param to Payee's address.
+    /// @param value Amount to be transferred.
+    /// @param validAfter The time after which this is valid (unix time).
+    /// @param validBefore The time before which this is valid (unix time).
+    /// @param nonce Unique nonce.
+    /// @param signature Signature of the payer over the `ReceiveWithAuthorization` message.
+    function receiveWithAuthorization(
+        address from,
+        address to,
+        uint256 value,
+        uint256 validAfter,
+        uint256 validBefore,
+        bytes32 nonce,
+        bytes memory signature
+    ) external;
+}
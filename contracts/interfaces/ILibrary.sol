@@ -3,16 +3,60 @@ pragma solidity ^0.8.26;
 /**
  * @title ILibrary
  * @notice Interface for libraries that build XCM messages.
- *         Implemented in ink! and deployed in PolkaVM, this library currently supports constructing Teleport messages only.
+ *         Implemented in ink! and deployed in PolkaVM, this library constructs Teleport and reserve transfer
+ *         messages executed locally, and transfer programs sent to remote chains.
  *         XCM messages are returned as SCALE-encoded bytes for use with XCM precompiles.
+ *         Transfers of the chain's native asset are funded with the call value, equal to `amount`.
+ *         Beneficiaries are `AccountId32` accounts, or `AccountKey20` accounts with the `ToKey20` functions.
+ *         A `paraId` of zero addresses the relay chain.
  *
  * @dev Example:
  *   bytes memory xcmMsg = ILibrary(inkLibrary).teleport(paraId, beneficiary, amount);
+ *   bytes memory reserveMsg = ILibrary(inkLibrary).reserveTransfer(paraId, beneficiary, amount);
+ *   (bytes memory dest, bytes memory program) = ILibrary(inkLibrary).remoteTransfer(paraId, beneficiary, amount);
  */
 interface ILibrary {
     function teleport(
         uint32 paraId,
         bytes32 beneficiary,
         uint128 amount
-    ) external returns (bytes memory);
+    ) external payable returns (bytes memory);
+
+    /// @notice Builds a reserve transfer of `amount` to `beneficiary` on `paraId`, executed locally.
+    /// @return message SCALE-encoded Versioned XCM message.
+    function reserveTransfer(
+        uint32 paraId,
+        bytes32 beneficiary,
+        uint128 amount
+    ) external payable returns (bytes memory message);
+
+    /// @notice Builds a program executed on `paraId` that pays `amount` to `beneficiary`.
+    /// @return destination SCALE-encoded location of `paraId`, for `IXcm.send`.
+    /// @return message SCALE-encoded Versioned XCM program.
+    function remoteTransfer(
+        uint32 paraId,
+        bytes32 beneficiary,
+        uint128 amount
+    ) external payable returns (bytes memory destination, bytes memory message);
+
+    /// @notice `teleport` to the `AccountKey20` account `beneficiary`.
+    function teleportToKey20(
+        uint32 paraId,
+        address beneficiary,
+        uint128 amount
+    ) external payable returns (bytes memory message);
+
+    /// @notice `reserveTransfer` to the `AccountKey20` account `beneficiary`.
+    function reserveTransferToKey20(
+        uint32 paraId,
+        address beneficiary,
+        uint128 amount
+    ) external payable returns (bytes memory message);
+
+    /// @notice `remoteTransfer` to the `AccountKey20` account `beneficiary`.
+    function remoteTransferToKey20(
+        uint32 paraId,
+        address beneficiary,
+        uint128 amount
+    ) external payable returns (bytes memory destination, bytes memory message);
 }
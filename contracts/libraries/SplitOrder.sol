@@ -0,0 +1,68 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+import {InputSettlerEscrow} from "oif/input/escrow/InputSettlerEscrow.sol";
+import {StandardOrder} from "oif/input/types/StandardOrderType.sol";
+import {MandateOutput} from "oif/input/types/MandateOutputType.sol";
+
+/**
+ * @title SplitOrder
+ * @notice Escrows the remaining outputs of orders split by `InputSettlerXCMEscrow` in its base settler.
+ * @dev Linked into the settler and called with DELEGATECALL, so the base settler is opened by the
+ * settler holding the remainder. Kept out of the settler to stay within the contract size limit.
+ */
+library SplitOrder {
+    /**
+     * @notice Opens the derived order of a split order on the base settler.
+     * @dev The derived order keeps the user, nonce and deadlines of `order`, with the non-zero
+     * remainders as inputs and the escrowed outputs as outputs. The remainders must be held by
+     * the settler and approved for the base settler.
+     * @param baseSettler The base settler to escrow the derived order in.
+     * @param order The split StandardOrder.
+     * @param escrowed Per output, whether it is left to the base settler.
+     * @param remainder Per input, the [token, amount] left after the teleported outputs.
+     * @return escrowOrderId Identifier of the derived order on the base settler.
+     * @return escrowedOutputs Indices of the escrowed outputs in `order`.
+     */
+    function openEscrowed(
+        address baseSettler,
+        StandardOrder calldata order,
+        bool[] memory escrowed,
+        uint256[2][] memory remainder
+    ) external returns (bytes32 escrowOrderId, uint256[] memory escrowedOutputs) {
+        uint256 numInputs = 0;
+        for (uint256 i = 0; i < remainder.length; ++i) {
+            if (remainder[i][1] != 0) numInputs++;
+        }
+        uint256[2][] memory inputs = new uint256[2][](numInputs);
+        numInputs = 0;
+        for (uint256 i = 0; i < remainder.length; ++i) {
+            if (remainder[i][1] != 0) inputs[numInputs++] = remainder[i];
+        }
+
+        uint256 numOutputs = 0;
+        for (uint256 i = 0; i < escrowed.length; ++i) {
+            if (escrowed[i]) numOutputs++;
+        }
+        MandateOutput[] memory outputs = new MandateOutput[](numOutputs);
+        escrowedOutputs = new uint256[](numOutputs);
+        numOutputs = 0;
+        for (uint256 i = 0; i < escrowed.length; ++i) {
+            if (!escrowed[i]) continue;
+            outputs[numOutputs] = order.outputs[i];
+            escrowedOutputs[numOutputs++] = i;
+        }
+
+        StandardOrder memory escrowOrder = StandardOrder({
+            user: order.user,
+            nonce: order.nonce,
+            originChainId: order.originChainId,
+            expires: order.expires,
+            fillDeadline: order.fillDeadline,
+            inputOracle: order.inputOracle,
+            inputs: inputs,
+            outputs: outputs
+        });
+        InputSettlerEscrow(baseSettler).open(escrowOrder);
+        escrowOrderId = InputSettlerEscrow(baseSettler).orderIdentifier(escrowOrder);
+    }
+}
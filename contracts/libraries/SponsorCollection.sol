@@ -0,0 +1,195 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+import {StandardOrder} from "oif/input/types/StandardOrderType.sol";
+import {MandateOutput} from "oif/input/types/MandateOutputType.sol";
+import {LibAddress} from "oif/libs/LibAddress.sol";
+import {IERC3009} from "../interfaces/IERC3009.sol";
+import {ISignatureTransfer} from "permit2/src/interfaces/ISignatureTransfer.sol";
+
+/**
+ * @title SponsorCollection
+ * @notice Collects the inputs of orders opened through `InputSettlerXCMEscrow.openFor` from their sponsor.
+ * @dev Linked into the settler and called with DELEGATECALL, so `address(this)` is the settler receiving
+ * the inputs. Kept out of the settler to stay within the contract size limit.
+ */
+library SponsorCollection {
+    using LibAddress for uint256;
+
+    error SignatureNotSupported(bytes1 signatureType);
+    error InvalidSignatureCount(uint256 expected, uint256 provided);
+
+    /// @dev Signature type prefixes accepted by `openFor`, matching the base settler
+    bytes1 private constant SIGNATURE_TYPE_PERMIT2 = 0x00;
+    bytes1 private constant SIGNATURE_TYPE_3009 = 0x01;
+
+    /// @dev Canonical Permit2 deployment
+    ISignatureTransfer private constant PERMIT2 = ISignatureTransfer(0x000000000022D473030F116dDEE9F6B43aC78BA3);
+
+    bytes32 private constant MANDATE_OUTPUT_TYPEHASH = keccak256(
+        "MandateOutput(bytes32 oracle,bytes32 settler,uint256 chainId,bytes32 token,uint256 amount,bytes32 recipient,bytes call,bytes context)"
+    );
+
+    bytes32 private constant PERMIT2_WITNESS_TYPEHASH = keccak256(
+        "Permit2Witness(uint32 expires,address inputOracle,MandateOutput[] outputs)"
+        "MandateOutput(bytes32 oracle,bytes32 settler,uint256 chainId,bytes32 token,uint256 amount,bytes32 recipient,bytes call,bytes context)"
+    );
+
+    string private constant PERMIT2_WITNESS_TYPE_STRING =
+        "Permit2Witness witness)"
+        "MandateOutput(bytes32 oracle,bytes32 settler,uint256 chainId,bytes32 token,uint256 amount,bytes32 recipient,bytes call,bytes context)"
+        "Permit2Witness(uint32 expires,address inputOracle,MandateOutput[] outputs)"
+        "TokenPermissions(address token,uint256 amount)";
+
+    /**
+     * @notice Collects the order inputs from the sponsor into the calling settler.
+     * @dev The first byte of `signature` selects the signature type.
+     * @param order StandardOrder whose inputs are collected.
+     * @param orderId Identifier of `order` on the base settler.
+     * @param sponsor Address to collect tokens from.
+     * @param signature Type prefixed signature from the sponsor.
+     */
+    function collect(
+        StandardOrder calldata order,
+        bytes32 orderId,
+        address sponsor,
+        bytes calldata signature
+    ) external {
+        if (signature.length == 0) revert SignatureNotSupported(0xff);
+        bytes1 signatureType = signature[0];
+        if (signatureType == SIGNATURE_TYPE_PERMIT2) {
+            _collectWithPermit2(order, sponsor, signature[1:]);
+        } else if (signatureType == SIGNATURE_TYPE_3009) {
+            _collectWithAuthorization(order, orderId, sponsor, signature[1:]);
+        } else {
+            revert SignatureNotSupported(signatureType);
+        }
+    }
+
+    /**
+     * @notice Collects the order inputs through a Permit2 batch witness transfer.
+     * @param order StandardOrder whose inputs are collected.
+     * @param sponsor Owner of the Permit2 allowance.
+     * @param signature Permit2 signature from the sponsor.
+     */
+    function _collectWithPermit2(
+        StandardOrder calldata order,
+        address sponsor,
+        bytes calldata signature
+    ) private {
+        uint256 numInputs = order.inputs.length;
+        ISignatureTransfer.TokenPermissions[] memory permitted = new ISignatureTransfer.TokenPermissions[](numInputs);
+        ISignatureTransfer.SignatureTransferDetails[] memory transferDetails =
+            new ISignatureTransfer.SignatureTransferDetails[](numInputs);
+        for (uint256 i = 0; i < numInputs; ++i) {
+            uint256[2] calldata input = order.inputs[i];
+            permitted[i] = ISignatureTransfer.TokenPermissions({
+                token: input[0].validatedCleanAddress(),
+                amount: input[1]
+            });
+            transferDetails[i] = ISignatureTransfer.SignatureTransferDetails({
+                to: address(this),
+                requestedAmount: input[1]
+            });
+        }
+
+        PERMIT2.permitWitnessTransferFrom(
+            ISignatureTransfer.PermitBatchTransferFrom({
+                permitted: permitted,
+                nonce: order.nonce,
+                deadline: order.fillDeadline
+            }),
+            transferDetails,
+            sponsor,
+            _permit2WitnessHash(order),
+            PERMIT2_WITNESS_TYPE_STRING,
+            signature
+        );
+    }
+
+    /**
+     * @notice Collects the order inputs through ERC-3009 `receiveWithAuthorization`.
+     * @param order StandardOrder whose inputs are collected.
+     * @param orderId Identifier of `order` on the base settler, used as authorization nonce.
+     * @param sponsor Authorizer of the transfers.
+     * @param signature Signature for a single input, or ABI encoded `bytes[]` with one signature per input.
+     */
+    function _collectWithAuthorization(
+        StandardOrder calldata order,
+        bytes32 orderId,
+        address sponsor,
+        bytes calldata signature
+    ) private {
+        uint256 numInputs = order.inputs.length;
+        if (numInputs == 1) {
+            _receiveWithAuthorization(order.inputs[0], sponsor, order.fillDeadline, orderId, signature);
+            return;
+        }
+
+        bytes[] memory signatures = abi.decode(signature, (bytes[]));
+        if (signatures.length != numInputs) revert InvalidSignatureCount(numInputs, signatures.length);
+        for (uint256 i = 0; i < numInputs; ++i) {
+            _receiveWithAuthorization(order.inputs[i], sponsor, order.fillDeadline, orderId, signatures[i]);
+        }
+    }
+
+    /**
+     * @notice Receives a single input through ERC-3009.
+     * @param input The [token, amount] pair to receive.
+     * @param sponsor Authorizer of the transfer.
+     * @param validBefore Timestamp before which the authorization is valid.
+     * @param nonce Authorization nonce, the order identifier.
+     * @param signature Signature from the sponsor.
+     */
+    function _receiveWithAuthorization(
+        uint256[2] calldata input,
+        address sponsor,
+        uint32 validBefore,
+        bytes32 nonce,
+        bytes memory signature
+    ) private {
+        IERC3009(input[0].validatedCleanAddress()).receiveWithAuthorization({
+            from: sponsor,
+            to: address(this),
+            value: input[1],
+            validAfter: 0,
+            validBefore: validBefore,
+            nonce: nonce,
+            signature: signature
+        });
+    }
+
+    /**
+     * @dev Computes the Permit2 witness of an order.
+     * @param order The StandardOrder to hash.
+     */
+    function _permit2WitnessHash(
+        StandardOrder calldata order
+    ) private pure returns (bytes32) {
+        uint256 numOutputs = order.outputs.length;
+        bytes32[] memory outputHashes = new bytes32[](numOutputs);
+        for (uint256 i = 0; i < numOutputs; ++i) {
+            MandateOutput calldata output = order.outputs[i];
+            outputHashes[i] = keccak256(
+                abi.encode(
+                    MANDATE_OUTPUT_TYPEHASH,
+                    output.oracle,
+                    output.settler,
+                    output.chainId,
+                    output.token,
+                    output.amount,
+                    output.recipient,
+                    keccak256(output.call),
+                    keccak256(output.context)
+                )
+            );
+        }
+        return keccak256(
+            abi.encode(
+                PERMIT2_WITNESS_TYPEHASH,
+                order.expires,
+                order.inputOracle,
+                keccak256(abi.encodePacked(outputHashes))
+            )
+        );
+    }
+}
@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+
+import {InputSettlerXCMEscrowUpgradeable} from "../InputSettlerXCMEscrowUpgradeable.sol";
+
+/**
+ * @title InputSettlerXCMEscrowUpgradeableV2Mock
+ * @notice Next version of the upgradeable settler, appending state after the current layout.
+ * @custom:oz-upgrades-unsafe-allow constructor external-library-linking
+ */
+contract InputSettlerXCMEscrowUpgradeableV2Mock is InputSettlerXCMEscrowUpgradeable {
+    uint256 public upgradeValue;
+
+    function initializeV2(uint256 value) external reinitializer(2) {
+        upgradeValue = value;
+    }
+
+    function version() external pure returns (uint256) {
+        return 2;
+    }
+}
@@ -0,0 +1,44 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+
+import {ERC20} from "openzeppelin/token/ERC20/ERC20.sol";
+import {EIP712} from "openzeppelin/utils/cryptography/EIP712.sol";
+import {SignatureChecker} from "openzeppelin/utils/cryptography/SignatureChecker.sol";
+import {IERC3009} from "../interfaces/IERC3009.sol";
+
+contract MockERC3009 is ERC20, EIP712, IERC3009 {
+    bytes32 private constant RECEIVE_WITH_AUTHORIZATION_TYPEHASH = keccak256(
+        "ReceiveWithAuthorization(address from,address to,uint256 value,uint256 validAfter,uint256 validBefore,bytes32 nonce)"
+    );
+
+    mapping(address => mapping(bytes32 => bool)) public authorizationState;
+
+    constructor(string memory name, string memory symbol) ERC20(name, symbol) EIP712(name, "1") {}
+
+    function mint(address to, uint256 amount) public {
+        _mint(to, amount);
+    }
+
+    function receiveWithAuthorization(
+        address from,
+        address to,
+        uint256 value,
+        uint256 validAfter,
+        uint256 validBefore,
+        bytes32 nonce,
+        bytes memory signature
+    ) external {
+        require(to == msg.sender, "MockERC3009: caller must be the payee");
+        require(block.timestamp > validAfter, "MockERC3009: authorization is not yet valid");
+        require(block.timestamp < validBefore, "MockERC3009: authorization is expired");
+        require(!authorizationState[from][nonce], "MockERC3009: authorization is used");
+
+        bytes32 digest = _hashTypedDataV4(
+            keccak256(abi.encode(RECEIVE_WITH_AUTHORIZATION_TYPEHASH, from, to, value, validAfter, validBefore, nonce))
+        );
+        require(SignatureChecker.isValidSignatureNow(from, digest, signature), "MockERC3009: invalid signature");
+
+        authorizationState[from][nonce] = true;
+        _transfer(from, to, value);
+    }
+}
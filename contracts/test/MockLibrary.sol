@@ -7,14 +7,31 @@ import {IERC20} from "openzeppelin/token/ERC20/IERC20.sol";
 
 contract MockLibrary is ILibrary {
     event TeleportCalled(uint32 paraId, bytes32 beneficiary, uint128 amount);
+    event ReserveTransferCalled(uint32 paraId, bytes32 beneficiary, uint128 amount);
+    event RemoteTransferCalled(uint32 paraId, bytes32 beneficiary, uint128 amount);
+    event TeleportToKey20Called(uint32 paraId, address beneficiary, uint128 amount);
+    event ReserveTransferToKey20Called(uint32 paraId, address beneficiary, uint128 amount);
+    event RemoteTransferToKey20Called(uint32 paraId, address beneficiary, uint128 amount);
 
     bytes private teleportMessage = "0x";
+    bytes private reserveTransferMessage = "0x";
+    bytes private remoteDestination = "0x";
+    bytes private remoteMessage = "0x";
     address private tokenAddress;
 
     function setTeleportMessage(bytes memory message) external {
         teleportMessage = message;
     }
 
+    function setReserveTransferMessage(bytes memory message) external {
+        reserveTransferMessage = message;
+    }
+
+    function setRemoteMessage(bytes memory destination, bytes memory message) external {
+        remoteDestination = destination;
+        remoteMessage = message;
+    }
+
     function setToken(address _token) external {
         tokenAddress = _token;
     }
@@ -23,7 +40,7 @@ contract MockLibrary is ILibrary {
         uint32 paraId,
         bytes32 beneficiary,
         uint128 amount
-    ) external returns (bytes memory) {
+    ) external payable returns (bytes memory) {
         // Simulate burning tokens by transferring from caller to this contract
         if (tokenAddress != address(0)) {
             SafeERC20.safeTransferFrom(IERC20(tokenAddress), msg.sender, address(this), amount);
@@ -31,4 +48,66 @@ contract MockLibrary is ILibrary {
         emit TeleportCalled(paraId, beneficiary, amount);
         return teleportMessage;
     }
+
+    function reserveTransfer(
+        uint32 paraId,
+        bytes32 beneficiary,
+        uint128 amount
+    ) external payable returns (bytes memory) {
+        // Simulate moving tokens to the reserve by transferring from caller to this contract
+        if (tokenAddress != address(0)) {
+            SafeERC20.safeTransferFrom(IERC20(tokenAddress), msg.sender, address(this), amount);
+        }
+        emit ReserveTransferCalled(paraId, beneficiary, amount);
+        return reserveTransferMessage;
+    }
+
+    function remoteTransfer(
+        uint32 paraId,
+        bytes32 beneficiary,
+        uint128 amount
+    ) external payable returns (bytes memory destination, bytes memory message) {
+        // Simulate locking tokens in the sovereign account by transferring from caller to this contract
+        if (tokenAddress != address(0)) {
+            SafeERC20.safeTransferFrom(IERC20(tokenAddress), msg.sender, address(this), amount);
+        }
+        emit RemoteTransferCalled(paraId, beneficiary, amount);
+        return (remoteDestination, remoteMessage);
+    }
+
+    function teleportToKey20(
+        uint32 paraId,
+        address beneficiary,
+        uint128 amount
+    ) external payable returns (bytes memory) {
+        _pull(amount);
+        emit TeleportToKey20Called(paraId, beneficiary, amount);
+        return teleportMessage;
+    }
+
+    function reserveTransferToKey20(
+        uint32 paraId,
+        address beneficiary,
+        uint128 amount
+    ) external payable returns (bytes memory) {
+        _pull(amount);
+        emit ReserveTransferToKey20Called(paraId, beneficiary, amount);
+        return reserveTransferMessage;
+    }
+
+    function remoteTransferToKey20(
+        uint32 paraId,
+        address beneficiary,
+        uint128 amount
+    ) external payable returns (bytes memory destination, bytes memory message) {
+        _pull(amount);
+        emit RemoteTransferToKey20Called(paraId, beneficiary, amount);
+        return (remoteDestination, remoteMessage);
+    }
+
+    function _pull(uint128 amount) private {
+        if (tokenAddress != address(0)) {
+            SafeERC20.safeTransferFrom(IERC20(tokenAddress), msg.sender, address(this), amount);
+        }
+    }
 }
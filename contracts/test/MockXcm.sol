@@ -2,6 +2,8 @@
 pragma solidity ^0.8.26;
 
 import "../interfaces/IXcm.sol";
+import {SafeERC20} from "openzeppelin/token/ERC20/utils/SafeERC20.sol";
+import {IERC20} from "openzeppelin/token/ERC20/IERC20.sol";
 
 contract MockXcm is IXcm {
     event Executed(bytes message);
@@ -10,11 +12,19 @@ contract MockXcm is IXcm {
 
     bool private executionSuccess = true;
     Weight private mockWeight = Weight({refTime: 1000000, proofSize: 1000});
+    Weight public lastExecutionWeight;
+    address[] private withdrawnTokens;
 
     function setExecutionSuccess(bool success) external {
         executionSuccess = success;
     }
 
+    /// @notice Makes `execute` and `send` withdraw the caller's full allowance of `tokens`,
+    /// as the precompile does with the approvals of the settler.
+    function setWithdrawnTokens(address[] calldata tokens) external {
+        withdrawnTokens = tokens;
+    }
+
     function setMockWeight(uint64 refTime, uint64 proofSize) external {
         mockWeight = Weight({refTime: refTime, proofSize: proofSize});
     }
@@ -24,6 +34,8 @@ contract MockXcm is IXcm {
         Weight calldata weight
     ) external override {
         require(executionSuccess, "MockXcm: execution failed");
+        lastExecutionWeight = weight;
+        _withdrawAllowances();
         emit Executed(message);
     }
 
@@ -31,6 +43,7 @@ contract MockXcm is IXcm {
         bytes calldata destination,
         bytes calldata message
     ) external override {
+        _withdrawAllowances();
         emit Sent(destination, message);
     }
 
@@ -39,4 +52,12 @@ contract MockXcm is IXcm {
     ) external view override returns (Weight memory weight) {
         return mockWeight;
     }
+
+    function _withdrawAllowances() private {
+        for (uint256 i = 0; i < withdrawnTokens.length; ++i) {
+            IERC20 token = IERC20(withdrawnTokens[i]);
+            uint256 amount = token.allowance(msg.sender, address(this));
+            if (amount != 0) SafeERC20.safeTransferFrom(token, msg.sender, address(this), amount);
+        }
+    }
 }
@@ -0,0 +1,72 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+
+import "../interfaces/ILibrary.sol";
+import {XcmCodec} from "./XcmCodec.sol";
+
+/**
+ * @notice Library mock building real XCM v4 programs, simulated by {MockXcmSimulator}.
+ * @dev Calls funded with value transfer the native asset, other calls transfer `token`, which the
+ * precompile withdraws from the caller when the program runs.
+ */
+contract MockXcmProgramLibrary is ILibrary {
+    address public token;
+
+    function setToken(address _token) external {
+        token = _token;
+    }
+
+    function teleport(
+        uint32 paraId,
+        bytes32 beneficiary,
+        uint128 amount
+    ) external payable returns (bytes memory) {
+        return XcmCodec.teleport(_asset(amount), paraId, XcmCodec.accountId32(beneficiary), amount);
+    }
+
+    function reserveTransfer(
+        uint32 paraId,
+        bytes32 beneficiary,
+        uint128 amount
+    ) external payable returns (bytes memory) {
+        return XcmCodec.reserveTransfer(_asset(amount), paraId, XcmCodec.accountId32(beneficiary), amount);
+    }
+
+    function remoteTransfer(
+        uint32 paraId,
+        bytes32 beneficiary,
+        uint128 amount
+    ) external payable returns (bytes memory destination, bytes memory message) {
+        return XcmCodec.remoteTransfer(_asset(amount), paraId, XcmCodec.accountId32(beneficiary), amount);
+    }
+
+    function teleportToKey20(
+        uint32 paraId,
+        address beneficiary,
+        uint128 amount
+    ) external payable returns (bytes memory) {
+        return XcmCodec.teleport(_asset(amount), paraId, XcmCodec.accountKey20(beneficiary), amount);
+    }
+
+    function reserveTransferToKey20(
+        uint32 paraId,
+        address beneficiary,
+        uint128 amount
+    ) external payable returns (bytes memory) {
+        return XcmCodec.reserveTransfer(_asset(amount), paraId, XcmCodec.accountKey20(beneficiary), amount);
+    }
+
+    function remoteTransferToKey20(
+        uint32 paraId,
+        address beneficiary,
+        uint128 amount
+    ) external payable returns (bytes memory destination, bytes memory message) {
+        return XcmCodec.remoteTransfer(_asset(amount), paraId, XcmCodec.accountKey20(beneficiary), amount);
+    }
+
+    function _asset(uint128 amount) private view returns (address) {
+        if (msg.value == 0) return token;
+        require(msg.value == amount, "MockXcmProgramLibrary: value mismatch");
+        return XcmCodec.NATIVE_ASSET;
+    }
+}
@@ -0,0 +1,75 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+
+import "../interfaces/IXcm.sol";
+import {SafeERC20} from "openzeppelin/token/ERC20/utils/SafeERC20.sol";
+import {IERC20} from "openzeppelin/token/ERC20/IERC20.sol";
+import {XcmCodec} from "./XcmCodec.sol";
+
+/**
+ * @notice XCM precompile mock that decodes the programs it executes or sends, see {XcmCodec},
+ * and credits their deposits on simulated destination chains.
+ * @dev ERC20 assets are withdrawn from the caller with its allowance and held by the simulator, native
+ * assets are funded to the library instead. Malformed or unsupported programs revert. Execution
+ * requires at least the weight returned by {weighMessage}, a fixed cost per instruction.
+ */
+contract MockXcmSimulator is IXcm {
+    uint64 public constant REF_TIME_PER_INSTRUCTION = 1_000_000;
+    uint64 public constant PROOF_SIZE_PER_INSTRUCTION = 1_000;
+
+    event Executed(bytes message);
+    event Sent(bytes destination, bytes message);
+    event Delivered(uint32 indexed paraId, address indexed asset, bytes32 indexed beneficiary, uint256 amount);
+
+    error InsufficientWeight(uint64 refTime, uint64 proofSize);
+
+    /// @notice Balance of `beneficiary` in `asset` on parachain `paraId`.
+    mapping(uint32 paraId => mapping(address asset => mapping(bytes32 beneficiary => uint256))) public balanceOf;
+
+    function execute(
+        bytes calldata message,
+        Weight calldata weight
+    ) external override {
+        (XcmCodec.Delivery[] memory deliveries, uint256 instructions) = XcmCodec.decodeExecution(message);
+        Weight memory required = _weigh(instructions);
+        if (weight.refTime < required.refTime || weight.proofSize < required.proofSize) {
+            revert InsufficientWeight(weight.refTime, weight.proofSize);
+        }
+        _deliver(deliveries);
+        emit Executed(message);
+    }
+
+    function send(
+        bytes calldata destination,
+        bytes calldata message
+    ) external override {
+        (XcmCodec.Delivery[] memory deliveries, ) = XcmCodec.decodeSend(destination, message);
+        _deliver(deliveries);
+        emit Sent(destination, message);
+    }
+
+    function weighMessage(
+        bytes calldata message
+    ) external pure override returns (Weight memory weight) {
+        (, uint256 instructions) = XcmCodec.decodeExecution(message);
+        return _weigh(instructions);
+    }
+
+    function _weigh(uint256 instructions) private pure returns (Weight memory) {
+        return Weight({
+            refTime: uint64(instructions) * REF_TIME_PER_INSTRUCTION,
+            proofSize: uint64(instructions) * PROOF_SIZE_PER_INSTRUCTION
+        });
+    }
+
+    function _deliver(XcmCodec.Delivery[] memory deliveries) private {
+        for (uint256 i = 0; i < deliveries.length; ++i) {
+            XcmCodec.Delivery memory delivery = deliveries[i];
+            if (delivery.asset != XcmCodec.NATIVE_ASSET) {
+                SafeERC20.safeTransferFrom(IERC20(delivery.asset), msg.sender, address(this), delivery.amount);
+            }
+            balanceOf[delivery.paraId][delivery.asset][delivery.beneficiary] += delivery.amount;
+            emit Delivered(delivery.paraId, delivery.asset, delivery.beneficiary, delivery.amount);
+        }
+    }
+}
@@ -0,0 +1,5 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.17;
+
+// Compiles Permit2 for the tests, which deploy it at its canonical address
+import {Permit2} from "permit2/src/Permit2.sol";
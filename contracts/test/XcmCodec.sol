@@ -0,0 +1,472 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+
+/**
+ * @title XcmCodec
+ * @notice SCALE encoding and decoding of the XCM v4 transfer programs used by the test mocks.
+ * @dev Covers the subset of XCM built by {MockXcmProgramLibrary}:
+ *   - Instructions: WithdrawAsset, ClearOrigin, DepositAsset, DepositReserveAsset, InitiateTeleport, BuyExecution.
+ *   - Assets: fungible ERC20 tokens at `{parents: 0, X1(AccountKey20)}` and the native asset at `{parents: 1, Here}`.
+ *   - Destinations: sibling parachains at `{parents: 1, X1(Parachain)}` and the relay chain at
+ *     `{parents: 1, Here}`, identified by parachain ID zero.
+ *   - Beneficiaries: `{parents: 0, X1(AccountId32)}` and `{parents: 0, X1(AccountKey20)}`, the latter
+ *     decoded as the left-padded address.
+ * Asset locations are not reanchored on the destination, assets are identified by their origin location.
+ * Anything else is rejected, so that tests fail on programs the mocks cannot simulate.
+ */
+library XcmCodec {
+    uint8 internal constant XCM_VERSION = 4;
+
+    // Instruction indices of XCM v4
+    uint8 internal constant WITHDRAW_ASSET = 0;
+    uint8 internal constant CLEAR_ORIGIN = 10;
+    uint8 internal constant DEPOSIT_ASSET = 13;
+    uint8 internal constant DEPOSIT_RESERVE_ASSET = 14;
+    uint8 internal constant INITIATE_TELEPORT = 17;
+    uint8 internal constant BUY_EXECUTION = 19;
+
+    // Junction indices of XCM v4
+    uint8 internal constant PARACHAIN = 0;
+    uint8 internal constant ACCOUNT_ID_32 = 1;
+    uint8 internal constant ACCOUNT_KEY_20 = 3;
+    uint8 internal constant PALLET_INSTANCE = 4;
+    uint8 internal constant GENERAL_INDEX = 5;
+
+    address internal constant NATIVE_ASSET = 0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE;
+
+    error MalformedMessage(uint256 offset);
+    error UnsupportedVersion(uint8 version);
+    error UnsupportedInstruction(uint8 instruction);
+    error UnsupportedLocation();
+    error UnsupportedAsset();
+    error AssetsTrapped();
+
+    struct Reader {
+        bytes data;
+        uint256 offset;
+    }
+
+    struct Location {
+        uint8 parents;
+        uint8[] junctions;
+        uint256[] values;
+    }
+
+    struct Asset {
+        address asset;
+        uint256 amount;
+    }
+
+    /// @notice A transfer credited on a destination chain.
+    struct Delivery {
+        uint32 paraId;
+        address asset;
+        bytes32 beneficiary;
+        uint256 amount;
+    }
+
+    // =========================================================================
+    // Encoding
+    // =========================================================================
+
+    /**
+     * @notice Encodes a program executed locally that teleports `amount` of `asset` to `beneficiary` on `paraId`.
+     * @param beneficiary Location of the beneficiary, see `accountId32` and `accountKey20`.
+     */
+    function teleport(
+        address asset,
+        uint32 paraId,
+        bytes memory beneficiary,
+        uint128 amount
+    ) internal pure returns (bytes memory) {
+        return _localTransfer(INITIATE_TELEPORT, asset, paraId, beneficiary, amount);
+    }
+
+    /**
+     * @notice Encodes a program executed locally that moves `amount` of `asset` to `beneficiary` on `paraId`
+     * through the local reserve.
+     */
+    function reserveTransfer(
+        address asset,
+        uint32 paraId,
+        bytes memory beneficiary,
+        uint128 amount
+    ) internal pure returns (bytes memory) {
+        return _localTransfer(DEPOSIT_RESERVE_ASSET, asset, paraId, beneficiary, amount);
+    }
+
+    /**
+     * @notice Encodes a program sent to `paraId` that pays `amount` of `asset` to `beneficiary`.
+     * @return destination The versioned location of `paraId`.
+     * @return message The versioned program.
+     */
+    function remoteTransfer(
+        address asset,
+        uint32 paraId,
+        bytes memory beneficiary,
+        uint128 amount
+    ) internal pure returns (bytes memory destination, bytes memory message) {
+        destination = bytes.concat(bytes1(XCM_VERSION), parachain(paraId));
+        message = bytes.concat(
+            bytes1(XCM_VERSION),
+            compact(3),
+            bytes1(WITHDRAW_ASSET),
+            compact(1),
+            fungible(asset, amount),
+            _remoteDeposit(asset, beneficiary, amount)
+        );
+    }
+
+    /**
+     * @notice Encodes the location of the 32-byte account `id`.
+     */
+    function accountId32(bytes32 id) internal pure returns (bytes memory) {
+        return bytes.concat(hex"0001", bytes1(ACCOUNT_ID_32), hex"00", id);
+    }
+
+    /**
+     * @notice Encodes the location of the 20-byte account `key`.
+     */
+    function accountKey20(address key) internal pure returns (bytes memory) {
+        return bytes.concat(hex"0001", bytes1(ACCOUNT_KEY_20), hex"00", bytes20(key));
+    }
+
+    /**
+     * @notice Encodes the location of `paraId` as seen from a sibling parachain, zero being the relay chain.
+     */
+    function parachain(uint32 paraId) internal pure returns (bytes memory) {
+        if (paraId == 0) return hex"0100";
+        return bytes.concat(hex"010100", compact(paraId));
+    }
+
+    /**
+     * @notice Encodes a fungible asset, `asset` being an ERC20 token or {NATIVE_ASSET}.
+     */
+    function fungible(address asset, uint256 amount) internal pure returns (bytes memory) {
+        bytes memory location = asset == NATIVE_ASSET
+            ? bytes(hex"0100")
+            : bytes.concat(hex"00010300", bytes20(asset));
+        return bytes.concat(location, hex"00", compact(amount));
+    }
+
+    /**
+     * @notice SCALE compact encoding of `value`.
+     */
+    function compact(uint256 value) internal pure returns (bytes memory) {
+        if (value < 1 << 6) return _littleEndian(value << 2, 1);
+        if (value < 1 << 14) return _littleEndian((value << 2) | 1, 2);
+        if (value < 1 << 30) return _littleEndian((value << 2) | 2, 4);
+        uint256 length = 0;
+        for (uint256 rest = value; rest != 0; rest >>= 8) ++length;
+        return bytes.concat(bytes1(uint8(((length - 4) << 2) | 3)), _littleEndian(value, length));
+    }
+
+    function _localTransfer(
+        uint8 instruction,
+        address asset,
+        uint32 paraId,
+        bytes memory beneficiary,
+        uint128 amount
+    ) private pure returns (bytes memory) {
+        return bytes.concat(
+            bytes1(XCM_VERSION),
+            compact(2),
+            bytes1(WITHDRAW_ASSET),
+            compact(1),
+            fungible(asset, amount),
+            bytes1(instruction),
+            _allCounted(1),
+            parachain(paraId),
+            compact(2),
+            _remoteDeposit(asset, beneficiary, amount)
+        );
+    }
+
+    /// @dev BuyExecution paid with the transferred asset, followed by DepositAsset to `beneficiary`.
+    function _remoteDeposit(
+        address asset,
+        bytes memory beneficiary,
+        uint128 amount
+    ) private pure returns (bytes memory) {
+        return bytes.concat(
+            bytes1(BUY_EXECUTION),
+            fungible(asset, amount),
+            hex"00",
+            bytes1(DEPOSIT_ASSET),
+            _allCounted(1),
+            beneficiary
+        );
+    }
+
+    function _allCounted(uint32 count) private pure returns (bytes memory) {
+        return bytes.concat(hex"0102", compact(count));
+    }
+
+    function _littleEndian(uint256 value, uint256 length) private pure returns (bytes memory out) {
+        out = new bytes(length);
+        for (uint256 i = 0; i < length; ++i) {
+            out[i] = bytes1(uint8(value >> (8 * i)));
+        }
+    }
+
+    // =========================================================================
+    // Decoding
+    // =========================================================================
+
+    /**
+     * @notice Decodes a program executed locally and simulates it.
+     * @return deliveries The transfers credited on destination chains.
+     * @return instructions The number of instructions, nested programs included.
+     */
+    function decodeExecution(
+        bytes memory message
+    ) internal pure returns (Delivery[] memory deliveries, uint256 instructions) {
+        Reader memory reader = _versioned(message);
+        Asset[] memory holding = new Asset[](0);
+        uint256 count = _compact(reader);
+        for (uint256 i = 0; i < count; ++i) {
+            ++instructions;
+            uint8 instruction = _u8(reader);
+            if (instruction == WITHDRAW_ASSET) {
+                holding = _concat(holding, _assets(reader));
+            } else if (instruction == BUY_EXECUTION) {
+                _buyExecution(reader);
+            } else if (instruction == INITIATE_TELEPORT || instruction == DEPOSIT_RESERVE_ASSET) {
+                Asset[] memory moved;
+                (moved, holding) = _take(holding, _filter(reader));
+                uint32 paraId = _paraId(_location(reader));
+                (Delivery[] memory remote, uint256 remoteInstructions) = _runRemote(reader, paraId, moved);
+                deliveries = _concat(deliveries, remote);
+                instructions += remoteInstructions;
+            } else {
+                revert UnsupportedInstruction(instruction);
+            }
+        }
+        if (holding.length != 0) revert AssetsTrapped();
+        _end(reader);
+    }
+
+    /**
+     * @notice Decodes a program sent to `destination` and simulates it there.
+     * @return deliveries The transfers credited on the destination chain.
+     * @return instructions The number of instructions.
+     */
+    function decodeSend(
+        bytes memory destination,
+        bytes memory message
+    ) internal pure returns (Delivery[] memory deliveries, uint256 instructions) {
+        Reader memory location = _versioned(destination);
+        uint32 paraId = _paraId(_location(location));
+        _end(location);
+        Reader memory reader = _versioned(message);
+        (deliveries, instructions) = _runRemote(reader, paraId, new Asset[](0));
+        _end(reader);
+    }
+
+    /// @dev Runs a program on `paraId`, starting with `holding` in the holding register.
+    function _runRemote(
+        Reader memory reader,
+        uint32 paraId,
+        Asset[] memory holding
+    ) private pure returns (Delivery[] memory deliveries, uint256 instructions) {
+        deliveries = new Delivery[](0);
+        instructions = _compact(reader);
+        for (uint256 i = 0; i < instructions; ++i) {
+            uint8 instruction = _u8(reader);
+            if (instruction == WITHDRAW_ASSET) {
+                holding = _concat(holding, _assets(reader));
+            } else if (instruction == BUY_EXECUTION) {
+                _buyExecution(reader);
+            } else if (instruction == CLEAR_ORIGIN) {
+                continue;
+            } else if (instruction == DEPOSIT_ASSET) {
+                Asset[] memory moved;
+                (moved, holding) = _take(holding, _filter(reader));
+                bytes32 beneficiary = _beneficiary(_location(reader));
+                for (uint256 j = 0; j < moved.length; ++j) {
+                    Delivery[] memory delivery = new Delivery[](1);
+                    delivery[0] = Delivery(paraId, moved[j].asset, beneficiary, moved[j].amount);
+                    deliveries = _concat(deliveries, delivery);
+                }
+            } else {
+                revert UnsupportedInstruction(instruction);
+            }
+        }
+        if (holding.length != 0) revert AssetsTrapped();
+    }
+
+    function _versioned(bytes memory data) private pure returns (Reader memory reader) {
+        reader = Reader(data, 0);
+        uint8 version = _u8(reader);
+        if (version != XCM_VERSION) revert UnsupportedVersion(version);
+    }
+
+    function _assets(Reader memory reader) private pure returns (Asset[] memory assets) {
+        assets = new Asset[](_compact(reader));
+        for (uint256 i = 0; i < assets.length; ++i) {
+            assets[i] = _asset(reader);
+        }
+    }
+
+    function _asset(Reader memory reader) private pure returns (Asset memory) {
+        Location memory location = _location(reader);
+        address asset;
+        if (location.parents == 1 && location.junctions.length == 0) {
+            asset = NATIVE_ASSET;
+        } else if (
+            location.parents == 0 && location.junctions.length == 1 && location.junctions[0] == ACCOUNT_KEY_20
+        ) {
+            asset = address(uint160(location.values[0]));
+        } else {
+            revert UnsupportedAsset();
+        }
+        // Only Fungible(Compact<u128>) is supported
+        if (_u8(reader) != 0) revert UnsupportedAsset();
+        uint256 amount = _compact(reader);
+        if (amount > type(uint128).max) revert MalformedMessage(reader.offset);
+        return Asset(asset, amount);
+    }
+
+    /// @dev Skips the fees and weight limit of BuyExecution, execution is not charged.
+    function _buyExecution(Reader memory reader) private pure {
+        _asset(reader);
+        uint8 weightLimit = _u8(reader);
+        if (weightLimit == 1) {
+            _compact(reader);
+            _compact(reader);
+        } else if (weightLimit != 0) {
+            revert MalformedMessage(reader.offset - 1);
+        }
+    }
+
+    /// @dev Decodes a Wild(All) or Wild(AllCounted) asset filter into the number of holding assets it selects.
+    function _filter(Reader memory reader) private pure returns (uint256) {
+        if (_u8(reader) != 1) revert UnsupportedAsset();
+        uint8 wild = _u8(reader);
+        if (wild == 0) return type(uint256).max;
+        if (wild == 2) return _compact(reader);
+        revert UnsupportedAsset();
+    }
+
+    function _location(Reader memory reader) private pure returns (Location memory location) {
+        location.parents = _u8(reader);
+        uint8 length = _u8(reader);
+        if (length > 8) revert MalformedMessage(reader.offset - 1);
+        location.junctions = new uint8[](length);
+        location.values = new uint256[](length);
+        for (uint256 i = 0; i < length; ++i) {
+            uint8 junction = _u8(reader);
+            location.junctions[i] = junction;
+            if (junction == PARACHAIN || junction == GENERAL_INDEX) {
+                location.values[i] = _compact(reader);
+            } else if (junction == ACCOUNT_ID_32) {
+                _noNetwork(reader);
+                location.values[i] = uint256(_bytes32(reader));
+            } else if (junction == ACCOUNT_KEY_20) {
+                _noNetwork(reader);
+                location.values[i] = uint256(uint160(_address(reader)));
+            } else if (junction == PALLET_INSTANCE) {
+                location.values[i] = _u8(reader);
+            } else {
+                revert UnsupportedLocation();
+            }
+        }
+    }
+
+    function _noNetwork(Reader memory reader) private pure {
+        if (_u8(reader) != 0) revert UnsupportedLocation();
+    }
+
+    function _paraId(Location memory location) private pure returns (uint32) {
+        if (location.parents == 1 && location.junctions.length == 0) return 0;
+        if (
+            location.parents != 1 ||
+            location.junctions.length != 1 ||
+            location.junctions[0] != PARACHAIN ||
+            location.values[0] > type(uint32).max
+        ) revert UnsupportedLocation();
+        return uint32(location.values[0]);
+    }
+
+    function _beneficiary(Location memory location) private pure returns (bytes32) {
+        if (
+            location.parents != 0 ||
+            location.junctions.length != 1 ||
+            (location.junctions[0] != ACCOUNT_ID_32 && location.junctions[0] != ACCOUNT_KEY_20)
+        ) revert UnsupportedLocation();
+        return bytes32(location.values[0]);
+    }
+
+    /// @dev Splits `holding` into its first `count` assets and the rest.
+    function _take(
+        Asset[] memory holding,
+        uint256 count
+    ) private pure returns (Asset[] memory taken, Asset[] memory rest) {
+        if (count > holding.length) count = holding.length;
+        taken = new Asset[](count);
+        rest = new Asset[](holding.length - count);
+        for (uint256 i = 0; i < holding.length; ++i) {
+            if (i < count) taken[i] = holding[i];
+            else rest[i - count] = holding[i];
+        }
+    }
+
+    function _concat(Asset[] memory a, Asset[] memory b) private pure returns (Asset[] memory out) {
+        out = new Asset[](a.length + b.length);
+        for (uint256 i = 0; i < a.length; ++i) out[i] = a[i];
+        for (uint256 i = 0; i < b.length; ++i) out[a.length + i] = b[i];
+    }
+
+    function _concat(Delivery[] memory a, Delivery[] memory b) private pure returns (Delivery[] memory out) {
+        out = new Delivery[](a.length + b.length);
+        for (uint256 i = 0; i < a.length; ++i) out[i] = a[i];
+        for (uint256 i = 0; i < b.length; ++i) out[a.length + i] = b[i];
+    }
+
+    function _compact(Reader memory reader) private pure returns (uint256 value) {
+        uint256 start = reader.offset;
+        uint8 first = _u8(reader);
+        uint8 mode = first & 3;
+        if (mode == 0) return first >> 2;
+        uint256 length = mode == 1 ? 2 : mode == 2 ? 4 : (first >> 2) + 4;
+        // Big integers are limited to 128 bits
+        if (length > 16) revert MalformedMessage(start);
+        value = mode == 3 ? 0 : first;
+        uint256 shift = mode == 3 ? 0 : 8;
+        for (uint256 i = 1; i < length + (mode == 3 ? 1 : 0); ++i) {
+            value |= uint256(_u8(reader)) << shift;
+            shift += 8;
+        }
+        if (mode != 3) value >>= 2;
+    }
+
+    function _u8(Reader memory reader) private pure returns (uint8 value) {
+        if (reader.offset >= reader.data.length) revert MalformedMessage(reader.offset);
+        value = uint8(reader.data[reader.offset]);
+        ++reader.offset;
+    }
+
+    function _bytes32(Reader memory reader) private pure returns (bytes32 value) {
+        uint256 offset = reader.offset;
+        if (offset + 32 > reader.data.length) revert MalformedMessage(offset);
+        bytes memory data = reader.data;
+        assembly {
+            value := mload(add(add(data, 32), offset))
+        }
+        reader.offset = offset + 32;
+    }
+
+    function _address(Reader memory reader) private pure returns (address value) {
+        uint256 offset = reader.offset;
+        if (offset + 20 > reader.data.length) revert MalformedMessage(offset);
+        bytes memory data = reader.data;
+        assembly {
+            value := shr(96, mload(add(add(data, 32), offset)))
+        }
+        reader.offset = offset + 20;
+    }
+
+    function _end(Reader memory reader) private pure {
+        if (reader.offset != reader.data.length) revert MalformedMessage(reader.offset);
+    }
+}
@@ -3,13 +3,40 @@ import "@nomicfoundation/hardhat-toolbox"
 import "@parity/hardhat-polkadot"
 import 'hardhat-preprocessor';
 import { vars } from "hardhat/config";
+import "./tasks/settler";
 
 const config: HardhatUserConfig = {
     solidity: {
-        version: "0.8.28",
-        settings: {
-            evmVersion: "cancun"
-        }
+        compilers: [
+            {
+                version: "0.8.28",
+                settings: {
+                    evmVersion: "cancun",
+                    viaIR: true,
+                    optimizer: {
+                        enabled: true,
+                        runs: 200
+                    },
+                    // Read by the upgradeable tests to check the settler's storage layout
+                    outputSelection: {
+                        "*": {
+                            "*": ["storageLayout"]
+                        }
+                    }
+                }
+            },
+            // Permit2, pinned to 0.8.17, deployed by the tests at its canonical address
+            {
+                version: "0.8.17",
+                settings: {
+                    viaIR: true,
+                    optimizer: {
+                        enabled: true,
+                        runs: 1000000
+                    }
+                }
+            }
+        ]
     },
     networks: {
         hardhat: {
@@ -30,6 +57,11 @@ const config: HardhatUserConfig = {
             polkadot: true,
             url: `http://127.0.0.1:8545`,
         },
+        polkadotHubTestnet: {
+            polkadot: true,
+            url: "https://testnet-passet-hub-eth-rpc.polkadot.io",
+            accounts: vars.has("PRIVATE_KEY") ? [vars.get("PRIVATE_KEY")] : [],
+        },
     },
     preprocess: {
         eachLine: (hre) => ({
@@ -39,6 +71,7 @@ const config: HardhatUserConfig = {
                         "openzeppelin/": "lib/oif-contracts/lib/openzeppelin-contracts/contracts/",
                         "the-compact/": "lib/oif-contracts/lib/the-compact/",
                         "permit2/": "lib/oif-contracts/lib/permit2/",
+                        "solmate/": "lib/oif-contracts/lib/permit2/lib/solmate/",
                         "oif/": "lib/oif-contracts/src/"
                     })) {
                         if (line.includes(from)) {
@@ -1,27 +1,99 @@
 import { buildModule } from "@nomicfoundation/hardhat-ignition/modules";
+import type { IgnitionModuleBuilder, ContractFuture } from "@nomicfoundation/ignition-core";
 
-const InputSettlerXCMEscrowModule = buildModule("InputSettlerXCMEscrowModule", (m) => {
-    // Parameters with defaults
+/**
+ * Reads the external contracts of the settler from the module parameters.
+ */
+export function settlerAddresses(m: IgnitionModuleBuilder) {
     // Default XCM precompile address on many Polkadot parachains is 0xA0000 or similar precompiles
     const xcmPrecompile = m.getParameter("xcmPrecompile", "0x00000000000000000000000000000000000A0000");
 
-    // For inkLibrary, we might need a real address. Defaulting to zero address for now if not provided.
-    // User should provide this when deploying to a real network.
-    const inkLibrary = m.getParameter("inkLibrary", "0x0000000000000000000000000000000000000000");
+    // The ink! library building XCM messages has no default: the constructor rejects the zero address
+    const inkLibrary = m.getParameter<string>("inkLibrary");
 
-    // Deploy the base settler contract
-    // Note: InputSettlerEscrow is imported from oif-contracts
-    const baseSettler = m.contract("InputSettlerEscrow", []);
+    return { inkLibrary, xcmPrecompile };
+}
+
+/**
+ * Deploys the libraries linked into the settler, collecting sponsored inputs and escrowing split orders.
+ */
+export function settlerLibraries(m: IgnitionModuleBuilder) {
+    return {
+        SponsorCollection: m.library("SponsorCollection"),
+        SplitOrder: m.library("SplitOrder")
+    };
+}
+
+/**
+ * Seeds the chain registry, routes, XCM switch and surplus policy of a deployed settler and grants its roles,
+ * from the module parameters. The deployer must hold all roles.
+ */
+export function configureSettler(m: IgnitionModuleBuilder, inputSettlerXCMEscrow: ContractFuture<string>) {
+    // XCM locations of the OIF chain IDs, as a list of { chainId, location: { relay, paraId, nested } }.
+    // Outputs to unregistered chain IDs are never settled via XCM.
+    const chains = m.getParameter<
+        { chainId: number | string; location: { relay: boolean; paraId: number; nested: string } }[]
+    >("chains", []);
+
+    // Teleport routes allowed right after deployment, as a list of { destination, token } pairs
+    const teleportRoutes = m.getParameter<{ destination: number; token: string }[]>("teleportRoutes", []);
+
+    // Whether XCM settlement is enabled right after deployment
+    const xcmEnabled = m.getParameter("xcmEnabled", true);
+
+    // Role holders, defaulting to the deployer. The deployer keeps its roles until it renounces them,
+    // which scripts/deploy.js does for the roles handed to another account such as a multisig.
+    const deployer = m.getAccount(0);
+    const admin = m.getParameter("admin", deployer);
+    const routeManager = m.getParameter("routeManager", deployer);
+    const pauser = m.getParameter("pauser", deployer);
+
+    // Surplus handling of orders settled via XCM: 0 keeps it with the payer, 1 pays it to surplusRecipient
+    const surplusPolicy = m.getParameter("surplusPolicy", 0);
+    const surplusRecipient = m.getParameter("surplusRecipient", "0x0000000000000000000000000000000000000000");
+
+    // Seed the chain registry, the teleport allow-list and the XCM switch
+    m.call(inputSettlerXCMEscrow, "registerChains", [chains]);
+    m.call(inputSettlerXCMEscrow, "allowTeleports", [teleportRoutes]);
+    m.call(inputSettlerXCMEscrow, "setXCMEnabled", [xcmEnabled]);
 
-    // Deploy the XCM settler
+    m.call(inputSettlerXCMEscrow, "setSurplusPolicy", [surplusPolicy, surplusRecipient]);
+
+    // Grant roles
+    const adminRole = m.staticCall(inputSettlerXCMEscrow, "DEFAULT_ADMIN_ROLE", [], 0, { id: "AdminRole" });
+    const routeManagerRole = m.staticCall(inputSettlerXCMEscrow, "ROUTE_MANAGER_ROLE", [], 0, { id: "RouteManagerRole" });
+    const pauserRole = m.staticCall(inputSettlerXCMEscrow, "PAUSER_ROLE", [], 0, { id: "PauserRole" });
+    m.call(inputSettlerXCMEscrow, "grantRole", [adminRole, admin], { id: "GrantAdminRole" });
+    m.call(inputSettlerXCMEscrow, "grantRole", [routeManagerRole, routeManager], { id: "GrantRouteManagerRole" });
+    m.call(inputSettlerXCMEscrow, "grantRole", [pauserRole, pauser], { id: "GrantPauserRole" });
+}
+
+/**
+ * Deploys the XCM settler on top of `baseSettler` and configures it from the module parameters.
+ * Shared by the modules deploying a new base settler and reusing an existing one, which use the
+ * same module id so that a network parameter file works with either.
+ */
+export function buildSettler(m: IgnitionModuleBuilder, baseSettler: ContractFuture<string>) {
+    const { inkLibrary, xcmPrecompile } = settlerAddresses(m);
     const inputSettlerXCMEscrow = m.contract("InputSettlerXCMEscrow", [
         inkLibrary,
         xcmPrecompile,
         baseSettler
-    ]);
+    ], {
+        libraries: settlerLibraries(m)
+    });
+
+    configureSettler(m, inputSettlerXCMEscrow);
 
     return { baseSettler, inputSettlerXCMEscrow };
+}
+
+const InputSettlerXCMEscrowModule = buildModule("InputSettlerXCMEscrowModule", (m) => {
+    // Deploy the base settler contract
+    // Note: InputSettlerEscrow is imported from oif-contracts
+    const baseSettler = m.contract("InputSettlerEscrow", []);
+
+    return buildSettler(m, baseSettler);
 });
 
 export default InputSettlerXCMEscrowModule;
-
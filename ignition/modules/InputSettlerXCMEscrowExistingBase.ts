@@ -0,0 +1,12 @@
+import { buildModule } from "@nomicfoundation/hardhat-ignition/modules";
+import { buildSettler } from "./InputSettlerXCMEscrow";
+
+// Deploys the XCM settler on an already deployed InputSettlerEscrow, given by the `baseSettler` parameter.
+// Takes the same parameters as InputSettlerXCMEscrow.ts otherwise.
+const InputSettlerXCMEscrowExistingBaseModule = buildModule("InputSettlerXCMEscrowModule", (m) => {
+    const baseSettler = m.contractAt("InputSettlerEscrow", m.getParameter<string>("baseSettler"));
+
+    return buildSettler(m, baseSettler);
+});
+
+export default InputSettlerXCMEscrowExistingBaseModule;
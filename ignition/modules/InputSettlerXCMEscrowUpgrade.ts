@@ -0,0 +1,19 @@
+import { buildModule } from "@nomicfoundation/hardhat-ignition/modules";
+import { settlerLibraries } from "./InputSettlerXCMEscrow";
+import InputSettlerXCMEscrowUpgradeableModule from "./InputSettlerXCMEscrowUpgradeable";
+
+// Upgrades the proxy deployed by InputSettlerXCMEscrowUpgradeable.ts to a new implementation built from the
+// current InputSettlerXCMEscrowUpgradeable sources. Must run from an account with the admin role.
+// Routes, limits, roles and the XCM switch live in the proxy and are kept.
+const InputSettlerXCMEscrowUpgradeModule = buildModule("InputSettlerXCMEscrowUpgradeModule", (m) => {
+    const { proxy, inputSettlerXCMEscrow } = m.useModule(InputSettlerXCMEscrowUpgradeableModule);
+
+    const implementation = m.contract("InputSettlerXCMEscrowUpgradeable", [], {
+        libraries: settlerLibraries(m)
+    });
+    m.call(inputSettlerXCMEscrow, "upgradeToAndCall", [implementation, "0x"]);
+
+    return { proxy, implementation, inputSettlerXCMEscrow };
+});
+
+export default InputSettlerXCMEscrowUpgradeModule;
@@ -0,0 +1,31 @@
+import { buildModule } from "@nomicfoundation/hardhat-ignition/modules";
+import { configureSettler, settlerAddresses, settlerLibraries } from "./InputSettlerXCMEscrow";
+
+// Deploys the XCM settler behind a UUPS proxy, initialized with the deployer as admin, and a new base settler.
+// Takes the same parameters as InputSettlerXCMEscrow.ts; the settler is then configured the same way.
+const InputSettlerXCMEscrowUpgradeableModule = buildModule("InputSettlerXCMEscrowUpgradeableModule", (m) => {
+    // Note: InputSettlerEscrow is imported from oif-contracts
+    const baseSettler = m.contract("InputSettlerEscrow", []);
+
+    const { inkLibrary, xcmPrecompile } = settlerAddresses(m);
+    const implementation = m.contract("InputSettlerXCMEscrowUpgradeable", [], {
+        libraries: settlerLibraries(m)
+    });
+    const initialize = m.encodeFunctionCall(implementation, "initialize", [
+        inkLibrary,
+        xcmPrecompile,
+        baseSettler,
+        m.getAccount(0)
+    ]);
+    const proxy = m.contract("InputSettlerXCMEscrowProxy", [implementation, initialize]);
+
+    // Interact with the proxy through the implementation ABI
+    const inputSettlerXCMEscrow = m.contractAt("InputSettlerXCMEscrowUpgradeable", proxy, {
+        id: "InputSettlerXCMEscrow"
+    });
+    configureSettler(m, inputSettlerXCMEscrow);
+
+    return { baseSettler, implementation, proxy, inputSettlerXCMEscrow };
+});
+
+export default InputSettlerXCMEscrowUpgradeableModule;
@@ -0,0 +1,51 @@
+// Deploys InputSettlerXCMEscrow with the ignition parameters of the target network and verifies it.
+//
+// Usage:
+//   [PARAMETERS_FILE=ignition/parameters/<network>.json] npx hardhat run scripts/deploy.js --network <network>
+//
+// The parameters each network requires are listed in ignition/parameters/README.md, and the script fails
+// naming any of them missing from the file. A new InputSettlerEscrow is deployed unless the parameters set
+// `baseSettler`. Once the ignition deployment is done, the deployer renounces the roles assigned to other
+// accounts (e.g. a multisig), then the settler is read back and the script fails on any mismatch with the
+// parameters.
+const { parseDeploymentParameters, renounceDeployerRoles } = require("../sdk");
+const {
+    loadDeploymentParameters,
+    requireNetworkParameters,
+    parametersFileFor,
+    assertDeployment
+} = require("./verifyDeployment");
+
+async function main() {
+    const hre = require("hardhat");
+    const [deployer] = await hre.ethers.getSigners();
+    const file = parametersFileFor(hre.network.name, process.env.PARAMETERS_FILE);
+    const parameters = loadDeploymentParameters(file);
+    // Fails before deploying on missing or zero addresses
+    requireNetworkParameters(parameters, hre.network.name, file);
+    const config = parseDeploymentParameters(parameters, { deployer: deployer.address });
+
+    const module = config.baseSettler === null
+        ? require("../ignition/modules/InputSettlerXCMEscrow").default
+        : require("../ignition/modules/InputSettlerXCMEscrowExistingBase").default;
+    const { inputSettlerXCMEscrow } = await hre.ignition.deploy(module, {
+        parameters: { InputSettlerXCMEscrowModule: parameters }
+    });
+    const settler = inputSettlerXCMEscrow.connect(deployer);
+    console.log(`InputSettlerXCMEscrow deployed at ${settler.target}`);
+
+    const renounced = await renounceDeployerRoles(settler, config);
+    if (renounced.length !== 0) {
+        console.log(`Renounced ${renounced.length} deployer role(s)`);
+    }
+
+    await assertDeployment(settler, config, { deployer: deployer.address });
+    console.log(`Deployment matches ${file}`);
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(error);
+        process.exitCode = 1;
+    });
+}
@@ -0,0 +1,42 @@
+// Reconstructs the settlement history of every order seen by a deployed InputSettlerXCMEscrow.
+//
+// Usage:
+//   SETTLER_ADDRESS=0x... [FROM_BLOCK=0] [TO_BLOCK=latest] [BLOCK_RANGE=10000] [OUTPUT_FILE=orders.json] \
+//     npx hardhat run scripts/indexOrders.js --network <network>
+//
+// Prints one timeline per order as JSON, or writes it to OUTPUT_FILE when set.
+const fs = require("fs");
+const { indexOrders, timelinesToJSON } = require("../sdk");
+
+function parseBlock(value) {
+    return value === undefined || value === "" ? undefined : Number(value);
+}
+
+async function main() {
+    const { ethers } = require("hardhat");
+    const { SETTLER_ADDRESS, FROM_BLOCK, TO_BLOCK, BLOCK_RANGE, OUTPUT_FILE } = process.env;
+    if (!SETTLER_ADDRESS) {
+        throw new Error("SETTLER_ADDRESS must be set");
+    }
+
+    const timelines = await indexOrders(ethers.provider, {
+        settler: SETTLER_ADDRESS,
+        fromBlock: parseBlock(FROM_BLOCK),
+        toBlock: parseBlock(TO_BLOCK),
+        blockRange: parseBlock(BLOCK_RANGE)
+    });
+    const json = timelinesToJSON(timelines);
+    if (OUTPUT_FILE) {
+        fs.writeFileSync(OUTPUT_FILE, `${json}\n`);
+        console.log(`Indexed ${timelines.length} orders into ${OUTPUT_FILE}`);
+    } else {
+        console.log(json);
+    }
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(error);
+        process.exitCode = 1;
+    });
+}
@@ -0,0 +1,49 @@
+// Syncs the teleport allow-list of a deployed InputSettlerXCMEscrow with a route config.
+//
+// Usage:
+//   SETTLER_ADDRESS=0x... ROUTES_FILE=routes.yaml npx hardhat run scripts/syncTeleportRoutes.js --network <network>
+//
+// Prints the planned `forbidTeleports`/`allowTeleports` calls as JSON, one per kind of change. Set
+// EXECUTE=true to send them from the first configured signer, which must hold the route manager role.
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const { parseRouteConfig, syncTeleportRoutes, getSettler } = require("../sdk");
+
+/**
+ * Reads a JSON or YAML route config from disk.
+ */
+function loadRouteConfig(file) {
+    const contents = fs.readFileSync(file, "utf8");
+    const extension = path.extname(file).toLowerCase();
+    const config = extension === ".yaml" || extension === ".yml" ? yaml.load(contents) : JSON.parse(contents);
+    return parseRouteConfig(config);
+}
+
+function toJSON(value) {
+    return JSON.stringify(value, (_, v) => (typeof v === "bigint" ? v.toString() : v), 2);
+}
+
+async function main() {
+    const { ethers } = require("hardhat");
+    const { SETTLER_ADDRESS, ROUTES_FILE, EXECUTE } = process.env;
+    if (!SETTLER_ADDRESS || !ROUTES_FILE) {
+        throw new Error("SETTLER_ADDRESS and ROUTES_FILE must be set");
+    }
+
+    const [signer] = await ethers.getSigners();
+    const settler = getSettler(SETTLER_ADDRESS, signer);
+    const result = await syncTeleportRoutes(settler, loadRouteConfig(ROUTES_FILE), {
+        execute: EXECUTE === "true"
+    });
+    console.log(toJSON(result));
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(error);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { loadRouteConfig };
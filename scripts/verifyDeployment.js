@@ -0,0 +1,102 @@
+// Checks a deployed InputSettlerXCMEscrow against the ignition parameters of its network.
+//
+// Usage:
+//   SETTLER_ADDRESS=0x... [PARAMETERS_FILE=ignition/parameters/<network>.json] [DEPLOYER=0x...] \
+//     npx hardhat run scripts/verifyDeployment.js --network <network>
+//
+// Reads back inkLibrary, xcmPrecompile, baseSettler, xcmEnabled, the role holders and the teleport
+// routes, and exits with an error listing every mismatch. DEPLOYER (default: the first configured
+// signer) is the account role parameters default to; it must not keep roles handed to other accounts.
+const fs = require("fs");
+const path = require("path");
+const { parseDeploymentParameters, verifyDeployment, getSettler } = require("../sdk");
+
+const MODULE_ID = "InputSettlerXCMEscrowModule";
+
+// Parameters without a default, per network, as documented in ignition/parameters/README.md. Public networks hand
+// the roles to a multisig instead of leaving them to the deployer.
+const REQUIRED_PARAMETERS = Object.freeze({
+    polkadotHubTestnet: ["inkLibrary", "admin", "routeManager", "pauser"]
+});
+const DEFAULT_REQUIRED_PARAMETERS = ["inkLibrary"];
+
+/**
+ * Reads the `InputSettlerXCMEscrowModule` parameters of an ignition parameter file.
+ */
+function loadDeploymentParameters(file) {
+    const parameters = JSON.parse(fs.readFileSync(file, "utf8"))[MODULE_ID];
+    if (parameters === undefined) {
+        throw new Error(`${file} has no ${MODULE_ID} parameters`);
+    }
+    return parameters;
+}
+
+/**
+ * Throws naming every parameter `network` requires that `parameters`, read from `file`, does not set.
+ */
+function requireNetworkParameters(parameters, network, file) {
+    const required = REQUIRED_PARAMETERS[network] ?? DEFAULT_REQUIRED_PARAMETERS;
+    const missing = required.filter((name) => parameters[name] === undefined);
+    if (missing.length !== 0) {
+        throw new Error(`${file} is missing ${missing.join(", ")}, required on ${network} ` +
+            "(see ignition/parameters/README.md)");
+    }
+}
+
+/**
+ * Returns the parameter file of `network`, unless overridden by `file`.
+ */
+function parametersFileFor(network, file) {
+    return file || path.join(__dirname, "..", "ignition", "parameters", `${network}.json`);
+}
+
+function formatMismatches(mismatches) {
+    const format = (value) => JSON.stringify(value, (_, v) => (typeof v === "bigint" ? v.toString() : v));
+    return mismatches
+        .map(({ field, expected, actual }) => `  ${field}: expected ${format(expected)}, got ${format(actual)}`)
+        .join("\n");
+}
+
+/**
+ * Verifies `settler` against `config` and throws listing the mismatches, if any.
+ */
+async function assertDeployment(settler, config, options) {
+    const mismatches = await verifyDeployment(settler, config, options);
+    if (mismatches.length !== 0) {
+        throw new Error(`Deployment of ${settler.target ?? settler} does not match its parameters:\n` +
+            formatMismatches(mismatches));
+    }
+}
+
+async function main() {
+    const hre = require("hardhat");
+    const { SETTLER_ADDRESS, PARAMETERS_FILE, DEPLOYER } = process.env;
+    if (!SETTLER_ADDRESS) {
+        throw new Error("SETTLER_ADDRESS must be set");
+    }
+
+    const [signer] = await hre.ethers.getSigners();
+    const deployer = DEPLOYER || signer.address;
+    const file = parametersFileFor(hre.network.name, PARAMETERS_FILE);
+    const parameters = loadDeploymentParameters(file);
+    requireNetworkParameters(parameters, hre.network.name, file);
+    const config = parseDeploymentParameters(parameters, { deployer });
+
+    await assertDeployment(getSettler(SETTLER_ADDRESS, hre.ethers.provider), config, { deployer });
+    console.log(`${SETTLER_ADDRESS} matches ${file}`);
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(error);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    REQUIRED_PARAMETERS,
+    loadDeploymentParameters,
+    requireNetworkParameters,
+    parametersFileFor,
+    assertDeployment
+};
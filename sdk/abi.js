@@ -0,0 +1,126 @@
+// =============================================================================
+// ABI fragments used by the SDK
+// =============================================================================
+
+const MANDATE_OUTPUT_TUPLE =
+    "tuple(bytes32 oracle, bytes32 settler, uint256 chainId, bytes32 token, uint256 amount, bytes32 recipient, bytes call, bytes context)";
+
+const STANDARD_ORDER_TUPLE =
+    "tuple(address user, uint256 nonce, uint256 originChainId, uint32 expires, uint32 fillDeadline, address inputOracle, uint256[2][] inputs, " +
+    `${MANDATE_OUTPUT_TUPLE}[] outputs)`;
+
+const CHAIN_LOCATION_TUPLE = "tuple(bool relay, uint32 paraId, bytes nested)";
+
+const INPUT_SETTLER_XCM_ESCROW_ABI = [
+    `function open(${STANDARD_ORDER_TUPLE} order) payable`,
+    `function openFor(${STANDARD_ORDER_TUPLE} order, address sponsor, bytes signature)`,
+    `function orderIdentifier(${STANDARD_ORDER_TUPLE} order) view returns (bytes32)`,
+    `function settlerOrderIdentifier(${STANDARD_ORDER_TUPLE} order) view returns (bytes32)`,
+    "function orderStatus(bytes32 orderId) view returns (uint8)",
+    `function refund(${STANDARD_ORDER_TUPLE} order)`,
+    "function basePurchasedOrders(bytes32 solver, bytes32 orderId) view returns (uint32 lastOrderTimestamp, bytes32 purchaser)",
+    "function baseDomainSeparator() view returns (bytes32)",
+    "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+    "function inkLibrary() view returns (address)",
+    "function xcmPrecompile() view returns (address)",
+    "function baseSettler() view returns (address)",
+    "function xcmEnabled() view returns (bool)",
+    "function splitEnabled() view returns (bool)",
+    "function setXCMEnabled(bool enabled)",
+    "function setSplitEnabled(bool enabled)",
+    "function setInkLibrary(address inkLibrary)",
+    "function setXCMPrecompile(address xcmPrecompile)",
+    "function setBaseSettler(address baseSettler)",
+    "function upgradeToAndCall(address newImplementation, bytes data) payable",
+    "function DEFAULT_ADMIN_ROLE() view returns (bytes32)",
+    "function ROUTE_MANAGER_ROLE() view returns (bytes32)",
+    "function PAUSER_ROLE() view returns (bytes32)",
+    "function hasRole(bytes32 role, address account) view returns (bool)",
+    "function grantRole(bytes32 role, address account)",
+    "function renounceRole(bytes32 role, address callerConfirmation)",
+    "function isTeleportAllowed(uint32 destination, address token) view returns (bool)",
+    "function getTeleportDestinations() view returns (uint32[])",
+    "function getTeleportTokens(uint32 destination) view returns (address[])",
+    "function getTeleportRoutes() view returns (tuple(uint32 destination, address token)[])",
+    "function allowTeleport(uint32 destination, address token)",
+    "function forbidTeleport(uint32 destination, address token)",
+    "function allowTeleports(tuple(uint32 destination, address token)[] routes)",
+    "function forbidTeleports(tuple(uint32 destination, address token)[] routes)",
+    `function getChainLocation(uint256 chainId) view returns (${CHAIN_LOCATION_TUPLE})`,
+    `function registerChain(uint256 chainId, ${CHAIN_LOCATION_TUPLE} location)`,
+    `function registerChains(tuple(uint256 chainId, ${CHAIN_LOCATION_TUPLE} location)[] registrations)`,
+    "function unregisterChain(uint256 chainId)",
+    `function previewRoute(${STANDARD_ORDER_TUPLE} order) view returns (uint8 reason, uint256 index, bool[] escrowed)`,
+    "function getRouteConfig(uint32 destination, address token) view returns (tuple(uint8 mode, uint8 kind))",
+    "function setRouteMode(uint32 destination, address token, uint8 mode)",
+    "function setTransferKind(uint32 destination, address token, uint8 kind)",
+    "function getWeightLimit(uint32 destination) view returns (tuple(uint64 refTime, uint64 proofSize, uint16 marginBps))",
+    "function setWeightLimit(uint32 destination, tuple(uint64 refTime, uint64 proofSize, uint16 marginBps) limit)",
+    "function beneficiaryFormat(uint32 destination) view returns (uint8)",
+    "function setBeneficiaryFormat(uint32 destination, uint8 format)",
+    "function getRateLimit(uint32 destination, address token) view returns (uint128 limit, uint32 window, uint256 used, uint256 available)",
+    "function maxOrderAmount(address token) view returns (uint256)",
+    "function setRateLimit(uint32 destination, address token, uint128 limit, uint32 window)",
+    "function setMaxOrderAmount(address token, uint256 maxAmount)",
+    "function surplusPolicy() view returns (uint8)",
+    "function surplusRecipient() view returns (address)",
+    "function setSurplusPolicy(uint8 policy, address recipient)",
+    "function MAX_FEE_BPS() view returns (uint16)",
+    "function NATIVE_ASSET() view returns (address)",
+    "function feeRecipient() view returns (address)",
+    "function defaultFeeBps() view returns (uint16)",
+    "function feeBps(address token) view returns (uint16)",
+    `function quoteFees(${STANDARD_ORDER_TUPLE} order) view returns (tuple(uint256 amount, address token)[] fees)`,
+    "function setFeeRecipient(address recipient)",
+    "function setFee(address token, uint16 bps)",
+    "function clearTokenFee(address token)",
+    "event TeleportAllowed(uint32 destination, address token)",
+    "event TeleportForbidden(uint32 destination, address token)",
+    "event XCMEnabledChanged(bool enabled)",
+    "event SplitEnabledChanged(bool enabled)",
+    "event InkLibrarySet(address inkLibrary)",
+    "event XCMPrecompileSet(address xcmPrecompile)",
+    "event BaseSettlerSet(address baseSettler)",
+    "event RouteModeSet(uint32 destination, address token, uint8 mode)",
+    "event TransferKindSet(uint32 destination, address token, uint8 kind)",
+    "event WeightLimitSet(uint32 destination, uint64 refTime, uint64 proofSize, uint16 marginBps)",
+    "event BeneficiaryFormatSet(uint32 destination, uint8 format)",
+    "event ChainRegistered(uint256 chainId, bool relay, uint32 paraId, bytes nested)",
+    "event ChainUnregistered(uint256 chainId)",
+    "event RateLimitSet(uint32 destination, address token, uint128 limit, uint32 window)",
+    "event MaxOrderAmountSet(address token, uint256 maxAmount)",
+    "event SurplusPolicySet(uint8 policy, address recipient)",
+    "event FeeRecipientSet(address recipient)",
+    "event FeeSet(address token, uint16 bps)",
+    "event TokenFeeCleared(address token)",
+    "event XCMLimitExceeded(uint256 indexed destination, address indexed token, uint8 reason)",
+    `event XCMOpen(bytes32 indexed orderId, address indexed user, ${STANDARD_ORDER_TUPLE} order)`,
+    "event XCMTeleportExecuted(bytes32 indexed orderId, uint256 indexed destination, address token, uint256 amount, bytes32 recipient)",
+    "event XCMReserveTransferExecuted(bytes32 indexed orderId, uint256 indexed destination, address token, uint256 amount, bytes32 recipient)",
+    "event XCMMessageSent(bytes32 indexed orderId, uint256 indexed destination, address token, uint256 amount, bytes32 recipient)",
+    "event XCMSurplus(bytes32 indexed orderId, address indexed token, uint256 amount, address recipient)",
+    "event XCMFeeCharged(bytes32 indexed orderId, address indexed token, uint256 amount, address recipient)",
+    "event XCMOrderSplit(bytes32 indexed orderId, bytes32 indexed escrowOrderId, uint256[] escrowedOutputs)"
+];
+
+const INPUT_SETTLER_ESCROW_ABI = [
+    `event Open(bytes32 indexed orderId, ${STANDARD_ORDER_TUPLE} order)`,
+    "event Finalised(bytes32 indexed orderId, bytes32 solver, bytes32 destination)",
+    "event Refunded(bytes32 indexed orderId)",
+    "event OrderPurchased(bytes32 indexed orderId, bytes32 solver, bytes32 purchaser)"
+];
+
+const ERC20_ABI = [
+    "function allowance(address owner, address spender) view returns (uint256)",
+    "function approve(address spender, uint256 amount) returns (bool)",
+    "function balanceOf(address account) view returns (uint256)"
+];
+
+module.exports = {
+    CHAIN_LOCATION_TUPLE,
+    MANDATE_OUTPUT_TUPLE,
+    STANDARD_ORDER_TUPLE,
+    INPUT_SETTLER_XCM_ESCROW_ABI,
+    INPUT_SETTLER_ESCROW_ABI,
+    ERC20_ABI
+};
@@ -0,0 +1,163 @@
+const { createHash } = require("crypto");
+const { ethers } = require("ethers");
+const { BeneficiaryFormat } = require("./client");
+const { UINT160_MAX } = require("./order");
+
+// =============================================================================
+// SS58 addresses
+// =============================================================================
+
+// Generic Substrate prefix, used when none is given
+const DEFAULT_SS58_PREFIX = 42;
+const MAX_SS58_PREFIX = 16383;
+
+const SS58_CHECKSUM_PREFIX = ethers.toUtf8Bytes("SS58PRE");
+const SS58_CHECKSUM_LENGTH = 2;
+const PUBLIC_KEY_LENGTH = 32;
+
+const BASE58_ALPHABET = "123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz";
+
+function decodeBase58(value) {
+    let number = 0n;
+    for (const char of value) {
+        const digit = BASE58_ALPHABET.indexOf(char);
+        if (digit === -1) throw new TypeError(`Invalid base58 character ${char} in ${value}`);
+        number = number * 58n + BigInt(digit);
+    }
+    // Leading "1"s encode leading zero bytes, which the number drops
+    const zeros = value.length - value.replace(/^1+/, "").length;
+    const bytes = number === 0n ? new Uint8Array(0) : ethers.getBytes(ethers.toBeHex(number));
+    return ethers.getBytes(ethers.concat([new Uint8Array(zeros), bytes]));
+}
+
+function ss58Checksum(payload) {
+    return createHash("blake2b512")
+        .update(ethers.concat([SS58_CHECKSUM_PREFIX, payload]).slice(2), "hex")
+        .digest()
+        .subarray(0, SS58_CHECKSUM_LENGTH);
+}
+
+function encodePrefix(prefix) {
+    if (!Number.isInteger(prefix) || prefix < 0 || prefix > MAX_SS58_PREFIX) {
+        throw new TypeError(`Invalid SS58 prefix ${prefix}`);
+    }
+    if (prefix < 64) return Uint8Array.of(prefix);
+    return Uint8Array.of(((prefix & 0xfc) >> 2) | 0x40, (prefix >> 8) | ((prefix & 0x03) << 6));
+}
+
+/**
+ * Encodes a 32-byte public key as an SS58 address.
+ * @param {string|Uint8Array} publicKey
+ * @param {number} [prefix] Network prefix, e.g. 0 for Polkadot, 2 for Kusama.
+ * @returns {string}
+ */
+function encodeSS58(publicKey, prefix = DEFAULT_SS58_PREFIX) {
+    const key = ethers.getBytes(publicKey);
+    if (key.length !== PUBLIC_KEY_LENGTH) {
+        throw new TypeError(`SS58 public keys are ${PUBLIC_KEY_LENGTH} bytes, got ${key.length}`);
+    }
+    const payload = ethers.concat([encodePrefix(prefix), key]);
+    return ethers.encodeBase58(ethers.concat([payload, ss58Checksum(payload)]));
+}
+
+/**
+ * Decodes an SS58 address of a 32-byte account, verifying its checksum.
+ * @param {string} address
+ * @returns {{ publicKey: string, prefix: number }}
+ */
+function decodeSS58(address) {
+    const data = decodeBase58(address);
+    if (data.length === 0) throw new TypeError(`Invalid SS58 address ${address}`);
+    const prefixLength = data[0] & 0x40 ? 2 : 1;
+    if (data[0] & 0x80 || data.length !== prefixLength + PUBLIC_KEY_LENGTH + SS58_CHECKSUM_LENGTH) {
+        throw new TypeError(`Unsupported SS58 address ${address}`);
+    }
+    const payload = data.subarray(0, prefixLength + PUBLIC_KEY_LENGTH);
+    const checksum = data.subarray(prefixLength + PUBLIC_KEY_LENGTH);
+    if (ethers.hexlify(checksum) !== ethers.hexlify(ss58Checksum(payload))) {
+        throw new TypeError(`Invalid SS58 checksum of ${address}`);
+    }
+    const prefix = prefixLength === 1
+        ? data[0]
+        : ((data[0] & 0x3f) << 2) | (data[1] >> 6) | ((data[1] & 0x3f) << 8);
+    return { publicKey: ethers.hexlify(payload.subarray(prefixLength)), prefix };
+}
+
+/**
+ * Whether `address` is an SS58 address of a 32-byte account with a valid checksum.
+ * @param {string} address
+ */
+function isSS58Address(address) {
+    try {
+        decodeSS58(address);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// =============================================================================
+// Output recipients
+// =============================================================================
+
+/**
+ * Encodes an account as the bytes32 recipient of an output to a destination of the given
+ * `BeneficiaryFormat`.
+ * - ACCOUNT_ID_32 takes an SS58 address or a 32-byte public key.
+ * - ACCOUNT_KEY_20 takes an H160 address, left-padded as the settler expects.
+ * @param {string} account
+ * @param {number} [format]
+ * @returns {string} The recipient.
+ */
+function encodeRecipient(account, format = BeneficiaryFormat.ACCOUNT_ID_32) {
+    if (format === BeneficiaryFormat.ACCOUNT_KEY_20) {
+        if (!ethers.isAddress(account)) throw new TypeError(`AccountKey20 recipients must be addresses, got ${account}`);
+        return ethers.zeroPadValue(ethers.getAddress(account), PUBLIC_KEY_LENGTH);
+    }
+    if (format !== BeneficiaryFormat.ACCOUNT_ID_32) throw new TypeError(`Unknown beneficiary format ${format}`);
+    if (ethers.isHexString(account, PUBLIC_KEY_LENGTH)) return ethers.hexlify(account);
+    if (ethers.isHexString(account)) {
+        throw new TypeError(`AccountId32 recipients must be SS58 addresses or 32-byte keys, got ${account}`);
+    }
+    return decodeSS58(account).publicKey;
+}
+
+/**
+ * Decodes a bytes32 recipient into the account it pays on a destination of the given
+ * `BeneficiaryFormat`: an SS58 address for ACCOUNT_ID_32 and a checksummed address for ACCOUNT_KEY_20.
+ * @param {string} recipient
+ * @param {number} [format]
+ * @param {{ ss58Prefix?: number }} [options]
+ * @returns {string}
+ */
+function decodeRecipient(recipient, format = BeneficiaryFormat.ACCOUNT_ID_32, { ss58Prefix = DEFAULT_SS58_PREFIX } = {}) {
+    if (!isValidRecipient(recipient, format)) {
+        throw new TypeError(`Invalid recipient ${recipient} for beneficiary format ${format}`);
+    }
+    if (format === BeneficiaryFormat.ACCOUNT_KEY_20) return ethers.getAddress(ethers.dataSlice(recipient, 12));
+    return encodeSS58(recipient, ss58Prefix);
+}
+
+/**
+ * Whether `recipient` is a valid bytes32 recipient for the `BeneficiaryFormat`, as checked by the
+ * settler: non-zero, and a left-padded address for ACCOUNT_KEY_20.
+ * @param {string} recipient
+ * @param {number} [format]
+ */
+function isValidRecipient(recipient, format = BeneficiaryFormat.ACCOUNT_ID_32) {
+    if (!ethers.isHexString(recipient, PUBLIC_KEY_LENGTH)) return false;
+    const value = ethers.toBigInt(recipient);
+    if (value === 0n) return false;
+    if (format === BeneficiaryFormat.ACCOUNT_KEY_20) return value <= UINT160_MAX;
+    return format === BeneficiaryFormat.ACCOUNT_ID_32;
+}
+
+module.exports = {
+    DEFAULT_SS58_PREFIX,
+    encodeSS58,
+    decodeSS58,
+    isSS58Address,
+    encodeRecipient,
+    decodeRecipient,
+    isValidRecipient
+};
@@ -0,0 +1,107 @@
+const { ethers } = require("ethers");
+const { UINT32_MAX } = require("./order");
+const { getSettler } = require("./client");
+
+/**
+ * XCM location an OIF chain ID resolves to, as registered on the settler.
+ * @typedef {Object} ChainLocation
+ * @property {boolean} relay Whether the chain is the relay chain.
+ * @property {number} paraId Parachain ID, 0 for the relay chain. Routes, weight limits and
+ *   beneficiary formats are configured per parachain ID.
+ * @property {string} nested SCALE-encoded location nested in the chain that `RouteMode.SEND` programs
+ *   are sent to instead of the chain itself, "0x" if none.
+ */
+
+/**
+ * @typedef {Object} ChainRegistration
+ * @property {bigint} chainId OIF chain ID.
+ * @property {ChainLocation} location
+ */
+
+/**
+ * Whether a location read from `getChainLocation` is registered, as checked by the settler:
+ * the relay chain or a non-zero parachain ID.
+ * @param {{ relay: boolean, paraId: number|bigint }} location
+ */
+function isRegisteredLocation({ relay, paraId }) {
+    return relay || BigInt(paraId) !== 0n;
+}
+
+function normalizeChainLocation(location, field) {
+    const { relay, paraId, nested } = location ?? {};
+    if (typeof relay !== "boolean") {
+        throw new Error(`Invalid chain ${field}: relay must be a boolean`);
+    }
+    const id = BigInt(paraId ?? -1);
+    if (id < 0n || id > UINT32_MAX) {
+        throw new Error(`Invalid chain ${field}: parachain ID ${paraId} does not fit in uint32`);
+    }
+    if (relay !== (id === 0n)) {
+        throw new Error(`Invalid chain ${field}: expected the relay chain with parachain ID 0 or a non-zero parachain ID`);
+    }
+    if (!ethers.isHexString(nested)) {
+        throw new Error(`Invalid chain ${field}: nested location ${nested} is not a hex string`);
+    }
+    return { relay, paraId: Number(id), nested: ethers.hexlify(nested) };
+}
+
+/**
+ * Validates registry entries as `registerChains` takes them, e.g. the `chains` deployment parameter:
+ *   [{ chainId: 420420421, location: { relay: false, paraId: 1000, nested: "0x" } }]
+ * Throws on locations the settler rejects and on chain IDs listed twice.
+ * @param {Object[]} entries
+ * @returns {ChainRegistration[]}
+ */
+function parseChainRegistrations(entries) {
+    if (!Array.isArray(entries)) {
+        throw new Error("Chain registrations must be an array");
+    }
+    const chains = new Map();
+    entries.forEach((entry, i) => {
+        const field = `chains[${i}]`;
+        if (!/^\d+$/.test(String(entry?.chainId))) {
+            throw new Error(`Invalid chain ${field}: chain ID ${entry?.chainId} is not an unsigned integer`);
+        }
+        const chainId = BigInt(entry.chainId);
+        if (chains.has(chainId)) {
+            throw new Error(`Invalid chain ${field}: chain ID ${chainId} is listed twice`);
+        }
+        chains.set(chainId, { chainId, location: normalizeChainLocation(entry.location, field) });
+    });
+    return [...chains.values()];
+}
+
+function toChainLocation({ relay, paraId, nested }) {
+    if (!isRegisteredLocation({ relay, paraId })) return null;
+    return { relay, paraId: Number(paraId), nested: ethers.hexlify(nested) };
+}
+
+/**
+ * Resolves an OIF chain ID through the registry of the settler, the way `open` does.
+ * @param {import("ethers").Contract|string} settler Settler contract or address.
+ * @param {bigint|number|string} chainId
+ * @param {import("ethers").ContractRunner} [runner] Required when `settler` is an address.
+ * @returns {Promise<ChainLocation|null>} The location, null if the chain ID is not registered.
+ */
+async function resolveChainId(settler, chainId, runner) {
+    const contract = typeof settler === "string" ? getSettler(settler, runner) : settler;
+    return toChainLocation(await contract.getChainLocation(chainId));
+}
+
+/**
+ * Resolves each distinct chain ID of `chainIds`, see `resolveChainId`.
+ * @returns {Promise<Map<bigint, ChainLocation|null>>} Locations by chain ID.
+ */
+async function resolveChainIds(settler, chainIds, runner) {
+    const contract = typeof settler === "string" ? getSettler(settler, runner) : settler;
+    const ids = [...new Set([...chainIds].map((chainId) => BigInt(chainId)))];
+    const locations = await Promise.all(ids.map((chainId) => resolveChainId(contract, chainId)));
+    return new Map(ids.map((chainId, i) => [chainId, locations[i]]));
+}
+
+module.exports = {
+    isRegisteredLocation,
+    parseChainRegistrations,
+    resolveChainId,
+    resolveChainIds
+};
@@ -0,0 +1,336 @@
+const { ethers } = require("ethers");
+const { INPUT_SETTLER_XCM_ESCROW_ABI, INPUT_SETTLER_ESCROW_ABI, ERC20_ABI } = require("./abi");
+const { NATIVE_ASSET, validateOrder, aggregateInputs } = require("./order");
+
+/**
+ * Route taken by `open`/`openFor`.
+ * XCM: outputs were teleported immediately through the XCM precompile.
+ * ESCROW: the order was delegated to `baseSettler` and its inputs are locked in escrow.
+ * SPLIT: the XCM-eligible outputs were teleported and the other outputs escrowed in
+ * `baseSettler` as a derived order, funded by the inputs left after the teleports.
+ */
+const Route = Object.freeze({
+    XCM: "xcm",
+    ESCROW: "escrow",
+    SPLIT: "split"
+});
+
+/**
+ * Delivery mode of a route, matching the `RouteMode` enum of InputSettlerXCMEscrow.
+ * EXECUTE: teleport executed locally via `IXcm.execute`.
+ * SEND: transfer program dispatched to the destination via `IXcm.send`.
+ */
+const RouteMode = Object.freeze({
+    EXECUTE: 0,
+    SEND: 1
+});
+
+/**
+ * Transfer kind of locally executed routes, matching the `TransferKind` enum of InputSettlerXCMEscrow.
+ */
+const TransferKind = Object.freeze({
+    TELEPORT: 0,
+    RESERVE_TRANSFER: 1
+});
+
+/**
+ * Account type of the beneficiaries on a destination, matching the `BeneficiaryFormat` enum of InputSettlerXCMEscrow.
+ * ACCOUNT_ID_32: 32-byte Substrate accounts, the recipient is the public key (see `encodeRecipient`).
+ * ACCOUNT_KEY_20: 20-byte Ethereum accounts, the recipient is the left-padded address.
+ */
+const BeneficiaryFormat = Object.freeze({
+    ACCOUNT_ID_32: 0,
+    ACCOUNT_KEY_20: 1
+});
+
+/**
+ * Handling of the inputs exceeding the outputs on the XCM route, matching the `SurplusPolicy` enum of InputSettlerXCMEscrow.
+ * KEEP: the surplus stays with the payer (not collected by `open`, returned to the sponsor by `openFor`).
+ * COLLECT: the full inputs are collected and the surplus is paid to `surplusRecipient`.
+ */
+const SurplusPolicy = Object.freeze({
+    KEEP: 0,
+    COLLECT: 1
+});
+
+/**
+ * Status of an order on either route, matching the `SettlementStatus` enum of InputSettlerXCMEscrow.
+ * NONE to REFUNDED mirror the order status of `baseSettler`, XCM_SETTLED marks orders whose
+ * outputs were delivered via XCM. An order with any other status than NONE cannot be opened again.
+ */
+const SettlementStatus = Object.freeze({
+    NONE: 0,
+    DEPOSITED: 1,
+    CLAIMED: 2,
+    REFUNDED: 3,
+    XCM_SETTLED: 4
+});
+
+/**
+ * Events of the outputs delivered via XCM, with the route mode and transfer kind they stand for.
+ */
+const TELEPORT_EVENTS = Object.freeze({
+    XCMTeleportExecuted: { mode: RouteMode.EXECUTE, kind: TransferKind.TELEPORT },
+    XCMReserveTransferExecuted: { mode: RouteMode.EXECUTE, kind: TransferKind.RESERVE_TRANSFER },
+    XCMMessageSent: { mode: RouteMode.SEND, kind: null }
+});
+
+/**
+ * @typedef {Object} Teleport
+ * @property {number} mode RouteMode used to deliver the output.
+ * @property {number|null} kind TransferKind of locally executed outputs, null for sent ones.
+ * @property {bigint} destination OIF chain ID of the output, see `resolveChainId` for its parachain.
+ * @property {string} token Address of the teleported token.
+ * @property {bigint} amount Teleported amount.
+ * @property {string} recipient bytes32 beneficiary on the destination chain.
+ */
+
+/**
+ * @typedef {Object} Surplus
+ * @property {string} token Address of the input token.
+ * @property {bigint} amount Input amount not paid out to outputs.
+ * @property {string} recipient Address the surplus went to, or stayed with.
+ */
+
+/**
+ * @typedef {Object} Fee
+ * @property {string} token Address of the teleported token.
+ * @property {bigint} amount Protocol fee charged on the teleported amount.
+ * @property {string} recipient `feeRecipient` at the time of the order.
+ */
+
+/**
+ * @typedef {Object} OpenResult
+ * @property {"xcm"|"escrow"|"split"} route Path taken by the settler.
+ * @property {string} orderId Order identifier on the base settler, for all routes.
+ * @property {string|null} escrowOrderId Identifier of the derived order escrowing the remaining outputs (split route only).
+ * @property {number[]} escrowedOutputs Indices of the outputs left to the base settler (split route only).
+ * @property {Teleport[]} teleports Teleports executed or sent (XCM and split routes).
+ * @property {Fee[]} fees Per teleported token, the protocol fee charged (XCM and split routes).
+ * @property {Surplus[]} surplus Per input, the surplus handled by the surplus policy (XCM route only).
+ * @property {string} transactionHash Hash of the submitted transaction.
+ * @property {import("ethers").TransactionReceipt} receipt Mined transaction receipt.
+ */
+
+const settlerInterface = new ethers.Interface(INPUT_SETTLER_XCM_ESCROW_ABI);
+const baseSettlerInterface = new ethers.Interface(INPUT_SETTLER_ESCROW_ABI);
+
+function sameAddress(a, b) {
+    return a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Returns an ethers Contract bound to an InputSettlerXCMEscrow deployment.
+ */
+function getSettler(address, runner) {
+    return new ethers.Contract(address, INPUT_SETTLER_XCM_ESCROW_ABI, runner);
+}
+
+/**
+ * Decodes the route taken by an `open`/`openFor` transaction from its receipt.
+ * @param {import("ethers").TransactionReceipt} receipt
+ * @param {{ settler: string, baseSettler: string }} addresses
+ * @returns {OpenResult}
+ */
+function parseOpenReceipt(receipt, { settler, baseSettler }) {
+    const teleports = [];
+    const fees = [];
+    const surplus = [];
+    let orderId = null;
+    let route = null;
+    let escrowOrderId = null;
+    let escrowedOutputs = [];
+
+    for (const log of receipt.logs) {
+        if (sameAddress(log.address, settler)) {
+            const parsed = settlerInterface.parseLog(log);
+            if (parsed && parsed.name === "XCMOpen") {
+                orderId = parsed.args.orderId;
+                route = Route.XCM;
+            } else if (parsed && parsed.name === "XCMFeeCharged") {
+                fees.push({
+                    token: parsed.args.token,
+                    amount: parsed.args.amount,
+                    recipient: parsed.args.recipient
+                });
+            } else if (parsed && parsed.name === "XCMSurplus") {
+                surplus.push({
+                    token: parsed.args.token,
+                    amount: parsed.args.amount,
+                    recipient: parsed.args.recipient
+                });
+            } else if (parsed && parsed.name === "XCMOrderSplit") {
+                route = Route.SPLIT;
+                escrowOrderId = parsed.args.escrowOrderId;
+                escrowedOutputs = parsed.args.escrowedOutputs.map(Number);
+            } else if (parsed && TELEPORT_EVENTS[parsed.name]) {
+                teleports.push({
+                    ...TELEPORT_EVENTS[parsed.name],
+                    destination: parsed.args.destination,
+                    token: parsed.args.token,
+                    amount: parsed.args.amount,
+                    recipient: parsed.args.recipient
+                });
+            }
+        } else if (sameAddress(log.address, baseSettler)) {
+            const parsed = baseSettlerInterface.parseLog(log);
+            // A split order also opens its derived order on the base settler
+            if (parsed && parsed.name === "Open" && route === null) {
+                orderId = parsed.args.orderId;
+                route = Route.ESCROW;
+            }
+        }
+    }
+
+    if (route === null) {
+        throw new Error(`Transaction ${receipt.hash} did not open an order on ${settler}`);
+    }
+
+    return {
+        route,
+        orderId,
+        escrowOrderId,
+        escrowedOutputs,
+        teleports,
+        fees,
+        surplus,
+        transactionHash: receipt.hash,
+        receipt
+    };
+}
+
+/**
+ * Returns the `msg.value` `open` expects for the order: the total of its `NATIVE_ASSET` inputs.
+ */
+function nativeValue(order) {
+    return aggregateInputs(order.inputs).get(NATIVE_ASSET) ?? 0n;
+}
+
+/**
+ * Approves the settler to pull the order inputs from the signer.
+ * Inputs are aggregated per token and only insufficient allowances are raised,
+ * which covers both the XCM route (outputs and protocol fee) and the escrow route (inputs).
+ * `NATIVE_ASSET` inputs are paid as value and need no approval.
+ * @returns {Promise<string[]>} Hashes of the approval transactions sent.
+ */
+async function approveInputs(signer, settler, order) {
+    const owner = await signer.getAddress();
+    const hashes = [];
+    for (const [token, amount] of aggregateInputs(order.inputs)) {
+        if (token === NATIVE_ASSET) continue;
+        const erc20 = new ethers.Contract(token, ERC20_ABI, signer);
+        const allowance = await erc20.allowance(owner, settler);
+        if (allowance < amount) {
+            const tx = await erc20.approve(settler, amount);
+            await tx.wait();
+            hashes.push(tx.hash);
+        }
+    }
+    return hashes;
+}
+
+/**
+ * Creates a client bound to an InputSettlerXCMEscrow deployment.
+ * @param {{ settler: string, signer: import("ethers").Signer }} options
+ */
+function createXCMEscrowClient({ settler, signer }) {
+    const contract = getSettler(settler, signer);
+    let baseSettlerAddress;
+
+    async function getBaseSettler() {
+        if (baseSettlerAddress === undefined) {
+            baseSettlerAddress = await contract.baseSettler();
+        }
+        return baseSettlerAddress;
+    }
+
+    async function submit(txPromise) {
+        const tx = await txPromise;
+        return tx.wait();
+    }
+
+    async function submitOpen(txPromise) {
+        const receipt = await submit(txPromise);
+        return parseOpenReceipt(receipt, { settler, baseSettler: await getBaseSettler() });
+    }
+
+    return {
+        contract,
+
+        getBaseSettler,
+
+        /**
+         * Approves the settler for the order inputs.
+         */
+        approve(order) {
+            return approveInputs(signer, settler, validateOrder(order));
+        },
+
+        /**
+         * Approves the inputs (unless `approve` is false) and calls `open`, sending the
+         * `NATIVE_ASSET` inputs as value.
+         * @returns {Promise<OpenResult>}
+         */
+        async open(order, { approve = true } = {}) {
+            validateOrder(order);
+            if (approve) {
+                await approveInputs(signer, settler, order);
+            }
+            return submitOpen(contract.open(order, { value: nativeValue(order) }));
+        },
+
+        /**
+         * Calls `openFor` with a sponsor signature. No approval is made.
+         * @returns {Promise<OpenResult>}
+         */
+        async openFor(order, sponsor, signature) {
+            validateOrder(order);
+            return submitOpen(contract.openFor(order, sponsor, signature));
+        },
+
+        /**
+         * Calls `refund`, returning the inputs of an expired escrowed order to `order.user`.
+         * @returns {Promise<import("ethers").TransactionReceipt>}
+         */
+        refund(order) {
+            return submit(contract.refund(validateOrder(order)));
+        },
+
+        orderIdentifier(order) {
+            return contract.orderIdentifier(validateOrder(order));
+        },
+
+        /**
+         * Returns the identifier of an order on the settler itself, under which orders settled via
+         * XCM stay recorded when the base settler is replaced.
+         * @returns {Promise<string>}
+         */
+        settlerOrderIdentifier(order) {
+            return contract.settlerOrderIdentifier(validateOrder(order));
+        },
+
+        /**
+         * Returns the `SettlementStatus` of an order.
+         * @param {string} orderId
+         * @returns {Promise<number>}
+         */
+        async orderStatus(orderId) {
+            return Number(await contract.orderStatus(orderId));
+        }
+    };
+}
+
+module.exports = {
+    Route,
+    RouteMode,
+    TransferKind,
+    BeneficiaryFormat,
+    SurplusPolicy,
+    SettlementStatus,
+    TELEPORT_EVENTS,
+    getSettler,
+    parseOpenReceipt,
+    nativeValue,
+    approveInputs,
+    createXCMEscrowClient
+};
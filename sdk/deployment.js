@@ -0,0 +1,171 @@
+const { ethers } = require("ethers");
+const { getSettler } = require("./client");
+const { parseRouteConfig, getTeleportRoutes, diffRoutes } = require("./routes");
+const { parseChainRegistrations, resolveChainId } = require("./chains");
+
+// Default of the `xcmPrecompile` parameter of the ignition module
+const DEFAULT_XCM_PRECOMPILE = ethers.getAddress("0x00000000000000000000000000000000000A0000");
+
+const ROLES = Object.freeze({
+    admin: "DEFAULT_ADMIN_ROLE",
+    routeManager: "ROUTE_MANAGER_ROLE",
+    pauser: "PAUSER_ROLE"
+});
+
+/**
+ * @typedef {Object} DeploymentConfig
+ * @property {string} inkLibrary Address of the XCM message library.
+ * @property {string} xcmPrecompile Address of the XCM precompile.
+ * @property {string|null} baseSettler Existing base settler to reuse, null to deploy a new one.
+ * @property {boolean} xcmEnabled Whether XCM settlement is enabled after deployment.
+ * @property {import("./chains").ChainRegistration[]} chains Chain IDs registered after deployment.
+ * @property {import("./routes").TeleportRoute[]} teleportRoutes Routes allowed after deployment.
+ * @property {{ admin: string, routeManager: string, pauser: string }} roles Holder of each role.
+ */
+
+/**
+ * @typedef {Object} DeploymentMismatch
+ * @property {string} field Checked property, e.g. `inkLibrary` or `roles.admin`.
+ * @property {*} expected
+ * @property {*} actual
+ */
+
+function isZeroAddress(value) {
+    return ethers.isAddress(value) && BigInt(value) === 0n;
+}
+
+function requireAddress(parameters, name, { optional = false } = {}) {
+    const value = parameters[name];
+    if (value === undefined && optional) return null;
+    if (value === undefined) {
+        throw new Error(`Missing deployment parameter ${name}: it has no default and must be set per network`);
+    }
+    if (!ethers.isAddress(value) || isZeroAddress(value)) {
+        throw new Error(`Invalid deployment parameter ${name}: ${value} is not a non-zero address`);
+    }
+    return ethers.getAddress(value);
+}
+
+/**
+ * Resolves the parameters of `InputSettlerXCMEscrowModule` into a deployment config,
+ * applying the module defaults. Role holders default to `deployer`.
+ * Throws on missing or zero addresses, which the settler constructor would reject.
+ * @param {Object} parameters The `InputSettlerXCMEscrowModule` entry of an ignition parameter file.
+ * @param {{ deployer: string }} options
+ * @returns {DeploymentConfig}
+ */
+function parseDeploymentParameters(parameters, { deployer }) {
+    const withDefaults = {
+        xcmPrecompile: DEFAULT_XCM_PRECOMPILE,
+        admin: deployer,
+        routeManager: deployer,
+        pauser: deployer,
+        ...parameters
+    };
+    const xcmEnabled = withDefaults.xcmEnabled ?? true;
+    if (typeof xcmEnabled !== "boolean") {
+        throw new Error(`Invalid deployment parameter xcmEnabled: ${xcmEnabled} is not a boolean`);
+    }
+    return {
+        inkLibrary: requireAddress(withDefaults, "inkLibrary"),
+        xcmPrecompile: requireAddress(withDefaults, "xcmPrecompile"),
+        baseSettler: requireAddress(withDefaults, "baseSettler", { optional: true }),
+        xcmEnabled,
+        chains: parseChainRegistrations(withDefaults.chains ?? []),
+        teleportRoutes: parseRouteConfig(withDefaults.teleportRoutes ?? []),
+        roles: Object.fromEntries(Object.keys(ROLES).map((name) => [name, requireAddress(withDefaults, name)]))
+    };
+}
+
+/**
+ * Reads back a deployed settler and compares it with `config`.
+ * When `deployer` is given, it must not hold the roles handed to other accounts.
+ * @param {import("ethers").Contract|string} settler Settler contract or address.
+ * @param {DeploymentConfig} config
+ * @param {{ deployer?: string, runner?: import("ethers").ContractRunner }} [options]
+ * @returns {Promise<DeploymentMismatch[]>} Empty if the deployment matches.
+ */
+async function verifyDeployment(settler, config, { deployer, runner } = {}) {
+    const contract = typeof settler === "string" ? getSettler(settler, runner) : settler;
+    const mismatches = [];
+    const check = (field, expected, actual) => {
+        if (expected !== actual) mismatches.push({ field, expected, actual });
+    };
+
+    const [inkLibrary, xcmPrecompile, baseSettler, xcmEnabled] = await Promise.all([
+        contract.inkLibrary(),
+        contract.xcmPrecompile(),
+        contract.baseSettler(),
+        contract.xcmEnabled()
+    ]);
+    check("inkLibrary", config.inkLibrary, inkLibrary);
+    check("xcmPrecompile", config.xcmPrecompile, xcmPrecompile);
+    if (config.baseSettler !== null) {
+        check("baseSettler", config.baseSettler, baseSettler);
+    }
+    const provider = contract.runner?.provider ?? runner?.provider;
+    if (provider && await provider.getCode(baseSettler) === "0x") {
+        mismatches.push({ field: "baseSettler", expected: "deployed contract", actual: "no code" });
+    }
+    check("xcmEnabled", config.xcmEnabled, xcmEnabled);
+
+    for (const [name, role] of Object.entries(ROLES)) {
+        const id = await contract[role]();
+        const holder = config.roles[name];
+        check(`roles.${name}`, true, await contract.hasRole(id, holder));
+        if (deployer && ethers.getAddress(deployer) !== holder) {
+            check(`roles.${name}.deployer`, false, await contract.hasRole(id, deployer));
+        }
+    }
+
+    for (const { chainId, location } of config.chains) {
+        const actual = await resolveChainId(contract, chainId);
+        if (JSON.stringify(actual) !== JSON.stringify(location)) {
+            mismatches.push({ field: "chains", expected: { chainId, location }, actual: { chainId, location: actual } });
+        }
+    }
+
+    const { allow, forbid } = diffRoutes(config.teleportRoutes, await getTeleportRoutes(contract));
+    for (const route of allow) {
+        mismatches.push({ field: "teleportRoutes", expected: route, actual: null });
+    }
+    for (const route of forbid) {
+        mismatches.push({ field: "teleportRoutes", expected: null, actual: route });
+    }
+    return mismatches;
+}
+
+/**
+ * Renounces the roles `deployer` holds on the settler but that `config` assigns to other
+ * accounts, e.g. a multisig. The admin role is renounced last. Requires `settler` to be
+ * connected to the deployer.
+ * @param {import("ethers").Contract} settler
+ * @param {DeploymentConfig} config
+ * @returns {Promise<string[]>} Hashes of the `renounceRole` transactions sent.
+ */
+async function renounceDeployerRoles(settler, config) {
+    const deployer = await settler.runner.getAddress();
+    const hashes = [];
+    for (const name of ["pauser", "routeManager", "admin"]) {
+        if (config.roles[name] === ethers.getAddress(deployer)) continue;
+        const id = await settler[ROLES[name]]();
+        // The new holder must be in place before the deployer gives the role up
+        if (!await settler.hasRole(id, config.roles[name])) {
+            throw new Error(`Role ${name} is not granted to ${config.roles[name]}, refusing to renounce it`);
+        }
+        if (await settler.hasRole(id, deployer)) {
+            const tx = await settler.renounceRole(id, deployer);
+            await tx.wait();
+            hashes.push(tx.hash);
+        }
+    }
+    return hashes;
+}
+
+module.exports = {
+    DEFAULT_XCM_PRECOMPILE,
+    ROLES,
+    parseDeploymentParameters,
+    verifyDeployment,
+    renounceDeployerRoles
+};
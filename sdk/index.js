@@ -0,0 +1,12 @@
+module.exports = {
+    ...require("./abi"),
+    ...require("./accounts"),
+    ...require("./chains"),
+    ...require("./order"),
+    ...require("./client"),
+    ...require("./deployment"),
+    ...require("./indexer"),
+    ...require("./preflight"),
+    ...require("./routes"),
+    ...require("./signatures")
+};
@@ -0,0 +1,273 @@
+const { ethers } = require("ethers");
+const { INPUT_SETTLER_XCM_ESCROW_ABI, INPUT_SETTLER_ESCROW_ABI } = require("./abi");
+const { Route, TELEPORT_EVENTS } = require("./client");
+
+/**
+ * Entries of an order timeline.
+ */
+const TimelineEvent = Object.freeze({
+    OPENED_XCM: "opened_xcm",
+    DELIVERED: "delivered",
+    FEE: "fee",
+    SURPLUS: "surplus",
+    SPLIT: "split",
+    OPENED_ESCROW: "opened_escrow",
+    PURCHASED: "purchased",
+    FINALISED: "finalised",
+    REFUNDED: "refunded"
+});
+
+/**
+ * Last known state of an order.
+ * DELIVERED: outputs were delivered through XCM.
+ * DEPOSITED: inputs are locked in the base settler.
+ * FINALISED / REFUNDED: the escrow was paid out to the solver / returned to the user.
+ */
+const TimelineStatus = Object.freeze({
+    DELIVERED: "delivered",
+    DEPOSITED: "deposited",
+    FINALISED: "finalised",
+    REFUNDED: "refunded"
+});
+
+const STATUS_AFTER = Object.freeze({
+    [TimelineEvent.OPENED_XCM]: TimelineStatus.DELIVERED,
+    [TimelineEvent.OPENED_ESCROW]: TimelineStatus.DEPOSITED,
+    [TimelineEvent.FINALISED]: TimelineStatus.FINALISED,
+    [TimelineEvent.REFUNDED]: TimelineStatus.REFUNDED
+});
+
+const DEFAULT_BLOCK_RANGE = 10_000;
+
+const settlerInterface = new ethers.Interface(INPUT_SETTLER_XCM_ESCROW_ABI);
+const baseSettlerInterface = new ethers.Interface(INPUT_SETTLER_ESCROW_ABI);
+
+/**
+ * @typedef {Object} TimelineEntry
+ * @property {string} type A TimelineEvent.
+ * @property {number} blockNumber
+ * @property {string} transactionHash
+ * @property {number} logIndex
+ */
+
+/**
+ * @typedef {Object} OrderTimeline
+ * @property {string} orderId Order identifier on the base settler.
+ * @property {"xcm"|"escrow"|"split"|null} route Route taken, null if the order was opened outside the indexed range.
+ *   The escrowed part of a split order has its own timeline, linked by the `escrowOrderId` of its split entry.
+ * @property {string|null} status A TimelineStatus, null if the order was opened outside the indexed range.
+ * @property {string|null} user Order owner.
+ * @property {Object|null} order The StandardOrder, as accepted by the SDK.
+ * @property {TimelineEntry[]} events Entries in chain order.
+ */
+
+function decodeOrder(order) {
+    return {
+        user: order.user,
+        nonce: order.nonce,
+        originChainId: order.originChainId,
+        expires: Number(order.expires),
+        fillDeadline: Number(order.fillDeadline),
+        inputOracle: order.inputOracle,
+        inputs: order.inputs.map(([token, amount]) => [ethers.getAddress(ethers.toBeHex(token, 20)), amount]),
+        outputs: order.outputs.map((output) => ({
+            oracle: output.oracle,
+            settler: output.settler,
+            chainId: output.chainId,
+            token: output.token,
+            amount: output.amount,
+            recipient: output.recipient,
+            call: output.call,
+            context: output.context
+        }))
+    };
+}
+
+function compareLogs(a, b) {
+    return a.blockNumber - b.blockNumber ||
+        (a.transactionIndex ?? 0) - (b.transactionIndex ?? 0) ||
+        logIndexOf(a) - logIndexOf(b);
+}
+
+function logIndexOf(log) {
+    return log.index ?? log.logIndex;
+}
+
+/**
+ * Turns a settler or base settler log into a timeline entry, or null for unrelated logs.
+ */
+function parseEntry(log, { settler, baseSettler }) {
+    const address = ethers.getAddress(log.address);
+    const parsed = address === settler
+        ? settlerInterface.parseLog(log)
+        : address === baseSettler ? baseSettlerInterface.parseLog(log) : null;
+    if (!parsed) return null;
+
+    const base = {
+        blockNumber: log.blockNumber,
+        transactionHash: log.transactionHash,
+        logIndex: logIndexOf(log)
+    };
+    const { args } = parsed;
+
+    if (address === settler) {
+        if (parsed.name === "XCMOpen") {
+            return { orderId: args.orderId, order: args.order, type: TimelineEvent.OPENED_XCM, ...base };
+        }
+        if (parsed.name === "XCMFeeCharged" || parsed.name === "XCMSurplus") {
+            return {
+                orderId: args.orderId,
+                type: parsed.name === "XCMFeeCharged" ? TimelineEvent.FEE : TimelineEvent.SURPLUS,
+                ...base,
+                token: args.token,
+                amount: args.amount,
+                recipient: args.recipient
+            };
+        }
+        if (parsed.name === "XCMOrderSplit") {
+            return {
+                orderId: args.orderId,
+                type: TimelineEvent.SPLIT,
+                ...base,
+                escrowOrderId: args.escrowOrderId,
+                escrowedOutputs: args.escrowedOutputs.map(Number)
+            };
+        }
+        if (TELEPORT_EVENTS[parsed.name]) {
+            return {
+                orderId: args.orderId,
+                type: TimelineEvent.DELIVERED,
+                ...base,
+                ...TELEPORT_EVENTS[parsed.name],
+                destination: args.destination,
+                token: args.token,
+                amount: args.amount,
+                recipient: args.recipient
+            };
+        }
+        return null;
+    }
+
+    switch (parsed.name) {
+    case "Open":
+        return { orderId: args.orderId, order: args.order, type: TimelineEvent.OPENED_ESCROW, ...base };
+    case "OrderPurchased":
+        return {
+            orderId: args.orderId,
+            type: TimelineEvent.PURCHASED,
+            ...base,
+            solver: args.solver,
+            purchaser: args.purchaser
+        };
+    case "Finalised":
+        return {
+            orderId: args.orderId,
+            type: TimelineEvent.FINALISED,
+            ...base,
+            solver: args.solver,
+            destination: args.destination
+        };
+    case "Refunded":
+        return { orderId: args.orderId, type: TimelineEvent.REFUNDED, ...base };
+    default:
+        return null;
+    }
+}
+
+/**
+ * Groups settler and base settler logs into one timeline per order.
+ * Logs may be given in any order and may include unrelated logs, which are skipped.
+ * @param {import("ethers").Log[]} logs
+ * @param {{ settler: string, baseSettler: string }} addresses
+ * @returns {OrderTimeline[]} Timelines ordered by their first entry.
+ */
+function buildTimelines(logs, { settler, baseSettler }) {
+    const addresses = { settler: ethers.getAddress(settler), baseSettler: ethers.getAddress(baseSettler) };
+    const timelines = new Map();
+
+    for (const log of [...logs].sort(compareLogs)) {
+        const entry = parseEntry(log, addresses);
+        if (!entry) continue;
+
+        const { orderId, order, ...event } = entry;
+        if (!timelines.has(orderId)) {
+            timelines.set(orderId, { orderId, route: null, status: null, user: null, order: null, events: [] });
+        }
+        const timeline = timelines.get(orderId);
+
+        if (order) {
+            timeline.order = decodeOrder(order);
+            timeline.user = timeline.order.user;
+            timeline.route = event.type === TimelineEvent.OPENED_XCM ? Route.XCM : Route.ESCROW;
+        }
+        if (event.type === TimelineEvent.SPLIT) {
+            timeline.route = Route.SPLIT;
+        }
+        timeline.status = STATUS_AFTER[event.type] ?? timeline.status;
+        timeline.events.push(event);
+    }
+    return [...timelines.values()];
+}
+
+/**
+ * Fetches the logs of the settler and its base settler over a block range,
+ * in chunks of `blockRange` blocks to stay within RPC limits.
+ * @throws {RangeError} If `blockRange` is not a positive integer.
+ * @param {import("ethers").Provider} provider
+ * @param {{ settler: string, baseSettler: string, fromBlock?: number, toBlock?: number, blockRange?: number }} options
+ * @returns {Promise<import("ethers").Log[]>}
+ */
+async function fetchSettlementLogs(provider, {
+    settler,
+    baseSettler,
+    fromBlock = 0,
+    toBlock,
+    blockRange = DEFAULT_BLOCK_RANGE
+}) {
+    if (!Number.isSafeInteger(blockRange) || blockRange <= 0) {
+        throw new RangeError(`blockRange must be a positive integer number of blocks, got ${blockRange}`);
+    }
+    const end = toBlock ?? await provider.getBlockNumber();
+    const logs = [];
+    for (let start = fromBlock; start <= end; start += blockRange) {
+        logs.push(...await provider.getLogs({
+            address: [settler, baseSettler],
+            fromBlock: start,
+            toBlock: Math.min(start + blockRange - 1, end)
+        }));
+    }
+    return logs;
+}
+
+/**
+ * Scans a block range and reconstructs the settlement history of every order
+ * seen on the settler or its base settler. `baseSettler` is read from the
+ * settler when omitted. Orders opened directly on a shared base settler are
+ * included as escrow orders.
+ * @param {import("ethers").Provider} provider
+ * @param {{ settler: string, baseSettler?: string, fromBlock?: number, toBlock?: number, blockRange?: number }} options
+ * @returns {Promise<OrderTimeline[]>}
+ */
+async function indexOrders(provider, { settler, baseSettler, ...range }) {
+    const base = baseSettler ?? await new ethers.Contract(settler, INPUT_SETTLER_XCM_ESCROW_ABI, provider).baseSettler();
+    const logs = await fetchSettlementLogs(provider, { settler, baseSettler: base, ...range });
+    return buildTimelines(logs, { settler, baseSettler: base });
+}
+
+/**
+ * Serializes timelines to JSON, encoding bigints as decimal strings.
+ * @param {OrderTimeline[]} timelines
+ * @returns {string}
+ */
+function timelinesToJSON(timelines, space = 2) {
+    return JSON.stringify(timelines, (_, value) => (typeof value === "bigint" ? value.toString() : value), space);
+}
+
+module.exports = {
+    TimelineEvent,
+    TimelineStatus,
+    buildTimelines,
+    fetchSettlementLogs,
+    indexOrders,
+    timelinesToJSON
+};
@@ -0,0 +1,297 @@
+const { ethers } = require("ethers");
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+// Numeric limits mirrored from the StandardOrder / XCM types
+const UINT32_MAX = (1n << 32n) - 1n;
+const UINT128_MAX = (1n << 128n) - 1n;
+const UINT160_MAX = (1n << 160n) - 1n;
+const UINT256_MAX = ethers.MaxUint256;
+
+const BYTES32_LENGTH = 32;
+
+// Token identifier of the chain's native asset, mirrored from `InputSettlerXCMEscrow.NATIVE_ASSET`
+const NATIVE_ASSET = "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE";
+
+// Default validity window for new orders (in seconds)
+const DEFAULT_ORDER_TTL = 3600;
+
+// =============================================================================
+// Errors
+// =============================================================================
+
+/**
+ * Thrown when an order does not match the StandardOrder shape expected on-chain.
+ * `field` points at the offending member, e.g. `outputs[1].chainId`.
+ */
+class OrderValidationError extends Error {
+    constructor(field, message) {
+        super(`Invalid order ${field}: ${message}`);
+        this.name = "OrderValidationError";
+        this.field = field;
+    }
+}
+
+// =============================================================================
+// Identifier encoding
+// =============================================================================
+
+/**
+ * Encodes an address or short hex value as a left-padded bytes32 identifier.
+ * Values that are already 32 bytes long are returned unchanged.
+ */
+function toBytes32(value) {
+    if (typeof value === "bigint" || typeof value === "number") {
+        return ethers.toBeHex(value, BYTES32_LENGTH);
+    }
+    if (value && typeof value.target === "string") {
+        value = value.target;
+    }
+    if (!ethers.isHexString(value)) {
+        throw new TypeError(`Cannot encode ${value} as bytes32`);
+    }
+    return ethers.zeroPadValue(value, BYTES32_LENGTH);
+}
+
+/**
+ * Decodes a bytes32 identifier back into an EVM address.
+ * Mirrors `LibAddress.fromIdentifier`, i.e. only the lower 20 bytes are kept.
+ */
+function fromBytes32(identifier) {
+    return ethers.getAddress(ethers.toBeHex(ethers.toBigInt(identifier) & UINT160_MAX, 20));
+}
+
+function resolveAddress(value) {
+    if (value && typeof value.target === "string") return value.target;
+    if (value && typeof value.address === "string") return value.address;
+    return value;
+}
+
+// =============================================================================
+// Order building
+// =============================================================================
+
+/**
+ * Builds a MandateOutput. `token`, `recipient`, `settler` and `oracle` accept
+ * addresses or bytes32 identifiers.
+ */
+function buildOutput({
+    chainId,
+    token,
+    amount,
+    recipient,
+    settler = ethers.ZeroHash,
+    oracle = ethers.ZeroHash,
+    call = "0x",
+    context = "0x"
+}) {
+    return {
+        oracle: toBytes32(resolveAddress(oracle)),
+        settler: toBytes32(resolveAddress(settler)),
+        chainId: BigInt(chainId),
+        token: toBytes32(resolveAddress(token)),
+        amount: BigInt(amount),
+        recipient: toBytes32(resolveAddress(recipient)),
+        call: ethers.hexlify(call),
+        context: ethers.hexlify(context)
+    };
+}
+
+/**
+ * Context type of the outputs carrying the order's maximum XCM weight.
+ */
+const MAX_WEIGHT_CONTEXT_TYPE = "0xa0";
+
+/**
+ * Version of the max weight context encoding, following the type byte.
+ */
+const MAX_WEIGHT_CONTEXT_VERSION = "0x01";
+
+const UINT64_MAX = (1n << 64n) - 1n;
+
+/**
+ * Encodes the maximum total weight of the XCM messages executed for an order,
+ * to be used as the context of one of its outputs. Zero components are unlimited.
+ * @param {{ refTime?: bigint|number, proofSize?: bigint|number }} maxWeight
+ * @returns {string} `0xa0 || 0x01 || uint64 refTime || uint64 proofSize`
+ */
+function encodeMaxWeightContext({ refTime = 0n, proofSize = 0n }) {
+    assertUint("maxWeight.refTime", refTime, UINT64_MAX);
+    assertUint("maxWeight.proofSize", proofSize, UINT64_MAX);
+    return ethers.solidityPacked(
+        ["bytes1", "bytes1", "uint64", "uint64"],
+        [MAX_WEIGHT_CONTEXT_TYPE, MAX_WEIGHT_CONTEXT_VERSION, refTime, proofSize]
+    );
+}
+
+/**
+ * Decodes a max weight context, returning null for any other context, including other versions.
+ * @param {string} context
+ * @returns {{ refTime: bigint, proofSize: bigint }|null}
+ */
+function decodeMaxWeightContext(context) {
+    const bytes = ethers.getBytes(context);
+    if (
+        bytes.length !== 18 ||
+        ethers.hexlify(bytes.slice(0, 1)) !== MAX_WEIGHT_CONTEXT_TYPE ||
+        ethers.hexlify(bytes.slice(1, 2)) !== MAX_WEIGHT_CONTEXT_VERSION
+    ) return null;
+    return {
+        refTime: ethers.toBigInt(bytes.slice(2, 10)),
+        proofSize: ethers.toBigInt(bytes.slice(10, 18))
+    };
+}
+
+/**
+ * Builds and validates a StandardOrder.
+ * Inputs may be given as `[token, amount]` pairs or `{ token, amount }` objects.
+ * `expires` and `fillDeadline` default to `DEFAULT_ORDER_TTL` seconds from now.
+ * `maxWeight` bounds the total weight of the XCM messages executed for the order
+ * and is carried in the context of the first output.
+ */
+function buildOrder({
+    user,
+    nonce = 0n,
+    originChainId,
+    expires,
+    fillDeadline,
+    inputOracle = ethers.ZeroAddress,
+    inputs = [],
+    outputs = [],
+    maxWeight,
+    now = Math.floor(Date.now() / 1000)
+}) {
+    const order = {
+        user: resolveAddress(user),
+        nonce: BigInt(nonce),
+        originChainId: BigInt(originChainId),
+        expires: Number(expires ?? now + DEFAULT_ORDER_TTL),
+        fillDeadline: Number(fillDeadline ?? expires ?? now + DEFAULT_ORDER_TTL),
+        inputOracle: resolveAddress(inputOracle),
+        inputs: inputs.map((input) => {
+            const [token, amount] = Array.isArray(input) ? input : [input.token, input.amount];
+            return [ethers.getAddress(resolveAddress(token)), BigInt(amount)];
+        }),
+        outputs: outputs.map((output) => buildOutput(output))
+    };
+    if (maxWeight !== undefined) {
+        if (order.outputs.length === 0) {
+            throw new OrderValidationError("maxWeight", "requires at least one output");
+        }
+        order.outputs[0].context = encodeMaxWeightContext(maxWeight);
+    }
+    validateOrder(order);
+    return order;
+}
+
+// =============================================================================
+// Validation
+// =============================================================================
+
+function assertUint(field, value, max) {
+    let number;
+    try {
+        number = ethers.toBigInt(value);
+    } catch {
+        throw new OrderValidationError(field, `${value} is not an integer`);
+    }
+    if (number < 0n || number > max) {
+        throw new OrderValidationError(field, `${value} is out of range`);
+    }
+    return number;
+}
+
+function assertAddress(field, value) {
+    if (!ethers.isAddress(value)) {
+        throw new OrderValidationError(field, `${value} is not an address`);
+    }
+}
+
+function assertBytes32(field, value) {
+    if (!ethers.isHexString(value, BYTES32_LENGTH)) {
+        throw new OrderValidationError(field, `${value} is not a bytes32 value`);
+    }
+}
+
+function assertBytes(field, value) {
+    if (!ethers.isHexString(value)) {
+        throw new OrderValidationError(field, `${value} is not hex encoded bytes`);
+    }
+}
+
+/**
+ * Checks that `order` can be ABI encoded as a StandardOrder and is accepted by
+ * `open`. Throws an OrderValidationError describing the first problem found.
+ * Only structural checks are made here; routing checks live in the preflight.
+ */
+function validateOrder(order) {
+    if (order === null || typeof order !== "object") {
+        throw new OrderValidationError("order", "must be an object");
+    }
+    assertAddress("user", order.user);
+    assertUint("nonce", order.nonce, UINT256_MAX);
+    assertUint("originChainId", order.originChainId, UINT256_MAX);
+    assertUint("expires", order.expires, UINT32_MAX);
+    assertUint("fillDeadline", order.fillDeadline, UINT32_MAX);
+    assertAddress("inputOracle", order.inputOracle);
+
+    if (!Array.isArray(order.inputs)) {
+        throw new OrderValidationError("inputs", "must be an array");
+    }
+    order.inputs.forEach((input, i) => {
+        if (!Array.isArray(input) || input.length !== 2) {
+            throw new OrderValidationError(`inputs[${i}]`, "must be a [token, amount] pair");
+        }
+        assertUint(`inputs[${i}].token`, input[0], UINT160_MAX);
+        assertUint(`inputs[${i}].amount`, input[1], UINT256_MAX);
+    });
+
+    if (!Array.isArray(order.outputs)) {
+        throw new OrderValidationError("outputs", "must be an array");
+    }
+    order.outputs.forEach((output, i) => {
+        for (const key of ["oracle", "settler", "token", "recipient"]) {
+            assertBytes32(`outputs[${i}].${key}`, output[key]);
+        }
+        assertUint(`outputs[${i}].chainId`, output.chainId, UINT256_MAX);
+        assertUint(`outputs[${i}].amount`, output.amount, UINT256_MAX);
+        assertBytes(`outputs[${i}].call`, output.call);
+        assertBytes(`outputs[${i}].context`, output.context);
+    });
+    return order;
+}
+
+/**
+ * Sums input amounts per token address.
+ * @returns {Map<string, bigint>} Checksummed token address to total amount.
+ */
+function aggregateInputs(inputs) {
+    const totals = new Map();
+    for (const [token, amount] of inputs) {
+        const address = ethers.getAddress(ethers.toBeHex(ethers.toBigInt(token), 20));
+        totals.set(address, (totals.get(address) ?? 0n) + BigInt(amount));
+    }
+    return totals;
+}
+
+module.exports = {
+    UINT32_MAX,
+    UINT128_MAX,
+    UINT160_MAX,
+    BYTES32_LENGTH,
+    NATIVE_ASSET,
+    DEFAULT_ORDER_TTL,
+    MAX_WEIGHT_CONTEXT_TYPE,
+    MAX_WEIGHT_CONTEXT_VERSION,
+    OrderValidationError,
+    toBytes32,
+    fromBytes32,
+    buildOutput,
+    buildOrder,
+    encodeMaxWeightContext,
+    decodeMaxWeightContext,
+    validateOrder,
+    aggregateInputs
+};
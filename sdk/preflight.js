@@ -0,0 +1,320 @@
+const { ethers } = require("ethers");
+const { UINT128_MAX, UINT160_MAX, fromBytes32, validateOrder, decodeMaxWeightContext } = require("./order");
+const { Route, BeneficiaryFormat, getSettler } = require("./client");
+const { resolveChainIds } = require("./chains");
+
+/**
+ * Reasons for falling back to the base settler, in the order of the
+ * `XCMFallbackReason` enum of InputSettlerXCMEscrow.
+ */
+const FALLBACK_REASONS = Object.freeze([
+    "None",
+    "XCMDisabled",
+    "NoInputs",
+    "NoOutputs",
+    "RecipientZero",
+    "CallOrContextPresent",
+    "TeleportNotAllowed",
+    "OutputAmountTooLarge",
+    "InputAmountTooLarge",
+    "OutputsNotCovered",
+    "RateLimited",
+    "OrderAmountTooLarge",
+    "EscrowNotFunded",
+    "FeeNotCovered",
+    "RecipientFormatInvalid",
+    "ChainNotRegistered",
+    "WeightLimitExceeded",
+    "OrderWeightExceeded"
+]);
+
+const FallbackReason = Object.freeze(
+    Object.fromEntries(FALLBACK_REASONS.map((name, code) => [name, code]))
+);
+
+const FALLBACK_MESSAGES = Object.freeze({
+    None: "Order is eligible for XCM settlement",
+    XCMDisabled: "XCM settlement is disabled on the settler",
+    NoInputs: "Order has no inputs",
+    NoOutputs: "Order has no outputs",
+    RecipientZero: "Output recipient is zero",
+    CallOrContextPresent: "Output carries a call or context payload other than a max weight context",
+    TeleportNotAllowed: "Teleport of the output token to its chain is not allowed",
+    OutputAmountTooLarge: "Output amount does not fit in uint128",
+    InputAmountTooLarge: "Input amount does not fit in uint128",
+    OutputsNotCovered: "Inputs do not cover the outputs of the same token",
+    RateLimited: "Teleport exceeds the remaining rate limit of its route",
+    OrderAmountTooLarge: "Order teleports more of a token than the per-order maximum",
+    EscrowNotFunded: "No input is left after the teleported outputs to escrow the other outputs",
+    FeeNotCovered: "Inputs cover the outputs but not the protocol fee of their token",
+    RecipientFormatInvalid: "Output recipient is not an account of the beneficiary format of its chain",
+    ChainNotRegistered: "Output chainId has no XCM location in the chain registry",
+    WeightLimitExceeded: "Weighed message of the output exceeds the weight ceiling of its chain",
+    OrderWeightExceeded: "Weighed messages exceed the max weight of the order"
+});
+
+/** Denominator of protocol fees. */
+const BPS = 10_000n;
+
+/**
+ * @typedef {Object} PreflightResult
+ * @property {"xcm"|"escrow"|"split"} route Path `open` will take.
+ * @property {string} reason Name of the XCMFallbackReason, "None" for the XCM route.
+ * @property {number} code Numeric XCMFallbackReason as returned by `previewRoute`.
+ * @property {number} index Offending output (or input for InputAmountTooLarge), 0 otherwise.
+ *   For RateLimited and OrderAmountTooLarge, the first output of the offending route or token.
+ *   WeightLimitExceeded and OrderWeightExceeded are only known once `open` weighs the messages
+ *   and are never predicted.
+ * @property {number[]} escrowedOutputs Outputs left to the base settler when the order is split, empty otherwise.
+ * @property {{ token: string, amount: bigint }[]} fees Protocol fee per teleported token, in order of first
+ *   appearance in the outputs, as returned by `quoteFees`. Empty unless the order is settled via XCM.
+ * @property {string} message Human readable description of `reason`.
+ */
+
+function result(reason, index = 0, escrowedOutputs = [], fees = []) {
+    let route = Route.ESCROW;
+    if (reason === "None") route = escrowedOutputs.length === 0 ? Route.XCM : Route.SPLIT;
+    return {
+        route,
+        reason,
+        code: FallbackReason[reason],
+        index,
+        escrowedOutputs: reason === "None" ? escrowedOutputs : [],
+        fees: reason === "None" ? fees : [],
+        message: FALLBACK_MESSAGES[reason]
+    };
+}
+
+// _feeOf
+function feeOf(amount, bps) {
+    return amount * BigInt(bps) / BPS;
+}
+
+function teleportKey(destination, token) {
+    return `${BigInt(destination)}:${ethers.getAddress(token)}`;
+}
+
+// Parachain ID a registered chain ID is routed to
+function destinationOf(output, chainLocation) {
+    return BigInt(chainLocation(BigInt(output.chainId)).paraId);
+}
+
+// _outputFallbackReason
+function outputReason(output, { chainLocation, isTeleportAllowed, beneficiaryFormat }) {
+    if (BigInt(output.recipient) === 0n) return "RecipientZero";
+    const contextAllowed = ethers.dataLength(output.context) === 0 || decodeMaxWeightContext(output.context) !== null;
+    if (ethers.dataLength(output.call) !== 0 || !contextAllowed) return "CallOrContextPresent";
+    if (chainLocation(BigInt(output.chainId)) === null) return "ChainNotRegistered";
+    const destination = destinationOf(output, chainLocation);
+    if (!isTeleportAllowed(destination, fromBytes32(output.token))) return "TeleportNotAllowed";
+    if (
+        Number(beneficiaryFormat(destination)) === BeneficiaryFormat.ACCOUNT_KEY_20 &&
+        BigInt(output.recipient) > UINT160_MAX
+    ) return "RecipientFormatInvalid";
+    if (BigInt(output.amount) > UINT128_MAX) return "OutputAmountTooLarge";
+    return "None";
+}
+
+// _escrowedOutputs: indices of the outputs a split order leaves to the base settler
+function escrowedOutputsOf(order, splitEnabled, checks) {
+    if (!splitEnabled) return [];
+    const escrowed = [];
+    order.outputs.forEach((output, i) => {
+        if (outputReason(output, checks) !== "None") escrowed.push(i);
+    });
+    return escrowed.length === order.outputs.length ? [] : escrowed;
+}
+
+/**
+ * Reproduces the routing decision of `open` for `order` from a snapshot of the
+ * settler state. Checks run in the same order as on-chain so the first failure
+ * matches `previewRoute`.
+ * @param {Object} order A StandardOrder.
+ * `chainLocation` resolves an output chain ID through the chain registry, null if it is not registered,
+ * and the other callbacks take the parachain ID it resolves to as `destination`.
+ * `availableRate` returns the remaining rate limit capacity of a route and
+ * `maxOrderAmount` the per-order maximum of a token; both default to unlimited.
+ * `feeBps` returns the protocol fee of a token in basis points and defaults to no fee.
+ * `beneficiaryFormat` returns the `BeneficiaryFormat` of a destination and defaults to ACCOUNT_ID_32.
+ * `splitEnabled` defaults to false.
+ * @param {{
+ *   xcmEnabled: boolean,
+ *   splitEnabled?: boolean,
+ *   chainLocation: (chainId: bigint) => import("./chains").ChainLocation|null,
+ *   isTeleportAllowed: (destination: bigint, token: string) => boolean,
+ *   availableRate?: (destination: bigint, token: string) => bigint,
+ *   maxOrderAmount?: (token: string) => bigint,
+ *   feeBps?: (token: string) => number|bigint,
+ *   beneficiaryFormat?: (destination: bigint) => number|bigint
+ * }} state
+ * @returns {PreflightResult}
+ */
+function evaluateRoute(order, {
+    xcmEnabled,
+    splitEnabled = false,
+    chainLocation,
+    isTeleportAllowed,
+    availableRate = () => ethers.MaxUint256,
+    maxOrderAmount = () => 0n,
+    feeBps = () => 0n,
+    beneficiaryFormat = () => BeneficiaryFormat.ACCOUNT_ID_32
+}) {
+    if (!xcmEnabled) return result("XCMDisabled");
+    if (order.inputs.length === 0) return result("NoInputs");
+    if (order.outputs.length === 0) return result("NoOutputs");
+
+    const checks = { chainLocation, isTeleportAllowed, beneficiaryFormat };
+    const escrowedOutputs = escrowedOutputsOf(order, splitEnabled, checks);
+    const escrowed = new Set(escrowedOutputs);
+    const outputs = order.outputs.map((output, i) => ({ output, i })).filter(({ i }) => !escrowed.has(i));
+
+    // _validateOutputsForXCM
+    for (const { output, i } of outputs) {
+        const reason = outputReason(output, checks);
+        if (reason !== "None") return result(reason, i);
+    }
+
+    // _validateInputsForXCM
+    for (let i = 0; i < order.inputs.length; i++) {
+        if (BigInt(order.inputs[i][1]) > UINT128_MAX) return result("InputAmountTooLarge", i);
+    }
+
+    // _verifyInputsCoverOutputs, including the uint256 overflow of the per token sum
+    const required = new Map();
+    for (const { output, i } of outputs) {
+        const token = fromBytes32(output.token);
+        const total = (required.get(token) ?? 0n) + BigInt(output.amount);
+        if (total > ethers.MaxUint256) return result("OutputsNotCovered", i);
+        required.set(token, total);
+    }
+    const fees = [...required].map(([token, amount]) => ({ token, amount: feeOf(amount, feeBps(token)) }));
+    fees.forEach(({ token, amount }) => required.set(token, required.get(token) + amount));
+    let funded = false;
+    for (const [token, amount] of order.inputs) {
+        const address = ethers.getAddress(ethers.toBeHex(BigInt(token), 20));
+        if (required.has(address)) {
+            const remaining = required.get(address) - BigInt(amount);
+            if (remaining < 0n) funded = true;
+            required.set(address, remaining > 0n ? remaining : 0n);
+        } else if (BigInt(amount) !== 0n) {
+            funded = true;
+        }
+    }
+    for (const [token, remaining] of required) {
+        if (remaining > 0n) {
+            const { i } = outputs.find(({ output }) => fromBytes32(output.token) === token);
+            const { amount: fee } = fees.find((fee) => fee.token === token);
+            return result(remaining > fee ? "OutputsNotCovered" : "FeeNotCovered", i);
+        }
+    }
+    if (escrowedOutputs.length !== 0 && !funded) return result("EscrowNotFunded", escrowedOutputs[0]);
+
+    // _validateLimitsForXCM
+    for (const { output: current, i } of outputs) {
+        const destination = destinationOf(current, chainLocation);
+        const token = fromBytes32(current.token);
+        let tokenAmount = 0n;
+        let routeAmount = 0n;
+        for (const { output } of outputs) {
+            if (fromBytes32(output.token) !== token) continue;
+            tokenAmount += BigInt(output.amount);
+            if (destinationOf(output, chainLocation) === destination) routeAmount += BigInt(output.amount);
+        }
+        const maxAmount = BigInt(maxOrderAmount(token));
+        if (maxAmount !== 0n && tokenAmount > maxAmount) return result("OrderAmountTooLarge", i);
+        if (routeAmount > BigInt(availableRate(destination, token))) return result("RateLimited", i);
+    }
+
+    return result("None", 0, escrowedOutputs, fees);
+}
+
+/**
+ * Reads `xcmEnabled`, `splitEnabled`, the chain locations, the teleport allow-list entries, the beneficiary
+ * formats, the limits and the protocol fees used by `order` from the settler and predicts the route `open` will take.
+ * Weights are not modeled: an order predicted to take the XCM route still falls back with `WeightLimitExceeded` or
+ * `OrderWeightExceeded` when `open` weighs its messages over the destination ceiling or the order's max weight.
+ * @param {import("ethers").Contract|string} settler Settler contract or address.
+ * @param {Object} order A StandardOrder.
+ * @param {import("ethers").ContractRunner} [runner] Required when `settler` is an address.
+ * @returns {Promise<PreflightResult>}
+ */
+async function preflight(settler, order, runner) {
+    validateOrder(order);
+    const contract = typeof settler === "string" ? getSettler(settler, runner) : settler;
+
+    const locations = await resolveChainIds(contract, order.outputs.map((output) => output.chainId));
+    const pairs = new Map();
+    for (const output of order.outputs) {
+        const location = locations.get(BigInt(output.chainId));
+        if (location !== null) {
+            const destination = BigInt(location.paraId);
+            const token = fromBytes32(output.token);
+            pairs.set(teleportKey(destination, token), { destination, token });
+        }
+    }
+
+    const routes = [...pairs.values()];
+    const tokens = [...new Set(routes.map(({ token }) => token))];
+    const destinations = [...new Set(routes.map(({ destination }) => destination))];
+
+    const [xcmEnabled, splitEnabled, allowed, formats, rateLimits, maxAmounts, tokenFees] = await Promise.all([
+        contract.xcmEnabled(),
+        contract.splitEnabled(),
+        Promise.all(routes.map(({ destination, token }) => contract.isTeleportAllowed(destination, token))),
+        Promise.all(destinations.map((destination) => contract.beneficiaryFormat(destination))),
+        Promise.all(routes.map(({ destination, token }) => contract.getRateLimit(destination, token))),
+        Promise.all(tokens.map((token) => contract.maxOrderAmount(token))),
+        Promise.all(tokens.map((token) => contract.feeBps(token)))
+    ]);
+    const keys = [...pairs.keys()];
+    const allowedKeys = new Set(keys.filter((_, i) => allowed[i]));
+    const available = new Map(keys.map((key, i) => [key, rateLimits[i].available]));
+    const maxAmountOf = new Map(tokens.map((token, i) => [token, maxAmounts[i]]));
+    const feeBpsOf = new Map(tokens.map((token, i) => [token, tokenFees[i]]));
+    const formatOf = new Map(destinations.map((destination, i) => [destination, formats[i]]));
+
+    return evaluateRoute(order, {
+        xcmEnabled,
+        splitEnabled,
+        chainLocation: (chainId) => locations.get(chainId),
+        isTeleportAllowed: (destination, token) => allowedKeys.has(teleportKey(destination, token)),
+        availableRate: (destination, token) => available.get(teleportKey(destination, token)),
+        maxOrderAmount: (token) => maxAmountOf.get(token),
+        feeBps: (token) => feeBpsOf.get(token),
+        beneficiaryFormat: (destination) => formatOf.get(destination)
+    });
+}
+
+/**
+ * Asks the settler for its routing decision via `previewRoute`.
+ * Like `preflight`, it does not build or weigh the messages, so `WeightLimitExceeded` and `OrderWeightExceeded` are
+ * never returned and an XCM route is not guaranteed for orders with weight ceilings or a max weight.
+ * @returns {Promise<PreflightResult>}
+ */
+async function previewRoute(settler, order, runner) {
+    const contract = typeof settler === "string" ? getSettler(settler, runner) : settler;
+    const [code, index, escrowed] = await contract.previewRoute(order);
+    const escrowedOutputs = [...escrowed].flatMap((isEscrowed, i) => (isEscrowed ? [i] : []));
+    const fees = Number(code) === FallbackReason.None ? await quoteFees(contract, order) : [];
+    return result(FALLBACK_REASONS[Number(code)], Number(index), escrowedOutputs, fees);
+}
+
+/**
+ * Asks the settler for the protocol fee `open` charges on `order` via XCM, per teleported token.
+ * The inputs must cover the outputs plus these fees; what is left is the surplus.
+ * @returns {Promise<{ token: string, amount: bigint }[]>}
+ */
+async function quoteFees(settler, order, runner) {
+    const contract = typeof settler === "string" ? getSettler(settler, runner) : settler;
+    const fees = await contract.quoteFees(order);
+    return fees.map(({ token, amount }) => ({ token, amount }));
+}
+
+module.exports = {
+    FALLBACK_REASONS,
+    FallbackReason,
+    evaluateRoute,
+    preflight,
+    previewRoute,
+    quoteFees
+};
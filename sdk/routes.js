@@ -0,0 +1,122 @@
+const { ethers } = require("ethers");
+const { UINT32_MAX } = require("./order");
+const { getSettler } = require("./client");
+
+/**
+ * @typedef {Object} TeleportRoute
+ * @property {number} destination Parachain ID.
+ * @property {string} token Checksummed token address.
+ */
+
+function routeKey({ destination, token }) {
+    return `${destination}:${token}`;
+}
+
+function normalizeRoute(destination, token, field) {
+    const id = BigInt(destination);
+    if (id < 0n || id > UINT32_MAX) {
+        throw new Error(`Invalid route ${field}: destination ${destination} does not fit in uint32`);
+    }
+    if (!ethers.isAddress(token)) {
+        throw new Error(`Invalid route ${field}: ${token} is not an address`);
+    }
+    return { destination: Number(id), token: ethers.getAddress(token) };
+}
+
+/**
+ * Normalizes a declarative route config into a deduplicated list of routes.
+ * Accepted shapes:
+ *   { routes: [{ destination: 1000, tokens: ["0x.."] }, { destination: 2000, token: "0x.." }] }
+ *   [{ destination: 1000, token: "0x.." }]
+ * @returns {TeleportRoute[]}
+ */
+function parseRouteConfig(config) {
+    const entries = Array.isArray(config) ? config : config?.routes;
+    if (!Array.isArray(entries)) {
+        throw new Error("Route config must be an array or contain a `routes` array");
+    }
+
+    const routes = new Map();
+    entries.forEach((entry, i) => {
+        const tokens = entry.tokens ?? (entry.token !== undefined ? [entry.token] : []);
+        if (!Array.isArray(tokens) || tokens.length === 0) {
+            throw new Error(`Invalid route routes[${i}]: expected \`token\` or a non-empty \`tokens\` array`);
+        }
+        for (const token of tokens) {
+            const route = normalizeRoute(entry.destination, token, `routes[${i}]`);
+            routes.set(routeKey(route), route);
+        }
+    });
+    return [...routes.values()];
+}
+
+/**
+ * Reads the allow-list of a deployed settler.
+ * @returns {Promise<TeleportRoute[]>}
+ */
+async function getTeleportRoutes(settler, runner) {
+    const contract = typeof settler === "string" ? getSettler(settler, runner) : settler;
+    const routes = await contract.getTeleportRoutes();
+    return routes.map(({ destination, token }) => normalizeRoute(destination, token, "on-chain"));
+}
+
+/**
+ * Computes the minimal set of changes turning `current` into `desired`.
+ * @param {TeleportRoute[]} desired
+ * @param {TeleportRoute[]} current
+ * @returns {{ allow: TeleportRoute[], forbid: TeleportRoute[] }}
+ */
+function diffRoutes(desired, current) {
+    const desiredKeys = new Set(desired.map(routeKey));
+    const currentKeys = new Set(current.map(routeKey));
+    return {
+        allow: desired.filter((route) => !currentKeys.has(routeKey(route))),
+        forbid: current.filter((route) => !desiredKeys.has(routeKey(route)))
+    };
+}
+
+/**
+ * Encodes a route diff as at most one `forbidTeleports` and one `allowTeleports` call, forbidding first.
+ * @returns {{ method: string, routes: TeleportRoute[], data: string }[]}
+ */
+function encodeRouteChanges(settler, { allow, forbid }) {
+    const contract = typeof settler === "string" ? getSettler(settler) : settler;
+    const encode = (method, routes) => ({
+        method,
+        routes,
+        data: contract.interface.encodeFunctionData(method, [routes])
+    });
+    return [
+        ...(forbid.length !== 0 ? [encode("forbidTeleports", forbid)] : []),
+        ...(allow.length !== 0 ? [encode("allowTeleports", allow)] : [])
+    ];
+}
+
+/**
+ * Diffs `desired` against the deployed allow-list and, when `execute` is set,
+ * sends the resulting batch calls from the contract runner.
+ * @returns {Promise<{ allow: TeleportRoute[], forbid: TeleportRoute[], calls: Object[], transactions: string[] }>}
+ */
+async function syncTeleportRoutes(settler, desired, { execute = false, runner } = {}) {
+    const contract = typeof settler === "string" ? getSettler(settler, runner) : settler;
+    const diff = diffRoutes(desired, await getTeleportRoutes(contract));
+    const calls = encodeRouteChanges(contract, diff);
+
+    const transactions = [];
+    if (execute) {
+        for (const { method, routes } of calls) {
+            const tx = await contract[method](routes);
+            await tx.wait();
+            transactions.push(tx.hash);
+        }
+    }
+    return { ...diff, calls, transactions };
+}
+
+module.exports = {
+    parseRouteConfig,
+    getTeleportRoutes,
+    diffRoutes,
+    encodeRouteChanges,
+    syncTeleportRoutes
+};
@@ -0,0 +1,126 @@
+const { ethers } = require("ethers");
+
+/**
+ * Signature type prefixes accepted by `openFor`.
+ */
+const SignatureType = Object.freeze({
+    PERMIT2: "0x00",
+    ERC3009: "0x01"
+});
+
+const PERMIT2_ADDRESS = "0x000000000022D473030F116dDEE9F6B43aC78BA3";
+
+const MANDATE_OUTPUT_TYPE = [
+    { name: "oracle", type: "bytes32" },
+    { name: "settler", type: "bytes32" },
+    { name: "chainId", type: "uint256" },
+    { name: "token", type: "bytes32" },
+    { name: "amount", type: "uint256" },
+    { name: "recipient", type: "bytes32" },
+    { name: "call", type: "bytes" },
+    { name: "context", type: "bytes" }
+];
+
+const RECEIVE_WITH_AUTHORIZATION_TYPES = {
+    ReceiveWithAuthorization: [
+        { name: "from", type: "address" },
+        { name: "to", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "validAfter", type: "uint256" },
+        { name: "validBefore", type: "uint256" },
+        { name: "nonce", type: "bytes32" }
+    ]
+};
+
+const PERMIT2_WITNESS_TYPES = {
+    PermitBatchWitnessTransferFrom: [
+        { name: "permitted", type: "TokenPermissions[]" },
+        { name: "spender", type: "address" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+        { name: "witness", type: "Permit2Witness" }
+    ],
+    TokenPermissions: [
+        { name: "token", type: "address" },
+        { name: "amount", type: "uint256" }
+    ],
+    Permit2Witness: [
+        { name: "expires", type: "uint32" },
+        { name: "inputOracle", type: "address" },
+        { name: "outputs", type: "MandateOutput[]" }
+    ],
+    MandateOutput: MANDATE_OUTPUT_TYPE
+};
+
+/**
+ * Prefixes per-input signatures with their type as expected by `openFor`.
+ * A single signature is passed through, several are ABI encoded as `bytes[]`.
+ */
+function encodeOpenForSignature(type, signatures) {
+    const list = Array.isArray(signatures) ? signatures : [signatures];
+    const payload = list.length === 1
+        ? list[0]
+        : ethers.AbiCoder.defaultAbiCoder().encode(["bytes[]"], [list]);
+    return ethers.concat([type, payload]);
+}
+
+/**
+ * Signs ERC-3009 `ReceiveWithAuthorization` messages for every order input and
+ * encodes them for `openFor`.
+ * @param {import("ethers").Signer} signer The sponsor.
+ * @param {Object} order The StandardOrder.
+ * @param {Object} options
+ * @param {string} options.to Contract that collects the inputs: the XCM settler on the XCM route,
+ *                            the base settler on the escrow route.
+ * @param {string} options.orderId Order identifier used as authorization nonce.
+ * @param {(token: string) => ({ name: string, version: string })} options.domain EIP-712 domain of each token.
+ * @returns {Promise<string>}
+ */
+async function signERC3009OpenFor(signer, order, { to, orderId, domain }) {
+    const { chainId } = await signer.provider.getNetwork();
+    const from = await signer.getAddress();
+    const signatures = [];
+    for (const [token, value] of order.inputs) {
+        const verifyingContract = ethers.getAddress(ethers.toBeHex(BigInt(token), 20));
+        signatures.push(await signer.signTypedData(
+            { ...domain(verifyingContract), chainId, verifyingContract },
+            RECEIVE_WITH_AUTHORIZATION_TYPES,
+            { from, to, value, validAfter: 0, validBefore: order.fillDeadline, nonce: orderId }
+        ));
+    }
+    return encodeOpenForSignature(SignatureType.ERC3009, signatures);
+}
+
+/**
+ * Returns the Permit2 typed data a sponsor signs for `openFor`.
+ * @param {Object} order The StandardOrder.
+ * @param {{ spender: string, chainId: bigint|number }} options `spender` is the contract collecting the inputs.
+ */
+function getPermit2TypedData(order, { spender, chainId }) {
+    return {
+        domain: { name: "Permit2", chainId, verifyingContract: PERMIT2_ADDRESS },
+        types: PERMIT2_WITNESS_TYPES,
+        message: {
+            permitted: order.inputs.map(([token, amount]) => ({
+                token: ethers.getAddress(ethers.toBeHex(BigInt(token), 20)),
+                amount
+            })),
+            spender,
+            nonce: order.nonce,
+            deadline: order.fillDeadline,
+            witness: {
+                expires: order.expires,
+                inputOracle: order.inputOracle,
+                outputs: order.outputs
+            }
+        }
+    };
+}
+
+module.exports = {
+    SignatureType,
+    PERMIT2_ADDRESS,
+    encodeOpenForSignature,
+    signERC3009OpenFor,
+    getPermit2TypedData
+};
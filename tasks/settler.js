@@ -0,0 +1,222 @@
+// Hardhat tasks operating a deployed InputSettlerXCMEscrow, grouped under the `settler` scope.
+//
+// Usage:
+//   npx hardhat settler <command> [--settler 0x...] [--json] [--dry-run] --network <network>
+//
+// The settler defaults to SETTLER_ADDRESS. Transactions are sent from the first configured signer;
+// with --dry-run, commands print the calls they would make instead. --json prints the result as JSON.
+const fs = require("fs");
+const yaml = require("js-yaml");
+const { ethers } = require("ethers");
+const { scope, types } = require("hardhat/config");
+const {
+    ERC20_ABI,
+    NATIVE_ASSET,
+    ROLES,
+    TELEPORT_EVENTS,
+    getSettler,
+    validateOrder,
+    aggregateInputs,
+    nativeValue,
+    createXCMEscrowClient,
+    preflight,
+    parseRouteConfig,
+    getTeleportRoutes,
+    syncTeleportRoutes
+} = require("../sdk");
+
+const DEFAULT_BLOCK_RANGE = 10_000;
+
+function plain(value) {
+    return JSON.parse(JSON.stringify(value, (_, v) => (typeof v === "bigint" ? v.toString() : v)));
+}
+
+function report(result, { json }) {
+    console.log(json ? JSON.stringify(plain(result), null, 2) : yaml.dump(plain(result)).trimEnd());
+    return result;
+}
+
+/**
+ * Returns the settler bound to the first signer, or to the provider when no account is configured.
+ */
+async function connect(hre, { settler, requireSigner = false }) {
+    if (!settler) {
+        throw new Error("--settler or SETTLER_ADDRESS must be set");
+    }
+    const [signer] = await hre.ethers.getSigners();
+    if (!signer && requireSigner) {
+        throw new Error(`No account configured for network ${hre.network.name}, use --dry-run`);
+    }
+    return { contract: getSettler(settler, signer ?? hre.ethers.provider), signer };
+}
+
+/**
+ * Reads a StandardOrder from a JSON file, e.g. the `order` of an `indexOrders` timeline.
+ */
+function loadOrder(file) {
+    return validateOrder(JSON.parse(fs.readFileSync(file, "utf8")));
+}
+
+/**
+ * Lists the inputs of `order` whose allowance from `owner` to the settler is too low.
+ */
+async function pendingApprovals(contract, owner, order) {
+    const approvals = [];
+    for (const [token, amount] of aggregateInputs(order.inputs)) {
+        if (token === NATIVE_ASSET) continue;
+        const erc20 = new ethers.Contract(token, ERC20_ABI, contract.runner);
+        const allowance = await erc20.allowance(owner, contract.target);
+        if (allowance < amount) approvals.push({ token, amount, allowance });
+    }
+    return approvals;
+}
+
+async function changeRoute(hre, { settler, destination, token, dryRun }, allow) {
+    const { contract } = await connect(hre, { settler, requireSigner: !dryRun });
+    const [route] = parseRouteConfig([{ destination, token }]);
+    const current = await getTeleportRoutes(contract);
+    const desired = allow
+        ? [...current, route]
+        : current.filter((entry) => entry.destination !== route.destination || entry.token !== route.token);
+    const { calls, transactions } = await syncTeleportRoutes(contract, desired, { execute: !dryRun });
+    return { dryRun, calls, transactions };
+}
+
+const settlerScope = scope("settler", "Operate a deployed InputSettlerXCMEscrow");
+
+/**
+ * Defines a task of the `settler` scope taking the settler address and `--json`, and `--dry-run`
+ * when it sends transactions.
+ */
+function settlerTask(name, description, { sendsTransactions = false } = {}) {
+    const definition = settlerScope.task(name, description)
+        .addOptionalParam("settler", "Address of the settler (default: SETTLER_ADDRESS)", process.env.SETTLER_ADDRESS)
+        .addFlag("json", "Print the result as JSON");
+    return sendsTransactions ? definition.addFlag("dryRun", "Print the calls instead of sending them") : definition;
+}
+
+settlerTask("config", "Shows the deployed configuration and the roles of an account")
+    .addOptionalParam("account", "Account whose roles are shown (default: the first signer)")
+    .setAction(async (args, hre) => {
+        const { contract, signer } = await connect(hre, args);
+        const account = args.account ?? signer?.address ?? null;
+        const [inkLibrary, xcmPrecompile, baseSettler, xcmEnabled, splitEnabled] = await Promise.all([
+            contract.inkLibrary(),
+            contract.xcmPrecompile(),
+            contract.baseSettler(),
+            contract.xcmEnabled(),
+            contract.splitEnabled()
+        ]);
+        const roles = {};
+        if (account !== null) {
+            for (const [name, role] of Object.entries(ROLES)) {
+                roles[name] = await contract.hasRole(await contract[role](), account);
+            }
+        }
+        return report({
+            settler: contract.target,
+            inkLibrary,
+            xcmPrecompile,
+            baseSettler,
+            xcmEnabled,
+            splitEnabled,
+            account,
+            roles
+        }, args);
+    });
+
+settlerTask("preflight", "Predicts the route `open` takes for an order")
+    .addPositionalParam("order", "JSON file holding the StandardOrder")
+    .setAction(async (args, hre) => {
+        const { contract } = await connect(hre, args);
+        return report(await preflight(contract, loadOrder(args.order)), args);
+    });
+
+settlerTask("open", "Approves the inputs of an order and opens it", { sendsTransactions: true })
+    .addPositionalParam("order", "JSON file holding the StandardOrder")
+    .setAction(async (args, hre) => {
+        const { contract, signer } = await connect(hre, { ...args, requireSigner: !args.dryRun });
+        const order = loadOrder(args.order);
+        if (!args.dryRun) {
+            const { receipt, ...result } = await createXCMEscrowClient({ settler: contract.target, signer }).open(order);
+            return report(result, args);
+        }
+        const value = nativeValue(order);
+        return report({
+            dryRun: true,
+            preflight: await preflight(contract, order),
+            approvals: await pendingApprovals(contract, signer?.address ?? order.user, order),
+            transaction: {
+                to: contract.target,
+                value,
+                data: contract.interface.encodeFunctionData("open", [order])
+            }
+        }, args);
+    });
+
+settlerTask("routes", "Lists the allowed teleport routes")
+    .setAction(async (args, hre) => {
+        const { contract } = await connect(hre, args);
+        return report(await getTeleportRoutes(contract), args);
+    });
+
+settlerTask("allow-route", "Allows teleporting a token to a parachain", { sendsTransactions: true })
+    .addPositionalParam("destination", "Parachain ID", undefined, types.int)
+    .addPositionalParam("token", "Token address")
+    .setAction(async (args, hre) => report(await changeRoute(hre, args, true), args));
+
+settlerTask("forbid-route", "Forbids teleporting a token to a parachain", { sendsTransactions: true })
+    .addPositionalParam("destination", "Parachain ID", undefined, types.int)
+    .addPositionalParam("token", "Token address")
+    .setAction(async (args, hre) => report(await changeRoute(hre, args, false), args));
+
+settlerTask("set-xcm-enabled", "Enables or disables settlement via XCM", { sendsTransactions: true })
+    .addPositionalParam("enabled", "true or false", undefined, types.boolean)
+    .setAction(async (args, hre) => {
+        const { contract } = await connect(hre, { ...args, requireSigner: !args.dryRun });
+        const current = await contract.xcmEnabled();
+        const calls = current === args.enabled ? [] : [{
+            method: "setXCMEnabled",
+            enabled: args.enabled,
+            data: contract.interface.encodeFunctionData("setXCMEnabled", [args.enabled])
+        }];
+        const transactions = [];
+        if (!args.dryRun && calls.length !== 0) {
+            const tx = await contract.setXCMEnabled(args.enabled);
+            await tx.wait();
+            transactions.push(tx.hash);
+        }
+        return report({ dryRun: args.dryRun, calls, transactions }, args);
+    });
+
+settlerTask("teleports", "Decodes the outputs delivered via XCM in a block range")
+    .addOptionalParam("fromBlock", "First block (default: the last 10000 blocks)", undefined, types.int)
+    .addOptionalParam("toBlock", "Last block (default: latest)", undefined, types.int)
+    .addOptionalParam("blockRange", "Blocks per log query", DEFAULT_BLOCK_RANGE, types.int)
+    .setAction(async (args, hre) => {
+        if (!(args.blockRange > 0)) {
+            throw new Error(`--block-range must be a positive number of blocks, got ${args.blockRange}`);
+        }
+        const { contract } = await connect(hre, args);
+        const toBlock = args.toBlock ?? await hre.ethers.provider.getBlockNumber();
+        const fromBlock = args.fromBlock ?? Math.max(toBlock - DEFAULT_BLOCK_RANGE + 1, 0);
+        // Teleports, reserve transfers and sent programs, in a single query per chunk
+        const topics = Object.keys(TELEPORT_EVENTS).map((name) => contract.interface.getEvent(name).topicHash);
+        const teleports = [];
+        for (let start = fromBlock; start <= toBlock; start += args.blockRange) {
+            const end = Math.min(start + args.blockRange - 1, toBlock);
+            for (const log of await contract.queryFilter([topics], start, end)) {
+                teleports.push({
+                    ...TELEPORT_EVENTS[log.eventName],
+                    orderId: log.args.orderId,
+                    destination: log.args.destination,
+                    token: log.args.token,
+                    amount: log.args.amount,
+                    recipient: log.args.recipient,
+                    blockNumber: log.blockNumber,
+                    transactionHash: log.transactionHash
+                });
+            }
+        }
+        return report(teleports, args);
+    });
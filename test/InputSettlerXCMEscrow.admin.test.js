@@ -1,9 +1,11 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const { ethers, ignition } = require("hardhat");
+const InputSettlerXCMEscrowModule = require("../ignition/modules/InputSettlerXCMEscrow").default;
 const {
     setupInputSettlerXCMEscrow,
     createOrderFactory,
     DESTINATION_CHAIN_ID,
+    DESTINATION_CHAIN_ID_2,
     STANDARD_AMOUNT,
     DOUBLE_AMOUNT,
     MOCK_XCM_MESSAGE_1
@@ -14,6 +16,7 @@ describe("InputSettlerXCMEscrow - Admin Functions", function () {
     let token;
     let owner;
     let user;
+    let solver;
     let mockXcm;
     let mockLibrary;
     let baseSettler;
@@ -24,6 +27,7 @@ describe("InputSettlerXCMEscrow - Admin Functions", function () {
         const setup = await setupInputSettlerXCMEscrow();
         owner = setup.owner;
         user = setup.user;
+        solver = setup.solver;
         mockXcm = setup.mockXcm;
         mockLibrary = setup.mockLibrary;
         baseSettler = setup.baseSettler;
@@ -34,8 +38,165 @@ describe("InputSettlerXCMEscrow - Admin Functions", function () {
     });
 
     describe("Deployment", function () {
-        it("Should set the right owner", async function () {
-            expect(await inputSettlerXCMEscrow.owner()).to.equal(owner.address);
+        it("Should grant every role to the deployer", async function () {
+            for (const role of [
+                await inputSettlerXCMEscrow.DEFAULT_ADMIN_ROLE(),
+                await inputSettlerXCMEscrow.ROUTE_MANAGER_ROLE(),
+                await inputSettlerXCMEscrow.PAUSER_ROLE()
+            ]) {
+                expect(await inputSettlerXCMEscrow.hasRole(role, owner.address)).to.equal(true);
+            }
+        });
+
+        it("Should seed teleport routes from ignition parameters", async function () {
+            const tokenAddress = await token.getAddress();
+
+            const { inputSettlerXCMEscrow: deployed } = await ignition.deploy(InputSettlerXCMEscrowModule, {
+                parameters: {
+                    InputSettlerXCMEscrowModule: {
+                        inkLibrary: await mockLibrary.getAddress(),
+                        xcmPrecompile: await mockXcm.getAddress(),
+                        teleportRoutes: [
+                            { destination: DESTINATION_CHAIN_ID, token: tokenAddress },
+                            { destination: DESTINATION_CHAIN_ID_2, token: tokenAddress }
+                        ]
+                    }
+                }
+            });
+
+            expect(await deployed.getTeleportRoutes()).to.deep.equal([
+                [BigInt(DESTINATION_CHAIN_ID), tokenAddress],
+                [BigInt(DESTINATION_CHAIN_ID_2), tokenAddress]
+            ]);
+        });
+
+        it("Should deploy through ignition without initial routes", async function () {
+            const { inputSettlerXCMEscrow: deployed } = await ignition.deploy(InputSettlerXCMEscrowModule, {
+                parameters: {
+                    InputSettlerXCMEscrowModule: {
+                        inkLibrary: await mockLibrary.getAddress()
+                    }
+                }
+            });
+
+            expect(await deployed.getTeleportRoutes()).to.deep.equal([]);
+        });
+
+        it("Should grant roles from ignition parameters", async function () {
+            const { inputSettlerXCMEscrow: deployed } = await ignition.deploy(InputSettlerXCMEscrowModule, {
+                parameters: {
+                    InputSettlerXCMEscrowModule: {
+                        inkLibrary: await mockLibrary.getAddress(),
+                        admin: user.address,
+                        routeManager: solver.address,
+                        pauser: user.address
+                    }
+                }
+            });
+
+            expect(await deployed.hasRole(await deployed.DEFAULT_ADMIN_ROLE(), user.address)).to.equal(true);
+            expect(await deployed.hasRole(await deployed.ROUTE_MANAGER_ROLE(), solver.address)).to.equal(true);
+            expect(await deployed.hasRole(await deployed.PAUSER_ROLE(), user.address)).to.equal(true);
+            expect(await deployed.hasRole(await deployed.PAUSER_ROLE(), solver.address)).to.equal(false);
+        });
+    });
+
+    describe("Roles", function () {
+        let tokenAddress;
+        let routeManager;
+        let pauser;
+
+        beforeEach(async function () {
+            tokenAddress = await token.getAddress();
+            routeManager = user;
+            pauser = solver;
+            await inputSettlerXCMEscrow.grantRole(await inputSettlerXCMEscrow.ROUTE_MANAGER_ROLE(), routeManager.address);
+            await inputSettlerXCMEscrow.grantRole(await inputSettlerXCMEscrow.PAUSER_ROLE(), pauser.address);
+        });
+
+        async function expectUnauthorized(tx, account, role) {
+            await expect(tx)
+                .to.be.revertedWithCustomError(inputSettlerXCMEscrow, "AccessControlUnauthorizedAccount")
+                .withArgs(account.address, role);
+        }
+
+        it("Should let route managers manage routes and limits", async function () {
+            const settler = inputSettlerXCMEscrow.connect(routeManager);
+
+            await expect(settler.allowTeleport(DESTINATION_CHAIN_ID, tokenAddress))
+                .to.emit(inputSettlerXCMEscrow, "TeleportAllowed");
+            await expect(settler.setRateLimit(DESTINATION_CHAIN_ID, tokenAddress, 1, 1))
+                .to.emit(inputSettlerXCMEscrow, "RateLimitSet");
+            await expect(settler.setMaxOrderAmount(tokenAddress, 1))
+                .to.emit(inputSettlerXCMEscrow, "MaxOrderAmountSet");
+            await expect(settler.forbidTeleport(DESTINATION_CHAIN_ID, tokenAddress))
+                .to.emit(inputSettlerXCMEscrow, "TeleportForbidden");
+        });
+
+        it("Should not let route managers toggle XCM", async function () {
+            const settler = inputSettlerXCMEscrow.connect(routeManager);
+
+            await expectUnauthorized(
+                settler.setXCMEnabled(false), routeManager, await inputSettlerXCMEscrow.PAUSER_ROLE()
+            );
+            await expectUnauthorized(
+                settler.setXCMEnabled(true), routeManager, await inputSettlerXCMEscrow.DEFAULT_ADMIN_ROLE()
+            );
+        });
+
+        it("Should let pausers disable XCM and forbid routes", async function () {
+            await inputSettlerXCMEscrow.allowTeleport(DESTINATION_CHAIN_ID, tokenAddress);
+            const settler = inputSettlerXCMEscrow.connect(pauser);
+
+            await expect(settler.setXCMEnabled(false))
+                .to.emit(inputSettlerXCMEscrow, "XCMEnabledChanged")
+                .withArgs(false);
+            await expect(settler.forbidTeleports([{ destination: DESTINATION_CHAIN_ID, token: tokenAddress }]))
+                .to.emit(inputSettlerXCMEscrow, "TeleportForbidden");
+        });
+
+        it("Should not let pausers re-enable XCM or allow routes", async function () {
+            const settler = inputSettlerXCMEscrow.connect(pauser);
+            const routeManagerRole = await inputSettlerXCMEscrow.ROUTE_MANAGER_ROLE();
+
+            await expectUnauthorized(
+                settler.setXCMEnabled(true), pauser, await inputSettlerXCMEscrow.DEFAULT_ADMIN_ROLE()
+            );
+            await expectUnauthorized(settler.allowTeleport(DESTINATION_CHAIN_ID, tokenAddress), pauser, routeManagerRole);
+            await expectUnauthorized(
+                settler.setRateLimit(DESTINATION_CHAIN_ID, tokenAddress, 1, 1), pauser, routeManagerRole
+            );
+            await expectUnauthorized(settler.setMaxOrderAmount(tokenAddress, 1), pauser, routeManagerRole);
+        });
+
+        it("Should let only admins grant roles", async function () {
+            const pauserRole = await inputSettlerXCMEscrow.PAUSER_ROLE();
+
+            await expectUnauthorized(
+                inputSettlerXCMEscrow.connect(routeManager).grantRole(pauserRole, routeManager.address),
+                routeManager,
+                await inputSettlerXCMEscrow.DEFAULT_ADMIN_ROLE()
+            );
+        });
+
+        it("Should let admins re-enable XCM", async function () {
+            await inputSettlerXCMEscrow.connect(pauser).setXCMEnabled(false);
+
+            await expect(inputSettlerXCMEscrow.setXCMEnabled(true))
+                .to.emit(inputSettlerXCMEscrow, "XCMEnabledChanged")
+                .withArgs(true);
+            expect(await inputSettlerXCMEscrow.xcmEnabled()).to.equal(true);
+        });
+
+        it("Should revoke permissions with the role", async function () {
+            const routeManagerRole = await inputSettlerXCMEscrow.ROUTE_MANAGER_ROLE();
+            await inputSettlerXCMEscrow.revokeRole(routeManagerRole, routeManager.address);
+
+            await expectUnauthorized(
+                inputSettlerXCMEscrow.connect(routeManager).allowTeleport(DESTINATION_CHAIN_ID, tokenAddress),
+                routeManager,
+                routeManagerRole
+            );
         });
     });
 
@@ -48,13 +209,13 @@ describe("InputSettlerXCMEscrow - Admin Functions", function () {
                 .withArgs(DESTINATION_CHAIN_ID, tokenAddress);
         });
 
-        it("Should revert if not called by owner", async function () {
+        it("Should revert if not called by a route manager", async function () {
             const tokenAddress = await token.getAddress();
 
             await expect(
                 inputSettlerXCMEscrow.connect(user).allowTeleport(DESTINATION_CHAIN_ID, tokenAddress)
-            ).to.be.revertedWithCustomError(inputSettlerXCMEscrow, "OwnableUnauthorizedAccount")
-                .withArgs(user.address);
+            ).to.be.revertedWithCustomError(inputSettlerXCMEscrow, "AccessControlUnauthorizedAccount")
+                .withArgs(user.address, await inputSettlerXCMEscrow.ROUTE_MANAGER_ROLE());
         });
     });
 
@@ -70,6 +231,154 @@ describe("InputSettlerXCMEscrow - Admin Functions", function () {
         });
     });
 
+    describe("Teleport allow-list", function () {
+        let token2;
+
+        beforeEach(async function () {
+            token2 = await ethers.deployContract("MockERC20", ["Test2", "TST2"]);
+            await token2.waitForDeployment();
+        });
+
+        it("Should be empty after deployment", async function () {
+            expect(await inputSettlerXCMEscrow.getTeleportDestinations()).to.deep.equal([]);
+            expect(await inputSettlerXCMEscrow.getTeleportRoutes()).to.deep.equal([]);
+        });
+
+        it("Should list allowed routes by destination and in total", async function () {
+            const tokenAddress = await token.getAddress();
+            const token2Address = await token2.getAddress();
+
+            await inputSettlerXCMEscrow.allowTeleport(DESTINATION_CHAIN_ID, tokenAddress);
+            await inputSettlerXCMEscrow.allowTeleport(DESTINATION_CHAIN_ID, token2Address);
+            await inputSettlerXCMEscrow.allowTeleport(DESTINATION_CHAIN_ID_2, tokenAddress);
+
+            expect(await inputSettlerXCMEscrow.getTeleportDestinations())
+                .to.deep.equal([BigInt(DESTINATION_CHAIN_ID), BigInt(DESTINATION_CHAIN_ID_2)]);
+            expect(await inputSettlerXCMEscrow.getTeleportTokens(DESTINATION_CHAIN_ID))
+                .to.deep.equal([tokenAddress, token2Address]);
+            expect(await inputSettlerXCMEscrow.getTeleportTokens(DESTINATION_CHAIN_ID_2))
+                .to.deep.equal([tokenAddress]);
+            expect(await inputSettlerXCMEscrow.getTeleportRoutes()).to.deep.equal([
+                [BigInt(DESTINATION_CHAIN_ID), tokenAddress],
+                [BigInt(DESTINATION_CHAIN_ID), token2Address],
+                [BigInt(DESTINATION_CHAIN_ID_2), tokenAddress]
+            ]);
+        });
+
+        it("Should not duplicate routes allowed twice", async function () {
+            const tokenAddress = await token.getAddress();
+
+            await inputSettlerXCMEscrow.allowTeleport(DESTINATION_CHAIN_ID, tokenAddress);
+            await inputSettlerXCMEscrow.allowTeleport(DESTINATION_CHAIN_ID, tokenAddress);
+
+            expect(await inputSettlerXCMEscrow.getTeleportRoutes())
+                .to.deep.equal([[BigInt(DESTINATION_CHAIN_ID), tokenAddress]]);
+        });
+
+        it("Should drop the destination once its last token is forbidden", async function () {
+            const tokenAddress = await token.getAddress();
+            const token2Address = await token2.getAddress();
+
+            await inputSettlerXCMEscrow.allowTeleport(DESTINATION_CHAIN_ID, tokenAddress);
+            await inputSettlerXCMEscrow.allowTeleport(DESTINATION_CHAIN_ID, token2Address);
+
+            await inputSettlerXCMEscrow.forbidTeleport(DESTINATION_CHAIN_ID, tokenAddress);
+            expect(await inputSettlerXCMEscrow.getTeleportTokens(DESTINATION_CHAIN_ID))
+                .to.deep.equal([token2Address]);
+            expect(await inputSettlerXCMEscrow.isTeleportAllowed(DESTINATION_CHAIN_ID, tokenAddress))
+                .to.equal(false);
+
+            await inputSettlerXCMEscrow.forbidTeleport(DESTINATION_CHAIN_ID, token2Address);
+            expect(await inputSettlerXCMEscrow.getTeleportDestinations()).to.deep.equal([]);
+            expect(await inputSettlerXCMEscrow.getTeleportRoutes()).to.deep.equal([]);
+        });
+    });
+
+    describe("allowTeleports", function () {
+        let token2;
+        let routes;
+
+        beforeEach(async function () {
+            token2 = await ethers.deployContract("MockERC20", ["Test2", "TST2"]);
+            await token2.waitForDeployment();
+            routes = [
+                { destination: DESTINATION_CHAIN_ID, token: await token.getAddress() },
+                { destination: DESTINATION_CHAIN_ID, token: await token2.getAddress() },
+                { destination: DESTINATION_CHAIN_ID_2, token: await token.getAddress() }
+            ];
+        });
+
+        it("Should allow every pair and emit an event per pair", async function () {
+            const tx = inputSettlerXCMEscrow.allowTeleports(routes);
+
+            for (const { destination, token: tokenAddress } of routes) {
+                await expect(tx)
+                    .to.emit(inputSettlerXCMEscrow, "TeleportAllowed")
+                    .withArgs(destination, tokenAddress);
+            }
+            for (const { destination, token: tokenAddress } of routes) {
+                expect(await inputSettlerXCMEscrow.isTeleportAllowed(destination, tokenAddress)).to.equal(true);
+            }
+        });
+
+        it("Should accept an empty batch", async function () {
+            await expect(inputSettlerXCMEscrow.allowTeleports([]))
+                .to.not.emit(inputSettlerXCMEscrow, "TeleportAllowed");
+        });
+
+        it("Should revert if not called by a route manager", async function () {
+            await expect(
+                inputSettlerXCMEscrow.connect(user).allowTeleports(routes)
+            ).to.be.revertedWithCustomError(inputSettlerXCMEscrow, "AccessControlUnauthorizedAccount")
+                .withArgs(user.address, await inputSettlerXCMEscrow.ROUTE_MANAGER_ROLE());
+        });
+    });
+
+    describe("forbidTeleports", function () {
+        let token2;
+        let routes;
+
+        beforeEach(async function () {
+            token2 = await ethers.deployContract("MockERC20", ["Test2", "TST2"]);
+            await token2.waitForDeployment();
+            routes = [
+                { destination: DESTINATION_CHAIN_ID, token: await token.getAddress() },
+                { destination: DESTINATION_CHAIN_ID, token: await token2.getAddress() },
+                { destination: DESTINATION_CHAIN_ID_2, token: await token.getAddress() }
+            ];
+            await inputSettlerXCMEscrow.allowTeleports(routes);
+        });
+
+        it("Should forbid every pair and emit an event per pair", async function () {
+            const tx = inputSettlerXCMEscrow.forbidTeleports(routes.slice(0, 2));
+
+            for (const { destination, token: tokenAddress } of routes.slice(0, 2)) {
+                await expect(tx)
+                    .to.emit(inputSettlerXCMEscrow, "TeleportForbidden")
+                    .withArgs(destination, tokenAddress);
+            }
+            expect(await inputSettlerXCMEscrow.getTeleportRoutes())
+                .to.deep.equal([[BigInt(DESTINATION_CHAIN_ID_2), await token.getAddress()]]);
+        });
+
+        it("Should make orders on forbidden routes fall back to baseSettler", async function () {
+            await inputSettlerXCMEscrow.forbidTeleports(routes);
+
+            const order = createOrder();
+            await token.connect(user).approve(await inputSettlerXCMEscrow.getAddress(), ethers.parseEther(STANDARD_AMOUNT));
+
+            await expect(inputSettlerXCMEscrow.connect(user).open(order))
+                .to.emit(baseSettler, "Open");
+        });
+
+        it("Should revert if not called by a route manager or pauser", async function () {
+            await expect(
+                inputSettlerXCMEscrow.connect(user).forbidTeleports(routes)
+            ).to.be.revertedWithCustomError(inputSettlerXCMEscrow, "AccessControlUnauthorizedAccount")
+                .withArgs(user.address, await inputSettlerXCMEscrow.ROUTE_MANAGER_ROLE());
+        });
+    });
+
     describe("setXCMEnabled", function () {
         it("Should fall back to baseSettler when XCM is disabled for valid XCM order", async function () {
             await inputSettlerXCMEscrow.allowTeleport(DESTINATION_CHAIN_ID, await token.getAddress());
@@ -115,11 +424,11 @@ describe("InputSettlerXCMEscrow - Admin Functions", function () {
                 .withArgs(MOCK_XCM_MESSAGE_1);
         });
 
-        it("Should revert if not called by owner", async function () {
+        it("Should revert if not called by a pauser", async function () {
             await expect(
                 inputSettlerXCMEscrow.connect(user).setXCMEnabled(false)
-            ).to.be.revertedWithCustomError(inputSettlerXCMEscrow, "OwnableUnauthorizedAccount")
-                .withArgs(user.address);
+            ).to.be.revertedWithCustomError(inputSettlerXCMEscrow, "AccessControlUnauthorizedAccount")
+                .withArgs(user.address, await inputSettlerXCMEscrow.PAUSER_ROLE());
         });
     });
 });
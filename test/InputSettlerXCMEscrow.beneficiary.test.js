@@ -0,0 +1,287 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    setupInputSettlerXCMEscrow,
+    createOrderFactory,
+    createOutput,
+    toBytes32,
+    DESTINATION_CHAIN_ID,
+    DESTINATION_CHAIN_ID_2,
+    STANDARD_AMOUNT,
+    MOCK_XCM_MESSAGE_1
+} = require("./helpers/inputSettlerXCMEscrowHelper");
+const { decodeVersionedXcm, parachainLocation, assetLocation, keyLocation } = require("./helpers/xcmCodec");
+const {
+    BeneficiaryFormat,
+    FallbackReason,
+    RouteMode,
+    TransferKind,
+    encodeSS58,
+    decodeSS58,
+    isSS58Address,
+    encodeRecipient,
+    decodeRecipient,
+    isValidRecipient,
+    preflight,
+    previewRoute
+} = require("../sdk");
+
+// Public key of the well-known development account Alice
+const ALICE = "0xd43593c715fdd31c61141abd04a99fd6822c8558854ccde39a5684e7a56da27d";
+const ALICE_SS58 = {
+    0: "15oF4uVJwmo4TdGW7VfQxNLavjCXviqxT9S1MgbjMNHr6Sp5",
+    2: "HNZata7iMYWmk5RvZRTiAsSDhV8366zq2YGb3tLH5Upf74F",
+    42: "5GrwvaEF5zXb26Fz9rcQpDWS57CtERHpNehXCPcNoHGKutQY"
+};
+
+describe("InputSettlerXCMEscrow - Beneficiary Formats", function () {
+    let inputSettlerXCMEscrow;
+    let settlerAddress;
+    let mockLibrary;
+    let baseSettler;
+    let token;
+    let tokenAddress;
+    let user;
+    let createOrder;
+
+    const amount = ethers.parseEther(STANDARD_AMOUNT);
+
+    describe("SS58 addresses", function () {
+        it("Should encode public keys for each network prefix", function () {
+            for (const [prefix, address] of Object.entries(ALICE_SS58)) {
+                expect(encodeSS58(ALICE, Number(prefix))).to.equal(address);
+            }
+            expect(encodeSS58(ALICE)).to.equal(ALICE_SS58[42]);
+        });
+
+        it("Should decode addresses to their public key and prefix", function () {
+            for (const [prefix, address] of Object.entries(ALICE_SS58)) {
+                expect(decodeSS58(address)).to.deep.equal({ publicKey: ALICE, prefix: Number(prefix) });
+            }
+        });
+
+        it("Should round-trip two-byte prefixes", function () {
+            for (const prefix of [64, 255, 1284, 16383]) {
+                expect(decodeSS58(encodeSS58(ALICE, prefix))).to.deep.equal({ publicKey: ALICE, prefix });
+            }
+        });
+
+        it("Should keep leading zero bytes of the key", function () {
+            const key = toBytes32("0x01");
+
+            expect(decodeSS58(encodeSS58(key, 0)).publicKey).to.equal(key);
+        });
+
+        it("Should reject invalid addresses and keys", function () {
+            const address = ALICE_SS58[42];
+            const tampered = address.slice(0, -1) + (address.endsWith("Y") ? "Z" : "Y");
+
+            expect(isSS58Address(address)).to.equal(true);
+            expect(isSS58Address(tampered)).to.equal(false);
+            expect(isSS58Address("0OIl")).to.equal(false);
+            expect(isSS58Address("")).to.equal(false);
+            expect(() => decodeSS58(tampered)).to.throw(TypeError, "checksum");
+            expect(() => encodeSS58(ethers.ZeroAddress)).to.throw(TypeError);
+            expect(() => encodeSS58(ALICE, 16384)).to.throw(TypeError);
+        });
+    });
+
+    describe("Recipients", function () {
+        const key20 = "0xf24FF3a9CF04c71Dbc94D0b566f7A27B94566cac";
+
+        it("Should encode AccountId32 recipients from SS58 addresses and public keys", function () {
+            expect(encodeRecipient(ALICE_SS58[0])).to.equal(ALICE);
+            expect(encodeRecipient(ALICE, BeneficiaryFormat.ACCOUNT_ID_32)).to.equal(ALICE);
+            expect(() => encodeRecipient(key20)).to.throw(TypeError);
+        });
+
+        it("Should encode AccountKey20 recipients from addresses", function () {
+            expect(encodeRecipient(key20, BeneficiaryFormat.ACCOUNT_KEY_20)).to.equal(toBytes32(key20.toLowerCase()));
+            expect(() => encodeRecipient(ALICE_SS58[42], BeneficiaryFormat.ACCOUNT_KEY_20)).to.throw(TypeError);
+            expect(() => encodeRecipient(key20, 2)).to.throw(TypeError);
+        });
+
+        it("Should decode recipients for their format", function () {
+            expect(decodeRecipient(ALICE)).to.equal(ALICE_SS58[42]);
+            expect(decodeRecipient(ALICE, BeneficiaryFormat.ACCOUNT_ID_32, { ss58Prefix: 2 })).to.equal(ALICE_SS58[2]);
+            expect(decodeRecipient(toBytes32(key20), BeneficiaryFormat.ACCOUNT_KEY_20)).to.equal(key20);
+            expect(() => decodeRecipient(ALICE, BeneficiaryFormat.ACCOUNT_KEY_20)).to.throw(TypeError);
+        });
+
+        it("Should validate recipients as the settler does", function () {
+            expect(isValidRecipient(ALICE)).to.equal(true);
+            expect(isValidRecipient(ALICE, BeneficiaryFormat.ACCOUNT_KEY_20)).to.equal(false);
+            expect(isValidRecipient(toBytes32(key20), BeneficiaryFormat.ACCOUNT_KEY_20)).to.equal(true);
+            expect(isValidRecipient(ethers.ZeroHash)).to.equal(false);
+            expect(isValidRecipient(key20)).to.equal(false);
+        });
+    });
+
+    describe("Settler", function () {
+        beforeEach(async function () {
+            const setup = await setupInputSettlerXCMEscrow();
+            user = setup.user;
+            mockLibrary = setup.mockLibrary;
+            baseSettler = setup.baseSettler;
+            inputSettlerXCMEscrow = setup.inputSettlerXCMEscrow;
+            token = setup.token;
+            tokenAddress = await token.getAddress();
+            settlerAddress = await inputSettlerXCMEscrow.getAddress();
+            createOrder = createOrderFactory(user, token, setup.chainId);
+
+            await inputSettlerXCMEscrow.allowTeleport(DESTINATION_CHAIN_ID, tokenAddress);
+            await mockLibrary.setTeleportMessage(MOCK_XCM_MESSAGE_1);
+            await token.connect(user).approve(settlerAddress, ethers.MaxUint256);
+        });
+
+        describe("setBeneficiaryFormat", function () {
+            it("Should default to AccountId32", async function () {
+                expect(await inputSettlerXCMEscrow.beneficiaryFormat(DESTINATION_CHAIN_ID))
+                    .to.equal(BeneficiaryFormat.ACCOUNT_ID_32);
+            });
+
+            it("Should set the format of a destination", async function () {
+                await expect(inputSettlerXCMEscrow.setBeneficiaryFormat(DESTINATION_CHAIN_ID, BeneficiaryFormat.ACCOUNT_KEY_20))
+                    .to.emit(inputSettlerXCMEscrow, "BeneficiaryFormatSet")
+                    .withArgs(DESTINATION_CHAIN_ID, BeneficiaryFormat.ACCOUNT_KEY_20);
+
+                expect(await inputSettlerXCMEscrow.beneficiaryFormat(DESTINATION_CHAIN_ID))
+                    .to.equal(BeneficiaryFormat.ACCOUNT_KEY_20);
+                expect(await inputSettlerXCMEscrow.beneficiaryFormat(DESTINATION_CHAIN_ID_2))
+                    .to.equal(BeneficiaryFormat.ACCOUNT_ID_32);
+            });
+
+            it("Should only allow route managers", async function () {
+                await expect(
+                    inputSettlerXCMEscrow.connect(user).setBeneficiaryFormat(DESTINATION_CHAIN_ID, BeneficiaryFormat.ACCOUNT_KEY_20)
+                ).to.be.revertedWithCustomError(inputSettlerXCMEscrow, "AccessControlUnauthorizedAccount");
+            });
+        });
+
+        describe("AccountKey20 destinations", function () {
+            beforeEach(async function () {
+                await inputSettlerXCMEscrow.setBeneficiaryFormat(DESTINATION_CHAIN_ID, BeneficiaryFormat.ACCOUNT_KEY_20);
+            });
+
+            it("Should teleport to the AccountKey20 account", async function () {
+                await expect(inputSettlerXCMEscrow.connect(user).open(createOrder()))
+                    .to.emit(mockLibrary, "TeleportToKey20Called")
+                    .withArgs(DESTINATION_CHAIN_ID, user.address, amount)
+                    .and.not.to.emit(mockLibrary, "TeleportCalled");
+            });
+
+            it("Should reserve transfer to the AccountKey20 account", async function () {
+                await inputSettlerXCMEscrow.setTransferKind(DESTINATION_CHAIN_ID, tokenAddress, TransferKind.RESERVE_TRANSFER);
+
+                await expect(inputSettlerXCMEscrow.connect(user).open(createOrder()))
+                    .to.emit(mockLibrary, "ReserveTransferToKey20Called")
+                    .withArgs(DESTINATION_CHAIN_ID, user.address, amount);
+            });
+
+            it("Should send programs paying the AccountKey20 account", async function () {
+                await inputSettlerXCMEscrow.setRouteMode(DESTINATION_CHAIN_ID, tokenAddress, RouteMode.SEND);
+
+                await expect(inputSettlerXCMEscrow.connect(user).open(createOrder()))
+                    .to.emit(mockLibrary, "RemoteTransferToKey20Called")
+                    .withArgs(DESTINATION_CHAIN_ID, user.address, amount);
+            });
+
+            it("Should keep AccountId32 for other destinations", async function () {
+                await inputSettlerXCMEscrow.allowTeleport(DESTINATION_CHAIN_ID_2, tokenAddress);
+                const order = createOrder({
+                    outputs: [createOutput(tokenAddress, user.address, { chainId: DESTINATION_CHAIN_ID_2 })]
+                });
+
+                await expect(inputSettlerXCMEscrow.connect(user).open(order))
+                    .to.emit(mockLibrary, "TeleportCalled")
+                    .and.not.to.emit(mockLibrary, "TeleportToKey20Called");
+            });
+
+            it("Should fall back for recipients that are not addresses", async function () {
+                const order = createOrder({
+                    outputs: [createOutput(tokenAddress, user.address, { recipient: ALICE })]
+                });
+
+                const result = await previewRoute(inputSettlerXCMEscrow, order);
+                expect(result.code).to.equal(FallbackReason.RecipientFormatInvalid);
+                expect(result.index).to.equal(0);
+                expect(await preflight(inputSettlerXCMEscrow, order)).to.deep.equal(result);
+
+                await expect(inputSettlerXCMEscrow.connect(user).open(order))
+                    .to.emit(baseSettler, "Open")
+                    .and.not.to.emit(mockLibrary, "TeleportToKey20Called");
+            });
+
+            it("Should open recipients encoded by the SDK", async function () {
+                const format = await inputSettlerXCMEscrow.beneficiaryFormat(DESTINATION_CHAIN_ID);
+                const order = createOrder({
+                    outputs: [createOutput(tokenAddress, user.address, {
+                        recipient: encodeRecipient(user.address, Number(format))
+                    })]
+                });
+
+                await expect(inputSettlerXCMEscrow.connect(user).open(order))
+                    .to.emit(mockLibrary, "TeleportToKey20Called")
+                    .withArgs(DESTINATION_CHAIN_ID, user.address, amount);
+            });
+        });
+    });
+
+    describe("Simulated delivery", function () {
+        let mockXcm;
+
+        beforeEach(async function () {
+            const setup = await setupInputSettlerXCMEscrow({ simulated: true });
+            user = setup.user;
+            mockXcm = setup.mockXcm;
+            mockLibrary = setup.mockLibrary;
+            inputSettlerXCMEscrow = setup.inputSettlerXCMEscrow;
+            token = setup.token;
+            tokenAddress = await token.getAddress();
+            settlerAddress = await inputSettlerXCMEscrow.getAddress();
+            createOrder = createOrderFactory(user, token, setup.chainId);
+
+            await inputSettlerXCMEscrow.allowTeleport(DESTINATION_CHAIN_ID, tokenAddress);
+            await inputSettlerXCMEscrow.setBeneficiaryFormat(DESTINATION_CHAIN_ID, BeneficiaryFormat.ACCOUNT_KEY_20);
+            await token.connect(user).approve(settlerAddress, ethers.MaxUint256);
+        });
+
+        it("Should build programs depositing to the AccountKey20 account", async function () {
+            const message = await mockLibrary.teleportToKey20.staticCall(DESTINATION_CHAIN_ID, user.address, amount);
+
+            expect(decodeVersionedXcm(message)).to.deep.equal([
+                { WithdrawAsset: [{ id: assetLocation(tokenAddress), fun: { Fungible: amount } }] },
+                {
+                    InitiateTeleport: {
+                        assets: { Wild: { AllCounted: 1 } },
+                        dest: parachainLocation(DESTINATION_CHAIN_ID),
+                        xcm: [
+                            {
+                                BuyExecution: {
+                                    fees: { id: assetLocation(tokenAddress), fun: { Fungible: amount } },
+                                    weightLimit: "Unlimited"
+                                }
+                            },
+                            {
+                                DepositAsset: {
+                                    assets: { Wild: { AllCounted: 1 } },
+                                    beneficiary: keyLocation(user.address)
+                                }
+                            }
+                        ]
+                    }
+                }
+            ]);
+        });
+
+        it("Should deliver outputs to the AccountKey20 account", async function () {
+            const recipient = toBytes32(user.address);
+
+            await expect(inputSettlerXCMEscrow.connect(user).open(createOrder()))
+                .to.emit(mockXcm, "Delivered")
+                .withArgs(DESTINATION_CHAIN_ID, tokenAddress, recipient, amount);
+
+            expect(await mockXcm.balanceOf(DESTINATION_CHAIN_ID, tokenAddress, recipient)).to.equal(amount);
+        });
+    });
+});
@@ -0,0 +1,250 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const {
+    setupInputSettlerXCMEscrow,
+    createOrderFactory,
+    DESTINATION_CHAIN_ID,
+    DESTINATION_CHAIN_ID_2,
+    STANDARD_AMOUNT,
+    MOCK_XCM_MESSAGE_1,
+    MOCK_XCM_MESSAGE_2
+} = require("./helpers/inputSettlerXCMEscrowHelper");
+const { Route, RouteMode, SettlementStatus, TransferKind, preflight } = require("../sdk");
+
+const { ethers } = hre;
+
+/**
+ * Runs a task of the `settler` scope, returning its result and what it printed.
+ */
+async function runSettlerTask(task, args) {
+    const lines = [];
+    const log = console.log;
+    console.log = (line) => lines.push(line);
+    try {
+        const result = await hre.run({ scope: "settler", task }, args);
+        return { result, output: lines.join("\n") };
+    } finally {
+        console.log = log;
+    }
+}
+
+function writeOrder(dir, order) {
+    const file = path.join(dir, "order.json");
+    fs.writeFileSync(file, JSON.stringify(order, (_, v) => (typeof v === "bigint" ? v.toString() : v)));
+    return file;
+}
+
+describe("InputSettlerXCMEscrow - CLI", function () {
+    let inputSettlerXCMEscrow;
+    let settlerAddress;
+    let mockLibrary;
+    let token;
+    let tokenAddress;
+    let owner;
+    let user;
+    let createOrder;
+    let dir;
+
+    beforeEach(async function () {
+        const setup = await setupInputSettlerXCMEscrow();
+        owner = setup.owner;
+        user = setup.user;
+        mockLibrary = setup.mockLibrary;
+        inputSettlerXCMEscrow = setup.inputSettlerXCMEscrow;
+        token = setup.token;
+        tokenAddress = await token.getAddress();
+        settlerAddress = await inputSettlerXCMEscrow.getAddress();
+        // Transactions are sent from the first signer
+        createOrder = createOrderFactory(owner, token, setup.chainId);
+
+        await inputSettlerXCMEscrow.allowTeleport(DESTINATION_CHAIN_ID, tokenAddress);
+        await mockLibrary.setTeleportMessage(MOCK_XCM_MESSAGE_1);
+        await token.mint(owner.address, ethers.parseEther(STANDARD_AMOUNT));
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "settler-cli-"));
+    });
+
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    describe("config", function () {
+        it("Should show the deployed configuration and the roles of the signer", async function () {
+            const { result, output } = await runSettlerTask("config", { settler: settlerAddress, json: true });
+
+            expect(result).to.deep.equal({
+                settler: settlerAddress,
+                inkLibrary: await inputSettlerXCMEscrow.inkLibrary(),
+                xcmPrecompile: await inputSettlerXCMEscrow.xcmPrecompile(),
+                baseSettler: await inputSettlerXCMEscrow.baseSettler(),
+                xcmEnabled: true,
+                splitEnabled: await inputSettlerXCMEscrow.splitEnabled(),
+                account: owner.address,
+                roles: { admin: true, routeManager: true, pauser: true }
+            });
+            expect(JSON.parse(output)).to.deep.equal(result);
+        });
+
+        it("Should show the roles of another account", async function () {
+            const { result } = await runSettlerTask("config", { settler: settlerAddress, account: user.address });
+
+            expect(result.roles).to.deep.equal({ admin: false, routeManager: false, pauser: false });
+        });
+
+        it("Should require the settler address", async function () {
+            await expect(runSettlerTask("config", { settler: "" })).to.be.rejectedWith("SETTLER_ADDRESS");
+        });
+    });
+
+    describe("routes", function () {
+        it("Should list the allowed routes", async function () {
+            const { result } = await runSettlerTask("routes", { settler: settlerAddress });
+
+            expect(result).to.deep.equal([{ destination: DESTINATION_CHAIN_ID, token: tokenAddress }]);
+        });
+
+        it("Should print the calls of a dry run without sending them", async function () {
+            const { result } = await runSettlerTask("allow-route", {
+                settler: settlerAddress,
+                destination: DESTINATION_CHAIN_ID_2,
+                token: tokenAddress,
+                dryRun: true
+            });
+
+            expect(result.calls).to.have.length(1);
+            expect(result.calls[0].method).to.equal("allowTeleports");
+            expect(result.calls[0].routes).to.deep.equal([{ destination: DESTINATION_CHAIN_ID_2, token: tokenAddress }]);
+            expect(result.transactions).to.deep.equal([]);
+            expect(await inputSettlerXCMEscrow.isTeleportAllowed(DESTINATION_CHAIN_ID_2, tokenAddress)).to.equal(false);
+        });
+
+        it("Should allow and forbid routes", async function () {
+            const args = { settler: settlerAddress, destination: DESTINATION_CHAIN_ID_2, token: tokenAddress };
+
+            expect((await runSettlerTask("allow-route", args)).result.transactions).to.have.length(1);
+            expect(await inputSettlerXCMEscrow.isTeleportAllowed(DESTINATION_CHAIN_ID_2, tokenAddress)).to.equal(true);
+
+            expect((await runSettlerTask("forbid-route", args)).result.transactions).to.have.length(1);
+            expect(await inputSettlerXCMEscrow.isTeleportAllowed(DESTINATION_CHAIN_ID_2, tokenAddress)).to.equal(false);
+        });
+
+        it("Should skip changes already in place", async function () {
+            const { result } = await runSettlerTask("allow-route", {
+                settler: settlerAddress,
+                destination: DESTINATION_CHAIN_ID,
+                token: tokenAddress
+            });
+
+            expect(result.calls).to.deep.equal([]);
+            expect(result.transactions).to.deep.equal([]);
+        });
+    });
+
+    describe("set-xcm-enabled", function () {
+        it("Should only print the call on a dry run", async function () {
+            const { result } = await runSettlerTask("set-xcm-enabled", { settler: settlerAddress, enabled: false, dryRun: true });
+
+            expect(result.calls).to.deep.equal([{
+                method: "setXCMEnabled",
+                enabled: false,
+                data: inputSettlerXCMEscrow.interface.encodeFunctionData("setXCMEnabled", [false])
+            }]);
+            expect(await inputSettlerXCMEscrow.xcmEnabled()).to.equal(true);
+        });
+
+        it("Should disable XCM settlement", async function () {
+            const { result } = await runSettlerTask("set-xcm-enabled", { settler: settlerAddress, enabled: false });
+
+            expect(result.transactions).to.have.length(1);
+            expect(await inputSettlerXCMEscrow.xcmEnabled()).to.equal(false);
+        });
+    });
+
+    describe("orders", function () {
+        it("Should run the preflight of an order file", async function () {
+            const order = createOrder();
+
+            const { result } = await runSettlerTask("preflight", { settler: settlerAddress, order: writeOrder(dir, order) });
+
+            expect(result).to.deep.equal(await preflight(inputSettlerXCMEscrow, order));
+            expect(result.route).to.equal(Route.XCM);
+        });
+
+        it("Should list the approvals and the transaction of a dry run", async function () {
+            const order = createOrder();
+
+            const { result, output } = await runSettlerTask("open", {
+                settler: settlerAddress,
+                order: writeOrder(dir, order),
+                dryRun: true,
+                json: true
+            });
+
+            expect(result.preflight.route).to.equal(Route.XCM);
+            expect(result.approvals).to.deep.equal([{
+                token: tokenAddress,
+                amount: ethers.parseEther(STANDARD_AMOUNT),
+                allowance: 0n
+            }]);
+            expect(result.transaction.to).to.equal(settlerAddress);
+            expect(JSON.parse(output).approvals[0].amount).to.equal(ethers.parseEther(STANDARD_AMOUNT).toString());
+            expect(await inputSettlerXCMEscrow.orderStatus(await inputSettlerXCMEscrow.orderIdentifier(order)))
+                .to.equal(SettlementStatus.NONE);
+        });
+
+        it("Should open an order and decode its teleports", async function () {
+            const order = createOrder();
+
+            const { result } = await runSettlerTask("open", { settler: settlerAddress, order: writeOrder(dir, order) });
+
+            expect(result.route).to.equal(Route.XCM);
+            expect(result).to.not.have.property("receipt");
+            expect(await inputSettlerXCMEscrow.orderStatus(result.orderId)).to.equal(SettlementStatus.XCM_SETTLED);
+
+            const { result: teleports } = await runSettlerTask("teleports", { settler: settlerAddress, blockRange: 10 });
+            expect(teleports).to.have.length(1);
+            expect(teleports[0]).to.include({
+                mode: RouteMode.EXECUTE,
+                kind: TransferKind.TELEPORT,
+                orderId: result.orderId,
+                destination: BigInt(DESTINATION_CHAIN_ID),
+                token: tokenAddress,
+                amount: ethers.parseEther(STANDARD_AMOUNT),
+                transactionHash: result.transactionHash
+            });
+        });
+
+        it("Should decode reserve transfers and sent programs", async function () {
+            await token.mint(owner.address, ethers.parseEther(STANDARD_AMOUNT));
+            await token.approve(settlerAddress, ethers.MaxUint256);
+            await mockLibrary.setReserveTransferMessage(MOCK_XCM_MESSAGE_1);
+            await mockLibrary.setRemoteMessage("0x01", MOCK_XCM_MESSAGE_2);
+
+            await inputSettlerXCMEscrow.setTransferKind(DESTINATION_CHAIN_ID, tokenAddress, TransferKind.RESERVE_TRANSFER);
+            await inputSettlerXCMEscrow.open(createOrder());
+            await inputSettlerXCMEscrow.setRouteMode(DESTINATION_CHAIN_ID, tokenAddress, RouteMode.SEND);
+            const sent = createOrder({ nonce: 1 });
+            await inputSettlerXCMEscrow.open(sent);
+
+            const { result } = await runSettlerTask("teleports", { settler: settlerAddress, blockRange: 2 });
+            expect(result.map(({ mode, kind }) => ({ mode, kind }))).to.deep.equal([
+                { mode: RouteMode.EXECUTE, kind: TransferKind.RESERVE_TRANSFER },
+                { mode: RouteMode.SEND, kind: null }
+            ]);
+            expect(result[1]).to.include({
+                orderId: await inputSettlerXCMEscrow.orderIdentifier(sent),
+                token: tokenAddress,
+                amount: ethers.parseEther(STANDARD_AMOUNT)
+            });
+        });
+
+        it("Should reject a block range that is not positive", async function () {
+            for (const blockRange of [0, -1]) {
+                await expect(runSettlerTask("teleports", { settler: settlerAddress, blockRange }))
+                    .to.be.rejectedWith("--block-range");
+            }
+        });
+    });
+});
@@ -0,0 +1,209 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    setupInputSettlerXCMEscrow,
+    DESTINATION_CHAIN_ID,
+    DISALLOWED_CHAIN_ID,
+    UINT32_MAX_PLUS_ONE,
+    STANDARD_AMOUNT,
+    LARGE_AMOUNT,
+    MOCK_XCM_MESSAGE_1
+} = require("./helpers/inputSettlerXCMEscrowHelper");
+const {
+    Route,
+    OrderValidationError,
+    buildOrder,
+    buildOutput,
+    validateOrder,
+    toBytes32,
+    fromBytes32,
+    decodeMaxWeightContext,
+    createXCMEscrowClient
+} = require("../sdk");
+
+describe("InputSettlerXCMEscrow - JS Client", function () {
+    let inputSettlerXCMEscrow;
+    let token;
+    let user;
+    let mockLibrary;
+    let baseSettler;
+    let chainId;
+    let client;
+
+    function buildTestOrder(overrides = {}) {
+        return buildOrder({
+            user,
+            originChainId: chainId,
+            inputs: [[token, ethers.parseEther(STANDARD_AMOUNT)]],
+            outputs: [{
+                chainId: DESTINATION_CHAIN_ID,
+                token,
+                amount: ethers.parseEther(STANDARD_AMOUNT),
+                recipient: user
+            }],
+            ...overrides
+        });
+    }
+
+    beforeEach(async function () {
+        const setup = await setupInputSettlerXCMEscrow();
+        user = setup.user;
+        mockLibrary = setup.mockLibrary;
+        baseSettler = setup.baseSettler;
+        inputSettlerXCMEscrow = setup.inputSettlerXCMEscrow;
+        token = setup.token;
+        chainId = setup.chainId;
+        client = createXCMEscrowClient({
+            settler: await inputSettlerXCMEscrow.getAddress(),
+            signer: user
+        });
+    });
+
+    describe("Identifier encoding", function () {
+        it("Should left-pad addresses to bytes32", async function () {
+            expect(toBytes32(user.address)).to.equal(ethers.zeroPadValue(user.address, 32));
+            expect(toBytes32(token)).to.equal(ethers.zeroPadValue(await token.getAddress(), 32));
+        });
+
+        it("Should keep bytes32 values unchanged", function () {
+            const value = ethers.hexlify(ethers.randomBytes(32));
+            expect(toBytes32(value)).to.equal(value);
+        });
+
+        it("Should round-trip addresses", function () {
+            expect(fromBytes32(toBytes32(user.address))).to.equal(user.address);
+        });
+    });
+
+    describe("Order building", function () {
+        it("Should build an order accepted by the contract", async function () {
+            const order = buildTestOrder();
+
+            expect(await client.orderIdentifier(order))
+                .to.equal(await baseSettler.orderIdentifier(order));
+        });
+
+        it("Should default the fill deadline to expiry", function () {
+            const order = buildTestOrder({ expires: 1234 });
+            expect(order.fillDeadline).to.equal(1234);
+        });
+
+        it("Should reject expiry beyond uint32", function () {
+            expect(() => buildTestOrder({ expires: UINT32_MAX_PLUS_ONE }))
+                .to.throw(OrderValidationError, "expires");
+        });
+
+        it("Should reject malformed outputs", function () {
+            const order = buildTestOrder();
+            order.outputs[0].recipient = user.address;
+
+            expect(() => validateOrder(order))
+                .to.throw(OrderValidationError)
+                .with.property("field", "outputs[0].recipient");
+        });
+
+        it("Should reject malformed inputs", function () {
+            const order = buildTestOrder();
+            order.inputs = [[user.address]];
+
+            expect(() => validateOrder(order))
+                .to.throw(OrderValidationError)
+                .with.property("field", "inputs[0]");
+        });
+
+        it("Should carry the max weight in the first output context", function () {
+            const order = buildTestOrder({ maxWeight: { refTime: 1000n, proofSize: 10n } });
+
+            expect(decodeMaxWeightContext(order.outputs[0].context))
+                .to.deep.equal({ refTime: 1000n, proofSize: 10n });
+        });
+
+        it("Should encode call and context bytes", async function () {
+            const output = buildOutput({
+                chainId: DESTINATION_CHAIN_ID,
+                token,
+                amount: 1n,
+                recipient: user,
+                call: ethers.toUtf8Bytes("call")
+            });
+
+            expect(output.call).to.equal(ethers.hexlify(ethers.toUtf8Bytes("call")));
+            expect(output.context).to.equal("0x");
+        });
+    });
+
+    describe("open", function () {
+        it("Should report the XCM route with executed teleports", async function () {
+            await inputSettlerXCMEscrow.allowTeleport(DESTINATION_CHAIN_ID, await token.getAddress());
+            await mockLibrary.setTeleportMessage(MOCK_XCM_MESSAGE_1);
+
+            const order = buildTestOrder();
+            const result = await client.open(order);
+
+            expect(result.route).to.equal(Route.XCM);
+            expect(result.orderId).to.equal(await baseSettler.orderIdentifier(order));
+            expect(result.teleports).to.have.lengthOf(1);
+            expect(result.teleports[0].destination).to.equal(BigInt(DESTINATION_CHAIN_ID));
+            expect(result.teleports[0].token).to.equal(await token.getAddress());
+            expect(result.teleports[0].amount).to.equal(ethers.parseEther(STANDARD_AMOUNT));
+            expect(result.teleports[0].recipient).to.equal(toBytes32(user.address));
+            expect(result.receipt.hash).to.equal(result.transactionHash);
+        });
+
+        it("Should report the escrow route with the base settler order id", async function () {
+            const order = buildTestOrder({
+                outputs: [{
+                    chainId: DISALLOWED_CHAIN_ID,
+                    token,
+                    amount: ethers.parseEther(STANDARD_AMOUNT),
+                    recipient: user
+                }]
+            });
+
+            const result = await client.open(order);
+
+            expect(result.route).to.equal(Route.ESCROW);
+            expect(result.teleports).to.have.lengthOf(0);
+            expect(result.orderId).to.equal(await baseSettler.orderIdentifier(order));
+        });
+
+        it("Should approve the aggregated input amount", async function () {
+            const order = buildTestOrder({
+                inputs: [
+                    [token, ethers.parseEther(STANDARD_AMOUNT)],
+                    [token, ethers.parseEther(LARGE_AMOUNT)]
+                ]
+            });
+
+            const hashes = await client.approve(order);
+
+            expect(hashes).to.have.lengthOf(1);
+            expect(await token.allowance(user.address, await inputSettlerXCMEscrow.getAddress()))
+                .to.equal(ethers.parseEther(STANDARD_AMOUNT) + ethers.parseEther(LARGE_AMOUNT));
+        });
+
+        it("Should skip approval when allowance is sufficient", async function () {
+            const order = buildTestOrder();
+            await token.connect(user).approve(await inputSettlerXCMEscrow.getAddress(), ethers.MaxUint256);
+
+            expect(await client.approve(order)).to.have.lengthOf(0);
+        });
+
+        it("Should not send a transaction for an invalid order", async function () {
+            const order = buildTestOrder();
+            order.expires = -1;
+
+            const nonceBefore = await ethers.provider.getTransactionCount(user.address);
+
+            let error;
+            try {
+                await client.open(order);
+            } catch (e) {
+                error = e;
+            }
+
+            expect(error).to.be.instanceOf(OrderValidationError);
+            expect(await ethers.provider.getTransactionCount(user.address)).to.equal(nonceBefore);
+        });
+    });
+});
@@ -0,0 +1,224 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+    setupInputSettlerXCMEscrow,
+    DESTINATION_CHAIN_ID
+} = require("./helpers/inputSettlerXCMEscrowHelper");
+const {
+    DEFAULT_XCM_PRECOMPILE,
+    parseDeploymentParameters,
+    verifyDeployment,
+    renounceDeployerRoles
+} = require("../sdk");
+const {
+    REQUIRED_PARAMETERS,
+    loadDeploymentParameters,
+    requireNetworkParameters,
+    assertDeployment
+} = require("../scripts/verifyDeployment");
+const ExistingBaseModule = require("../ignition/modules/InputSettlerXCMEscrowExistingBase").default;
+
+const { ethers } = hre;
+
+describe("InputSettlerXCMEscrow - Deployment", function () {
+    let inputSettlerXCMEscrow;
+    let owner;
+    let user;
+    let solver;
+    let tokenAddress;
+    let parameters;
+
+    beforeEach(async function () {
+        const setup = await setupInputSettlerXCMEscrow();
+        owner = setup.owner;
+        user = setup.user;
+        solver = setup.solver;
+        inputSettlerXCMEscrow = setup.inputSettlerXCMEscrow;
+        tokenAddress = await setup.token.getAddress();
+
+        parameters = {
+            inkLibrary: await setup.mockLibrary.getAddress(),
+            xcmPrecompile: await setup.mockXcm.getAddress(),
+            baseSettler: await setup.baseSettler.getAddress(),
+            teleportRoutes: [{ destination: DESTINATION_CHAIN_ID, token: tokenAddress }]
+        };
+    });
+
+    describe("parseDeploymentParameters", function () {
+        it("Should apply the module defaults", function () {
+            const config = parseDeploymentParameters({ inkLibrary: parameters.inkLibrary }, { deployer: owner.address });
+
+            expect(config).to.deep.equal({
+                inkLibrary: parameters.inkLibrary,
+                xcmPrecompile: DEFAULT_XCM_PRECOMPILE,
+                baseSettler: null,
+                xcmEnabled: true,
+                chains: [],
+                teleportRoutes: [],
+                roles: { admin: owner.address, routeManager: owner.address, pauser: owner.address }
+            });
+        });
+
+        it("Should reject missing and zero addresses", function () {
+            expect(() => parseDeploymentParameters({}, { deployer: owner.address })).to.throw("inkLibrary");
+            expect(() => parseDeploymentParameters({ ...parameters, baseSettler: ethers.ZeroAddress }, {
+                deployer: owner.address
+            })).to.throw("baseSettler");
+            expect(() => parseDeploymentParameters({ ...parameters, admin: "0x01" }, {
+                deployer: owner.address
+            })).to.throw("admin");
+        });
+
+        it("Should load the parameters of an ignition parameter file", function () {
+            const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "deploy-"));
+            const file = path.join(tmpDir, "network.json");
+            fs.writeFileSync(file, JSON.stringify({ InputSettlerXCMEscrowModule: parameters }));
+            try {
+                expect(loadDeploymentParameters(file)).to.deep.equal(parameters);
+                fs.writeFileSync(file, JSON.stringify({ OtherModule: parameters }));
+                expect(() => loadDeploymentParameters(file)).to.throw("InputSettlerXCMEscrowModule");
+            } finally {
+                fs.rmSync(tmpDir, { recursive: true, force: true });
+            }
+        });
+
+        it("Should parse the bundled network parameter files once inkLibrary is set", function () {
+            const dir = path.join(__dirname, "..", "ignition", "parameters");
+            for (const file of fs.readdirSync(dir).filter((name) => name.endsWith(".json"))) {
+                const bundled = loadDeploymentParameters(path.join(dir, file));
+                expect(() => parseDeploymentParameters(bundled, { deployer: owner.address })).to.throw("inkLibrary");
+
+                // Any zero-address placeholder left in the file is rejected here
+                expect(() => parseDeploymentParameters(
+                    { ...bundled, inkLibrary: parameters.inkLibrary },
+                    { deployer: owner.address }
+                ), file).to.not.throw();
+            }
+        });
+    });
+
+    describe("requireNetworkParameters", function () {
+        it("Should name the parameters a network requires that its file does not set", function () {
+            const file = path.join(__dirname, "..", "ignition", "parameters", "polkadotHubTestnet.json");
+            const bundled = loadDeploymentParameters(file);
+
+            expect(() => requireNetworkParameters(bundled, "polkadotHubTestnet", file))
+                .to.throw(`${file} is missing inkLibrary, admin, routeManager, pauser, required on polkadotHubTestnet`);
+            expect(() => requireNetworkParameters({ ...bundled, inkLibrary: parameters.inkLibrary, admin: user.address },
+                "polkadotHubTestnet", file)).to.throw("is missing routeManager, pauser");
+
+            const roles = { admin: user.address, routeManager: solver.address, pauser: solver.address };
+            const complete = { ...bundled, inkLibrary: parameters.inkLibrary, ...roles };
+            expect(() => requireNetworkParameters(complete, "polkadotHubTestnet", file)).to.not.throw();
+            expect(parseDeploymentParameters(complete, { deployer: owner.address }).roles).to.deep.equal(roles);
+        });
+
+        it("Should only require inkLibrary on other networks", function () {
+            expect(REQUIRED_PARAMETERS).to.not.have.property("localNode");
+            expect(() => requireNetworkParameters({}, "localNode", "localNode.json"))
+                .to.throw("localNode.json is missing inkLibrary, required on localNode");
+            expect(() => requireNetworkParameters({ inkLibrary: parameters.inkLibrary }, "localNode", "localNode.json"))
+                .to.not.throw();
+        });
+    });
+
+    describe("verifyDeployment", function () {
+        it("Should report no mismatch for a matching deployment", async function () {
+            await inputSettlerXCMEscrow.allowTeleport(DESTINATION_CHAIN_ID, tokenAddress);
+            const config = parseDeploymentParameters(parameters, { deployer: owner.address });
+
+            expect(await verifyDeployment(inputSettlerXCMEscrow, config)).to.deep.equal([]);
+            await assertDeployment(inputSettlerXCMEscrow, config);
+        });
+
+        it("Should report every mismatch", async function () {
+            await inputSettlerXCMEscrow.setXCMEnabled(false);
+            const config = parseDeploymentParameters({ ...parameters, admin: user.address }, { deployer: owner.address });
+
+            const mismatches = await verifyDeployment(inputSettlerXCMEscrow, config, { deployer: owner.address });
+
+            expect(mismatches.map(({ field }) => field)).to.deep.equal([
+                "xcmEnabled",
+                "roles.admin",
+                "roles.admin.deployer",
+                "teleportRoutes"
+            ]);
+            await expect(assertDeployment(inputSettlerXCMEscrow, config)).to.be.rejectedWith("roles.admin");
+        });
+
+        it("Should detect a chain that is not registered", async function () {
+            const location = { relay: false, paraId: DESTINATION_CHAIN_ID, nested: "0x" };
+            const config = parseDeploymentParameters({
+                ...parameters,
+                chains: [
+                    { chainId: DESTINATION_CHAIN_ID, location },
+                    { chainId: 1, location }
+                ]
+            }, { deployer: owner.address });
+            await inputSettlerXCMEscrow.allowTeleport(DESTINATION_CHAIN_ID, tokenAddress);
+
+            expect(await verifyDeployment(inputSettlerXCMEscrow, config)).to.deep.equal([{
+                field: "chains",
+                expected: { chainId: 1n, location },
+                actual: { chainId: 1n, location: null }
+            }]);
+        });
+
+        it("Should detect an unexpected route", async function () {
+            await inputSettlerXCMEscrow.allowTeleport(DESTINATION_CHAIN_ID, tokenAddress);
+            const config = parseDeploymentParameters({ ...parameters, teleportRoutes: [] }, { deployer: owner.address });
+
+            expect(await verifyDeployment(inputSettlerXCMEscrow, config)).to.deep.equal([{
+                field: "teleportRoutes",
+                expected: null,
+                actual: { destination: DESTINATION_CHAIN_ID, token: tokenAddress }
+            }]);
+        });
+    });
+
+    describe("renounceDeployerRoles", function () {
+        it("Should hand the roles over to another account", async function () {
+            const roles = { admin: user.address, routeManager: solver.address, pauser: owner.address };
+            await inputSettlerXCMEscrow.grantRole(await inputSettlerXCMEscrow.DEFAULT_ADMIN_ROLE(), user.address);
+            await inputSettlerXCMEscrow.grantRole(await inputSettlerXCMEscrow.ROUTE_MANAGER_ROLE(), solver.address);
+            const config = parseDeploymentParameters({ ...parameters, ...roles }, { deployer: owner.address });
+
+            expect(await renounceDeployerRoles(inputSettlerXCMEscrow, config)).to.have.lengthOf(2);
+
+            const adminRole = await inputSettlerXCMEscrow.DEFAULT_ADMIN_ROLE();
+            expect(await inputSettlerXCMEscrow.hasRole(adminRole, owner.address)).to.equal(false);
+            expect(await inputSettlerXCMEscrow.hasRole(await inputSettlerXCMEscrow.PAUSER_ROLE(), owner.address))
+                .to.equal(true);
+            expect(await renounceDeployerRoles(inputSettlerXCMEscrow, config)).to.deep.equal([]);
+        });
+
+        it("Should refuse to renounce a role not granted to its new holder", async function () {
+            const config = parseDeploymentParameters({ ...parameters, admin: user.address }, { deployer: owner.address });
+
+            await expect(renounceDeployerRoles(inputSettlerXCMEscrow, config)).to.be.rejectedWith("admin");
+            expect(await inputSettlerXCMEscrow.hasRole(await inputSettlerXCMEscrow.DEFAULT_ADMIN_ROLE(), owner.address))
+                .to.equal(true);
+        });
+    });
+
+    describe("Ignition module", function () {
+        it("Should reuse an existing base settler and seed the chains, routes and XCM state", async function () {
+            const moduleParameters = {
+                ...parameters,
+                xcmEnabled: false,
+                pauser: solver.address,
+                chains: [{ chainId: DESTINATION_CHAIN_ID, location: { relay: false, paraId: DESTINATION_CHAIN_ID, nested: "0x" } }]
+            };
+            const { inputSettlerXCMEscrow: deployed } = await hre.ignition.deploy(ExistingBaseModule, {
+                parameters: { InputSettlerXCMEscrowModule: moduleParameters }
+            });
+            const config = parseDeploymentParameters(moduleParameters, { deployer: owner.address });
+
+            expect(await verifyDeployment(deployed, config)).to.deep.equal([]);
+            expect(await deployed.baseSettler()).to.equal(parameters.baseSettler);
+        });
+    });
+});
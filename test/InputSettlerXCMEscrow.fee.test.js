@@ -0,0 +1,245 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    setupInputSettlerXCMEscrow,
+    createOrderFactory,
+    createOutput,
+    DESTINATION_CHAIN_ID,
+    INITIAL_TOKEN_BALANCE,
+    STANDARD_AMOUNT,
+    LARGE_AMOUNT,
+    MOCK_XCM_MESSAGE_1
+} = require("./helpers/inputSettlerXCMEscrowHelper");
+const {
+    FallbackReason,
+    Route,
+    SurplusPolicy,
+    TimelineEvent,
+    createXCMEscrowClient,
+    indexOrders,
+    preflight,
+    previewRoute,
+    quoteFees
+} = require("../sdk");
+
+describe("InputSettlerXCMEscrow - Protocol Fee", function () {
+    let inputSettlerXCMEscrow;
+    let settlerAddress;
+    let baseSettler;
+    let token;
+    let tokenAddress;
+    let owner;
+    let user;
+    let solver;
+    let chainId;
+    let createOrder;
+
+    const FEE_BPS = 100;
+    const inputAmount = ethers.parseEther(LARGE_AMOUNT);
+    const outputAmount = ethers.parseEther(STANDARD_AMOUNT);
+    const feeAmount = outputAmount * BigInt(FEE_BPS) / 10_000n;
+
+    beforeEach(async function () {
+        const setup = await setupInputSettlerXCMEscrow();
+        owner = setup.owner;
+        user = setup.user;
+        solver = setup.solver;
+        baseSettler = setup.baseSettler;
+        inputSettlerXCMEscrow = setup.inputSettlerXCMEscrow;
+        token = setup.token;
+        chainId = setup.chainId;
+        tokenAddress = await token.getAddress();
+        settlerAddress = await inputSettlerXCMEscrow.getAddress();
+        createOrder = createOrderFactory(user, token, chainId);
+
+        await inputSettlerXCMEscrow.allowTeleport(DESTINATION_CHAIN_ID, tokenAddress);
+        await setup.mockLibrary.setTeleportMessage(MOCK_XCM_MESSAGE_1);
+        await token.connect(user).approve(settlerAddress, ethers.MaxUint256);
+    });
+
+    function createFeeOrder() {
+        return createOrder({ inputs: [[tokenAddress, inputAmount]] });
+    }
+
+    describe("Configuration", function () {
+        it("Should charge no fee by default", async function () {
+            expect(await inputSettlerXCMEscrow.feeRecipient()).to.equal(ethers.ZeroAddress);
+            expect(await inputSettlerXCMEscrow.defaultFeeBps()).to.equal(0);
+            expect(await inputSettlerXCMEscrow.feeBps(tokenAddress)).to.equal(0);
+        });
+
+        it("Should set the fee recipient", async function () {
+            await expect(inputSettlerXCMEscrow.setFeeRecipient(solver.address))
+                .to.emit(inputSettlerXCMEscrow, "FeeRecipientSet")
+                .withArgs(solver.address);
+
+            expect(await inputSettlerXCMEscrow.feeRecipient()).to.equal(solver.address);
+        });
+
+        it("Should reject a zero fee recipient", async function () {
+            await expect(inputSettlerXCMEscrow.setFeeRecipient(ethers.ZeroAddress))
+                .to.be.revertedWithCustomError(inputSettlerXCMEscrow, "InvalidFeeRecipient");
+        });
+
+        it("Should require a fee recipient before setting a fee", async function () {
+            await expect(inputSettlerXCMEscrow.setFee(ethers.ZeroAddress, FEE_BPS))
+                .to.be.revertedWithCustomError(inputSettlerXCMEscrow, "InvalidFeeRecipient");
+        });
+
+        it("Should set the default fee and override it per token", async function () {
+            await inputSettlerXCMEscrow.setFeeRecipient(solver.address);
+
+            await expect(inputSettlerXCMEscrow.setFee(ethers.ZeroAddress, FEE_BPS))
+                .to.emit(inputSettlerXCMEscrow, "FeeSet")
+                .withArgs(ethers.ZeroAddress, FEE_BPS);
+            expect(await inputSettlerXCMEscrow.feeBps(tokenAddress)).to.equal(FEE_BPS);
+
+            await inputSettlerXCMEscrow.setFee(tokenAddress, 0);
+            expect(await inputSettlerXCMEscrow.feeBps(tokenAddress)).to.equal(0);
+
+            await expect(inputSettlerXCMEscrow.clearTokenFee(tokenAddress))
+                .to.emit(inputSettlerXCMEscrow, "TokenFeeCleared")
+                .withArgs(tokenAddress);
+            expect(await inputSettlerXCMEscrow.feeBps(tokenAddress)).to.equal(FEE_BPS);
+        });
+
+        it("Should cap the fee", async function () {
+            await inputSettlerXCMEscrow.setFeeRecipient(solver.address);
+            const maxFeeBps = await inputSettlerXCMEscrow.MAX_FEE_BPS();
+
+            await inputSettlerXCMEscrow.setFee(tokenAddress, maxFeeBps);
+            await expect(inputSettlerXCMEscrow.setFee(tokenAddress, maxFeeBps + 1n))
+                .to.be.revertedWithCustomError(inputSettlerXCMEscrow, "FeeTooHigh")
+                .withArgs(maxFeeBps + 1n);
+        });
+
+        it("Should revert if not called by an admin", async function () {
+            const adminRole = await inputSettlerXCMEscrow.DEFAULT_ADMIN_ROLE();
+
+            await expect(inputSettlerXCMEscrow.connect(user).setFeeRecipient(user.address))
+                .to.be.revertedWithCustomError(inputSettlerXCMEscrow, "AccessControlUnauthorizedAccount")
+                .withArgs(user.address, adminRole);
+            await expect(inputSettlerXCMEscrow.connect(user).setFee(tokenAddress, FEE_BPS))
+                .to.be.revertedWithCustomError(inputSettlerXCMEscrow, "AccessControlUnauthorizedAccount")
+                .withArgs(user.address, adminRole);
+            await expect(inputSettlerXCMEscrow.connect(user).clearTokenFee(tokenAddress))
+                .to.be.revertedWithCustomError(inputSettlerXCMEscrow, "AccessControlUnauthorizedAccount")
+                .withArgs(user.address, adminRole);
+        });
+    });
+
+    describe("Charging", function () {
+        beforeEach(async function () {
+            await inputSettlerXCMEscrow.setFeeRecipient(owner.address);
+            await inputSettlerXCMEscrow.setFee(ethers.ZeroAddress, FEE_BPS);
+        });
+
+        it("Should pay the fee to the recipient and leave the rest as surplus", async function () {
+            const order = createFeeOrder();
+            const orderId = await baseSettler.orderIdentifier(order);
+
+            await expect(inputSettlerXCMEscrow.connect(user).open(order))
+                .to.emit(inputSettlerXCMEscrow, "XCMFeeCharged")
+                .withArgs(orderId, tokenAddress, feeAmount, owner.address)
+                .and.to.emit(inputSettlerXCMEscrow, "XCMSurplus")
+                .withArgs(orderId, tokenAddress, inputAmount - outputAmount - feeAmount, user.address);
+
+            expect(await token.balanceOf(user.address))
+                .to.equal(ethers.parseEther(INITIAL_TOKEN_BALANCE) - outputAmount - feeAmount);
+            expect(await token.balanceOf(owner.address)).to.equal(feeAmount);
+        });
+
+        it("Should deduct the fee before collecting the surplus", async function () {
+            await inputSettlerXCMEscrow.setSurplusPolicy(SurplusPolicy.COLLECT, solver.address);
+
+            await inputSettlerXCMEscrow.connect(user).open(createFeeOrder());
+
+            expect(await token.balanceOf(owner.address)).to.equal(feeAmount);
+            expect(await token.balanceOf(solver.address)).to.equal(inputAmount - outputAmount - feeAmount);
+        });
+
+        it("Should fall back to the base settler when the inputs do not cover the fee", async function () {
+            const order = createOrder();
+
+            expect((await previewRoute(inputSettlerXCMEscrow, order)).code).to.equal(FallbackReason.FeeNotCovered);
+
+            await expect(inputSettlerXCMEscrow.connect(user).open(order))
+                .to.emit(baseSettler, "Open")
+                .and.to.not.emit(inputSettlerXCMEscrow, "XCMFeeCharged");
+            expect(await token.balanceOf(owner.address)).to.equal(0);
+        });
+
+        it("Should report uncovered outputs before the fee", async function () {
+            const order = createOrder({ inputs: [[tokenAddress, outputAmount - 1n]] });
+
+            expect((await previewRoute(inputSettlerXCMEscrow, order)).code).to.equal(FallbackReason.OutputsNotCovered);
+        });
+
+        it("Should apply the fee of each token", async function () {
+            const otherToken = await ethers.deployContract("MockERC20", ["Other", "OTH"]);
+            const otherAddress = await otherToken.getAddress();
+            await otherToken.mint(user, inputAmount);
+            await otherToken.connect(user).approve(settlerAddress, inputAmount);
+            await inputSettlerXCMEscrow.allowTeleport(DESTINATION_CHAIN_ID, otherAddress);
+            await inputSettlerXCMEscrow.setFee(otherAddress, 0);
+            const order = createOrder({
+                inputs: [[tokenAddress, inputAmount], [otherAddress, outputAmount]],
+                outputs: [createOutput(tokenAddress, user.address), createOutput(otherAddress, user.address)]
+            });
+
+            expect(await quoteFees(inputSettlerXCMEscrow, order)).to.deep.equal([
+                { token: tokenAddress, amount: feeAmount },
+                { token: otherAddress, amount: 0n }
+            ]);
+
+            await expect(inputSettlerXCMEscrow.connect(user).open(order))
+                .to.emit(inputSettlerXCMEscrow, "XCMFeeCharged")
+                .withArgs(await baseSettler.orderIdentifier(order), tokenAddress, feeAmount, owner.address);
+            expect(await otherToken.balanceOf(owner.address)).to.equal(0);
+        });
+    });
+
+    describe("SDK", function () {
+        beforeEach(async function () {
+            await inputSettlerXCMEscrow.setFeeRecipient(owner.address);
+            await inputSettlerXCMEscrow.setFee(ethers.ZeroAddress, FEE_BPS);
+        });
+
+        it("Should quote the fee in preflight and agree with previewRoute", async function () {
+            const order = createFeeOrder();
+
+            const predicted = await preflight(inputSettlerXCMEscrow, order);
+
+            expect(predicted.route).to.equal(Route.XCM);
+            expect(predicted.fees).to.deep.equal([{ token: tokenAddress, amount: feeAmount }]);
+            expect(await previewRoute(inputSettlerXCMEscrow, order)).to.deep.equal(predicted);
+        });
+
+        it("Should predict FeeNotCovered without quoting a fee", async function () {
+            const order = createOrder();
+
+            const predicted = await preflight(inputSettlerXCMEscrow, order);
+
+            expect(predicted.reason).to.equal("FeeNotCovered");
+            expect(predicted.fees).to.deep.equal([]);
+            expect(await previewRoute(inputSettlerXCMEscrow, order)).to.deep.equal(predicted);
+        });
+
+        it("Should report the fee in the client result and the order history", async function () {
+            const fromBlock = await ethers.provider.getBlockNumber();
+            const client = createXCMEscrowClient({ settler: settlerAddress, signer: user });
+
+            const result = await client.open(createFeeOrder());
+
+            expect(result.fees).to.deep.equal([{ token: tokenAddress, amount: feeAmount, recipient: owner.address }]);
+
+            const [timeline] = await indexOrders(ethers.provider, { settler: settlerAddress, fromBlock });
+            expect(timeline.events.map(({ type }) => type)).to.deep.equal([
+                TimelineEvent.OPENED_XCM,
+                TimelineEvent.DELIVERED,
+                TimelineEvent.FEE,
+                TimelineEvent.SURPLUS
+            ]);
+        });
+    });
+});
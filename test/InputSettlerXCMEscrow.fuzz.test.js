@@ -0,0 +1,128 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    setupInputSettlerXCMEscrow,
+    DESTINATION_CHAIN_ID,
+    DESTINATION_CHAIN_ID_2,
+    DISALLOWED_CHAIN_ID
+} = require("./helpers/inputSettlerXCMEscrowHelper");
+const { createRandom, randomOrder, referenceRoute } = require("./helpers/orderFuzzer");
+const { FallbackReason, preflight } = require("../sdk");
+
+// A failing run is reproduced with FUZZ_SEED=<seed of the run> FUZZ_RUNS=1
+const FUZZ_SEED = Number(process.env.FUZZ_SEED ?? 0x5eed);
+const FUZZ_RUNS = Number(process.env.FUZZ_RUNS ?? 40);
+
+const TOKEN_COUNT = 3;
+const USER_BALANCE = 1n << 200n;
+
+describe("InputSettlerXCMEscrow - Fuzzing", function () {
+    let inputSettlerXCMEscrow;
+    let settlerAddress;
+    let baseSettler;
+    let mockXcm;
+    let tokens;
+    let user;
+    let chainId;
+    let snapshot;
+
+    before(async function () {
+        const setup = await setupInputSettlerXCMEscrow();
+        user = setup.user;
+        chainId = setup.chainId;
+        baseSettler = setup.baseSettler;
+        mockXcm = setup.mockXcm;
+        inputSettlerXCMEscrow = setup.inputSettlerXCMEscrow;
+        settlerAddress = await inputSettlerXCMEscrow.getAddress();
+
+        tokens = [setup.token];
+        for (let i = 1; i < TOKEN_COUNT; i++) {
+            tokens.push(await ethers.deployContract("MockERC20", [`Fuzz ${i}`, `FZ${i}`]));
+        }
+        for (const token of tokens) {
+            await token.mint(user, USER_BALANCE);
+            await token.connect(user).approve(settlerAddress, ethers.MaxUint256);
+        }
+        await mockXcm.setWithdrawnTokens(await Promise.all(tokens.map((token) => token.getAddress())));
+
+        snapshot = await takeSnapshot();
+    });
+
+    afterEach(async function () {
+        await snapshot.restore();
+    });
+
+    async function balancesOf(account) {
+        return Promise.all(tokens.map((token) => token.balanceOf(account)));
+    }
+
+    async function routeOf(receipt) {
+        const xcmOpen = inputSettlerXCMEscrow.interface.getEvent("XCMOpen").topicHash;
+        const escrowOpen = baseSettler.interface.getEvent("Open").topicHash;
+        const baseSettlerAddress = await baseSettler.getAddress();
+        const routes = [];
+        for (const log of receipt.logs) {
+            if (log.address === settlerAddress && log.topics[0] === xcmOpen) routes.push("xcm");
+            if (log.address === baseSettlerAddress && log.topics[0] === escrowOpen) routes.push("escrow");
+        }
+        return routes;
+    }
+
+    for (let run = 0; run < FUZZ_RUNS; run++) {
+        const seed = FUZZ_SEED + run;
+
+        it(`Should route and settle a random order (seed ${seed})`, async function () {
+            const random = createRandom(seed);
+            const tokenAddresses = await Promise.all(tokens.map((token) => token.getAddress()));
+
+            // Allow a random subset of the routes
+            const allowed = new Set();
+            const routes = [];
+            for (const destination of [DESTINATION_CHAIN_ID, DESTINATION_CHAIN_ID_2]) {
+                for (const token of tokenAddresses) {
+                    if (!random.chance(0.85)) continue;
+                    allowed.add(`${destination}:${token}`);
+                    routes.push({ destination, token });
+                }
+            }
+            if (routes.length !== 0) await inputSettlerXCMEscrow.allowTeleports(routes);
+
+            const order = randomOrder(random, {
+                user: user.address,
+                chainId,
+                tokens: tokenAddresses,
+                destinations: [DESTINATION_CHAIN_ID, DESTINATION_CHAIN_ID_2],
+                disallowedDestination: DISALLOWED_CHAIN_ID
+            });
+            const expected = referenceRoute(order, (destination, token) => allowed.has(`${destination}:${token}`));
+
+            // Routing agrees with the reference model, on-chain and in the SDK
+            const [code, index] = await inputSettlerXCMEscrow.previewRoute(order);
+            expect(code).to.equal(FallbackReason[expected.reason]);
+            expect(index).to.equal(expected.index);
+            const predicted = await preflight(inputSettlerXCMEscrow, order);
+            expect(predicted.reason).to.equal(expected.reason);
+            expect(predicted.index).to.equal(expected.index);
+
+            const sink = expected.route === "xcm" ? mockXcm : baseSettler;
+            const userBefore = await balancesOf(user);
+            const sinkBefore = await balancesOf(sink);
+
+            const tx = await inputSettlerXCMEscrow.connect(user).open(order);
+            expect(await routeOf(await tx.wait())).to.deep.equal([expected.route]);
+
+            const userAfter = await balancesOf(user);
+            const sinkAfter = await balancesOf(sink);
+            for (const [i, address] of tokenAddresses.entries()) {
+                const collected = expected.collected.get(address) ?? 0n;
+                // The payer is charged exactly the collected amount, which all leaves the settler
+                expect(userBefore[i] - userAfter[i]).to.equal(collected);
+                expect(sinkAfter[i] - sinkBefore[i]).to.equal(collected);
+                expect(await tokens[i].balanceOf(settlerAddress)).to.equal(0);
+                expect(await tokens[i].allowance(settlerAddress, await mockXcm.getAddress())).to.equal(0);
+            }
+            expect(await ethers.provider.getBalance(settlerAddress)).to.equal(0);
+        });
+    }
+});
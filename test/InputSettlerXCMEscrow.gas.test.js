@@ -0,0 +1,141 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    setupInputSettlerXCMEscrow,
+    createOutput,
+    DESTINATION_CHAIN_ID,
+    DISALLOWED_CHAIN_ID,
+    INITIAL_TOKEN_BALANCE,
+    STANDARD_AMOUNT,
+    MAX_TOKENS_TEST_COUNT,
+    MOCK_XCM_MESSAGE_1
+} = require("./helpers/inputSettlerXCMEscrowHelper");
+const {
+    DEFAULT_THRESHOLD_PERCENT,
+    loadBaseline,
+    writeBaseline,
+    compareGas,
+    formatReport
+} = require("./helpers/gasBenchmark");
+const { FallbackReason } = require("../sdk");
+
+// The baseline is rewritten with GAS_BASELINE_UPDATE=1 instead of being checked
+const UPDATE_BASELINE = process.env.GAS_BASELINE_UPDATE === "1";
+// The benchmark only runs under `npm run gas`, so that `npm test` does not depend on the gas of the local build
+const RUN_BENCHMARK = process.env.GAS_REPORT === "1";
+const THRESHOLD_PERCENT = Number(process.env.GAS_THRESHOLD_PERCENT ?? DEFAULT_THRESHOLD_PERCENT);
+
+// Fixed deadlines, so that the calldata and the gas of the orders do not depend on the time of the run
+const DEADLINE = 4_000_000_000;
+
+/**
+ * Scenarios measured on both paths: `outputs` outputs spread over `tokens` distinct tokens, paid
+ * by `inputs` inputs per token. The fallback is forced by the route of the last output, so that it
+ * also pays for the checks of the XCM path.
+ */
+const SHAPES = [
+    { outputs: 1, tokens: 1, inputs: 1 },
+    { outputs: 4, tokens: 1, inputs: 1 },
+    { outputs: 4, tokens: 4, inputs: 1 },
+    { outputs: MAX_TOKENS_TEST_COUNT, tokens: 1, inputs: 1 },
+    { outputs: MAX_TOKENS_TEST_COUNT, tokens: MAX_TOKENS_TEST_COUNT, inputs: 1 },
+    { outputs: 1, tokens: 1, inputs: 4 },
+    { outputs: 1, tokens: 1, inputs: MAX_TOKENS_TEST_COUNT },
+    { outputs: 4, tokens: 4, inputs: 4 }
+];
+
+(RUN_BENCHMARK ? describe : describe.skip)("InputSettlerXCMEscrow - Gas Benchmarks", function () {
+    let inputSettlerXCMEscrow;
+    let tokens;
+    let user;
+    let chainId;
+    let snapshot;
+    const baseline = loadBaseline();
+    const results = new Map();
+
+    before(async function () {
+        const setup = await setupInputSettlerXCMEscrow();
+        user = setup.user;
+        chainId = setup.chainId;
+        inputSettlerXCMEscrow = setup.inputSettlerXCMEscrow;
+        const settlerAddress = await inputSettlerXCMEscrow.getAddress();
+
+        tokens = [await setup.token.getAddress()];
+        for (let i = 1; i < MAX_TOKENS_TEST_COUNT; i++) {
+            const token = await ethers.deployContract("MockERC20", [`Bench ${i}`, `BN${i}`]);
+            await token.mint(user, ethers.parseEther(INITIAL_TOKEN_BALANCE));
+            tokens.push(await token.getAddress());
+        }
+        for (const address of tokens) {
+            const token = await ethers.getContractAt("MockERC20", address);
+            await token.connect(user).approve(settlerAddress, ethers.MaxUint256);
+        }
+        await inputSettlerXCMEscrow.allowTeleports(tokens.map((token) => ({ destination: DESTINATION_CHAIN_ID, token })));
+        await setup.mockLibrary.setTeleportMessage(MOCK_XCM_MESSAGE_1);
+
+        snapshot = await takeSnapshot();
+    });
+
+    afterEach(async function () {
+        await snapshot.restore();
+    });
+
+    after(function () {
+        if (results.size === 0) return;
+        console.log(`\n${formatReport(results, baseline, THRESHOLD_PERCENT)}\n`);
+        if (UPDATE_BASELINE) writeBaseline(results);
+    });
+
+    function createBenchmarkOrder({ outputs, tokens: tokenCount, inputs }, fallback) {
+        const amount = ethers.parseEther(STANDARD_AMOUNT);
+        const orderOutputs = Array.from({ length: outputs }, (_, i) => createOutput(tokens[i % tokenCount], user.address, {
+            chainId: fallback && i === outputs - 1 ? DISALLOWED_CHAIN_ID : DESTINATION_CHAIN_ID,
+            amount
+        }));
+
+        const orderInputs = [];
+        for (let t = 0; t < tokenCount; t++) {
+            const total = amount * BigInt(Math.ceil((outputs - t) / tokenCount));
+            for (let i = 0; i < inputs; i++) {
+                // The last input of a token carries the rest of its total
+                const part = i === inputs - 1 ? total - (total / BigInt(inputs)) * BigInt(inputs - 1) : total / BigInt(inputs);
+                orderInputs.push([tokens[t], part]);
+            }
+        }
+
+        return {
+            user: user.address,
+            nonce: 0,
+            originChainId: chainId,
+            expires: DEADLINE,
+            fillDeadline: DEADLINE,
+            inputOracle: ethers.ZeroAddress,
+            inputs: orderInputs,
+            outputs: orderOutputs
+        };
+    }
+
+    for (const route of ["xcm", "escrow"]) {
+        for (const shape of SHAPES) {
+            const name = `${route}/outputs=${shape.outputs}/tokens=${shape.tokens}/inputs=${shape.inputs}`;
+
+            it(`Should not regress the gas of open for ${name}`, async function () {
+                const order = createBenchmarkOrder(shape, route === "escrow");
+                const [code] = await inputSettlerXCMEscrow.previewRoute(order);
+                expect(code).to.equal(route === "xcm" ? FallbackReason.None : FallbackReason.TeleportNotAllowed);
+
+                const tx = await inputSettlerXCMEscrow.connect(user).open(order);
+                const { gasUsed } = await tx.wait();
+                results.set(name, gasUsed);
+
+                if (UPDATE_BASELINE) return;
+                expect(baseline, `${name} has no baseline, record it with GAS_BASELINE_UPDATE=1 npm run gas`)
+                    .to.have.property(name);
+                const { status, delta } = compareGas(gasUsed, baseline[name], THRESHOLD_PERCENT);
+                expect(status, `${name} used ${gasUsed} gas, ${delta?.toFixed(2)}% over its baseline of ${baseline[name]}`)
+                    .to.not.equal("regressed");
+            });
+        }
+    }
+});
@@ -0,0 +1,225 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    setupInputSettlerXCMEscrow,
+    createOrderFactory,
+    createOutput,
+    toBytes32,
+    DESTINATION_CHAIN_ID,
+    DISALLOWED_CHAIN_ID,
+    STANDARD_AMOUNT,
+    MOCK_XCM_MESSAGE_BYTES
+} = require("./helpers/inputSettlerXCMEscrowHelper");
+const {
+    INPUT_SETTLER_ESCROW_ABI,
+    Route,
+    RouteMode,
+    TransferKind,
+    TimelineEvent,
+    TimelineStatus,
+    buildTimelines,
+    fetchSettlementLogs,
+    indexOrders,
+    timelinesToJSON
+} = require("../sdk");
+
+describe("InputSettlerXCMEscrow - Indexer", function () {
+    let inputSettlerXCMEscrow;
+    let settlerAddress;
+    let baseSettler;
+    let baseSettlerAddress;
+    let token;
+    let tokenAddress;
+    let user;
+    let solver;
+    let snapshot;
+    let createOrder;
+    let fromBlock;
+
+    beforeEach(async function () {
+        // The refund test moves the clock forward, restore it so later orders are not expired
+        snapshot = await takeSnapshot();
+
+        const setup = await setupInputSettlerXCMEscrow();
+        user = setup.user;
+        solver = setup.solver;
+        baseSettler = setup.baseSettler;
+        inputSettlerXCMEscrow = setup.inputSettlerXCMEscrow;
+        token = setup.token;
+        tokenAddress = await token.getAddress();
+        settlerAddress = await inputSettlerXCMEscrow.getAddress();
+        baseSettlerAddress = await baseSettler.getAddress();
+        createOrder = createOrderFactory(user, token, setup.chainId);
+
+        await inputSettlerXCMEscrow.allowTeleport(DESTINATION_CHAIN_ID, tokenAddress);
+        await setup.mockLibrary.setTeleportMessage(ethers.toUtf8Bytes(MOCK_XCM_MESSAGE_BYTES));
+        await token.connect(user).approve(settlerAddress, ethers.MaxUint256);
+        fromBlock = await ethers.provider.getBlockNumber();
+    });
+
+    afterEach(async function () {
+        await snapshot.restore();
+    });
+
+    function createEscrowOrder(overrides = {}) {
+        return createOrder({
+            nonce: 1,
+            outputs: [createOutput(tokenAddress, user.address, { chainId: DISALLOWED_CHAIN_ID })],
+            ...overrides
+        });
+    }
+
+    async function index() {
+        return indexOrders(ethers.provider, { settler: settlerAddress, fromBlock });
+    }
+
+    /**
+     * Builds a base settler log for events the harness cannot produce, such as purchases.
+     */
+    function syntheticLog(name, args, blockNumber) {
+        const { data, topics } = new ethers.Interface(INPUT_SETTLER_ESCROW_ABI)
+            .encodeEventLog(name, args);
+        return {
+            address: baseSettlerAddress,
+            blockNumber,
+            transactionHash: ethers.ZeroHash,
+            transactionIndex: 0,
+            index: 0,
+            data,
+            topics
+        };
+    }
+
+    it("Should index an order settled via XCM", async function () {
+        const order = createOrder();
+        const orderId = await baseSettler.orderIdentifier(order);
+        const tx = await inputSettlerXCMEscrow.connect(user).open(order);
+
+        const [timeline] = await index();
+
+        expect(timeline.orderId).to.equal(orderId);
+        expect(timeline.route).to.equal(Route.XCM);
+        expect(timeline.status).to.equal(TimelineStatus.DELIVERED);
+        expect(timeline.user).to.equal(user.address);
+        expect(timeline.order.inputs).to.deep.equal(order.inputs);
+        expect(timeline.events.map(({ type }) => type))
+            .to.deep.equal([TimelineEvent.OPENED_XCM, TimelineEvent.DELIVERED]);
+        expect(timeline.events[1]).to.include({
+            mode: RouteMode.EXECUTE,
+            kind: TransferKind.TELEPORT,
+            destination: BigInt(DESTINATION_CHAIN_ID),
+            token: tokenAddress,
+            amount: ethers.parseEther(STANDARD_AMOUNT),
+            recipient: toBytes32(user.address),
+            transactionHash: tx.hash
+        });
+    });
+
+    it("Should index an escrowed order through to its refund", async function () {
+        const deadline = (await time.latest()) + 60;
+        const order = createEscrowOrder({ expires: deadline, fillDeadline: deadline });
+        const orderId = await baseSettler.orderIdentifier(order);
+        await inputSettlerXCMEscrow.connect(user).open(order);
+
+        let [timeline] = await index();
+        expect(timeline.route).to.equal(Route.ESCROW);
+        expect(timeline.status).to.equal(TimelineStatus.DEPOSITED);
+
+        await time.increase(120);
+        await baseSettler.refund(order);
+
+        [timeline] = await index();
+        expect(timeline.orderId).to.equal(orderId);
+        expect(timeline.status).to.equal(TimelineStatus.REFUNDED);
+        expect(timeline.events.map(({ type }) => type))
+            .to.deep.equal([TimelineEvent.OPENED_ESCROW, TimelineEvent.REFUNDED]);
+    });
+
+    it("Should keep orders apart and in chain order", async function () {
+        const escrowOrder = createEscrowOrder();
+        await inputSettlerXCMEscrow.connect(user).open(escrowOrder);
+        await inputSettlerXCMEscrow.connect(user).open(createOrder());
+
+        const timelines = await index();
+
+        expect(timelines.map(({ route }) => route)).to.deep.equal([Route.ESCROW, Route.XCM]);
+        expect(timelines[0].orderId).to.equal(await baseSettler.orderIdentifier(escrowOrder));
+    });
+
+    it("Should record purchases and finalisation from base settler logs", async function () {
+        const order = createEscrowOrder();
+        const orderId = await baseSettler.orderIdentifier(order);
+        await inputSettlerXCMEscrow.connect(user).open(order);
+        const logs = await fetchSettlementLogs(ethers.provider, {
+            settler: settlerAddress,
+            baseSettler: baseSettlerAddress,
+            fromBlock
+        });
+        const block = await ethers.provider.getBlockNumber();
+        const solverId = toBytes32(solver.address);
+
+        // Passed out of order to check the timeline is sorted by block
+        const timelines = buildTimelines([
+            syntheticLog("Finalised", [orderId, solverId, solverId], block + 2),
+            syntheticLog("OrderPurchased", [orderId, toBytes32(user.address), solverId], block + 1),
+            ...logs
+        ], { settler: settlerAddress, baseSettler: baseSettlerAddress });
+
+        expect(timelines).to.have.lengthOf(1);
+        expect(timelines[0].status).to.equal(TimelineStatus.FINALISED);
+        expect(timelines[0].events.map(({ type }) => type)).to.deep.equal([
+            TimelineEvent.OPENED_ESCROW,
+            TimelineEvent.PURCHASED,
+            TimelineEvent.FINALISED
+        ]);
+        expect(timelines[0].events[1].purchaser).to.equal(solverId);
+    });
+
+    it("Should page through the block range", async function () {
+        await inputSettlerXCMEscrow.connect(user).open(createOrder());
+        await inputSettlerXCMEscrow.connect(user).open(createEscrowOrder());
+
+        const timelines = await indexOrders(ethers.provider, {
+            settler: settlerAddress,
+            fromBlock,
+            blockRange: 1
+        });
+
+        expect(timelines).to.have.lengthOf(2);
+    });
+
+    it("Should reject block ranges that are not positive integers", async function () {
+        for (const blockRange of [0, -1, 1.5, NaN]) {
+            await expect(fetchSettlementLogs(ethers.provider, {
+                settler: settlerAddress,
+                baseSettler: baseSettlerAddress,
+                fromBlock,
+                blockRange
+            })).to.be.rejectedWith(RangeError, "blockRange must be a positive integer");
+        }
+    });
+
+    it("Should leave the route of orders opened before the range unknown", async function () {
+        const order = createEscrowOrder();
+        await inputSettlerXCMEscrow.connect(user).open(order);
+        const block = await ethers.provider.getBlockNumber();
+        const orderId = await baseSettler.orderIdentifier(order);
+
+        const timelines = buildTimelines(
+            [syntheticLog("Refunded", [orderId], block + 1)],
+            { settler: settlerAddress, baseSettler: baseSettlerAddress }
+        );
+
+        expect(timelines[0]).to.include({ orderId, route: null, order: null, status: TimelineStatus.REFUNDED });
+    });
+
+    it("Should export timelines as JSON", async function () {
+        await inputSettlerXCMEscrow.connect(user).open(createOrder());
+
+        const [timeline] = JSON.parse(timelinesToJSON(await index()));
+
+        expect(timeline.order.inputs[0][1]).to.equal(ethers.parseEther(STANDARD_AMOUNT).toString());
+        expect(timeline.events[1].destination).to.equal(String(DESTINATION_CHAIN_ID));
+    });
+});
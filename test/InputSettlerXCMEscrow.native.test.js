@@ -0,0 +1,155 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    setupInputSettlerXCMEscrow,
+    createOrderFactory,
+    createOutput,
+    DESTINATION_CHAIN_ID,
+    STANDARD_AMOUNT,
+    LARGE_AMOUNT,
+    MOCK_XCM_MESSAGE_1
+} = require("./helpers/inputSettlerXCMEscrowHelper");
+const { NATIVE_ASSET, Route, RouteMode, SurplusPolicy, createXCMEscrowClient } = require("../sdk");
+
+describe("InputSettlerXCMEscrow - Native Asset", function () {
+    let inputSettlerXCMEscrow;
+    let settlerAddress;
+    let mockLibrary;
+    let baseSettler;
+    let token;
+    let owner;
+    let user;
+    let solver;
+    let createOrder;
+
+    const inputAmount = ethers.parseEther(LARGE_AMOUNT);
+    const outputAmount = ethers.parseEther(STANDARD_AMOUNT);
+
+    beforeEach(async function () {
+        const setup = await setupInputSettlerXCMEscrow();
+        owner = setup.owner;
+        user = setup.user;
+        solver = setup.solver;
+        mockLibrary = setup.mockLibrary;
+        baseSettler = setup.baseSettler;
+        inputSettlerXCMEscrow = setup.inputSettlerXCMEscrow;
+        token = setup.token;
+        settlerAddress = await inputSettlerXCMEscrow.getAddress();
+        createOrder = createOrderFactory(user, token, setup.chainId);
+
+        await inputSettlerXCMEscrow.allowTeleport(DESTINATION_CHAIN_ID, NATIVE_ASSET);
+        await mockLibrary.setTeleportMessage(MOCK_XCM_MESSAGE_1);
+    });
+
+    function createNativeOrder(overrides = {}) {
+        return createOrder({
+            inputs: [[NATIVE_ASSET, inputAmount]],
+            outputs: [createOutput(NATIVE_ASSET, user.address)],
+            ...overrides
+        });
+    }
+
+    it("Should expose the native asset identifier", async function () {
+        expect(await inputSettlerXCMEscrow.NATIVE_ASSET()).to.equal(NATIVE_ASSET);
+    });
+
+    it("Should teleport native value through the library and refund the surplus", async function () {
+        const order = createNativeOrder();
+
+        await expect(inputSettlerXCMEscrow.connect(user).open(order, { value: inputAmount }))
+            .to.emit(inputSettlerXCMEscrow, "XCMTeleportExecuted")
+            .withArgs(await baseSettler.orderIdentifier(order), DESTINATION_CHAIN_ID, NATIVE_ASSET, outputAmount, ethers.zeroPadValue(user.address, 32))
+            .and.to.changeEtherBalances([user, mockLibrary, inputSettlerXCMEscrow], [-outputAmount, outputAmount, 0]);
+    });
+
+    it("Should fund sent routes with native value", async function () {
+        await inputSettlerXCMEscrow.setRouteMode(DESTINATION_CHAIN_ID, NATIVE_ASSET, RouteMode.SEND);
+
+        await expect(inputSettlerXCMEscrow.connect(user).open(createNativeOrder(), { value: inputAmount }))
+            .to.emit(inputSettlerXCMEscrow, "XCMMessageSent")
+            .and.to.changeEtherBalance(mockLibrary, outputAmount);
+    });
+
+    it("Should pay the native surplus to the recipient under the collect policy", async function () {
+        await inputSettlerXCMEscrow.setSurplusPolicy(SurplusPolicy.COLLECT, solver.address);
+
+        await expect(inputSettlerXCMEscrow.connect(user).open(createNativeOrder(), { value: inputAmount }))
+            .to.changeEtherBalances([user, solver], [-inputAmount, inputAmount - outputAmount]);
+    });
+
+    it("Should charge the protocol fee in native value", async function () {
+        await inputSettlerXCMEscrow.setFeeRecipient(owner.address);
+        await inputSettlerXCMEscrow.setFee(NATIVE_ASSET, 100);
+        const fee = outputAmount / 100n;
+
+        await expect(inputSettlerXCMEscrow.connect(user).open(createNativeOrder(), { value: inputAmount }))
+            .to.emit(inputSettlerXCMEscrow, "XCMFeeCharged")
+            .and.to.changeEtherBalances([user, owner], [-outputAmount - fee, fee]);
+    });
+
+    it("Should settle mixed native and ERC20 orders", async function () {
+        const tokenAddress = await token.getAddress();
+        await inputSettlerXCMEscrow.allowTeleport(DESTINATION_CHAIN_ID, tokenAddress);
+        await token.connect(user).approve(settlerAddress, outputAmount);
+        const order = createNativeOrder({
+            inputs: [[NATIVE_ASSET, outputAmount], [tokenAddress, outputAmount]],
+            outputs: [createOutput(NATIVE_ASSET, user.address), createOutput(tokenAddress, user.address)]
+        });
+
+        await expect(inputSettlerXCMEscrow.connect(user).open(order, { value: outputAmount }))
+            .to.changeEtherBalance(mockLibrary, outputAmount)
+            .and.to.changeTokenBalance(token, user, -outputAmount);
+    });
+
+    it("Should require the value to match the native inputs", async function () {
+        const order = createNativeOrder();
+
+        await expect(inputSettlerXCMEscrow.connect(user).open(order, { value: inputAmount - 1n }))
+            .to.be.revertedWithCustomError(inputSettlerXCMEscrow, "InvalidNativeValue")
+            .withArgs(inputAmount, inputAmount - 1n);
+        await expect(inputSettlerXCMEscrow.connect(user).open(createOrder(), { value: 1n }))
+            .to.be.revertedWithCustomError(inputSettlerXCMEscrow, "InvalidNativeValue")
+            .withArgs(0, 1n);
+    });
+
+    it("Should revert instead of escrowing native inputs", async function () {
+        await inputSettlerXCMEscrow.forbidTeleport(DESTINATION_CHAIN_ID, NATIVE_ASSET);
+
+        await expect(inputSettlerXCMEscrow.connect(user).open(createNativeOrder(), { value: inputAmount }))
+            .to.be.revertedWithCustomError(inputSettlerXCMEscrow, "NativeAssetNotEscrowable");
+    });
+
+    it("Should revert instead of splitting orders with native inputs", async function () {
+        await inputSettlerXCMEscrow.setSplitEnabled(true);
+        const order = createNativeOrder({
+            outputs: [
+                createOutput(NATIVE_ASSET, user.address),
+                createOutput(NATIVE_ASSET, user.address, { chainId: DESTINATION_CHAIN_ID + 1, amount: 1n })
+            ]
+        });
+
+        await expect(inputSettlerXCMEscrow.connect(user).open(order, { value: inputAmount }))
+            .to.be.revertedWithCustomError(inputSettlerXCMEscrow, "NativeAssetNotEscrowable");
+    });
+
+    it("Should reject native inputs of sponsored orders on either route", async function () {
+        const order = createNativeOrder();
+
+        await expect(inputSettlerXCMEscrow.openFor(order, user.address, "0x01"))
+            .to.be.revertedWithCustomError(inputSettlerXCMEscrow, "NativeAssetNotEscrowable");
+
+        await inputSettlerXCMEscrow.forbidTeleport(DESTINATION_CHAIN_ID, NATIVE_ASSET);
+        await expect(inputSettlerXCMEscrow.openFor(order, user.address, "0x01"))
+            .to.be.revertedWithCustomError(inputSettlerXCMEscrow, "NativeAssetNotEscrowable");
+    });
+
+    it("Should send the native inputs as value from the client", async function () {
+        const client = createXCMEscrowClient({ settler: settlerAddress, signer: user });
+
+        const result = await client.open(createNativeOrder());
+
+        expect(result.route).to.equal(Route.XCM);
+        expect(result.teleports[0].token).to.equal(NATIVE_ASSET);
+        expect(await ethers.provider.getBalance(mockLibrary)).to.equal(outputAmount);
+    });
+});
@@ -0,0 +1,212 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    setupInputSettlerXCMEscrow,
+    createOrderFactory,
+    createOutput,
+    toBytes32,
+    DESTINATION_CHAIN_ID,
+    DESTINATION_CHAIN_ID_2,
+    DISALLOWED_CHAIN_ID,
+    UINT32_MAX_PLUS_ONE,
+    UINT128_MAX,
+    ONE_ETHER_WEI,
+    STANDARD_AMOUNT,
+    SMALL_AMOUNT,
+    MEDIUM_AMOUNT,
+    ZERO_BYTES32,
+    MOCK_XCM_MESSAGE_BYTES
+} = require("./helpers/inputSettlerXCMEscrowHelper");
+const { Route, FallbackReason, preflight, previewRoute } = require("../sdk");
+
+describe("InputSettlerXCMEscrow - Routing Preflight", function () {
+    let inputSettlerXCMEscrow;
+    let token;
+    let user;
+    let mockLibrary;
+    let baseSettler;
+    let chainId;
+    let createOrder;
+
+    beforeEach(async function () {
+        const setup = await setupInputSettlerXCMEscrow();
+        user = setup.user;
+        mockLibrary = setup.mockLibrary;
+        baseSettler = setup.baseSettler;
+        inputSettlerXCMEscrow = setup.inputSettlerXCMEscrow;
+        token = setup.token;
+        chainId = setup.chainId;
+        createOrder = createOrderFactory(user, token, chainId);
+
+        await inputSettlerXCMEscrow.allowTeleport(DESTINATION_CHAIN_ID, await token.getAddress());
+        await mockLibrary.setTeleportMessage(ethers.toUtf8Bytes(MOCK_XCM_MESSAGE_BYTES));
+    });
+
+    /**
+     * Runs the JS preflight and the on-chain view and checks they agree.
+     */
+    async function expectRoute(order, reason, index = 0) {
+        const predicted = await preflight(inputSettlerXCMEscrow, order);
+        const onChain = await previewRoute(inputSettlerXCMEscrow, order);
+
+        expect(predicted.reason).to.equal(reason);
+        expect(predicted.index).to.equal(index);
+        expect(onChain).to.deep.equal(predicted);
+        return predicted;
+    }
+
+    describe("Cross-check with previewRoute", function () {
+        it("Should predict the XCM route for an eligible order", async function () {
+            const result = await expectRoute(createOrder(), "None");
+            expect(result.route).to.equal(Route.XCM);
+            expect(result.code).to.equal(FallbackReason.None);
+        });
+
+        it("Should report XCM disabled", async function () {
+            await inputSettlerXCMEscrow.setXCMEnabled(false);
+
+            const result = await expectRoute(createOrder(), "XCMDisabled");
+            expect(result.route).to.equal(Route.ESCROW);
+        });
+
+        it("Should report missing inputs and outputs", async function () {
+            await expectRoute(createOrder({ inputs: [] }), "NoInputs");
+            await expectRoute(createOrder({ outputs: [] }), "NoOutputs");
+        });
+
+        it("Should report a zero recipient", async function () {
+            const order = createOrder({
+                outputs: [createOutput(await token.getAddress(), user.address, {
+                    recipient: toBytes32(ZERO_BYTES32)
+                })]
+            });
+
+            await expectRoute(order, "RecipientZero");
+        });
+
+        it("Should report call or context payloads", async function () {
+            const order = createOrder({
+                inputs: [[await token.getAddress(), ethers.parseEther(STANDARD_AMOUNT)]],
+                outputs: [
+                    createOutput(await token.getAddress(), user.address, { amount: ethers.parseEther(SMALL_AMOUNT) }),
+                    createOutput(await token.getAddress(), user.address, {
+                        amount: ethers.parseEther(SMALL_AMOUNT),
+                        context: "0x01"
+                    })
+                ]
+            });
+
+            await expectRoute(order, "CallOrContextPresent", 1);
+        });
+
+        it("Should report unregistered chain ids", async function () {
+            const order = createOrder({
+                outputs: [createOutput(await token.getAddress(), user.address, {
+                    chainId: UINT32_MAX_PLUS_ONE
+                })]
+            });
+
+            await expectRoute(order, "ChainNotRegistered");
+        });
+
+        it("Should report pairs missing from the allow-list", async function () {
+            const order = createOrder({
+                outputs: [createOutput(await token.getAddress(), user.address, {
+                    chainId: DISALLOWED_CHAIN_ID
+                })]
+            });
+
+            await expectRoute(order, "TeleportNotAllowed");
+        });
+
+        it("Should report output amounts beyond uint128", async function () {
+            const amount = UINT128_MAX + ONE_ETHER_WEI;
+            const order = createOrder({
+                inputs: [[await token.getAddress(), amount]],
+                outputs: [createOutput(await token.getAddress(), user.address, { amount })]
+            });
+
+            await expectRoute(order, "OutputAmountTooLarge");
+        });
+
+        it("Should report input amounts beyond uint128", async function () {
+            const order = createOrder({
+                inputs: [
+                    [await token.getAddress(), ethers.parseEther(STANDARD_AMOUNT)],
+                    [await token.getAddress(), UINT128_MAX + ONE_ETHER_WEI]
+                ]
+            });
+
+            await expectRoute(order, "InputAmountTooLarge", 1);
+        });
+
+        it("Should report outputs not covered by inputs", async function () {
+            await inputSettlerXCMEscrow.allowTeleport(DESTINATION_CHAIN_ID_2, await token.getAddress());
+
+            const order = createOrder({
+                inputs: [[await token.getAddress(), ethers.parseEther(STANDARD_AMOUNT)]],
+                outputs: [
+                    createOutput(await token.getAddress(), user.address, { amount: ethers.parseEther(MEDIUM_AMOUNT) }),
+                    createOutput(await token.getAddress(), user.address, {
+                        chainId: DESTINATION_CHAIN_ID_2,
+                        amount: ethers.parseEther(MEDIUM_AMOUNT)
+                    })
+                ]
+            });
+
+            await expectRoute(order, "OutputsNotCovered");
+        });
+
+        it("Should point at the first output of an uncovered token", async function () {
+            const token2 = await ethers.deployContract("MockERC20", ["Test2", "TST2"]);
+            await token2.waitForDeployment();
+            await inputSettlerXCMEscrow.allowTeleport(DESTINATION_CHAIN_ID, await token2.getAddress());
+
+            const order = createOrder({
+                outputs: [
+                    createOutput(await token.getAddress(), user.address),
+                    createOutput(await token2.getAddress(), user.address)
+                ]
+            });
+
+            await expectRoute(order, "OutputsNotCovered", 1);
+        });
+    });
+
+    describe("Prediction matches open", function () {
+        it("Should take the XCM route when predicted", async function () {
+            const order = createOrder();
+            expect((await preflight(inputSettlerXCMEscrow, order)).route).to.equal(Route.XCM);
+
+            await token.connect(user).approve(await inputSettlerXCMEscrow.getAddress(), ethers.parseEther(STANDARD_AMOUNT));
+
+            await expect(inputSettlerXCMEscrow.connect(user).open(order))
+                .to.emit(inputSettlerXCMEscrow, "XCMTeleportExecuted");
+        });
+
+        it("Should take the escrow route when predicted", async function () {
+            const order = createOrder({
+                inputs: [[await token.getAddress(), ethers.parseEther(SMALL_AMOUNT)]]
+            });
+            expect((await preflight(inputSettlerXCMEscrow, order)).route).to.equal(Route.ESCROW);
+
+            await token.connect(user).approve(await inputSettlerXCMEscrow.getAddress(), ethers.parseEther(SMALL_AMOUNT));
+
+            await expect(inputSettlerXCMEscrow.connect(user).open(order))
+                .to.emit(baseSettler, "Open");
+        });
+    });
+
+    describe("isTeleportAllowed", function () {
+        it("Should reflect allowTeleport and forbidTeleport", async function () {
+            const tokenAddress = await token.getAddress();
+
+            expect(await inputSettlerXCMEscrow.isTeleportAllowed(DESTINATION_CHAIN_ID, tokenAddress)).to.equal(true);
+            expect(await inputSettlerXCMEscrow.isTeleportAllowed(DESTINATION_CHAIN_ID_2, tokenAddress)).to.equal(false);
+
+            await inputSettlerXCMEscrow.forbidTeleport(DESTINATION_CHAIN_ID, tokenAddress);
+
+            expect(await inputSettlerXCMEscrow.isTeleportAllowed(DESTINATION_CHAIN_ID, tokenAddress)).to.equal(false);
+        });
+    });
+});
@@ -0,0 +1,254 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    setupInputSettlerXCMEscrow,
+    createOrderFactory,
+    createOutput,
+    DESTINATION_CHAIN_ID,
+    DESTINATION_CHAIN_ID_2,
+    STANDARD_AMOUNT,
+    SMALL_AMOUNT,
+    LARGE_AMOUNT,
+    DOUBLE_AMOUNT,
+    MOCK_XCM_MESSAGE_BYTES
+} = require("./helpers/inputSettlerXCMEscrowHelper");
+const { FallbackReason, preflight, previewRoute } = require("../sdk");
+
+const ONE_DAY = 24 * 60 * 60;
+
+describe("InputSettlerXCMEscrow - Rate Limits", function () {
+    let inputSettlerXCMEscrow;
+    let token;
+    let tokenAddress;
+    let user;
+    let otherUser;
+    let snapshot;
+    let baseSettler;
+    let chainId;
+    let createOrder;
+
+    beforeEach(async function () {
+        // Tests move the clock forward, restore it so later orders are not expired
+        snapshot = await takeSnapshot();
+
+        const setup = await setupInputSettlerXCMEscrow();
+        user = setup.user;
+        otherUser = setup.solver;
+        baseSettler = setup.baseSettler;
+        inputSettlerXCMEscrow = setup.inputSettlerXCMEscrow;
+        token = setup.token;
+        chainId = setup.chainId;
+        tokenAddress = await token.getAddress();
+        createOrder = createOrderFactory(user, token, chainId);
+
+        await inputSettlerXCMEscrow.allowTeleports([
+            { destination: DESTINATION_CHAIN_ID, token: tokenAddress },
+            { destination: DESTINATION_CHAIN_ID_2, token: tokenAddress }
+        ]);
+        await setup.mockLibrary.setTeleportMessage(ethers.toUtf8Bytes(MOCK_XCM_MESSAGE_BYTES));
+        await token.connect(user).approve(await inputSettlerXCMEscrow.getAddress(), ethers.MaxUint256);
+    });
+
+    afterEach(async function () {
+        await snapshot.restore();
+    });
+
+    async function openOrder(order) {
+        return inputSettlerXCMEscrow.connect(user).open(order);
+    }
+
+    describe("Administration", function () {
+        it("Should set a rate limit", async function () {
+            const limit = ethers.parseEther(DOUBLE_AMOUNT);
+
+            await expect(inputSettlerXCMEscrow.setRateLimit(DESTINATION_CHAIN_ID, tokenAddress, limit, ONE_DAY))
+                .to.emit(inputSettlerXCMEscrow, "RateLimitSet")
+                .withArgs(DESTINATION_CHAIN_ID, tokenAddress, limit, ONE_DAY);
+
+            const rateLimit = await inputSettlerXCMEscrow.getRateLimit(DESTINATION_CHAIN_ID, tokenAddress);
+            expect(rateLimit.limit).to.equal(limit);
+            expect(rateLimit.window).to.equal(ONE_DAY);
+            expect(rateLimit.used).to.equal(0);
+            expect(rateLimit.available).to.equal(limit);
+        });
+
+        it("Should report unlimited routes", async function () {
+            const rateLimit = await inputSettlerXCMEscrow.getRateLimit(DESTINATION_CHAIN_ID, tokenAddress);
+            expect(rateLimit.limit).to.equal(0);
+            expect(rateLimit.available).to.equal(ethers.MaxUint256);
+        });
+
+        it("Should reject a limit without a window", async function () {
+            await expect(inputSettlerXCMEscrow.setRateLimit(DESTINATION_CHAIN_ID, tokenAddress, 1, 0))
+                .to.be.revertedWithCustomError(inputSettlerXCMEscrow, "InvalidRateLimitWindow");
+        });
+
+        it("Should set a per-order maximum", async function () {
+            const maxAmount = ethers.parseEther(STANDARD_AMOUNT);
+
+            await expect(inputSettlerXCMEscrow.setMaxOrderAmount(tokenAddress, maxAmount))
+                .to.emit(inputSettlerXCMEscrow, "MaxOrderAmountSet")
+                .withArgs(tokenAddress, maxAmount);
+
+            expect(await inputSettlerXCMEscrow.maxOrderAmount(tokenAddress)).to.equal(maxAmount);
+        });
+
+        it("Should only allow route managers to set limits", async function () {
+            await expect(inputSettlerXCMEscrow.connect(otherUser).setRateLimit(DESTINATION_CHAIN_ID, tokenAddress, 1, ONE_DAY))
+                .to.be.revertedWithCustomError(inputSettlerXCMEscrow, "AccessControlUnauthorizedAccount");
+            await expect(inputSettlerXCMEscrow.connect(otherUser).setMaxOrderAmount(tokenAddress, 1))
+                .to.be.revertedWithCustomError(inputSettlerXCMEscrow, "AccessControlUnauthorizedAccount");
+        });
+    });
+
+    describe("Rate limit", function () {
+        beforeEach(async function () {
+            await inputSettlerXCMEscrow.setRateLimit(
+                DESTINATION_CHAIN_ID,
+                tokenAddress,
+                ethers.parseEther(LARGE_AMOUNT),
+                ONE_DAY
+            );
+        });
+
+        it("Should consume capacity on teleport", async function () {
+            await expect(openOrder(createOrder()))
+                .to.emit(inputSettlerXCMEscrow, "XCMTeleportExecuted");
+
+            const rateLimit = await inputSettlerXCMEscrow.getRateLimit(DESTINATION_CHAIN_ID, tokenAddress);
+            expect(rateLimit.used).to.equal(ethers.parseEther(STANDARD_AMOUNT));
+            expect(rateLimit.available).to.equal(ethers.parseEther(SMALL_AMOUNT));
+        });
+
+        it("Should fall back to escrow once capacity is exhausted", async function () {
+            await openOrder(createOrder());
+
+            const order = createOrder({ nonce: 1 });
+            await expect(openOrder(order))
+                .to.emit(inputSettlerXCMEscrow, "XCMLimitExceeded")
+                .withArgs(DESTINATION_CHAIN_ID, tokenAddress, FallbackReason.RateLimited)
+                .and.to.emit(baseSettler, "Open");
+
+            const rateLimit = await inputSettlerXCMEscrow.getRateLimit(DESTINATION_CHAIN_ID, tokenAddress);
+            expect(rateLimit.used).to.be.closeTo(ethers.parseEther(STANDARD_AMOUNT), ethers.parseEther("1"));
+        });
+
+        it("Should recover capacity over the window", async function () {
+            await openOrder(createOrder());
+            await time.increase(ONE_DAY);
+
+            const deadline = (await time.latest()) + ONE_DAY;
+            await expect(openOrder(createOrder({ nonce: 1, expires: deadline, fillDeadline: deadline })))
+                .to.emit(inputSettlerXCMEscrow, "XCMTeleportExecuted");
+        });
+
+        it("Should recover capacity linearly", async function () {
+            await openOrder(createOrder());
+            await time.increase(ONE_DAY / 3);
+
+            const rateLimit = await inputSettlerXCMEscrow.getRateLimit(DESTINATION_CHAIN_ID, tokenAddress);
+            expect(rateLimit.used).to.be.closeTo(ethers.parseEther(SMALL_AMOUNT), ethers.parseEther("1"));
+        });
+
+        it("Should sum outputs of the same route", async function () {
+            const order = createOrder({
+                inputs: [[tokenAddress, ethers.parseEther(DOUBLE_AMOUNT)]],
+                outputs: [
+                    createOutput(tokenAddress, user.address),
+                    createOutput(tokenAddress, user.address)
+                ]
+            });
+
+            const result = await previewRoute(inputSettlerXCMEscrow, order);
+            expect(result.reason).to.equal("RateLimited");
+            expect(result.index).to.equal(0);
+            expect(await preflight(inputSettlerXCMEscrow, order)).to.deep.equal(result);
+        });
+
+        it("Should not limit other routes", async function () {
+            const order = createOrder({
+                inputs: [[tokenAddress, ethers.parseEther(DOUBLE_AMOUNT)]],
+                outputs: [
+                    createOutput(tokenAddress, user.address),
+                    createOutput(tokenAddress, user.address, { chainId: DESTINATION_CHAIN_ID_2 })
+                ]
+            });
+
+            await expect(openOrder(order))
+                .to.emit(inputSettlerXCMEscrow, "XCMTeleportExecuted");
+        });
+
+        it("Should keep usage when the limit changes", async function () {
+            await openOrder(createOrder());
+
+            await inputSettlerXCMEscrow.setRateLimit(
+                DESTINATION_CHAIN_ID,
+                tokenAddress,
+                ethers.parseEther(DOUBLE_AMOUNT),
+                ONE_DAY
+            );
+
+            const rateLimit = await inputSettlerXCMEscrow.getRateLimit(DESTINATION_CHAIN_ID, tokenAddress);
+            expect(rateLimit.used).to.be.closeTo(ethers.parseEther(STANDARD_AMOUNT), ethers.parseEther("1"));
+        });
+
+        it("Should report no capacity when the limit is lowered below the usage", async function () {
+            await openOrder(createOrder());
+
+            await inputSettlerXCMEscrow.setRateLimit(
+                DESTINATION_CHAIN_ID,
+                tokenAddress,
+                ethers.parseEther(SMALL_AMOUNT),
+                ONE_DAY
+            );
+
+            const rateLimit = await inputSettlerXCMEscrow.getRateLimit(DESTINATION_CHAIN_ID, tokenAddress);
+            expect(rateLimit.used).to.be.closeTo(ethers.parseEther(STANDARD_AMOUNT), ethers.parseEther("1"));
+            expect(rateLimit.available).to.equal(0);
+
+            const order = createOrder({ nonce: 1 });
+            const result = await preflight(inputSettlerXCMEscrow, order);
+            expect(result.reason).to.equal("RateLimited");
+            expect(await previewRoute(inputSettlerXCMEscrow, order)).to.deep.equal(result);
+        });
+
+        it("Should lift the limit when set to zero", async function () {
+            await openOrder(createOrder());
+            await inputSettlerXCMEscrow.setRateLimit(DESTINATION_CHAIN_ID, tokenAddress, 0, 0);
+
+            await expect(openOrder(createOrder({ nonce: 1 })))
+                .to.emit(inputSettlerXCMEscrow, "XCMTeleportExecuted");
+        });
+    });
+
+    describe("Per-order maximum", function () {
+        beforeEach(async function () {
+            await inputSettlerXCMEscrow.setMaxOrderAmount(tokenAddress, ethers.parseEther(LARGE_AMOUNT));
+        });
+
+        it("Should teleport orders within the maximum", async function () {
+            await expect(openOrder(createOrder()))
+                .to.emit(inputSettlerXCMEscrow, "XCMTeleportExecuted");
+        });
+
+        it("Should fall back to escrow above the maximum across routes", async function () {
+            const order = createOrder({
+                inputs: [[tokenAddress, ethers.parseEther(DOUBLE_AMOUNT)]],
+                outputs: [
+                    createOutput(tokenAddress, user.address),
+                    createOutput(tokenAddress, user.address, { chainId: DESTINATION_CHAIN_ID_2 })
+                ]
+            });
+
+            const result = await preflight(inputSettlerXCMEscrow, order);
+            expect(result.reason).to.equal("OrderAmountTooLarge");
+            expect(await previewRoute(inputSettlerXCMEscrow, order)).to.deep.equal(result);
+
+            await expect(openOrder(order))
+                .to.emit(inputSettlerXCMEscrow, "XCMLimitExceeded")
+                .withArgs(DESTINATION_CHAIN_ID, tokenAddress, FallbackReason.OrderAmountTooLarge)
+                .and.to.emit(baseSettler, "Open");
+        });
+    });
+});
@@ -0,0 +1,178 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    setupInputSettlerXCMEscrow,
+    createOrderFactory,
+    createOutput,
+    DESTINATION_CHAIN_ID,
+    DISALLOWED_CHAIN_ID,
+    INITIAL_TOKEN_BALANCE,
+    STANDARD_AMOUNT,
+    DOUBLE_AMOUNT,
+    MOCK_XCM_MESSAGE_1
+} = require("./helpers/inputSettlerXCMEscrowHelper");
+const { Route, SettlementStatus, createXCMEscrowClient } = require("../sdk");
+
+const EXPIRY = 60;
+
+describe("InputSettlerXCMEscrow - Refunds", function () {
+    let inputSettlerXCMEscrow;
+    let settlerAddress;
+    let baseSettler;
+    let token;
+    let tokenAddress;
+    let user;
+    let solver;
+    let snapshot;
+    let createOrder;
+
+    beforeEach(async function () {
+        // Refunds move the clock forward, restore it so later orders are not expired
+        snapshot = await takeSnapshot();
+
+        const setup = await setupInputSettlerXCMEscrow();
+        user = setup.user;
+        solver = setup.solver;
+        baseSettler = setup.baseSettler;
+        inputSettlerXCMEscrow = setup.inputSettlerXCMEscrow;
+        token = setup.token;
+        tokenAddress = await token.getAddress();
+        settlerAddress = await inputSettlerXCMEscrow.getAddress();
+        createOrder = createOrderFactory(user, token, setup.chainId);
+
+        await inputSettlerXCMEscrow.allowTeleport(DESTINATION_CHAIN_ID, tokenAddress);
+        await setup.mockLibrary.setTeleportMessage(MOCK_XCM_MESSAGE_1);
+        await token.connect(user).approve(settlerAddress, ethers.MaxUint256);
+    });
+
+    afterEach(async function () {
+        await snapshot.restore();
+    });
+
+    /**
+     * An order falling back to the base settler, expiring shortly.
+     */
+    async function createEscrowOrder(overrides = {}) {
+        const deadline = (await time.latest()) + EXPIRY;
+        return createOrder({
+            expires: deadline,
+            fillDeadline: deadline,
+            outputs: [createOutput(tokenAddress, user.address, { chainId: DISALLOWED_CHAIN_ID })],
+            ...overrides
+        });
+    }
+
+    it("Should walk a fallback order from open through expiry to its refund", async function () {
+        const order = await createEscrowOrder();
+        const orderId = await inputSettlerXCMEscrow.orderIdentifier(order);
+        const inputAmount = ethers.parseEther(STANDARD_AMOUNT);
+
+        await expect(inputSettlerXCMEscrow.connect(user).open(order))
+            .to.emit(baseSettler, "Open")
+            .and.to.changeTokenBalances(token, [user, baseSettler], [-inputAmount, inputAmount]);
+        expect(await inputSettlerXCMEscrow.orderStatus(orderId)).to.equal(SettlementStatus.DEPOSITED);
+
+        // Not refundable before expiry
+        await expect(inputSettlerXCMEscrow.connect(solver).refund(order)).to.be.reverted;
+
+        await time.increase(EXPIRY * 2);
+
+        // Anyone can trigger the refund, the inputs go back to the user
+        await expect(inputSettlerXCMEscrow.connect(solver).refund(order))
+            .to.emit(baseSettler, "Refunded")
+            .withArgs(orderId)
+            .and.to.changeTokenBalances(token, [user, baseSettler, solver], [inputAmount, -inputAmount, 0]);
+        expect(await inputSettlerXCMEscrow.orderStatus(orderId)).to.equal(SettlementStatus.REFUNDED);
+        expect(await token.balanceOf(user.address)).to.equal(ethers.parseEther(INITIAL_TOKEN_BALANCE));
+        expect(await token.balanceOf(settlerAddress)).to.equal(0);
+    });
+
+    it("Should not refund an order twice", async function () {
+        const order = await createEscrowOrder();
+        await inputSettlerXCMEscrow.connect(user).open(order);
+        await time.increase(EXPIRY * 2);
+        await inputSettlerXCMEscrow.refund(order);
+
+        await expect(inputSettlerXCMEscrow.refund(order)).to.be.reverted;
+    });
+
+    it("Should not refund orders settled via XCM", async function () {
+        const deadline = (await time.latest()) + EXPIRY;
+        const order = createOrder({ expires: deadline, fillDeadline: deadline });
+        await expect(inputSettlerXCMEscrow.connect(user).open(order))
+            .to.emit(inputSettlerXCMEscrow, "XCMOpen");
+        await time.increase(EXPIRY * 2);
+
+        await expect(inputSettlerXCMEscrow.refund(order)).to.be.reverted;
+        expect(await inputSettlerXCMEscrow.orderStatus(await inputSettlerXCMEscrow.orderIdentifier(order)))
+            .to.equal(SettlementStatus.XCM_SETTLED);
+    });
+
+    it("Should refund the derived order of a split order", async function () {
+        await inputSettlerXCMEscrow.setSplitEnabled(true);
+        const order = await createEscrowOrder({
+            inputs: [[tokenAddress, ethers.parseEther(DOUBLE_AMOUNT)]],
+            outputs: [
+                createOutput(tokenAddress, user.address),
+                createOutput(tokenAddress, user.address, { chainId: DISALLOWED_CHAIN_ID })
+            ]
+        });
+        const escrowOrder = {
+            ...order,
+            inputs: [[tokenAddress, ethers.parseEther(STANDARD_AMOUNT)]],
+            outputs: [order.outputs[1]]
+        };
+        await inputSettlerXCMEscrow.connect(user).open(order);
+        await time.increase(EXPIRY * 2);
+
+        await expect(inputSettlerXCMEscrow.refund(escrowOrder))
+            .to.emit(baseSettler, "Refunded")
+            .withArgs(await inputSettlerXCMEscrow.orderIdentifier(escrowOrder))
+            .and.to.changeTokenBalance(token, user, ethers.parseEther(STANDARD_AMOUNT));
+        expect(await inputSettlerXCMEscrow.orderStatus(await inputSettlerXCMEscrow.orderIdentifier(order)))
+            .to.equal(SettlementStatus.XCM_SETTLED);
+    });
+
+    it("Should read purchases from the base settler", async function () {
+        const order = await createEscrowOrder();
+        const orderId = await inputSettlerXCMEscrow.orderIdentifier(order);
+        await inputSettlerXCMEscrow.connect(user).open(order);
+        const solverId = ethers.zeroPadValue(solver.address, 32);
+
+        expect(await inputSettlerXCMEscrow.basePurchasedOrders(solverId, orderId))
+            .to.deep.equal(await baseSettler.purchasedOrders(solverId, orderId));
+    });
+
+    it("Should expose the EIP-712 domain of the base settler", async function () {
+        const baseSettlerAddress = await baseSettler.getAddress();
+
+        expect(await inputSettlerXCMEscrow.baseDomainSeparator()).to.equal(await baseSettler.DOMAIN_SEPARATOR());
+        const domain = await inputSettlerXCMEscrow.eip712Domain();
+        expect(domain).to.deep.equal(await baseSettler.eip712Domain());
+        expect(domain.verifyingContract).to.equal(baseSettlerAddress);
+    });
+
+    it("Should follow the base settler in its views once it is replaced", async function () {
+        const nextBaseSettler = await ethers.deployContract("InputSettlerEscrow");
+        await inputSettlerXCMEscrow.setBaseSettler(await nextBaseSettler.getAddress());
+
+        expect(await inputSettlerXCMEscrow.baseDomainSeparator()).to.equal(await nextBaseSettler.DOMAIN_SEPARATOR());
+        expect((await inputSettlerXCMEscrow.eip712Domain()).verifyingContract)
+            .to.equal(await nextBaseSettler.getAddress());
+    });
+
+    it("Should refund through the client", async function () {
+        const client = createXCMEscrowClient({ settler: settlerAddress, signer: solver });
+        const order = await createEscrowOrder();
+        const { route, orderId } = await createXCMEscrowClient({ settler: settlerAddress, signer: user }).open(order);
+        expect(route).to.equal(Route.ESCROW);
+        await time.increase(EXPIRY * 2);
+
+        const receipt = await client.refund(order);
+
+        expect(receipt.status).to.equal(1);
+        expect(await client.orderStatus(orderId)).to.equal(SettlementStatus.REFUNDED);
+        expect(await token.balanceOf(user.address)).to.equal(ethers.parseEther(INITIAL_TOKEN_BALANCE));
+    });
+});
@@ -0,0 +1,235 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    setupInputSettlerXCMEscrow,
+    createOrderFactory,
+    createOutput,
+    toBytes32,
+    DESTINATION_CHAIN_ID,
+    DESTINATION_CHAIN_ID_2,
+    STANDARD_AMOUNT,
+    MOCK_XCM_MESSAGE_1,
+    MOCK_XCM_MESSAGE_2
+} = require("./helpers/inputSettlerXCMEscrowHelper");
+const {
+    FallbackReason,
+    RouteMode,
+    parseChainRegistrations,
+    resolveChainId,
+    resolveChainIds,
+    preflight,
+    previewRoute
+} = require("../sdk");
+
+// EVM chain ID of an output paid on parachain DESTINATION_CHAIN_ID
+const EVM_CHAIN_ID = 420420421;
+const MOCK_DESTINATION = "0x010100a10f";
+// Account 0x01 nested in parachain 1000
+const NESTED_DESTINATION = "0x010200a10f2c01000000";
+
+function parachain(paraId, nested = "0x") {
+    return { relay: false, paraId, nested };
+}
+
+const RELAY = { relay: true, paraId: 0, nested: "0x" };
+
+describe("InputSettlerXCMEscrow - Chain Registry", function () {
+    let inputSettlerXCMEscrow;
+    let mockXcm;
+    let mockLibrary;
+    let baseSettler;
+    let token;
+    let tokenAddress;
+    let user;
+    let createOrder;
+
+    const amount = ethers.parseEther(STANDARD_AMOUNT);
+
+    beforeEach(async function () {
+        const setup = await setupInputSettlerXCMEscrow();
+        user = setup.user;
+        mockXcm = setup.mockXcm;
+        mockLibrary = setup.mockLibrary;
+        baseSettler = setup.baseSettler;
+        inputSettlerXCMEscrow = setup.inputSettlerXCMEscrow;
+        token = setup.token;
+        tokenAddress = await token.getAddress();
+        createOrder = createOrderFactory(user, token, setup.chainId);
+
+        await inputSettlerXCMEscrow.allowTeleport(DESTINATION_CHAIN_ID, tokenAddress);
+        await mockLibrary.setTeleportMessage(MOCK_XCM_MESSAGE_1);
+        await mockLibrary.setRemoteMessage(MOCK_DESTINATION, MOCK_XCM_MESSAGE_2);
+        await token.connect(user).approve(await inputSettlerXCMEscrow.getAddress(), ethers.MaxUint256);
+    });
+
+    describe("registerChain", function () {
+        it("Should register the location of a chain ID", async function () {
+            await expect(inputSettlerXCMEscrow.registerChain(EVM_CHAIN_ID, parachain(DESTINATION_CHAIN_ID, NESTED_DESTINATION)))
+                .to.emit(inputSettlerXCMEscrow, "ChainRegistered")
+                .withArgs(EVM_CHAIN_ID, false, DESTINATION_CHAIN_ID, NESTED_DESTINATION);
+
+            const location = await inputSettlerXCMEscrow.getChainLocation(EVM_CHAIN_ID);
+            expect(location.relay).to.equal(false);
+            expect(location.paraId).to.equal(DESTINATION_CHAIN_ID);
+            expect(location.nested).to.equal(NESTED_DESTINATION);
+        });
+
+        it("Should register the relay chain", async function () {
+            await expect(inputSettlerXCMEscrow.registerChain(EVM_CHAIN_ID, RELAY))
+                .to.emit(inputSettlerXCMEscrow, "ChainRegistered")
+                .withArgs(EVM_CHAIN_ID, true, 0, "0x");
+        });
+
+        it("Should reject locations mixing the relay chain and a parachain", async function () {
+            await expect(inputSettlerXCMEscrow.registerChain(EVM_CHAIN_ID, { ...RELAY, paraId: DESTINATION_CHAIN_ID }))
+                .to.be.revertedWithCustomError(inputSettlerXCMEscrow, "InvalidChainLocation")
+                .withArgs(EVM_CHAIN_ID);
+            await expect(inputSettlerXCMEscrow.registerChain(EVM_CHAIN_ID, parachain(0)))
+                .to.be.revertedWithCustomError(inputSettlerXCMEscrow, "InvalidChainLocation")
+                .withArgs(EVM_CHAIN_ID);
+        });
+
+        it("Should register chains in a batch", async function () {
+            await expect(inputSettlerXCMEscrow.registerChains([
+                { chainId: EVM_CHAIN_ID, location: parachain(DESTINATION_CHAIN_ID) },
+                { chainId: 1, location: RELAY }
+            ]))
+                .to.emit(inputSettlerXCMEscrow, "ChainRegistered")
+                .withArgs(EVM_CHAIN_ID, false, DESTINATION_CHAIN_ID, "0x")
+                .and.to.emit(inputSettlerXCMEscrow, "ChainRegistered")
+                .withArgs(1, true, 0, "0x");
+
+            expect((await inputSettlerXCMEscrow.getChainLocation(1)).relay).to.equal(true);
+        });
+
+        it("Should unregister chains", async function () {
+            await expect(inputSettlerXCMEscrow.unregisterChain(DESTINATION_CHAIN_ID))
+                .to.emit(inputSettlerXCMEscrow, "ChainUnregistered")
+                .withArgs(DESTINATION_CHAIN_ID);
+
+            expect(await resolveChainId(inputSettlerXCMEscrow, DESTINATION_CHAIN_ID)).to.equal(null);
+        });
+
+        it("Should only allow admins", async function () {
+            const settler = inputSettlerXCMEscrow.connect(user);
+
+            await expect(settler.registerChain(EVM_CHAIN_ID, parachain(DESTINATION_CHAIN_ID)))
+                .to.be.revertedWithCustomError(inputSettlerXCMEscrow, "AccessControlUnauthorizedAccount");
+            await expect(settler.registerChains([{ chainId: EVM_CHAIN_ID, location: RELAY }]))
+                .to.be.revertedWithCustomError(inputSettlerXCMEscrow, "AccessControlUnauthorizedAccount");
+            await expect(settler.unregisterChain(DESTINATION_CHAIN_ID))
+                .to.be.revertedWithCustomError(inputSettlerXCMEscrow, "AccessControlUnauthorizedAccount");
+        });
+    });
+
+    describe("open", function () {
+        it("Should fall back for unregistered chain IDs", async function () {
+            await inputSettlerXCMEscrow.unregisterChain(DESTINATION_CHAIN_ID);
+            const order = createOrder();
+
+            const result = await previewRoute(inputSettlerXCMEscrow, order);
+            expect(result.code).to.equal(FallbackReason.ChainNotRegistered);
+            expect(result.index).to.equal(0);
+            expect(await preflight(inputSettlerXCMEscrow, order)).to.deep.equal(result);
+
+            await expect(inputSettlerXCMEscrow.connect(user).open(order))
+                .to.emit(baseSettler, "Open")
+                .and.not.to.emit(mockLibrary, "TeleportCalled");
+        });
+
+        it("Should teleport to the parachain a chain ID resolves to", async function () {
+            await inputSettlerXCMEscrow.registerChain(EVM_CHAIN_ID, parachain(DESTINATION_CHAIN_ID));
+            const order = createOrder({
+                outputs: [createOutput(tokenAddress, user.address, { chainId: EVM_CHAIN_ID })]
+            });
+
+            expect((await preflight(inputSettlerXCMEscrow, order)).code).to.equal(FallbackReason.None);
+            await expect(inputSettlerXCMEscrow.connect(user).open(order))
+                .to.emit(mockLibrary, "TeleportCalled")
+                .withArgs(DESTINATION_CHAIN_ID, toBytes32(user.address), amount);
+        });
+
+        it("Should fall back once the parachain's own chain ID is unregistered", async function () {
+            await inputSettlerXCMEscrow.registerChain(EVM_CHAIN_ID, parachain(DESTINATION_CHAIN_ID));
+            await inputSettlerXCMEscrow.unregisterChain(DESTINATION_CHAIN_ID);
+
+            expect((await previewRoute(inputSettlerXCMEscrow, createOrder())).code)
+                .to.equal(FallbackReason.ChainNotRegistered);
+            expect((await previewRoute(inputSettlerXCMEscrow, createOrder({
+                outputs: [createOutput(tokenAddress, user.address, { chainId: EVM_CHAIN_ID })]
+            }))).code).to.equal(FallbackReason.None);
+        });
+
+        it("Should teleport to the relay chain", async function () {
+            await inputSettlerXCMEscrow.registerChain(EVM_CHAIN_ID, RELAY);
+            await inputSettlerXCMEscrow.allowTeleport(0, tokenAddress);
+            const order = createOrder({
+                outputs: [createOutput(tokenAddress, user.address, { chainId: EVM_CHAIN_ID })]
+            });
+
+            await expect(inputSettlerXCMEscrow.connect(user).open(order))
+                .to.emit(mockLibrary, "TeleportCalled")
+                .withArgs(0, toBytes32(user.address), amount);
+        });
+
+        it("Should send programs to the nested location", async function () {
+            await inputSettlerXCMEscrow.registerChain(EVM_CHAIN_ID, parachain(DESTINATION_CHAIN_ID, NESTED_DESTINATION));
+            await inputSettlerXCMEscrow.setRouteMode(DESTINATION_CHAIN_ID, tokenAddress, RouteMode.SEND);
+            const order = createOrder({
+                outputs: [createOutput(tokenAddress, user.address, { chainId: EVM_CHAIN_ID })]
+            });
+
+            await expect(inputSettlerXCMEscrow.connect(user).open(order))
+                .to.emit(mockLibrary, "RemoteTransferCalled")
+                .withArgs(DESTINATION_CHAIN_ID, toBytes32(user.address), amount)
+                .and.to.emit(mockXcm, "Sent")
+                .withArgs(NESTED_DESTINATION, MOCK_XCM_MESSAGE_2);
+        });
+
+        it("Should execute locally built messages regardless of the nested location", async function () {
+            await inputSettlerXCMEscrow.registerChain(DESTINATION_CHAIN_ID, parachain(DESTINATION_CHAIN_ID, NESTED_DESTINATION));
+
+            await expect(inputSettlerXCMEscrow.connect(user).open(createOrder()))
+                .to.emit(mockXcm, "Executed")
+                .withArgs(MOCK_XCM_MESSAGE_1)
+                .and.not.to.emit(mockXcm, "Sent");
+        });
+    });
+
+    describe("SDK", function () {
+        it("Should resolve chain IDs through the registry", async function () {
+            await inputSettlerXCMEscrow.registerChain(EVM_CHAIN_ID, parachain(DESTINATION_CHAIN_ID, NESTED_DESTINATION));
+
+            expect(await resolveChainId(inputSettlerXCMEscrow, EVM_CHAIN_ID))
+                .to.deep.equal(parachain(DESTINATION_CHAIN_ID, NESTED_DESTINATION));
+            expect(await resolveChainId(await inputSettlerXCMEscrow.getAddress(), 1, ethers.provider)).to.equal(null);
+
+            const locations = await resolveChainIds(inputSettlerXCMEscrow, [EVM_CHAIN_ID, DESTINATION_CHAIN_ID_2, EVM_CHAIN_ID, 1]);
+            expect([...locations.keys()]).to.deep.equal([BigInt(EVM_CHAIN_ID), BigInt(DESTINATION_CHAIN_ID_2), 1n]);
+            expect(locations.get(BigInt(DESTINATION_CHAIN_ID_2))).to.deep.equal(parachain(DESTINATION_CHAIN_ID_2));
+            expect(locations.get(1n)).to.equal(null);
+        });
+
+        it("Should parse chain registrations", function () {
+            expect(parseChainRegistrations([
+                { chainId: String(EVM_CHAIN_ID), location: parachain(DESTINATION_CHAIN_ID) },
+                { chainId: 1, location: RELAY }
+            ])).to.deep.equal([
+                { chainId: BigInt(EVM_CHAIN_ID), location: parachain(DESTINATION_CHAIN_ID) },
+                { chainId: 1n, location: RELAY }
+            ]);
+        });
+
+        it("Should reject chain registrations the settler rejects", function () {
+            const entry = { chainId: EVM_CHAIN_ID, location: parachain(DESTINATION_CHAIN_ID) };
+
+            expect(() => parseChainRegistrations(entry)).to.throw("must be an array");
+            expect(() => parseChainRegistrations([{ ...entry, chainId: -1 }])).to.throw("unsigned integer");
+            expect(() => parseChainRegistrations([entry, entry])).to.throw("listed twice");
+            expect(() => parseChainRegistrations([{ ...entry, location: parachain(0) }])).to.throw("relay chain");
+            expect(() => parseChainRegistrations([{ ...entry, location: { ...RELAY, paraId: 1 } }])).to.throw("relay chain");
+            expect(() => parseChainRegistrations([{ ...entry, location: parachain(2 ** 32) }])).to.throw("uint32");
+            expect(() => parseChainRegistrations([{ ...entry, location: parachain(1, "nested") }])).to.throw("hex string");
+        });
+    });
+});
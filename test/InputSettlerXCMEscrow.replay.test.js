@@ -0,0 +1,188 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    setupInputSettlerXCMEscrow,
+    createOrderFactory,
+    createOutput,
+    DESTINATION_CHAIN_ID,
+    DISALLOWED_CHAIN_ID,
+    STANDARD_AMOUNT,
+    DOUBLE_AMOUNT,
+    MOCK_XCM_MESSAGE_1
+} = require("./helpers/inputSettlerXCMEscrowHelper");
+const { SettlementStatus, createXCMEscrowClient } = require("../sdk");
+
+describe("InputSettlerXCMEscrow - Replay Protection", function () {
+    let inputSettlerXCMEscrow;
+    let settlerAddress;
+    let baseSettler;
+    let token;
+    let tokenAddress;
+    let user;
+    let snapshot;
+    let createOrder;
+
+    beforeEach(async function () {
+        // The refund test moves the clock forward, restore it so later orders are not expired
+        snapshot = await takeSnapshot();
+
+        const setup = await setupInputSettlerXCMEscrow();
+        user = setup.user;
+        baseSettler = setup.baseSettler;
+        inputSettlerXCMEscrow = setup.inputSettlerXCMEscrow;
+        token = setup.token;
+        tokenAddress = await token.getAddress();
+        settlerAddress = await inputSettlerXCMEscrow.getAddress();
+        createOrder = createOrderFactory(user, token, setup.chainId);
+
+        await inputSettlerXCMEscrow.allowTeleport(DESTINATION_CHAIN_ID, tokenAddress);
+        await setup.mockLibrary.setTeleportMessage(MOCK_XCM_MESSAGE_1);
+        await token.connect(user).approve(settlerAddress, ethers.MaxUint256);
+    });
+
+    afterEach(async function () {
+        await snapshot.restore();
+    });
+
+    function createEscrowOrder(overrides = {}) {
+        return createOrder({
+            outputs: [createOutput(tokenAddress, user.address, { chainId: DISALLOWED_CHAIN_ID })],
+            ...overrides
+        });
+    }
+
+    async function expectRejected(order, status) {
+        await expect(inputSettlerXCMEscrow.connect(user).open(order))
+            .to.be.revertedWithCustomError(inputSettlerXCMEscrow, "OrderAlreadyOpened")
+            .withArgs(await inputSettlerXCMEscrow.orderIdentifier(order), status);
+    }
+
+    describe("orderStatus", function () {
+        it("Should report unopened orders as None", async function () {
+            const orderId = await inputSettlerXCMEscrow.orderIdentifier(createOrder());
+
+            expect(await inputSettlerXCMEscrow.orderStatus(orderId)).to.equal(SettlementStatus.NONE);
+        });
+
+        it("Should record orders settled via XCM", async function () {
+            const order = createOrder();
+            const orderId = await inputSettlerXCMEscrow.orderIdentifier(order);
+
+            await expect(inputSettlerXCMEscrow.connect(user).open(order))
+                .to.emit(inputSettlerXCMEscrow, "XCMOpen");
+
+            expect(await inputSettlerXCMEscrow.orderStatus(orderId)).to.equal(SettlementStatus.XCM_SETTLED);
+            expect(await baseSettler.orderStatus(orderId)).to.equal(SettlementStatus.NONE);
+        });
+
+        it("Should report escrowed orders with the status of the base settler", async function () {
+            const order = createEscrowOrder();
+            const orderId = await inputSettlerXCMEscrow.orderIdentifier(order);
+
+            await expect(inputSettlerXCMEscrow.connect(user).open(order))
+                .to.emit(baseSettler, "Open");
+
+            expect(await inputSettlerXCMEscrow.orderStatus(orderId)).to.equal(SettlementStatus.DEPOSITED);
+        });
+
+        it("Should be available through the client", async function () {
+            const client = createXCMEscrowClient({ settler: settlerAddress, signer: user });
+
+            const { orderId } = await client.open(createOrder());
+
+            expect(await client.orderStatus(orderId)).to.equal(SettlementStatus.XCM_SETTLED);
+        });
+    });
+
+    describe("Double submission", function () {
+        it("Should reject a second submission of an XCM-settled order", async function () {
+            const order = createOrder();
+            await inputSettlerXCMEscrow.connect(user).open(order);
+            const balance = await token.balanceOf(user.address);
+
+            await expectRejected(order, SettlementStatus.XCM_SETTLED);
+            expect(await token.balanceOf(user.address)).to.equal(balance);
+        });
+
+        it("Should reject an XCM-settled order once it would fall back", async function () {
+            const order = createOrder();
+            await inputSettlerXCMEscrow.connect(user).open(order);
+            await inputSettlerXCMEscrow.forbidTeleport(DESTINATION_CHAIN_ID, tokenAddress);
+
+            await expectRejected(order, SettlementStatus.XCM_SETTLED);
+        });
+
+        it("Should reject a second submission of an escrowed order", async function () {
+            const order = createEscrowOrder();
+            await inputSettlerXCMEscrow.connect(user).open(order);
+
+            await expectRejected(order, SettlementStatus.DEPOSITED);
+        });
+
+        it("Should reject an escrowed order once it would be settled via XCM", async function () {
+            const order = createEscrowOrder();
+            await inputSettlerXCMEscrow.connect(user).open(order);
+            await inputSettlerXCMEscrow.allowTeleport(DISALLOWED_CHAIN_ID, tokenAddress);
+
+            await expectRejected(order, SettlementStatus.DEPOSITED);
+        });
+
+        it("Should keep refunded orders closed", async function () {
+            const deadline = (await time.latest()) + 60;
+            const order = createEscrowOrder({ expires: deadline, fillDeadline: deadline });
+            await inputSettlerXCMEscrow.connect(user).open(order);
+            await time.increase(120);
+            await baseSettler.refund(order);
+
+            expect(await inputSettlerXCMEscrow.orderStatus(await inputSettlerXCMEscrow.orderIdentifier(order)))
+                .to.equal(SettlementStatus.REFUNDED);
+            await expectRejected(order, SettlementStatus.REFUNDED);
+        });
+
+        it("Should record split orders and their derived order apart", async function () {
+            await inputSettlerXCMEscrow.setSplitEnabled(true);
+            const order = createOrder({
+                inputs: [[tokenAddress, ethers.parseEther(DOUBLE_AMOUNT)]],
+                outputs: [
+                    createOutput(tokenAddress, user.address),
+                    createOutput(tokenAddress, user.address, { chainId: DISALLOWED_CHAIN_ID })
+                ]
+            });
+            const escrowOrder = {
+                ...order,
+                inputs: [[tokenAddress, ethers.parseEther(STANDARD_AMOUNT)]],
+                outputs: [order.outputs[1]]
+            };
+
+            await inputSettlerXCMEscrow.connect(user).open(order);
+
+            expect(await inputSettlerXCMEscrow.orderStatus(await inputSettlerXCMEscrow.orderIdentifier(escrowOrder)))
+                .to.equal(SettlementStatus.DEPOSITED);
+            await expectRejected(order, SettlementStatus.XCM_SETTLED);
+            await expectRejected(escrowOrder, SettlementStatus.DEPOSITED);
+        });
+
+        it("Should reject an XCM-settled order after the base settler is replaced", async function () {
+            const order = createOrder();
+            await inputSettlerXCMEscrow.connect(user).open(order);
+            const settlerOrderId = await inputSettlerXCMEscrow.settlerOrderIdentifier(order);
+            const previousOrderId = await inputSettlerXCMEscrow.orderIdentifier(order);
+
+            const newBaseSettler = await ethers.deployContract("InputSettlerEscrow");
+            await inputSettlerXCMEscrow.setBaseSettler(await newBaseSettler.getAddress());
+
+            expect(await inputSettlerXCMEscrow.orderIdentifier(order)).to.not.equal(previousOrderId);
+            expect(await inputSettlerXCMEscrow.settlerOrderIdentifier(order)).to.equal(settlerOrderId);
+            expect(await inputSettlerXCMEscrow.orderStatus(settlerOrderId)).to.equal(SettlementStatus.XCM_SETTLED);
+            await expectRejected(order, SettlementStatus.XCM_SETTLED);
+        });
+
+        it("Should open orders differing only by nonce", async function () {
+            await inputSettlerXCMEscrow.connect(user).open(createOrder());
+
+            await expect(inputSettlerXCMEscrow.connect(user).open(createOrder({ nonce: 1 })))
+                .to.emit(inputSettlerXCMEscrow, "XCMOpen");
+        });
+    });
+});
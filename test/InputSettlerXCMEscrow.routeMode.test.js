@@ -0,0 +1,238 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    setupInputSettlerXCMEscrow,
+    createOrderFactory,
+    createOutput,
+    toBytes32,
+    DESTINATION_CHAIN_ID,
+    DESTINATION_CHAIN_ID_2,
+    STANDARD_AMOUNT,
+    DOUBLE_AMOUNT,
+    MOCK_XCM_MESSAGE_1,
+    MOCK_XCM_MESSAGE_2,
+    MOCK_XCM_MESSAGE_BYTES
+} = require("./helpers/inputSettlerXCMEscrowHelper");
+const { RouteMode, TransferKind, Route, createXCMEscrowClient } = require("../sdk");
+
+const MOCK_DESTINATION = "0x010100a10f";
+
+describe("InputSettlerXCMEscrow - Route Modes", function () {
+    let inputSettlerXCMEscrow;
+    let token;
+    let tokenAddress;
+    let user;
+    let mockXcm;
+    let mockLibrary;
+    let baseSettler;
+    let chainId;
+    let createOrder;
+
+    beforeEach(async function () {
+        const setup = await setupInputSettlerXCMEscrow();
+        user = setup.user;
+        mockXcm = setup.mockXcm;
+        mockLibrary = setup.mockLibrary;
+        baseSettler = setup.baseSettler;
+        inputSettlerXCMEscrow = setup.inputSettlerXCMEscrow;
+        token = setup.token;
+        chainId = setup.chainId;
+        tokenAddress = await token.getAddress();
+        createOrder = createOrderFactory(user, token, chainId);
+
+        await inputSettlerXCMEscrow.allowTeleports([
+            { destination: DESTINATION_CHAIN_ID, token: tokenAddress },
+            { destination: DESTINATION_CHAIN_ID_2, token: tokenAddress }
+        ]);
+        await mockLibrary.setTeleportMessage(MOCK_XCM_MESSAGE_1);
+        await mockLibrary.setRemoteMessage(MOCK_DESTINATION, MOCK_XCM_MESSAGE_2);
+        await mockLibrary.setReserveTransferMessage(ethers.toUtf8Bytes(MOCK_XCM_MESSAGE_BYTES));
+        await token.connect(user).approve(await inputSettlerXCMEscrow.getAddress(), ethers.MaxUint256);
+    });
+
+    describe("setRouteMode", function () {
+        it("Should default allowed routes to local execution", async function () {
+            const config = await inputSettlerXCMEscrow.getRouteConfig(DESTINATION_CHAIN_ID, tokenAddress);
+            expect(config.mode).to.equal(RouteMode.EXECUTE);
+        });
+
+        it("Should set the mode of an allowed route", async function () {
+            await expect(inputSettlerXCMEscrow.setRouteMode(DESTINATION_CHAIN_ID, tokenAddress, RouteMode.SEND))
+                .to.emit(inputSettlerXCMEscrow, "RouteModeSet")
+                .withArgs(DESTINATION_CHAIN_ID, tokenAddress, RouteMode.SEND);
+
+            const config = await inputSettlerXCMEscrow.getRouteConfig(DESTINATION_CHAIN_ID, tokenAddress);
+            expect(config.mode).to.equal(RouteMode.SEND);
+        });
+
+        it("Should revert for routes not allowed", async function () {
+            await inputSettlerXCMEscrow.forbidTeleport(DESTINATION_CHAIN_ID, tokenAddress);
+
+            await expect(inputSettlerXCMEscrow.setRouteMode(DESTINATION_CHAIN_ID, tokenAddress, RouteMode.SEND))
+                .to.be.revertedWithCustomError(inputSettlerXCMEscrow, "RouteNotAllowed")
+                .withArgs(DESTINATION_CHAIN_ID, tokenAddress);
+        });
+
+        it("Should reset the mode when the route is forbidden", async function () {
+            await inputSettlerXCMEscrow.setRouteMode(DESTINATION_CHAIN_ID, tokenAddress, RouteMode.SEND);
+            await inputSettlerXCMEscrow.forbidTeleport(DESTINATION_CHAIN_ID, tokenAddress);
+            await inputSettlerXCMEscrow.allowTeleport(DESTINATION_CHAIN_ID, tokenAddress);
+
+            const config = await inputSettlerXCMEscrow.getRouteConfig(DESTINATION_CHAIN_ID, tokenAddress);
+            expect(config.mode).to.equal(RouteMode.EXECUTE);
+        });
+
+        it("Should revert if not called by a route manager", async function () {
+            await expect(
+                inputSettlerXCMEscrow.connect(user).setRouteMode(DESTINATION_CHAIN_ID, tokenAddress, RouteMode.SEND)
+            ).to.be.revertedWithCustomError(inputSettlerXCMEscrow, "AccessControlUnauthorizedAccount")
+                .withArgs(user.address, await inputSettlerXCMEscrow.ROUTE_MANAGER_ROLE());
+        });
+    });
+
+    describe("Remote execution", function () {
+        beforeEach(async function () {
+            await inputSettlerXCMEscrow.setRouteMode(DESTINATION_CHAIN_ID, tokenAddress, RouteMode.SEND);
+        });
+
+        it("Should send the remote program to the destination", async function () {
+            const amount = ethers.parseEther(STANDARD_AMOUNT);
+            const order = createOrder();
+            const orderId = await baseSettler.orderIdentifier(order);
+
+            await expect(inputSettlerXCMEscrow.connect(user).open(order))
+                .to.emit(mockLibrary, "RemoteTransferCalled")
+                .withArgs(DESTINATION_CHAIN_ID, toBytes32(user.address), amount)
+                .and.to.emit(mockXcm, "Sent")
+                .withArgs(MOCK_DESTINATION, MOCK_XCM_MESSAGE_2)
+                .and.to.emit(inputSettlerXCMEscrow, "XCMMessageSent")
+                .withArgs(orderId, DESTINATION_CHAIN_ID, tokenAddress, amount, toBytes32(user.address));
+        });
+
+        it("Should not execute or weigh the message locally", async function () {
+            const tx = inputSettlerXCMEscrow.connect(user).open(createOrder());
+
+            await expect(tx).to.not.emit(mockXcm, "Executed");
+            await expect(tx).to.not.emit(mockXcm, "WeighMessageCalled");
+            await expect(tx).to.not.emit(mockLibrary, "TeleportCalled");
+            await expect(tx).to.not.emit(inputSettlerXCMEscrow, "XCMTeleportExecuted");
+        });
+
+        it("Should deliver each output with the mode of its route", async function () {
+            const order = createOrder({
+                inputs: [[tokenAddress, ethers.parseEther(DOUBLE_AMOUNT)]],
+                outputs: [
+                    createOutput(tokenAddress, user.address),
+                    createOutput(tokenAddress, user.address, { chainId: DESTINATION_CHAIN_ID_2 })
+                ]
+            });
+
+            await expect(inputSettlerXCMEscrow.connect(user).open(order))
+                .to.emit(mockXcm, "Sent")
+                .withArgs(MOCK_DESTINATION, MOCK_XCM_MESSAGE_2)
+                .and.to.emit(mockXcm, "Executed")
+                .withArgs(MOCK_XCM_MESSAGE_1);
+        });
+
+        it("Should report sent messages in the client result", async function () {
+            const client = createXCMEscrowClient({
+                settler: await inputSettlerXCMEscrow.getAddress(),
+                signer: user
+            });
+
+            const result = await client.open(createOrder());
+
+            expect(result.route).to.equal(Route.XCM);
+            expect(result.teleports).to.have.lengthOf(1);
+            expect(result.teleports[0].mode).to.equal(RouteMode.SEND);
+            expect(result.teleports[0].destination).to.equal(BigInt(DESTINATION_CHAIN_ID));
+        });
+    });
+
+    describe("setTransferKind", function () {
+        it("Should default allowed routes to teleport", async function () {
+            const config = await inputSettlerXCMEscrow.getRouteConfig(DESTINATION_CHAIN_ID, tokenAddress);
+            expect(config.kind).to.equal(TransferKind.TELEPORT);
+        });
+
+        it("Should set the transfer kind of an allowed route", async function () {
+            await expect(
+                inputSettlerXCMEscrow.setTransferKind(DESTINATION_CHAIN_ID, tokenAddress, TransferKind.RESERVE_TRANSFER)
+            ).to.emit(inputSettlerXCMEscrow, "TransferKindSet")
+                .withArgs(DESTINATION_CHAIN_ID, tokenAddress, TransferKind.RESERVE_TRANSFER);
+
+            const config = await inputSettlerXCMEscrow.getRouteConfig(DESTINATION_CHAIN_ID, tokenAddress);
+            expect(config.kind).to.equal(TransferKind.RESERVE_TRANSFER);
+            expect(config.mode).to.equal(RouteMode.EXECUTE);
+        });
+
+        it("Should revert for routes not allowed", async function () {
+            await expect(
+                inputSettlerXCMEscrow.setTransferKind(DESTINATION_CHAIN_ID_2 + 1, tokenAddress, TransferKind.RESERVE_TRANSFER)
+            ).to.be.revertedWithCustomError(inputSettlerXCMEscrow, "RouteNotAllowed")
+                .withArgs(DESTINATION_CHAIN_ID_2 + 1, tokenAddress);
+        });
+
+        it("Should revert if not called by a route manager", async function () {
+            await expect(
+                inputSettlerXCMEscrow.connect(user).setTransferKind(
+                    DESTINATION_CHAIN_ID, tokenAddress, TransferKind.RESERVE_TRANSFER
+                )
+            ).to.be.revertedWithCustomError(inputSettlerXCMEscrow, "AccessControlUnauthorizedAccount")
+                .withArgs(user.address, await inputSettlerXCMEscrow.ROUTE_MANAGER_ROLE());
+        });
+    });
+
+    describe("Reserve transfers", function () {
+        beforeEach(async function () {
+            await inputSettlerXCMEscrow.setTransferKind(DESTINATION_CHAIN_ID, tokenAddress, TransferKind.RESERVE_TRANSFER);
+        });
+
+        it("Should execute a reserve transfer locally", async function () {
+            const amount = ethers.parseEther(STANDARD_AMOUNT);
+            const message = ethers.hexlify(ethers.toUtf8Bytes(MOCK_XCM_MESSAGE_BYTES));
+            const order = createOrder();
+            const orderId = await baseSettler.orderIdentifier(order);
+
+            const tx = inputSettlerXCMEscrow.connect(user).open(order);
+
+            await expect(tx)
+                .to.emit(mockLibrary, "ReserveTransferCalled")
+                .withArgs(DESTINATION_CHAIN_ID, toBytes32(user.address), amount)
+                .and.to.emit(mockXcm, "Executed")
+                .withArgs(message)
+                .and.to.emit(inputSettlerXCMEscrow, "XCMReserveTransferExecuted")
+                .withArgs(orderId, DESTINATION_CHAIN_ID, tokenAddress, amount, toBytes32(user.address));
+            await expect(tx).to.not.emit(inputSettlerXCMEscrow, "XCMTeleportExecuted");
+            await expect(tx).to.not.emit(mockLibrary, "TeleportCalled");
+        });
+
+        it("Should use the remote program for sent routes", async function () {
+            await inputSettlerXCMEscrow.setRouteMode(DESTINATION_CHAIN_ID, tokenAddress, RouteMode.SEND);
+
+            const tx = inputSettlerXCMEscrow.connect(user).open(createOrder());
+
+            await expect(tx).to.emit(mockXcm, "Sent");
+            await expect(tx).to.not.emit(mockLibrary, "ReserveTransferCalled");
+        });
+
+        it("Should report the transfer kind in the client result", async function () {
+            const client = createXCMEscrowClient({
+                settler: await inputSettlerXCMEscrow.getAddress(),
+                signer: user
+            });
+            const order = createOrder({
+                inputs: [[tokenAddress, ethers.parseEther(DOUBLE_AMOUNT)]],
+                outputs: [
+                    createOutput(tokenAddress, user.address),
+                    createOutput(tokenAddress, user.address, { chainId: DESTINATION_CHAIN_ID_2 })
+                ]
+            });
+
+            const result = await client.open(order);
+
+            expect(result.teleports.map(({ kind }) => kind))
+                .to.deep.equal([TransferKind.RESERVE_TRANSFER, TransferKind.TELEPORT]);
+        });
+    });
+});
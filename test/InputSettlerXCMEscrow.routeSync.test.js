@@ -0,0 +1,153 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+    setupInputSettlerXCMEscrow,
+    DESTINATION_CHAIN_ID,
+    DESTINATION_CHAIN_ID_2,
+    UINT32_MAX_PLUS_ONE
+} = require("./helpers/inputSettlerXCMEscrowHelper");
+const { parseRouteConfig, diffRoutes, syncTeleportRoutes } = require("../sdk");
+const { loadRouteConfig } = require("../scripts/syncTeleportRoutes");
+
+describe("InputSettlerXCMEscrow - Teleport Route Sync", function () {
+    let inputSettlerXCMEscrow;
+    let tokenAddress;
+    let token2Address;
+    let user;
+    let tmpDir;
+
+    beforeEach(async function () {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "routes-"));
+
+        const setup = await setupInputSettlerXCMEscrow();
+        user = setup.user;
+        inputSettlerXCMEscrow = setup.inputSettlerXCMEscrow;
+        tokenAddress = await setup.token.getAddress();
+
+        const token2 = await ethers.deployContract("MockERC20", ["Test2", "TST2"]);
+        await token2.waitForDeployment();
+        token2Address = await token2.getAddress();
+    });
+
+    afterEach(function () {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    describe("Route config", function () {
+        it("Should load YAML and JSON configs", function () {
+            const yamlFile = path.join(tmpDir, "routes.yaml");
+            fs.writeFileSync(yamlFile, [
+                "routes:",
+                `  - destination: ${DESTINATION_CHAIN_ID}`,
+                "    tokens:",
+                `      - "${tokenAddress}"`,
+                `      - "${token2Address}"`
+            ].join("\n"));
+
+            const jsonFile = path.join(tmpDir, "routes.json");
+            fs.writeFileSync(jsonFile, JSON.stringify([
+                { destination: DESTINATION_CHAIN_ID, token: tokenAddress },
+                { destination: DESTINATION_CHAIN_ID, token: token2Address }
+            ]));
+
+            const expected = [
+                { destination: DESTINATION_CHAIN_ID, token: tokenAddress },
+                { destination: DESTINATION_CHAIN_ID, token: token2Address }
+            ];
+            expect(loadRouteConfig(yamlFile)).to.deep.equal(expected);
+            expect(loadRouteConfig(jsonFile)).to.deep.equal(expected);
+        });
+
+        it("Should deduplicate and checksum routes", function () {
+            const routes = parseRouteConfig({
+                routes: [
+                    { destination: DESTINATION_CHAIN_ID, token: tokenAddress.toLowerCase() },
+                    { destination: DESTINATION_CHAIN_ID, tokens: [tokenAddress] }
+                ]
+            });
+
+            expect(routes).to.deep.equal([{ destination: DESTINATION_CHAIN_ID, token: tokenAddress }]);
+        });
+
+        it("Should reject invalid routes", function () {
+            expect(() => parseRouteConfig({ routes: [{ destination: UINT32_MAX_PLUS_ONE, token: tokenAddress }] }))
+                .to.throw("routes[0]");
+            expect(() => parseRouteConfig({ routes: [{ destination: DESTINATION_CHAIN_ID, token: "0x01" }] }))
+                .to.throw("routes[0]");
+            expect(() => parseRouteConfig({ routes: [{ destination: DESTINATION_CHAIN_ID }] }))
+                .to.throw("routes[0]");
+            expect(() => parseRouteConfig({})).to.throw("routes");
+        });
+    });
+
+    describe("diffRoutes", function () {
+        it("Should return only the missing and extra routes", function () {
+            const keep = { destination: DESTINATION_CHAIN_ID, token: tokenAddress };
+            const add = { destination: DESTINATION_CHAIN_ID_2, token: tokenAddress };
+            const remove = { destination: DESTINATION_CHAIN_ID, token: token2Address };
+
+            expect(diffRoutes([keep, add], [keep, remove])).to.deep.equal({ allow: [add], forbid: [remove] });
+            expect(diffRoutes([keep], [keep])).to.deep.equal({ allow: [], forbid: [] });
+        });
+    });
+
+    describe("syncTeleportRoutes", function () {
+        it("Should plan changes without sending them by default", async function () {
+            await inputSettlerXCMEscrow.allowTeleport(DESTINATION_CHAIN_ID, token2Address);
+
+            const result = await syncTeleportRoutes(inputSettlerXCMEscrow, [
+                { destination: DESTINATION_CHAIN_ID, token: tokenAddress }
+            ]);
+
+            expect(result.calls.map(({ method }) => method)).to.deep.equal(["forbidTeleports", "allowTeleports"]);
+            expect(result.calls[1].data).to.equal(
+                inputSettlerXCMEscrow.interface.encodeFunctionData("allowTeleports", [[
+                    { destination: DESTINATION_CHAIN_ID, token: tokenAddress }
+                ]])
+            );
+            expect(result.transactions).to.deep.equal([]);
+            expect(await inputSettlerXCMEscrow.isTeleportAllowed(DESTINATION_CHAIN_ID, token2Address)).to.equal(true);
+        });
+
+        it("Should converge the allow-list when executed", async function () {
+            await inputSettlerXCMEscrow.allowTeleport(DESTINATION_CHAIN_ID, tokenAddress);
+            await inputSettlerXCMEscrow.allowTeleport(DESTINATION_CHAIN_ID, token2Address);
+
+            const desired = [
+                { destination: DESTINATION_CHAIN_ID, token: tokenAddress },
+                { destination: DESTINATION_CHAIN_ID_2, token: tokenAddress },
+                { destination: DESTINATION_CHAIN_ID_2, token: token2Address }
+            ];
+            const result = await syncTeleportRoutes(inputSettlerXCMEscrow, desired, { execute: true });
+
+            // One forbidTeleports and one allowTeleports batch, however many routes change
+            expect(result.calls.map(({ routes }) => routes.length)).to.deep.equal([1, 2]);
+            expect(result.transactions).to.have.lengthOf(2);
+            expect(await inputSettlerXCMEscrow.getTeleportRoutes()).to.deep.equal([
+                [BigInt(DESTINATION_CHAIN_ID), tokenAddress],
+                [BigInt(DESTINATION_CHAIN_ID_2), tokenAddress],
+                [BigInt(DESTINATION_CHAIN_ID_2), token2Address]
+            ]);
+
+            const again = await syncTeleportRoutes(inputSettlerXCMEscrow, desired, { execute: true });
+            expect(again.calls).to.deep.equal([]);
+        });
+
+        it("Should fail when executed without the route manager role", async function () {
+            const settler = inputSettlerXCMEscrow.connect(user);
+
+            let error;
+            try {
+                await syncTeleportRoutes(settler, [{ destination: DESTINATION_CHAIN_ID, token: tokenAddress }], { execute: true });
+            } catch (e) {
+                error = e;
+            }
+
+            expect(error).to.not.equal(undefined);
+            expect(await inputSettlerXCMEscrow.getTeleportRoutes()).to.deep.equal([]);
+        });
+    });
+});
@@ -0,0 +1,289 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    setupInputSettlerXCMEscrow,
+    createOrderFactory,
+    createOutput,
+    toBytes32,
+    DESTINATION_CHAIN_ID,
+    DESTINATION_CHAIN_ID_2,
+    STANDARD_AMOUNT,
+    DOUBLE_AMOUNT
+} = require("./helpers/inputSettlerXCMEscrowHelper");
+const {
+    encodeCompact,
+    decodeCompact,
+    encodeVersionedXcm,
+    decodeVersionedXcm,
+    encodeVersionedLocation,
+    decodeVersionedLocation,
+    parachainLocation,
+    assetLocation,
+    accountLocation
+} = require("./helpers/xcmCodec");
+const { NATIVE_ASSET, RouteMode, TransferKind } = require("../sdk");
+
+describe("InputSettlerXCMEscrow - XCM Simulation", function () {
+    let inputSettlerXCMEscrow;
+    let settlerAddress;
+    let mockXcm;
+    let mockLibrary;
+    let token;
+    let tokenAddress;
+    let user;
+    let solver;
+    let createOrder;
+
+    const amount = ethers.parseEther(STANDARD_AMOUNT);
+
+    beforeEach(async function () {
+        const setup = await setupInputSettlerXCMEscrow({ simulated: true });
+        user = setup.user;
+        solver = setup.solver;
+        mockXcm = setup.mockXcm;
+        mockLibrary = setup.mockLibrary;
+        inputSettlerXCMEscrow = setup.inputSettlerXCMEscrow;
+        token = setup.token;
+        tokenAddress = await token.getAddress();
+        settlerAddress = await inputSettlerXCMEscrow.getAddress();
+        createOrder = createOrderFactory(user, token, setup.chainId);
+
+        await inputSettlerXCMEscrow.allowTeleport(DESTINATION_CHAIN_ID, tokenAddress);
+        await token.connect(user).approve(settlerAddress, ethers.MaxUint256);
+    });
+
+    function fungible(asset, value) {
+        return { id: assetLocation(asset), fun: { Fungible: value } };
+    }
+
+    function remoteDeposit(asset, beneficiary, value) {
+        return [
+            { BuyExecution: { fees: fungible(asset, value), weightLimit: "Unlimited" } },
+            { DepositAsset: { assets: { Wild: { AllCounted: 1 } }, beneficiary: accountLocation(beneficiary) } }
+        ];
+    }
+
+    function localTransfer(instruction, asset, paraId, beneficiary, value) {
+        return [
+            { WithdrawAsset: [fungible(asset, value)] },
+            {
+                [instruction]: {
+                    assets: { Wild: { AllCounted: 1 } },
+                    dest: parachainLocation(paraId),
+                    xcm: remoteDeposit(asset, beneficiary, value)
+                }
+            }
+        ];
+    }
+
+    describe("SCALE codec", function () {
+        it("Should encode compact integers", function () {
+            const vectors = [
+                [0n, "0x00"],
+                [1n, "0x04"],
+                [63n, "0xfc"],
+                [64n, "0x0101"],
+                [16383n, "0xfdff"],
+                [16384n, "0x02000100"],
+                [1n << 30n, "0x0300000040"],
+                [(1n << 128n) - 1n, "0x33" + "ff".repeat(16)]
+            ];
+
+            for (const [value, encoded] of vectors) {
+                expect(ethers.hexlify(encodeCompact(value))).to.equal(encoded);
+                expect(decodeCompact(encoded)).to.equal(value);
+            }
+        });
+
+        it("Should round-trip programs and locations", function () {
+            const program = localTransfer("InitiateTeleport", tokenAddress, DESTINATION_CHAIN_ID, user.address, amount);
+            const encoded = encodeVersionedXcm(program);
+
+            expect(decodeVersionedXcm(encoded)).to.deep.equal(program);
+            expect(decodeVersionedLocation(encodeVersionedLocation(parachainLocation(DESTINATION_CHAIN_ID))))
+                .to.deep.equal(parachainLocation(DESTINATION_CHAIN_ID));
+        });
+
+        it("Should reject truncated programs and other versions", function () {
+            const encoded = encodeVersionedXcm([{ WithdrawAsset: [fungible(tokenAddress, amount)] }]);
+
+            expect(() => decodeVersionedXcm(encoded.slice(0, -2))).to.throw("Malformed");
+            expect(() => decodeVersionedXcm("0x03" + encoded.slice(4))).to.throw("version 3");
+        });
+    });
+
+    describe("Program library", function () {
+        const beneficiary = toBytes32("0xbeef");
+
+        it("Should build a teleport program", async function () {
+            const message = await mockLibrary.teleport.staticCall(DESTINATION_CHAIN_ID, beneficiary, amount);
+
+            expect(decodeVersionedXcm(message)).to.deep.equal(
+                localTransfer("InitiateTeleport", tokenAddress, DESTINATION_CHAIN_ID, beneficiary, amount)
+            );
+        });
+
+        it("Should build a reserve transfer program", async function () {
+            const message = await mockLibrary.reserveTransfer.staticCall(DESTINATION_CHAIN_ID, beneficiary, amount);
+
+            expect(decodeVersionedXcm(message)).to.deep.equal(
+                localTransfer("DepositReserveAsset", tokenAddress, DESTINATION_CHAIN_ID, beneficiary, amount)
+            );
+        });
+
+        it("Should build a remote transfer program and its destination", async function () {
+            const [destination, message] = await mockLibrary.remoteTransfer.staticCall(
+                DESTINATION_CHAIN_ID_2,
+                beneficiary,
+                amount
+            );
+
+            expect(decodeVersionedLocation(destination)).to.deep.equal(parachainLocation(DESTINATION_CHAIN_ID_2));
+            expect(decodeVersionedXcm(message)).to.deep.equal([
+                { WithdrawAsset: [fungible(tokenAddress, amount)] },
+                ...remoteDeposit(tokenAddress, beneficiary, amount)
+            ]);
+        });
+
+        it("Should transfer the native asset when funded with value", async function () {
+            const message = await mockLibrary.teleport.staticCall(DESTINATION_CHAIN_ID, beneficiary, amount, {
+                value: amount
+            });
+
+            expect(decodeVersionedXcm(message)[0]).to.deep.equal({ WithdrawAsset: [fungible(NATIVE_ASSET, amount)] });
+        });
+    });
+
+    describe("Simulator", function () {
+        const beneficiary = toBytes32("0xbeef");
+
+        it("Should weigh each instruction, nested programs included", async function () {
+            const message = encodeVersionedXcm(
+                localTransfer("InitiateTeleport", tokenAddress, DESTINATION_CHAIN_ID, beneficiary, amount)
+            );
+            const refTime = await mockXcm.REF_TIME_PER_INSTRUCTION();
+            const proofSize = await mockXcm.PROOF_SIZE_PER_INSTRUCTION();
+
+            const weight = await mockXcm.weighMessage(message);
+
+            expect(weight.refTime).to.equal(refTime * 4n);
+            expect(weight.proofSize).to.equal(proofSize * 4n);
+        });
+
+        it("Should withdraw the asset and credit the beneficiary on the destination", async function () {
+            const message = encodeVersionedXcm(
+                localTransfer("InitiateTeleport", tokenAddress, DESTINATION_CHAIN_ID, beneficiary, amount)
+            );
+            await token.connect(user).approve(await mockXcm.getAddress(), amount);
+
+            await expect(mockXcm.connect(user).execute(message, await mockXcm.weighMessage(message)))
+                .to.emit(mockXcm, "Delivered")
+                .withArgs(DESTINATION_CHAIN_ID, tokenAddress, beneficiary, amount)
+                .and.to.changeTokenBalances(token, [user, mockXcm], [-amount, amount]);
+
+            expect(await mockXcm.balanceOf(DESTINATION_CHAIN_ID, tokenAddress, beneficiary)).to.equal(amount);
+            expect(await mockXcm.balanceOf(DESTINATION_CHAIN_ID_2, tokenAddress, beneficiary)).to.equal(0);
+        });
+
+        it("Should require the weighed weight", async function () {
+            const message = encodeVersionedXcm(
+                localTransfer("InitiateTeleport", tokenAddress, DESTINATION_CHAIN_ID, beneficiary, amount)
+            );
+            const weight = await mockXcm.weighMessage(message);
+
+            await expect(mockXcm.execute(message, { refTime: weight.refTime - 1n, proofSize: weight.proofSize }))
+                .to.be.revertedWithCustomError(mockXcm, "InsufficientWeight");
+        });
+
+        it("Should reject programs trapping assets", async function () {
+            const message = encodeVersionedXcm([{ WithdrawAsset: [fungible(tokenAddress, amount)] }]);
+
+            await expect(mockXcm.weighMessage(message)).to.be.revertedWithCustomError(mockXcm, "AssetsTrapped");
+        });
+
+        it("Should reject malformed and unsupported programs", async function () {
+            const message = encodeVersionedXcm(
+                localTransfer("InitiateTeleport", tokenAddress, DESTINATION_CHAIN_ID, beneficiary, amount)
+            );
+
+            await expect(mockXcm.weighMessage(message.slice(0, -2)))
+                .to.be.revertedWithCustomError(mockXcm, "MalformedMessage");
+            await expect(mockXcm.weighMessage(message + "00"))
+                .to.be.revertedWithCustomError(mockXcm, "MalformedMessage");
+            await expect(mockXcm.weighMessage("0x03" + message.slice(4)))
+                .to.be.revertedWithCustomError(mockXcm, "UnsupportedVersion")
+                .withArgs(3);
+            await expect(mockXcm.weighMessage("0x01"))
+                .to.be.revertedWithCustomError(mockXcm, "UnsupportedVersion")
+                .withArgs(1);
+            await expect(mockXcm.weighMessage(encodeVersionedXcm(["ClearOrigin"])))
+                .to.be.revertedWithCustomError(mockXcm, "UnsupportedInstruction")
+                .withArgs(10);
+        });
+    });
+
+    describe("End-to-end delivery", function () {
+        it("Should deliver a teleported output to its recipient", async function () {
+            const recipient = toBytes32(user.address);
+
+            await expect(inputSettlerXCMEscrow.connect(user).open(createOrder()))
+                .to.emit(inputSettlerXCMEscrow, "XCMTeleportExecuted")
+                .and.to.emit(mockXcm, "Delivered")
+                .withArgs(DESTINATION_CHAIN_ID, tokenAddress, recipient, amount);
+
+            expect(await mockXcm.balanceOf(DESTINATION_CHAIN_ID, tokenAddress, recipient)).to.equal(amount);
+            expect(await token.balanceOf(await mockXcm.getAddress())).to.equal(amount);
+            expect(await token.balanceOf(settlerAddress)).to.equal(0);
+        });
+
+        it("Should deliver each output to its destination and beneficiary", async function () {
+            await inputSettlerXCMEscrow.allowTeleport(DESTINATION_CHAIN_ID_2, tokenAddress);
+            const order = createOrder({
+                inputs: [[tokenAddress, ethers.parseEther(DOUBLE_AMOUNT)]],
+                outputs: [
+                    createOutput(tokenAddress, user.address),
+                    createOutput(tokenAddress, solver.address, { chainId: DESTINATION_CHAIN_ID_2, amount: amount / 2n })
+                ]
+            });
+
+            await inputSettlerXCMEscrow.connect(user).open(order);
+
+            expect(await mockXcm.balanceOf(DESTINATION_CHAIN_ID, tokenAddress, toBytes32(user.address))).to.equal(amount);
+            expect(await mockXcm.balanceOf(DESTINATION_CHAIN_ID_2, tokenAddress, toBytes32(solver.address)))
+                .to.equal(amount / 2n);
+            expect(await mockXcm.balanceOf(DESTINATION_CHAIN_ID, tokenAddress, toBytes32(solver.address))).to.equal(0);
+        });
+
+        it("Should deliver reserve transfers", async function () {
+            await inputSettlerXCMEscrow.setTransferKind(DESTINATION_CHAIN_ID, tokenAddress, TransferKind.RESERVE_TRANSFER);
+
+            await expect(inputSettlerXCMEscrow.connect(user).open(createOrder()))
+                .to.emit(inputSettlerXCMEscrow, "XCMReserveTransferExecuted");
+
+            expect(await mockXcm.balanceOf(DESTINATION_CHAIN_ID, tokenAddress, toBytes32(user.address))).to.equal(amount);
+        });
+
+        it("Should deliver programs sent to the destination", async function () {
+            await inputSettlerXCMEscrow.setRouteMode(DESTINATION_CHAIN_ID, tokenAddress, RouteMode.SEND);
+
+            await expect(inputSettlerXCMEscrow.connect(user).open(createOrder()))
+                .to.emit(inputSettlerXCMEscrow, "XCMMessageSent")
+                .and.to.emit(mockXcm, "Sent");
+
+            expect(await mockXcm.balanceOf(DESTINATION_CHAIN_ID, tokenAddress, toBytes32(user.address))).to.equal(amount);
+        });
+
+        it("Should deliver the native asset", async function () {
+            await inputSettlerXCMEscrow.allowTeleport(DESTINATION_CHAIN_ID, NATIVE_ASSET);
+            const order = createOrder({
+                inputs: [[NATIVE_ASSET, amount]],
+                outputs: [createOutput(NATIVE_ASSET, user.address)]
+            });
+
+            await inputSettlerXCMEscrow.connect(user).open(order, { value: amount });
+
+            expect(await mockXcm.balanceOf(DESTINATION_CHAIN_ID, NATIVE_ASSET, toBytes32(user.address))).to.equal(amount);
+            expect(await ethers.provider.getBalance(await mockLibrary.getAddress())).to.equal(amount);
+        });
+    });
+});
@@ -0,0 +1,308 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const {
+    setupInputSettlerXCMEscrow,
+    createOrderFactory,
+    createOutput,
+    toBytes32,
+    DESTINATION_CHAIN_ID,
+    DISALLOWED_CHAIN_ID,
+    INITIAL_TOKEN_BALANCE,
+    STANDARD_AMOUNT,
+    DOUBLE_AMOUNT,
+    MOCK_XCM_MESSAGE_1
+} = require("./helpers/inputSettlerXCMEscrowHelper");
+const {
+    Route,
+    TimelineEvent,
+    createXCMEscrowClient,
+    indexOrders,
+    preflight,
+    previewRoute,
+    signERC3009OpenFor
+} = require("../sdk");
+
+describe("InputSettlerXCMEscrow - Split Orders", function () {
+    let inputSettlerXCMEscrow;
+    let settlerAddress;
+    let baseSettler;
+    let token;
+    let tokenAddress;
+    let user;
+    let solver;
+    let mockXcm;
+    let chainId;
+    let createOrder;
+
+    beforeEach(async function () {
+        const setup = await setupInputSettlerXCMEscrow();
+        user = setup.user;
+        solver = setup.solver;
+        mockXcm = setup.mockXcm;
+        baseSettler = setup.baseSettler;
+        inputSettlerXCMEscrow = setup.inputSettlerXCMEscrow;
+        token = setup.token;
+        chainId = setup.chainId;
+        tokenAddress = await token.getAddress();
+        settlerAddress = await inputSettlerXCMEscrow.getAddress();
+        createOrder = createOrderFactory(user, token, chainId);
+
+        await inputSettlerXCMEscrow.allowTeleport(DESTINATION_CHAIN_ID, tokenAddress);
+        await setup.mockLibrary.setTeleportMessage(MOCK_XCM_MESSAGE_1);
+        await token.connect(user).approve(settlerAddress, ethers.MaxUint256);
+    });
+
+    /**
+     * An order with a teleportable first output and a second output to a chain without teleports.
+     */
+    function createMixedOrder(overrides = {}) {
+        return createOrder({
+            inputs: [[tokenAddress, ethers.parseEther(DOUBLE_AMOUNT)]],
+            outputs: [
+                createOutput(tokenAddress, user.address),
+                createOutput(tokenAddress, user.address, { chainId: DISALLOWED_CHAIN_ID })
+            ],
+            ...overrides
+        });
+    }
+
+    /**
+     * The order the base settler escrows for the second output of `createMixedOrder`.
+     */
+    function escrowOrderOf(order, inputAmount = ethers.parseEther(STANDARD_AMOUNT)) {
+        return { ...order, inputs: [[tokenAddress, inputAmount]], outputs: [order.outputs[1]] };
+    }
+
+    describe("setSplitEnabled", function () {
+        it("Should be disabled by default", async function () {
+            expect(await inputSettlerXCMEscrow.splitEnabled()).to.equal(false);
+        });
+
+        it("Should be enabled by an admin", async function () {
+            await expect(inputSettlerXCMEscrow.setSplitEnabled(true))
+                .to.emit(inputSettlerXCMEscrow, "SplitEnabledChanged")
+                .withArgs(true);
+            expect(await inputSettlerXCMEscrow.splitEnabled()).to.equal(true);
+        });
+
+        it("Should only be enabled by an admin", async function () {
+            const pauserRole = await inputSettlerXCMEscrow.PAUSER_ROLE();
+            await inputSettlerXCMEscrow.grantRole(pauserRole, solver.address);
+
+            await expect(inputSettlerXCMEscrow.connect(solver).setSplitEnabled(true))
+                .to.be.revertedWithCustomError(inputSettlerXCMEscrow, "AccessControlUnauthorizedAccount")
+                .withArgs(solver.address, await inputSettlerXCMEscrow.DEFAULT_ADMIN_ROLE());
+
+            await inputSettlerXCMEscrow.setSplitEnabled(true);
+            await expect(inputSettlerXCMEscrow.connect(solver).setSplitEnabled(false))
+                .to.emit(inputSettlerXCMEscrow, "SplitEnabledChanged")
+                .withArgs(false);
+        });
+    });
+
+    describe("Disabled", function () {
+        it("Should escrow the whole order", async function () {
+            const order = createMixedOrder();
+
+            const tx = inputSettlerXCMEscrow.connect(user).open(order);
+
+            await expect(tx)
+                .to.emit(baseSettler, "Open")
+                .withArgs(await baseSettler.orderIdentifier(order), anyValue);
+            await expect(tx).to.not.emit(mockXcm, "Executed");
+            expect(await token.balanceOf(await baseSettler.getAddress())).to.equal(ethers.parseEther(DOUBLE_AMOUNT));
+        });
+    });
+
+    describe("Enabled", function () {
+        beforeEach(async function () {
+            await inputSettlerXCMEscrow.setSplitEnabled(true);
+        });
+
+        it("Should teleport eligible outputs and escrow the others", async function () {
+            const order = createMixedOrder();
+            const orderId = await baseSettler.orderIdentifier(order);
+            const escrowOrderId = await baseSettler.orderIdentifier(escrowOrderOf(order));
+            const amount = ethers.parseEther(STANDARD_AMOUNT);
+
+            const tx = inputSettlerXCMEscrow.connect(user).open(order);
+
+            await expect(tx)
+                .to.emit(inputSettlerXCMEscrow, "XCMTeleportExecuted")
+                .withArgs(orderId, DESTINATION_CHAIN_ID, tokenAddress, amount, toBytes32(user.address))
+                .and.to.emit(inputSettlerXCMEscrow, "XCMOrderSplit")
+                .withArgs(orderId, escrowOrderId, [1]);
+            await expect(tx).to.emit(mockXcm, "Executed").withArgs(MOCK_XCM_MESSAGE_1);
+            await expect(tx).to.emit(baseSettler, "Open");
+
+            expect(await token.balanceOf(user.address))
+                .to.equal(ethers.parseEther(INITIAL_TOKEN_BALANCE) - ethers.parseEther(DOUBLE_AMOUNT));
+            expect(await token.balanceOf(await baseSettler.getAddress())).to.equal(amount);
+            expect(await token.allowance(settlerAddress, await baseSettler.getAddress())).to.equal(0);
+        });
+
+        it("Should escrow outputs carrying a call", async function () {
+            const order = createOrder({
+                inputs: [[tokenAddress, ethers.parseEther(DOUBLE_AMOUNT)]],
+                outputs: [
+                    createOutput(tokenAddress, user.address),
+                    createOutput(tokenAddress, user.address, { call: "0x1234" })
+                ]
+            });
+
+            const result = await previewRoute(inputSettlerXCMEscrow, order);
+            expect(result.route).to.equal(Route.SPLIT);
+            expect(result.escrowedOutputs).to.deep.equal([1]);
+
+            await expect(inputSettlerXCMEscrow.connect(user).open(order))
+                .to.emit(inputSettlerXCMEscrow, "XCMOrderSplit");
+        });
+
+        it("Should fund the escrow with inputs not teleported", async function () {
+            const otherToken = await ethers.deployContract("MockERC20", ["Other", "OTH"]);
+            const otherAmount = ethers.parseEther(STANDARD_AMOUNT);
+            await otherToken.mint(user, otherAmount);
+            await otherToken.connect(user).approve(settlerAddress, otherAmount);
+            const order = createMixedOrder({
+                inputs: [
+                    [tokenAddress, ethers.parseEther(STANDARD_AMOUNT)],
+                    [await otherToken.getAddress(), otherAmount]
+                ]
+            });
+            const escrowOrder = {
+                ...order,
+                inputs: [[await otherToken.getAddress(), otherAmount]],
+                outputs: [order.outputs[1]]
+            };
+
+            await expect(inputSettlerXCMEscrow.connect(user).open(order))
+                .to.emit(inputSettlerXCMEscrow, "XCMOrderSplit")
+                .withArgs(await baseSettler.orderIdentifier(order), await baseSettler.orderIdentifier(escrowOrder), [1]);
+
+            expect(await otherToken.balanceOf(await baseSettler.getAddress())).to.equal(otherAmount);
+        });
+
+        it("Should escrow the whole order when nothing is left to fund the escrow", async function () {
+            const order = createMixedOrder({ inputs: [[tokenAddress, ethers.parseEther(STANDARD_AMOUNT)]] });
+
+            const result = await preflight(inputSettlerXCMEscrow, order);
+            expect(result.reason).to.equal("EscrowNotFunded");
+            expect(result.index).to.equal(1);
+            expect(result.route).to.equal(Route.ESCROW);
+            expect(await previewRoute(inputSettlerXCMEscrow, order)).to.deep.equal(result);
+
+            const tx = inputSettlerXCMEscrow.connect(user).open(order);
+            await expect(tx).to.emit(baseSettler, "Open");
+            await expect(tx).to.not.emit(inputSettlerXCMEscrow, "XCMOrderSplit");
+        });
+
+        it("Should only require inputs to cover the teleported outputs", async function () {
+            const order = createMixedOrder({
+                inputs: [[tokenAddress, ethers.parseEther(STANDARD_AMOUNT) + 1n]],
+                outputs: [
+                    createOutput(tokenAddress, user.address),
+                    createOutput(tokenAddress, user.address, {
+                        chainId: DISALLOWED_CHAIN_ID,
+                        amount: ethers.parseEther(DOUBLE_AMOUNT)
+                    })
+                ]
+            });
+
+            await expect(inputSettlerXCMEscrow.connect(user).open(order))
+                .to.emit(inputSettlerXCMEscrow, "XCMOrderSplit")
+                .withArgs(
+                    await baseSettler.orderIdentifier(order),
+                    await baseSettler.orderIdentifier(escrowOrderOf(order, 1n)),
+                    [1]
+                );
+        });
+
+        it("Should not count escrowed outputs against teleport limits", async function () {
+            await inputSettlerXCMEscrow.setMaxOrderAmount(tokenAddress, ethers.parseEther(STANDARD_AMOUNT));
+
+            await expect(inputSettlerXCMEscrow.connect(user).open(createMixedOrder()))
+                .to.emit(inputSettlerXCMEscrow, "XCMOrderSplit");
+        });
+
+        it("Should escrow orders without eligible outputs as a whole", async function () {
+            const order = createOrder({
+                outputs: [createOutput(tokenAddress, user.address, { chainId: DISALLOWED_CHAIN_ID })]
+            });
+
+            const result = await previewRoute(inputSettlerXCMEscrow, order);
+            expect(result.reason).to.equal("TeleportNotAllowed");
+            expect(result.escrowedOutputs).to.deep.equal([]);
+
+            const tx = inputSettlerXCMEscrow.connect(user).open(order);
+            await expect(tx).to.emit(baseSettler, "Open").withArgs(await baseSettler.orderIdentifier(order), anyValue);
+            await expect(tx).to.not.emit(inputSettlerXCMEscrow, "XCMOrderSplit");
+        });
+
+        it("Should not split when XCM is disabled", async function () {
+            await inputSettlerXCMEscrow.setXCMEnabled(false);
+
+            const result = await preflight(inputSettlerXCMEscrow, createMixedOrder());
+            expect(result.reason).to.equal("XCMDisabled");
+            expect(result.escrowedOutputs).to.deep.equal([]);
+        });
+
+        it("Should match preflight with previewRoute", async function () {
+            const order = createMixedOrder();
+
+            const result = await preflight(inputSettlerXCMEscrow, order);
+            expect(result).to.include({ route: Route.SPLIT, reason: "None" });
+            expect(result.escrowedOutputs).to.deep.equal([1]);
+            expect(await previewRoute(inputSettlerXCMEscrow, order)).to.deep.equal(result);
+        });
+
+        it("Should escrow the remainder collected from the sponsor in openFor", async function () {
+            const token3009 = await ethers.deployContract("MockERC3009", ["Test3009", "T3009"]);
+            const token3009Address = await token3009.getAddress();
+            await token3009.mint(user, ethers.parseEther(INITIAL_TOKEN_BALANCE));
+            await inputSettlerXCMEscrow.allowTeleport(DESTINATION_CHAIN_ID, token3009Address);
+            const order = createOrderFactory(user, token3009, chainId)({
+                inputs: [[token3009Address, ethers.parseEther(DOUBLE_AMOUNT)]],
+                outputs: [
+                    createOutput(token3009Address, user.address),
+                    createOutput(token3009Address, user.address, { chainId: DISALLOWED_CHAIN_ID })
+                ]
+            });
+            const signature = await signERC3009OpenFor(user, order, {
+                to: settlerAddress,
+                orderId: await inputSettlerXCMEscrow.orderIdentifier(order),
+                domain: () => ({ name: "Test3009", version: "1" })
+            });
+            const sponsorBalance = await token3009.balanceOf(user.address);
+
+            await expect(inputSettlerXCMEscrow.connect(solver).openFor(order, user.address, signature))
+                .to.emit(inputSettlerXCMEscrow, "XCMOrderSplit");
+
+            expect(sponsorBalance - await token3009.balanceOf(user.address)).to.equal(ethers.parseEther(DOUBLE_AMOUNT));
+            expect(await token3009.balanceOf(await baseSettler.getAddress())).to.equal(ethers.parseEther(STANDARD_AMOUNT));
+        });
+
+        it("Should report the split in the client result and the order history", async function () {
+            const fromBlock = await ethers.provider.getBlockNumber();
+            const client = createXCMEscrowClient({ settler: settlerAddress, signer: user });
+            const order = createMixedOrder();
+
+            const result = await client.open(order);
+
+            expect(result.route).to.equal(Route.SPLIT);
+            expect(result.orderId).to.equal(await baseSettler.orderIdentifier(order));
+            expect(result.escrowOrderId).to.equal(await baseSettler.orderIdentifier(escrowOrderOf(order)));
+            expect(result.escrowedOutputs).to.deep.equal([1]);
+            expect(result.teleports).to.have.lengthOf(1);
+
+            const timelines = await indexOrders(ethers.provider, { settler: settlerAddress, fromBlock });
+            const parent = timelines.find(({ orderId }) => orderId === result.orderId);
+            const child = timelines.find(({ orderId }) => orderId === result.escrowOrderId);
+            expect(parent.route).to.equal(Route.SPLIT);
+            expect(parent.events.map(({ type }) => type))
+                .to.deep.equal([TimelineEvent.OPENED_XCM, TimelineEvent.DELIVERED, TimelineEvent.SPLIT]);
+            expect(child.route).to.equal(Route.ESCROW);
+            expect(child.order.outputs).to.have.lengthOf(1);
+        });
+    });
+});
@@ -0,0 +1,187 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    setupInputSettlerXCMEscrow,
+    createOrderFactory,
+    createOutput,
+    DESTINATION_CHAIN_ID,
+    INITIAL_TOKEN_BALANCE,
+    STANDARD_AMOUNT,
+    LARGE_AMOUNT,
+    MOCK_XCM_MESSAGE_1
+} = require("./helpers/inputSettlerXCMEscrowHelper");
+const { SurplusPolicy, TimelineEvent, createXCMEscrowClient, indexOrders, signERC3009OpenFor } = require("../sdk");
+
+describe("InputSettlerXCMEscrow - Surplus Policy", function () {
+    let inputSettlerXCMEscrow;
+    let settlerAddress;
+    let baseSettler;
+    let token;
+    let tokenAddress;
+    let user;
+    let solver;
+    let chainId;
+    let createOrder;
+
+    const inputAmount = ethers.parseEther(LARGE_AMOUNT);
+    const outputAmount = ethers.parseEther(STANDARD_AMOUNT);
+    const surplusAmount = inputAmount - outputAmount;
+
+    beforeEach(async function () {
+        const setup = await setupInputSettlerXCMEscrow();
+        user = setup.user;
+        solver = setup.solver;
+        baseSettler = setup.baseSettler;
+        inputSettlerXCMEscrow = setup.inputSettlerXCMEscrow;
+        token = setup.token;
+        chainId = setup.chainId;
+        tokenAddress = await token.getAddress();
+        settlerAddress = await inputSettlerXCMEscrow.getAddress();
+        createOrder = createOrderFactory(user, token, chainId);
+
+        await inputSettlerXCMEscrow.allowTeleport(DESTINATION_CHAIN_ID, tokenAddress);
+        await setup.mockLibrary.setTeleportMessage(MOCK_XCM_MESSAGE_1);
+        await token.connect(user).approve(settlerAddress, ethers.MaxUint256);
+    });
+
+    function createSurplusOrder() {
+        return createOrder({ inputs: [[tokenAddress, inputAmount]] });
+    }
+
+    describe("setSurplusPolicy", function () {
+        it("Should keep the surplus by default", async function () {
+            expect(await inputSettlerXCMEscrow.surplusPolicy()).to.equal(SurplusPolicy.KEEP);
+            expect(await inputSettlerXCMEscrow.surplusRecipient()).to.equal(ethers.ZeroAddress);
+        });
+
+        it("Should set the policy and recipient", async function () {
+            await expect(inputSettlerXCMEscrow.setSurplusPolicy(SurplusPolicy.COLLECT, solver.address))
+                .to.emit(inputSettlerXCMEscrow, "SurplusPolicySet")
+                .withArgs(SurplusPolicy.COLLECT, solver.address);
+
+            expect(await inputSettlerXCMEscrow.surplusPolicy()).to.equal(SurplusPolicy.COLLECT);
+            expect(await inputSettlerXCMEscrow.surplusRecipient()).to.equal(solver.address);
+        });
+
+        it("Should require a recipient to collect the surplus", async function () {
+            await expect(inputSettlerXCMEscrow.setSurplusPolicy(SurplusPolicy.COLLECT, ethers.ZeroAddress))
+                .to.be.revertedWithCustomError(inputSettlerXCMEscrow, "InvalidSurplusRecipient");
+        });
+
+        it("Should revert if not called by an admin", async function () {
+            await expect(inputSettlerXCMEscrow.connect(user).setSurplusPolicy(SurplusPolicy.COLLECT, user.address))
+                .to.be.revertedWithCustomError(inputSettlerXCMEscrow, "AccessControlUnauthorizedAccount")
+                .withArgs(user.address, await inputSettlerXCMEscrow.DEFAULT_ADMIN_ROLE());
+        });
+    });
+
+    describe("Keep", function () {
+        it("Should leave the surplus with the user and report it", async function () {
+            const order = createSurplusOrder();
+
+            await expect(inputSettlerXCMEscrow.connect(user).open(order))
+                .to.emit(inputSettlerXCMEscrow, "XCMSurplus")
+                .withArgs(await baseSettler.orderIdentifier(order), tokenAddress, surplusAmount, user.address);
+
+            expect(await token.balanceOf(user.address))
+                .to.equal(ethers.parseEther(INITIAL_TOKEN_BALANCE) - outputAmount);
+        });
+
+        it("Should not report orders without surplus", async function () {
+            await expect(inputSettlerXCMEscrow.connect(user).open(createOrder()))
+                .to.not.emit(inputSettlerXCMEscrow, "XCMSurplus");
+        });
+    });
+
+    describe("Collect", function () {
+        beforeEach(async function () {
+            await inputSettlerXCMEscrow.setSurplusPolicy(SurplusPolicy.COLLECT, solver.address);
+        });
+
+        it("Should collect the full inputs and pay the surplus to the recipient", async function () {
+            const order = createSurplusOrder();
+
+            await expect(inputSettlerXCMEscrow.connect(user).open(order))
+                .to.emit(inputSettlerXCMEscrow, "XCMSurplus")
+                .withArgs(await baseSettler.orderIdentifier(order), tokenAddress, surplusAmount, solver.address);
+
+            expect(await token.balanceOf(user.address))
+                .to.equal(ethers.parseEther(INITIAL_TOKEN_BALANCE) - inputAmount);
+            expect(await token.balanceOf(solver.address)).to.equal(surplusAmount);
+            expect(await token.balanceOf(settlerAddress)).to.equal(outputAmount);
+        });
+
+        it("Should report the surplus per token", async function () {
+            const otherToken = await ethers.deployContract("MockERC20", ["Other", "OTH"]);
+            const otherAddress = await otherToken.getAddress();
+            await otherToken.mint(user, outputAmount);
+            await otherToken.connect(user).approve(settlerAddress, outputAmount);
+            const order = createOrder({
+                inputs: [[tokenAddress, inputAmount], [otherAddress, outputAmount]],
+                outputs: [createOutput(tokenAddress, user.address)]
+            });
+            const orderId = await baseSettler.orderIdentifier(order);
+
+            await expect(inputSettlerXCMEscrow.connect(user).open(order))
+                .to.emit(inputSettlerXCMEscrow, "XCMSurplus")
+                .withArgs(orderId, tokenAddress, surplusAmount, solver.address)
+                .and.to.emit(inputSettlerXCMEscrow, "XCMSurplus")
+                .withArgs(orderId, otherAddress, outputAmount, solver.address);
+
+            expect(await otherToken.balanceOf(solver.address)).to.equal(outputAmount);
+        });
+
+        it("Should pay the sponsor's surplus to the recipient in openFor", async function () {
+            const token3009 = await ethers.deployContract("MockERC3009", ["Test3009", "T3009"]);
+            const token3009Address = await token3009.getAddress();
+            await token3009.mint(user, ethers.parseEther(INITIAL_TOKEN_BALANCE));
+            await inputSettlerXCMEscrow.allowTeleport(DESTINATION_CHAIN_ID, token3009Address);
+            const order = createOrderFactory(user, token3009, chainId)({
+                inputs: [[token3009Address, inputAmount]],
+                outputs: [createOutput(token3009Address, user.address)]
+            });
+            const signature = await signERC3009OpenFor(user, order, {
+                to: settlerAddress,
+                orderId: await inputSettlerXCMEscrow.orderIdentifier(order),
+                domain: () => ({ name: "Test3009", version: "1" })
+            });
+
+            await expect(inputSettlerXCMEscrow.connect(solver).openFor(order, user.address, signature))
+                .to.emit(inputSettlerXCMEscrow, "XCMSurplus")
+                .withArgs(await baseSettler.orderIdentifier(order), token3009Address, surplusAmount, solver.address);
+
+            expect(await token3009.balanceOf(user.address))
+                .to.equal(ethers.parseEther(INITIAL_TOKEN_BALANCE) - inputAmount);
+            expect(await token3009.balanceOf(solver.address)).to.equal(surplusAmount);
+        });
+
+        it("Should lock the same inputs as the escrow route", async function () {
+            const order = createOrder({
+                nonce: 1,
+                inputs: [[tokenAddress, inputAmount]],
+                outputs: [createOutput(tokenAddress, user.address, { chainId: DESTINATION_CHAIN_ID + 1 })]
+            });
+            const before = await token.balanceOf(user.address);
+
+            await inputSettlerXCMEscrow.connect(user).open(createSurplusOrder());
+            await inputSettlerXCMEscrow.connect(user).open(order);
+
+            expect(before - await token.balanceOf(user.address)).to.equal(inputAmount * 2n);
+        });
+
+        it("Should report the surplus in the client result and the order history", async function () {
+            const fromBlock = await ethers.provider.getBlockNumber();
+            const client = createXCMEscrowClient({ settler: settlerAddress, signer: user });
+
+            const result = await client.open(createSurplusOrder());
+
+            expect(result.surplus).to.deep.equal([
+                { token: tokenAddress, amount: surplusAmount, recipient: solver.address }
+            ]);
+
+            const [timeline] = await indexOrders(ethers.provider, { settler: settlerAddress, fromBlock });
+            expect(timeline.events.map(({ type }) => type))
+                .to.deep.equal([TimelineEvent.OPENED_XCM, TimelineEvent.DELIVERED, TimelineEvent.SURPLUS]);
+        });
+    });
+});
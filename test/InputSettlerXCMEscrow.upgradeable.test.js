@@ -0,0 +1,305 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const {
+    setupInputSettlerXCMEscrow,
+    registerTestChains,
+    createOrderFactory,
+    createOutput,
+    DESTINATION_CHAIN_ID,
+    DESTINATION_CHAIN_ID_2,
+    MOCK_XCM_MESSAGE_1
+} = require("./helpers/inputSettlerXCMEscrowHelper");
+const UpgradeableModule = require("../ignition/modules/InputSettlerXCMEscrowUpgradeable").default;
+const UpgradeModule = require("../ignition/modules/InputSettlerXCMEscrowUpgrade").default;
+
+const { SettlementStatus } = require("../sdk");
+
+const { ethers } = hre;
+
+// ERC-1967 implementation slot: bytes32(uint256(keccak256("eip1967.proxy.implementation")) - 1)
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2763a9fc5dbe4ce2fd7b5d9c2d84";
+
+const SETTLER_BASE = "contracts/InputSettlerXCMEscrowBase.sol:InputSettlerXCMEscrowBase";
+const UPGRADEABLE = "contracts/InputSettlerXCMEscrowUpgradeable.sol:InputSettlerXCMEscrowUpgradeable";
+const UPGRADEABLE_V2 = "contracts/test/InputSettlerXCMEscrowUpgradeableV2Mock.sol:InputSettlerXCMEscrowUpgradeableV2Mock";
+
+// Slots spanned by the state of InputSettlerXCMEscrowBase including `__gap`: state added by a new
+// version must shrink the gap by the slots it takes
+const SETTLER_STORAGE_SLOTS = 63;
+
+/**
+ * Returns the storage layout of a contract from its build info.
+ */
+async function storageLayout(fullyQualifiedName) {
+    const [source, name] = fullyQualifiedName.split(":");
+    const buildInfo = await hre.artifacts.getBuildInfo(fullyQualifiedName);
+    return buildInfo.output.contracts[source][name].storageLayout.storage;
+}
+
+/**
+ * Returns the slot following the `__gap` of the settler state in `layout`.
+ */
+function gapEnd(layout) {
+    const gap = layout.find(({ label, contract }) => label === "__gap" && contract === SETTLER_BASE);
+    return Number(gap.slot) + Number(gap.type.match(/\)(\d+)_storage$/)[1]);
+}
+
+describe("InputSettlerXCMEscrow - Upgradeable", function () {
+    let setup;
+    let libraries;
+    let owner;
+    let user;
+    let settler;
+    let proxyAddress;
+    let tokenAddress;
+
+    async function deployImplementation() {
+        const implementation = await ethers.deployContract("InputSettlerXCMEscrowUpgradeable", [], { libraries });
+        await implementation.waitForDeployment();
+        return implementation;
+    }
+
+    async function implementationOf(address) {
+        const slot = await ethers.provider.getStorage(address, IMPLEMENTATION_SLOT);
+        return ethers.getAddress(ethers.dataSlice(slot, 12));
+    }
+
+    beforeEach(async function () {
+        setup = await setupInputSettlerXCMEscrow();
+        owner = setup.owner;
+        user = setup.user;
+        tokenAddress = await setup.token.getAddress();
+
+        const sponsorCollection = await ethers.deployContract("SponsorCollection");
+        const splitOrder = await ethers.deployContract("SplitOrder");
+        libraries = {
+            SponsorCollection: await sponsorCollection.getAddress(),
+            SplitOrder: await splitOrder.getAddress()
+        };
+
+        const implementation = await deployImplementation();
+        const initialize = implementation.interface.encodeFunctionData("initialize", [
+            await setup.mockLibrary.getAddress(),
+            await setup.mockXcm.getAddress(),
+            await setup.baseSettler.getAddress(),
+            owner.address
+        ]);
+        const proxy = await ethers.deployContract("InputSettlerXCMEscrowProxy", [
+            await implementation.getAddress(),
+            initialize
+        ]);
+        await proxy.waitForDeployment();
+        proxyAddress = await proxy.getAddress();
+        settler = await ethers.getContractAt("InputSettlerXCMEscrowUpgradeable", proxyAddress);
+    });
+
+    describe("Initialization", function () {
+        it("Should initialize the proxy like the constructor", async function () {
+            expect(await settler.inkLibrary()).to.equal(await setup.mockLibrary.getAddress());
+            expect(await settler.xcmPrecompile()).to.equal(await setup.mockXcm.getAddress());
+            expect(await settler.baseSettler()).to.equal(await setup.baseSettler.getAddress());
+            expect(await settler.xcmEnabled()).to.equal(true);
+            expect(await settler.hasRole(await settler.DEFAULT_ADMIN_ROLE(), owner.address)).to.equal(true);
+            expect(await settler.hasRole(await settler.ROUTE_MANAGER_ROLE(), owner.address)).to.equal(true);
+            expect(await settler.hasRole(await settler.PAUSER_ROLE(), owner.address)).to.equal(true);
+        });
+
+        it("Should not initialize twice", async function () {
+            await expect(settler.initialize(tokenAddress, tokenAddress, tokenAddress, user.address))
+                .to.be.revertedWithCustomError(settler, "InvalidInitialization");
+        });
+
+        it("Should not initialize the implementation", async function () {
+            const implementation = await deployImplementation();
+
+            await expect(implementation.initialize(tokenAddress, tokenAddress, tokenAddress, user.address))
+                .to.be.revertedWithCustomError(implementation, "InvalidInitialization");
+        });
+
+        it("Should reject zero addresses", async function () {
+            const implementation = await deployImplementation();
+            const initialize = implementation.interface.encodeFunctionData("initialize", [
+                ethers.ZeroAddress,
+                tokenAddress,
+                tokenAddress,
+                owner.address
+            ]);
+
+            await expect(ethers.deployContract("InputSettlerXCMEscrowProxy", [
+                await implementation.getAddress(),
+                initialize
+            ])).to.be.revertedWith("Invalid inkLibrary address");
+        });
+    });
+
+    describe("Address setters", function () {
+        it("Should replace the external contracts", async function () {
+            const baseSettler = await ethers.deployContract("InputSettlerEscrow");
+            const baseSettlerAddress = await baseSettler.getAddress();
+
+            await expect(settler.setInkLibrary(tokenAddress))
+                .to.emit(settler, "InkLibrarySet").withArgs(tokenAddress);
+            await expect(settler.setXCMPrecompile(tokenAddress))
+                .to.emit(settler, "XCMPrecompileSet").withArgs(tokenAddress);
+            await expect(settler.setBaseSettler(baseSettlerAddress))
+                .to.emit(settler, "BaseSettlerSet").withArgs(baseSettlerAddress);
+
+            expect(await settler.inkLibrary()).to.equal(tokenAddress);
+            expect(await settler.xcmPrecompile()).to.equal(tokenAddress);
+            expect(await settler.baseSettler()).to.equal(baseSettlerAddress);
+        });
+
+        it("Should reject zero addresses", async function () {
+            await expect(settler.setInkLibrary(ethers.ZeroAddress)).to.be.revertedWith("Invalid inkLibrary address");
+            await expect(settler.setXCMPrecompile(ethers.ZeroAddress)).to.be.revertedWith("Invalid xcmPrecompile address");
+            await expect(settler.setBaseSettler(ethers.ZeroAddress)).to.be.revertedWith("Invalid baseSettler address");
+        });
+
+        it("Should revert if not called by an admin", async function () {
+            const adminRole = await settler.DEFAULT_ADMIN_ROLE();
+
+            for (const setter of ["setInkLibrary", "setXCMPrecompile", "setBaseSettler"]) {
+                await expect(settler.connect(user)[setter](tokenAddress))
+                    .to.be.revertedWithCustomError(settler, "AccessControlUnauthorizedAccount")
+                    .withArgs(user.address, adminRole);
+            }
+        });
+
+        it("Should be available on the non-upgradeable settler", async function () {
+            await setup.inputSettlerXCMEscrow.setInkLibrary(tokenAddress);
+
+            expect(await setup.inputSettlerXCMEscrow.inkLibrary()).to.equal(tokenAddress);
+        });
+    });
+
+    describe("Upgrade", function () {
+        beforeEach(async function () {
+            await registerTestChains(settler);
+            await settler.allowTeleport(DESTINATION_CHAIN_ID, tokenAddress);
+            await settler.allowTeleport(DESTINATION_CHAIN_ID_2, tokenAddress);
+            await settler.setRateLimit(DESTINATION_CHAIN_ID, tokenAddress, 1000n, 3600);
+            await settler.setXCMEnabled(false);
+        });
+
+        it("Should keep the allow-list, limits, chain registry and XCM state", async function () {
+            const routes = await settler.getTeleportRoutes();
+            const implementation = await deployImplementation();
+            const implementationAddress = await implementation.getAddress();
+
+            await expect(settler.upgradeToAndCall(implementationAddress, "0x"))
+                .to.emit(settler, "Upgraded")
+                .withArgs(implementationAddress);
+
+            expect(await implementationOf(proxyAddress)).to.equal(implementationAddress);
+            expect(await settler.getTeleportRoutes()).to.deep.equal(routes);
+            expect(await settler.xcmEnabled()).to.equal(false);
+            expect((await settler.getRateLimit(DESTINATION_CHAIN_ID, tokenAddress)).limit).to.equal(1000n);
+            expect((await settler.getChainLocation(DESTINATION_CHAIN_ID)).paraId).to.equal(DESTINATION_CHAIN_ID);
+            expect(await settler.inkLibrary()).to.equal(await setup.mockLibrary.getAddress());
+            expect(await settler.hasRole(await settler.DEFAULT_ADMIN_ROLE(), owner.address)).to.equal(true);
+        });
+
+        it("Should settle orders via XCM after the upgrade", async function () {
+            await settler.upgradeToAndCall(await (await deployImplementation()).getAddress(), "0x");
+            await settler.setXCMEnabled(true);
+            await setup.mockLibrary.setTeleportMessage(MOCK_XCM_MESSAGE_1);
+            await setup.token.connect(user).approve(proxyAddress, ethers.MaxUint256);
+
+            await expect(settler.connect(user).open(createOrderFactory(user, setup.token, setup.chainId)()))
+                .to.emit(settler, "XCMTeleportExecuted");
+        });
+
+        it("Should keep roles, routes, limits and settled orders when upgrading to a version appending state", async function () {
+            const routeManagerRole = await settler.ROUTE_MANAGER_ROLE();
+            await settler.grantRole(routeManagerRole, user.address);
+            // Usage does not recover within the test with this window
+            await settler.setRateLimit(DESTINATION_CHAIN_ID, tokenAddress, 1_000_000n, 2n ** 32n - 1n);
+            await settler.setMaxOrderAmount(tokenAddress, 5_000n);
+            await settler.setXCMEnabled(true);
+            await setup.mockLibrary.setTeleportMessage(MOCK_XCM_MESSAGE_1);
+            await setup.token.connect(user).approve(proxyAddress, ethers.MaxUint256);
+            const order = createOrderFactory(user, setup.token, setup.chainId)({
+                inputs: [[tokenAddress, 1_000n]],
+                outputs: [createOutput(tokenAddress, user.address, { amount: 1_000n })]
+            });
+            await settler.connect(user).open(order);
+            const orderId = await settler.orderIdentifier(order);
+
+            const routes = await settler.getTeleportRoutes();
+            const rateLimit = await settler.getRateLimit(DESTINATION_CHAIN_ID, tokenAddress);
+            expect(rateLimit.used).to.equal(1_000n);
+
+            const implementation = await ethers.deployContract("InputSettlerXCMEscrowUpgradeableV2Mock", [], { libraries });
+            const implementationAddress = await implementation.getAddress();
+            await settler.upgradeToAndCall(
+                implementationAddress,
+                implementation.interface.encodeFunctionData("initializeV2", [42n])
+            );
+            const upgraded = await ethers.getContractAt("InputSettlerXCMEscrowUpgradeableV2Mock", proxyAddress);
+
+            expect(await implementationOf(proxyAddress)).to.equal(implementationAddress);
+            expect(await upgraded.version()).to.equal(2n);
+            expect(await upgraded.upgradeValue()).to.equal(42n);
+            expect(await upgraded.hasRole(await upgraded.DEFAULT_ADMIN_ROLE(), owner.address)).to.equal(true);
+            expect(await upgraded.hasRole(routeManagerRole, user.address)).to.equal(true);
+            expect(await upgraded.getTeleportRoutes()).to.deep.equal(routes);
+            expect(await upgraded.getRateLimit(DESTINATION_CHAIN_ID, tokenAddress)).to.deep.equal(rateLimit);
+            expect(await upgraded.maxOrderAmount(tokenAddress)).to.equal(5_000n);
+            expect(await upgraded.xcmEnabled()).to.equal(true);
+            expect(await upgraded.baseSettler()).to.equal(await setup.baseSettler.getAddress());
+            expect(await upgraded.orderStatus(orderId)).to.equal(SettlementStatus.XCM_SETTLED);
+            await expect(upgraded.initializeV2(1n)).to.be.revertedWithCustomError(upgraded, "InvalidInitialization");
+        });
+
+        it("Should revert if not called by an admin", async function () {
+            const implementation = await deployImplementation();
+
+            await expect(settler.connect(user).upgradeToAndCall(await implementation.getAddress(), "0x"))
+                .to.be.revertedWithCustomError(settler, "AccessControlUnauthorizedAccount")
+                .withArgs(user.address, await settler.DEFAULT_ADMIN_ROLE());
+        });
+    });
+
+    describe("Storage layout", function () {
+        it("Should keep the settler state within its reserved slots", async function () {
+            const layout = (await storageLayout(UPGRADEABLE)).filter(({ contract }) => contract === SETTLER_BASE);
+
+            expect(layout[layout.length - 1].label).to.equal("__gap");
+            expect(gapEnd(layout) - Number(layout[0].slot)).to.equal(SETTLER_STORAGE_SLOTS);
+        });
+
+        it("Should append the state of the next version after the current layout", async function () {
+            const current = await storageLayout(UPGRADEABLE);
+            const next = await storageLayout(UPGRADEABLE_V2);
+            const position = ({ label, slot, offset }) => ({ label, slot, offset });
+
+            expect(next.slice(0, current.length).map(position)).to.deep.equal(current.map(position));
+            expect(next.slice(current.length).map(({ label }) => label)).to.deep.equal(["upgradeValue"]);
+            expect(Number(next[current.length].slot)).to.be.at.least(gapEnd(current));
+        });
+    });
+
+    describe("Ignition modules", function () {
+        it("Should deploy behind a proxy and upgrade it in place", async function () {
+            const parameters = {
+                InputSettlerXCMEscrowUpgradeableModule: {
+                    inkLibrary: await setup.mockLibrary.getAddress(),
+                    xcmPrecompile: await setup.mockXcm.getAddress(),
+                    xcmEnabled: false,
+                    teleportRoutes: [{ destination: DESTINATION_CHAIN_ID, token: tokenAddress }]
+                }
+            };
+            const deployed = await hre.ignition.deploy(UpgradeableModule, { parameters });
+            const deployedProxy = await deployed.proxy.getAddress();
+            expect(await implementationOf(deployedProxy)).to.equal(await deployed.implementation.getAddress());
+
+            const upgraded = await hre.ignition.deploy(UpgradeModule, { parameters });
+
+            expect(await upgraded.proxy.getAddress()).to.equal(deployedProxy);
+            expect(await implementationOf(deployedProxy)).to.equal(await upgraded.implementation.getAddress());
+            expect(await upgraded.inputSettlerXCMEscrow.xcmEnabled()).to.equal(false);
+            expect(await upgraded.inputSettlerXCMEscrow.isTeleportAllowed(DESTINATION_CHAIN_ID, tokenAddress))
+                .to.equal(true);
+        });
+    });
+});
@@ -0,0 +1,253 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    setupInputSettlerXCMEscrow,
+    createOrderFactory,
+    createOutput,
+    DESTINATION_CHAIN_ID,
+    DESTINATION_CHAIN_ID_2,
+    DOUBLE_AMOUNT,
+    MOCK_XCM_MESSAGE_1,
+    MOCK_XCM_MESSAGE_2
+} = require("./helpers/inputSettlerXCMEscrowHelper");
+const {
+    FallbackReason,
+    RouteMode,
+    SettlementStatus,
+    encodeMaxWeightContext,
+    preflight,
+    previewRoute
+} = require("../sdk");
+
+const REF_TIME = 1_000_000n;
+const PROOF_SIZE = 1_000n;
+
+describe("InputSettlerXCMEscrow - XCM Weight", function () {
+    let inputSettlerXCMEscrow;
+    let token;
+    let tokenAddress;
+    let user;
+    let mockXcm;
+    let mockLibrary;
+    let baseSettler;
+    let chainId;
+    let createOrder;
+
+    beforeEach(async function () {
+        const setup = await setupInputSettlerXCMEscrow();
+        user = setup.user;
+        mockXcm = setup.mockXcm;
+        mockLibrary = setup.mockLibrary;
+        baseSettler = setup.baseSettler;
+        inputSettlerXCMEscrow = setup.inputSettlerXCMEscrow;
+        token = setup.token;
+        chainId = setup.chainId;
+        tokenAddress = await token.getAddress();
+        createOrder = createOrderFactory(user, token, chainId);
+
+        await inputSettlerXCMEscrow.allowTeleports([
+            { destination: DESTINATION_CHAIN_ID, token: tokenAddress },
+            { destination: DESTINATION_CHAIN_ID_2, token: tokenAddress }
+        ]);
+        await mockLibrary.setTeleportMessage(MOCK_XCM_MESSAGE_1);
+        await mockXcm.setMockWeight(REF_TIME, PROOF_SIZE);
+        await token.connect(user).approve(await inputSettlerXCMEscrow.getAddress(), ethers.MaxUint256);
+    });
+
+    function weightLimit(refTime, proofSize, marginBps = 0) {
+        return { refTime, proofSize, marginBps };
+    }
+
+    function createTwoOutputOrder(context = "0x") {
+        return createOrder({
+            inputs: [[tokenAddress, ethers.parseEther(DOUBLE_AMOUNT)]],
+            outputs: [
+                createOutput(tokenAddress, user.address, { context }),
+                createOutput(tokenAddress, user.address, { chainId: DESTINATION_CHAIN_ID_2 })
+            ]
+        });
+    }
+
+    async function expectFallback(order, destination, reason) {
+        await expect(inputSettlerXCMEscrow.connect(user).open(order))
+            .to.emit(inputSettlerXCMEscrow, "XCMLimitExceeded")
+            .withArgs(destination, tokenAddress, reason)
+            .and.to.emit(baseSettler, "Open");
+        expect(await inputSettlerXCMEscrow.orderStatus(await inputSettlerXCMEscrow.orderIdentifier(order)))
+            .to.equal(SettlementStatus.DEPOSITED);
+    }
+
+    async function lastExecutionWeight() {
+        const [refTime, proofSize] = await mockXcm.lastExecutionWeight();
+        return { refTime, proofSize };
+    }
+
+    describe("setWeightLimit", function () {
+        it("Should set the weight limit of a destination", async function () {
+            await expect(inputSettlerXCMEscrow.setWeightLimit(DESTINATION_CHAIN_ID, weightLimit(REF_TIME, PROOF_SIZE, 500)))
+                .to.emit(inputSettlerXCMEscrow, "WeightLimitSet")
+                .withArgs(DESTINATION_CHAIN_ID, REF_TIME, PROOF_SIZE, 500);
+
+            const limit = await inputSettlerXCMEscrow.getWeightLimit(DESTINATION_CHAIN_ID);
+            expect(limit.refTime).to.equal(REF_TIME);
+            expect(limit.proofSize).to.equal(PROOF_SIZE);
+            expect(limit.marginBps).to.equal(500);
+        });
+
+        it("Should revert if not called by a route manager", async function () {
+            await expect(
+                inputSettlerXCMEscrow.connect(user).setWeightLimit(DESTINATION_CHAIN_ID, weightLimit(REF_TIME, PROOF_SIZE))
+            ).to.be.revertedWithCustomError(inputSettlerXCMEscrow, "AccessControlUnauthorizedAccount")
+                .withArgs(user.address, await inputSettlerXCMEscrow.ROUTE_MANAGER_ROLE());
+        });
+    });
+
+    describe("Destination ceiling", function () {
+        it("Should execute with the weighed message weight by default", async function () {
+            await mockXcm.setMockWeight(REF_TIME * 1000n, PROOF_SIZE * 1000n);
+
+            await expect(inputSettlerXCMEscrow.connect(user).open(createOrder()))
+                .to.emit(mockXcm, "Executed");
+            expect(await lastExecutionWeight()).to.deep.equal({ refTime: REF_TIME * 1000n, proofSize: PROOF_SIZE * 1000n });
+        });
+
+        it("Should execute messages within the ceiling", async function () {
+            await inputSettlerXCMEscrow.setWeightLimit(DESTINATION_CHAIN_ID, weightLimit(REF_TIME, PROOF_SIZE));
+
+            await expect(inputSettlerXCMEscrow.connect(user).open(createOrder()))
+                .to.emit(mockXcm, "Executed");
+        });
+
+        it("Should fall back when refTime exceeds the ceiling", async function () {
+            await inputSettlerXCMEscrow.setWeightLimit(DESTINATION_CHAIN_ID, weightLimit(REF_TIME - 1n, 0));
+
+            await expectFallback(createOrder(), DESTINATION_CHAIN_ID, FallbackReason.WeightLimitExceeded);
+        });
+
+        it("Should fall back when proofSize exceeds the ceiling", async function () {
+            await inputSettlerXCMEscrow.setWeightLimit(DESTINATION_CHAIN_ID, weightLimit(0, PROOF_SIZE - 1n));
+
+            await expectFallback(createOrder(), DESTINATION_CHAIN_ID, FallbackReason.WeightLimitExceeded);
+        });
+
+        it("Should fall back when the message of a later output exceeds its ceiling", async function () {
+            await inputSettlerXCMEscrow.setWeightLimit(DESTINATION_CHAIN_ID_2, weightLimit(REF_TIME - 1n, 0));
+
+            await expectFallback(createTwoOutputOrder(), DESTINATION_CHAIN_ID_2, FallbackReason.WeightLimitExceeded);
+        });
+
+        it("Should not be predicted by previewRoute", async function () {
+            await inputSettlerXCMEscrow.setWeightLimit(DESTINATION_CHAIN_ID, weightLimit(1, 1));
+
+            expect((await previewRoute(inputSettlerXCMEscrow, createOrder())).reason).to.equal("None");
+        });
+
+        it("Should only apply to its destination", async function () {
+            await inputSettlerXCMEscrow.setWeightLimit(DESTINATION_CHAIN_ID_2, weightLimit(1, 1));
+
+            await expect(inputSettlerXCMEscrow.connect(user).open(createOrder()))
+                .to.emit(mockXcm, "Executed");
+        });
+
+        it("Should not apply to sent messages", async function () {
+            await inputSettlerXCMEscrow.setWeightLimit(DESTINATION_CHAIN_ID, weightLimit(1, 1));
+            await inputSettlerXCMEscrow.setRouteMode(DESTINATION_CHAIN_ID, tokenAddress, RouteMode.SEND);
+            await mockLibrary.setRemoteMessage("0x01", MOCK_XCM_MESSAGE_2);
+
+            await expect(inputSettlerXCMEscrow.connect(user).open(createOrder()))
+                .to.emit(mockXcm, "Sent");
+        });
+    });
+
+    describe("Margin", function () {
+        it("Should add the margin to the weighed message", async function () {
+            await inputSettlerXCMEscrow.setWeightLimit(DESTINATION_CHAIN_ID, weightLimit(0, 0, 1_000));
+
+            await inputSettlerXCMEscrow.connect(user).open(createOrder());
+
+            expect(await lastExecutionWeight()).to.deep.equal({
+                refTime: REF_TIME * 11n / 10n,
+                proofSize: PROOF_SIZE * 11n / 10n
+            });
+        });
+
+        it("Should check the ceiling against the weight with margin", async function () {
+            await inputSettlerXCMEscrow.setWeightLimit(DESTINATION_CHAIN_ID, weightLimit(REF_TIME, PROOF_SIZE, 1_000));
+
+            await expectFallback(createOrder(), DESTINATION_CHAIN_ID, FallbackReason.WeightLimitExceeded);
+        });
+    });
+
+    describe("Order max weight", function () {
+        it("Should settle via XCM with a max weight context on the first output", async function () {
+            const context = encodeMaxWeightContext({ refTime: REF_TIME * 2n, proofSize: PROOF_SIZE * 2n });
+            const order = createTwoOutputOrder(context);
+
+            const result = await previewRoute(inputSettlerXCMEscrow, order);
+            expect(result.reason).to.equal("None");
+            expect(await preflight(inputSettlerXCMEscrow, order)).to.deep.equal(result);
+
+            await expect(inputSettlerXCMEscrow.connect(user).open(order))
+                .to.emit(mockXcm, "Executed");
+        });
+
+        it("Should fall back when the order's messages exceed its max weight", async function () {
+            const context = encodeMaxWeightContext({ refTime: REF_TIME * 2n - 1n, proofSize: 0 });
+
+            await expectFallback(createTwoOutputOrder(context), DESTINATION_CHAIN_ID_2, FallbackReason.OrderWeightExceeded);
+        });
+
+        it("Should bound proofSize independently", async function () {
+            const context = encodeMaxWeightContext({ refTime: 0, proofSize: PROOF_SIZE });
+
+            await expectFallback(createTwoOutputOrder(context), DESTINATION_CHAIN_ID_2, FallbackReason.OrderWeightExceeded);
+        });
+
+        it("Should settle via XCM with a max weight context on a later output only", async function () {
+            const order = createTwoOutputOrder();
+            order.outputs[1].context = encodeMaxWeightContext({ refTime: REF_TIME * 2n, proofSize: PROOF_SIZE * 2n });
+
+            await expect(inputSettlerXCMEscrow.connect(user).open(order))
+                .to.emit(inputSettlerXCMEscrow, "XCMOpen")
+                .and.to.not.emit(inputSettlerXCMEscrow, "XCMLimitExceeded");
+        });
+
+        it("Should honor a max weight context on any output", async function () {
+            const order = createTwoOutputOrder();
+            order.outputs[1].context = encodeMaxWeightContext({ refTime: REF_TIME, proofSize: PROOF_SIZE });
+
+            const result = await previewRoute(inputSettlerXCMEscrow, order);
+            expect(result.reason).to.equal("None");
+            expect(await preflight(inputSettlerXCMEscrow, order)).to.deep.equal(result);
+
+            await expectFallback(order, DESTINATION_CHAIN_ID_2, FallbackReason.OrderWeightExceeded);
+        });
+
+        it("Should apply the lowest component of each max weight context", async function () {
+            const order = createTwoOutputOrder(encodeMaxWeightContext({ refTime: REF_TIME * 2n, proofSize: PROOF_SIZE }));
+            order.outputs[1].context = encodeMaxWeightContext({ refTime: REF_TIME * 3n, proofSize: PROOF_SIZE * 3n });
+
+            await expectFallback(order, DESTINATION_CHAIN_ID_2, FallbackReason.OrderWeightExceeded);
+        });
+
+        it("Should fall back for malformed max weight contexts", async function () {
+            const context = encodeMaxWeightContext({ refTime: REF_TIME, proofSize: PROOF_SIZE });
+            const order = createTwoOutputOrder(ethers.concat([context, "0x00"]));
+
+            const result = await previewRoute(inputSettlerXCMEscrow, order);
+            expect(result.reason).to.equal("CallOrContextPresent");
+            expect(await preflight(inputSettlerXCMEscrow, order)).to.deep.equal(result);
+        });
+
+        it("Should fall back for max weight contexts of another version", async function () {
+            const context = ethers.getBytes(encodeMaxWeightContext({ refTime: REF_TIME, proofSize: PROOF_SIZE }));
+            context[1] = 0x02;
+            const order = createTwoOutputOrder(ethers.hexlify(context));
+
+            const result = await previewRoute(inputSettlerXCMEscrow, order);
+            expect(result.reason).to.equal("CallOrContextPresent");
+            expect(result.index).to.equal(0);
+            expect(await preflight(inputSettlerXCMEscrow, order)).to.deep.equal(result);
+        });
+    });
+});
@@ -17,8 +17,18 @@ const {
     TRIPLE_AMOUNT,
     MOCK_XCM_MESSAGE_1,
     MOCK_XCM_MESSAGE_2,
-    MOCK_XCM_MESSAGE_BYTES
+    MOCK_XCM_MESSAGE_BYTES,
+    SMALL_AMOUNT,
+    deployPermit2
 } = require("./helpers/inputSettlerXCMEscrowHelper");
+const {
+    SettlementStatus,
+    SignatureType,
+    encodeOpenForSignature,
+    signERC3009OpenFor,
+    getPermit2TypedData,
+    PERMIT2_ADDRESS
+} = require("../sdk");
 
 describe("InputSettlerXCMEscrow - XCM Logic", function () {
     let inputSettlerXCMEscrow;
@@ -44,7 +54,7 @@ describe("InputSettlerXCMEscrow - XCM Logic", function () {
         createOrder = createOrderFactory(user, token, chainId);
     });
 
-    describe("_checkXCMAvailable", function () {
+    describe("_prepareXCMSettlement", function () {
         it("Should fall back to baseSettler for orders with chainId > uint32.max", async function () {
             const order = createOrder({
                 outputs: [createOutput(await token.getAddress(), user.address, {
@@ -164,19 +174,225 @@ describe("InputSettlerXCMEscrow - XCM Logic", function () {
         });
     });
 
-    // OpenFor flow is not implemented yet
-    describe.skip("openFor", function () {
-        it("Should execute XCM when available with signature", async function () {
-            await inputSettlerXCMEscrow.allowTeleport(DESTINATION_CHAIN_ID, await token.getAddress());
+    describe("openFor", function () {
+        let token3009;
+        let relayer;
+        let createSponsoredOrder;
 
-            const order = createOrder();
+        function tokenDomain() {
+            return { name: "Test3009", version: "1" };
+        }
 
-            await token.connect(user).approve(await inputSettlerXCMEscrow.getAddress(), ethers.parseEther(STANDARD_AMOUNT));
+        async function signOpenFor(order, to, signer = user) {
+            return signERC3009OpenFor(signer, order, {
+                to,
+                orderId: await inputSettlerXCMEscrow.orderIdentifier(order),
+                domain: tokenDomain
+            });
+        }
+
+        beforeEach(async function () {
+            [, , relayer] = await ethers.getSigners();
+            token3009 = await ethers.deployContract("MockERC3009", ["Test3009", "T3009"]);
+            await token3009.waitForDeployment();
+            await token3009.mint(user, ethers.parseEther(INITIAL_TOKEN_BALANCE));
+            createSponsoredOrder = createOrderFactory(user, token3009, chainId);
+
+            await inputSettlerXCMEscrow.allowTeleport(DESTINATION_CHAIN_ID, await token3009.getAddress());
             await mockLibrary.setTeleportMessage(MOCK_XCM_MESSAGE_1);
             await mockXcm.setExecutionSuccess(true);
+        });
+
+        it("Should execute XCM when available with signature", async function () {
+            const order = createSponsoredOrder();
+            const signature = await signOpenFor(order, await inputSettlerXCMEscrow.getAddress());
 
-            await expect(inputSettlerXCMEscrow.connect(user).openFor(order, user.address, "0x"))
+            await expect(inputSettlerXCMEscrow.connect(relayer).openFor(order, user.address, signature))
+                .to.emit(mockXcm, "Executed")
+                .withArgs(MOCK_XCM_MESSAGE_1)
+                .and.to.emit(inputSettlerXCMEscrow, "XCMTeleportExecuted")
+                .withArgs(
+                    await baseSettler.orderIdentifier(order),
+                    DESTINATION_CHAIN_ID,
+                    await token3009.getAddress(),
+                    ethers.parseEther(STANDARD_AMOUNT),
+                    toBytes32(user.address)
+                );
+        });
+
+        it("Should return the input surplus to the sponsor", async function () {
+            const inputAmount = ethers.parseEther(LARGE_AMOUNT);
+            const outputAmount = ethers.parseEther(STANDARD_AMOUNT);
+            const order = createSponsoredOrder({
+                inputs: [[await token3009.getAddress(), inputAmount]],
+                outputs: [createOutput(await token3009.getAddress(), user.address, { amount: outputAmount })]
+            });
+            const signature = await signOpenFor(order, await inputSettlerXCMEscrow.getAddress());
+
+            const sponsorBalanceBefore = await token3009.balanceOf(user.address);
+
+            await inputSettlerXCMEscrow.connect(relayer).openFor(order, user.address, signature);
+
+            expect(sponsorBalanceBefore - await token3009.balanceOf(user.address)).to.equal(outputAmount);
+            expect(await token3009.balanceOf(await inputSettlerXCMEscrow.getAddress())).to.equal(outputAmount);
+            expect(await token3009.allowance(
+                await inputSettlerXCMEscrow.getAddress(),
+                await mockXcm.getAddress()
+            )).to.equal(0);
+        });
+
+        it("Should collect multiple inputs with one signature per input", async function () {
+            const token3009b = await ethers.deployContract("MockERC3009", ["Test3009", "T3009B"]);
+            await token3009b.waitForDeployment();
+            await token3009b.mint(user, ethers.parseEther(INITIAL_TOKEN_BALANCE));
+            await inputSettlerXCMEscrow.allowTeleport(DESTINATION_CHAIN_ID, await token3009b.getAddress());
+
+            const order = createSponsoredOrder({
+                inputs: [
+                    [await token3009.getAddress(), ethers.parseEther(STANDARD_AMOUNT)],
+                    [await token3009b.getAddress(), ethers.parseEther(DOUBLE_AMOUNT)]
+                ],
+                outputs: [
+                    createOutput(await token3009.getAddress(), user.address),
+                    createOutput(await token3009b.getAddress(), user.address)
+                ]
+            });
+            const signature = await signOpenFor(order, await inputSettlerXCMEscrow.getAddress());
+
+            await expect(inputSettlerXCMEscrow.connect(relayer).openFor(order, user.address, signature))
                 .to.emit(mockXcm, "Executed");
+
+            expect(await token3009b.balanceOf(user.address))
+                .to.equal(ethers.parseEther(INITIAL_TOKEN_BALANCE) - ethers.parseEther(STANDARD_AMOUNT));
+        });
+
+        it("Should revert with a signature from someone other than the sponsor", async function () {
+            const order = createSponsoredOrder();
+            const signature = await signOpenFor(order, await inputSettlerXCMEscrow.getAddress(), relayer);
+
+            await expect(inputSettlerXCMEscrow.connect(relayer).openFor(order, user.address, signature))
+                .to.be.revertedWith("MockERC3009: invalid signature");
+        });
+
+        it("Should reject a replayed authorization", async function () {
+            const order = createSponsoredOrder();
+            const signature = await signOpenFor(order, await inputSettlerXCMEscrow.getAddress());
+
+            await inputSettlerXCMEscrow.connect(relayer).openFor(order, user.address, signature);
+
+            // The settled order is rejected before its authorization is used again
+            await expect(inputSettlerXCMEscrow.connect(relayer).openFor(order, user.address, signature))
+                .to.be.revertedWithCustomError(inputSettlerXCMEscrow, "OrderAlreadyOpened")
+                .withArgs(await inputSettlerXCMEscrow.orderIdentifier(order), SettlementStatus.XCM_SETTLED);
+        });
+
+        it("Should revert for unsupported signature types", async function () {
+            const order = createSponsoredOrder();
+
+            await expect(inputSettlerXCMEscrow.connect(relayer).openFor(order, user.address, "0x02"))
+                .to.be.revertedWithCustomError(inputSettlerXCMEscrow, "SignatureNotSupported")
+                .withArgs("0x02");
+            await expect(inputSettlerXCMEscrow.connect(relayer).openFor(order, user.address, "0x"))
+                .to.be.revertedWithCustomError(inputSettlerXCMEscrow, "SignatureNotSupported")
+                .withArgs("0xff");
+        });
+
+        it("Should revert when the signature count does not match the inputs", async function () {
+            const order = createSponsoredOrder({
+                inputs: [
+                    [await token3009.getAddress(), ethers.parseEther(SMALL_AMOUNT)],
+                    [await token3009.getAddress(), ethers.parseEther(SMALL_AMOUNT)]
+                ]
+            });
+            const [signature] = ethers.AbiCoder.defaultAbiCoder().decode(
+                ["bytes[]"],
+                ethers.dataSlice(await signOpenFor(order, await inputSettlerXCMEscrow.getAddress()), 1)
+            );
+
+            await expect(inputSettlerXCMEscrow.connect(relayer).openFor(
+                order,
+                user.address,
+                encodeOpenForSignature(SignatureType.ERC3009, [signature[0], signature[1], signature[0]])
+            )).to.be.revertedWithCustomError(inputSettlerXCMEscrow, "InvalidSignatureCount")
+                .withArgs(2, 3);
+        });
+
+        it("Should delegate to baseSettler when XCM is not available", async function () {
+            const order = createSponsoredOrder({
+                outputs: [createOutput(await token3009.getAddress(), user.address, {
+                    chainId: DISALLOWED_CHAIN_ID
+                })]
+            });
+            const signature = await signOpenFor(order, await baseSettler.getAddress());
+
+            await expect(inputSettlerXCMEscrow.connect(relayer).openFor(order, user.address, signature))
+                .to.emit(baseSettler, "Open");
+
+            expect(await token3009.balanceOf(await baseSettler.getAddress()))
+                .to.equal(ethers.parseEther(STANDARD_AMOUNT));
+        });
+    });
+
+    describe("openFor with Permit2", function () {
+        let permit2;
+        let relayer;
+        let settlerAddress;
+
+        async function signPermit2OpenFor(order, spender, witnessOrder = order) {
+            const { domain, types, message } = getPermit2TypedData(witnessOrder, { spender, chainId });
+            return encodeOpenForSignature(SignatureType.PERMIT2, await user.signTypedData(domain, types, message));
+        }
+
+        beforeEach(async function () {
+            [, , relayer] = await ethers.getSigners();
+            permit2 = await deployPermit2();
+            settlerAddress = await inputSettlerXCMEscrow.getAddress();
+
+            await inputSettlerXCMEscrow.allowTeleport(DESTINATION_CHAIN_ID, await token.getAddress());
+            await mockLibrary.setTeleportMessage(MOCK_XCM_MESSAGE_1);
+            await token.connect(user).approve(PERMIT2_ADDRESS, ethers.MaxUint256);
+        });
+
+        it("Should execute XCM with a Permit2 witness signature", async function () {
+            const inputAmount = ethers.parseEther(LARGE_AMOUNT);
+            const outputAmount = ethers.parseEther(STANDARD_AMOUNT);
+            const order = createOrder({
+                inputs: [[await token.getAddress(), inputAmount]],
+                outputs: [createOutput(await token.getAddress(), user.address)]
+            });
+            const signature = await signPermit2OpenFor(order, settlerAddress);
+
+            await expect(inputSettlerXCMEscrow.connect(relayer).openFor(order, user.address, signature))
+                .to.emit(inputSettlerXCMEscrow, "XCMTeleportExecuted")
+                .withArgs(
+                    await baseSettler.orderIdentifier(order),
+                    DESTINATION_CHAIN_ID,
+                    await token.getAddress(),
+                    outputAmount,
+                    toBytes32(user.address)
+                )
+                .and.to.changeTokenBalance(token, user, -outputAmount);
+            expect(await inputSettlerXCMEscrow.orderStatus(await inputSettlerXCMEscrow.orderIdentifier(order)))
+                .to.equal(SettlementStatus.XCM_SETTLED);
+        });
+
+        it("Should reject a signature over another witness", async function () {
+            const order = createOrder();
+            const tampered = createOrder({
+                outputs: [createOutput(await token.getAddress(), owner.address)]
+            });
+            const signature = await signPermit2OpenFor(order, settlerAddress, tampered);
+
+            await expect(inputSettlerXCMEscrow.connect(relayer).openFor(order, user.address, signature))
+                .to.be.revertedWithCustomError(permit2, "InvalidSigner");
+        });
+
+        it("Should reject a signature for another spender", async function () {
+            const order = createOrder();
+            const signature = await signPermit2OpenFor(order, await baseSettler.getAddress());
+
+            await expect(inputSettlerXCMEscrow.connect(relayer).openFor(order, user.address, signature))
+                .to.be.revertedWithCustomError(permit2, "InvalidSigner");
         });
     });
 
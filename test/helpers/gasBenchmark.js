@@ -0,0 +1,81 @@
+const fs = require("fs");
+const path = require("path");
+
+// =============================================================================
+// Gas baseline of the benchmark suite
+// =============================================================================
+
+const BASELINE_PATH = path.join(__dirname, "..", "gas-baseline.json");
+const DEFAULT_THRESHOLD_PERCENT = 2;
+
+/**
+ * Reads the recorded gas of each scenario, or an empty baseline when none was recorded yet,
+ * in which case every scenario of the benchmark fails until it is recorded.
+ * @param {string} [file]
+ * @returns {Object<string, number>}
+ */
+function loadBaseline(file = BASELINE_PATH) {
+    if (!fs.existsSync(file)) return {};
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Records the gas of each scenario, sorted by name so that diffs of the baseline stay readable.
+ * @param {Map<string, bigint>} results
+ * @param {string} [file]
+ */
+function writeBaseline(results, file = BASELINE_PATH) {
+    const baseline = {};
+    for (const name of [...results.keys()].sort()) {
+        baseline[name] = Number(results.get(name));
+    }
+    fs.writeFileSync(file, JSON.stringify(baseline, null, 2) + "\n");
+}
+
+/**
+ * Compares the gas of a scenario to its baseline.
+ * @param {bigint} gasUsed
+ * @param {number|undefined} baseline
+ * @param {number} thresholdPercent Increase over the baseline tolerated before it is a regression.
+ * @returns {{ status: "new"|"ok"|"improved"|"regressed", delta: number|undefined }}
+ *   `delta` is the change in percent of the baseline.
+ */
+function compareGas(gasUsed, baseline, thresholdPercent) {
+    if (baseline === undefined) return { status: "new", delta: undefined };
+    const delta = ((Number(gasUsed) - baseline) / baseline) * 100;
+    if (delta > thresholdPercent) return { status: "regressed", delta };
+    if (delta < -thresholdPercent) return { status: "improved", delta };
+    return { status: "ok", delta };
+}
+
+/**
+ * Formats the gas of each scenario against its baseline as a table.
+ * @param {Map<string, bigint>} results
+ * @param {Object<string, number>} baseline
+ * @param {number} thresholdPercent
+ * @returns {string}
+ */
+function formatReport(results, baseline, thresholdPercent) {
+    const rows = [["scenario", "gas", "baseline", "delta", "status"]];
+    for (const [name, gasUsed] of results) {
+        const { status, delta } = compareGas(gasUsed, baseline[name], thresholdPercent);
+        rows.push([
+            name,
+            gasUsed.toString(),
+            baseline[name] === undefined ? "-" : String(baseline[name]),
+            delta === undefined ? "-" : `${delta >= 0 ? "+" : ""}${delta.toFixed(2)}%`,
+            status
+        ]);
+    }
+    const widths = rows[0].map((_, column) => Math.max(...rows.map((row) => row[column].length)));
+    return rows.map((row) => row.map((cell, column) => cell.padEnd(widths[column])).join("  ").trimEnd()).join("\n");
+}
+
+module.exports = {
+    BASELINE_PATH,
+    DEFAULT_THRESHOLD_PERCENT,
+    loadBaseline,
+    writeBaseline,
+    compareGas,
+    formatReport
+};
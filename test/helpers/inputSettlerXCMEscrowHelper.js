@@ -1,4 +1,6 @@
 const { ethers } = require("hardhat");
+const { setCode } = require("@nomicfoundation/hardhat-network-helpers");
+const { PERMIT2_ADDRESS } = require("../../sdk");
 
 // =============================================================================
 // Test Constants
@@ -51,36 +53,80 @@ function toBytes32(value) {
     return ethers.zeroPadValue(value, BYTES32_LENGTH);
 }
 
+/**
+ * Registers the test chain IDs in the chain registry of `settler`, each as the parachain of the same ID.
+ */
+async function registerTestChains(settler) {
+    await settler.registerChains([DESTINATION_CHAIN_ID, DESTINATION_CHAIN_ID_2, DISALLOWED_CHAIN_ID].map((chainId) => ({
+        chainId,
+        location: { relay: false, paraId: chainId, nested: "0x" }
+    })));
+}
+
+/**
+ * Deploys Permit2 at its canonical address, through which `openFor` collects Permit2 signed inputs.
+ * Permit2 caches its domain separator at deployment, so the one of the temporary deployment is
+ * replaced in the copied code with the one of the canonical address.
+ */
+async function deployPermit2() {
+    const permit2 = await ethers.deployContract("Permit2");
+    await permit2.waitForDeployment();
+    const { chainId } = await ethers.provider.getNetwork();
+    const cached = await permit2.DOMAIN_SEPARATOR();
+    const canonical = ethers.TypedDataEncoder.hashDomain({ name: "Permit2", chainId, verifyingContract: PERMIT2_ADDRESS });
+    const code = await ethers.provider.getCode(await permit2.getAddress());
+    await setCode(PERMIT2_ADDRESS, code.replaceAll(cached.slice(2), canonical.slice(2)));
+    return ethers.getContractAt("Permit2", PERMIT2_ADDRESS);
+}
+
 /**
  * Sets up the test environment for InputSettlerXCMEscrow tests.
  * Returns all deployed contracts and signers.
+ * The test chain IDs are registered as the parachains of the same IDs.
+ * With `simulated`, the mocks are MockXcmProgramLibrary, building real XCM programs for the test token,
+ * and MockXcmSimulator, crediting their deposits on simulated destination chains.
  */
-async function setupInputSettlerXCMEscrow() {
+async function setupInputSettlerXCMEscrow({ simulated = false } = {}) {
     const [owner, user, solver] = await ethers.getSigners();
 
     // Deploy mock contracts
-    const mockXcm = await ethers.deployContract('MockXcm');
+    const mockXcm = await ethers.deployContract(simulated ? 'MockXcmSimulator' : 'MockXcm');
     await mockXcm.waitForDeployment();
 
-    const mockLibrary = await ethers.deployContract('MockLibrary');
+    const mockLibrary = await ethers.deployContract(simulated ? 'MockXcmProgramLibrary' : 'MockLibrary');
     await mockLibrary.waitForDeployment();
 
     const baseSettler = await ethers.deployContract('InputSettlerEscrow');
     await baseSettler.waitForDeployment();
 
+    const sponsorCollection = await ethers.deployContract("SponsorCollection");
+    await sponsorCollection.waitForDeployment();
+    const splitOrder = await ethers.deployContract("SplitOrder");
+    await splitOrder.waitForDeployment();
+
     // Deploy InputSettlerXCMEscrow
     const inputSettlerXCMEscrow = await ethers.deployContract("InputSettlerXCMEscrow",
         [
             await mockLibrary.getAddress(),
             await mockXcm.getAddress(),
             await baseSettler.getAddress()
-        ]
+        ],
+        {
+            libraries: {
+                SponsorCollection: await sponsorCollection.getAddress(),
+                SplitOrder: await splitOrder.getAddress()
+            }
+        }
     );
     await inputSettlerXCMEscrow.waitForDeployment();
+    await registerTestChains(inputSettlerXCMEscrow);
 
     const token = await ethers.deployContract("MockERC20", ["Test", "TST"]);
     await token.waitForDeployment();
     await token.mint(user, ethers.parseEther(INITIAL_TOKEN_BALANCE));
+    if (simulated) {
+        await mockLibrary.setToken(await token.getAddress());
+    }
 
     const network = await ethers.provider.getNetwork();
     const chainId = network.chainId;
@@ -170,6 +216,8 @@ module.exports = {
     MAX_TOKENS_TEST_COUNT,
     // Functions
     toBytes32,
+    registerTestChains,
+    deployPermit2,
     setupInputSettlerXCMEscrow,
     createOrderFactory,
     createOutput
@@ -0,0 +1,184 @@
+const { ethers } = require("hardhat");
+const { createOutput, toBytes32 } = require("./inputSettlerXCMEscrowHelper");
+const { UINT32_MAX, UINT128_MAX, fromBytes32 } = require("../../sdk");
+
+// =============================================================================
+// Random order generation and reference routing model
+// =============================================================================
+
+const MAX_OUTPUTS = 6;
+const MAX_INPUTS_PER_TOKEN = 3;
+const TYPICAL_AMOUNT = 10n ** 24n;
+
+/**
+ * Seeded pseudo-random generator (mulberry32), so that a failing run is reproduced from its seed.
+ * @param {number} seed
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    function next() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    const random = {
+        /** Integer in [0, max). */
+        int: (max) => Math.floor(next() * max),
+        chance: (probability) => next() < probability,
+        pick: (items) => items[random.int(items.length)],
+        /** Bigint in [0, max]. */
+        bigint(max) {
+            let value = 0n;
+            for (let i = 0; i < 8; i++) {
+                value = (value << 32n) | BigInt(random.int(2 ** 32));
+            }
+            return value % (max + 1n);
+        },
+        shuffle(items) {
+            const shuffled = [...items];
+            for (let i = shuffled.length - 1; i > 0; i--) {
+                const j = random.int(i + 1);
+                [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+            }
+            return shuffled;
+        }
+    };
+    return random;
+}
+
+/**
+ * Amount biased towards the uint128 bounds checked by the settler.
+ */
+function randomAmount(random) {
+    const roll = random.int(100);
+    if (roll < 5) return 0n;
+    if (roll < 10) return 1n;
+    if (roll < 18) return UINT128_MAX - random.bigint(1000n);
+    if (roll < 25) return UINT128_MAX;
+    if (roll < 30) return UINT128_MAX + 1n;
+    return random.bigint(TYPICAL_AMOUNT);
+}
+
+function totalsByToken(entries) {
+    const totals = new Map();
+    for (const [token, amount] of entries) {
+        totals.set(token, (totals.get(token) ?? 0n) + amount);
+    }
+    return totals;
+}
+
+function outputEntries(order) {
+    return order.outputs.map((output) => [fromBytes32(output.token), BigInt(output.amount)]);
+}
+
+function inputEntries(order) {
+    return order.inputs.map(([token, amount]) => [ethers.getAddress(token), BigInt(amount)]);
+}
+
+/**
+ * Splits `amount` into up to `parts` inputs of `token`, which may repeat the token.
+ */
+function splitInputs(random, token, amount, parts) {
+    const inputs = [];
+    let remaining = amount;
+    for (let i = 1; i < parts && remaining > 0n; i++) {
+        const part = random.bigint(remaining < UINT128_MAX ? remaining : UINT128_MAX);
+        inputs.push([token, part]);
+        remaining -= part;
+    }
+    inputs.push([token, remaining]);
+    return inputs;
+}
+
+function randomDestination(random, destinations, disallowedDestination) {
+    const roll = random.int(100);
+    if (roll < 3) return UINT32_MAX + 1n;
+    if (roll < 6) return disallowedDestination;
+    return random.pick(destinations);
+}
+
+/**
+ * Generates a random order from `user` paying `tokens` out to `destinations`, covering duplicate
+ * tokens, many outputs, amounts at the uint128 bound, unregistered chain ids beyond uint32, a destination
+ * without routes, zero recipients, outputs covered or not by the inputs and inputs of tokens
+ * without outputs.
+ */
+function randomOrder(random, { user, chainId, tokens, destinations, disallowedDestination }) {
+    const now = Math.floor(Date.now() / 1000);
+    const outputs = Array.from({ length: 1 + random.int(MAX_OUTPUTS) }, () => createOutput(random.pick(tokens), user, {
+        chainId: randomDestination(random, destinations, disallowedDestination),
+        amount: randomAmount(random),
+        recipient: random.chance(0.03) ? ethers.ZeroHash : toBytes32(user)
+    }));
+
+    let inputs = [];
+    for (const [token, total] of totalsByToken(outputEntries({ outputs }))) {
+        let amount;
+        if (random.chance(0.8)) {
+            amount = total + (random.chance(0.5) ? random.bigint(TYPICAL_AMOUNT) : 0n);
+        } else {
+            amount = total === 0n ? 0n : random.bigint(total - 1n);
+        }
+        inputs.push(...splitInputs(random, token, amount, 1 + random.int(MAX_INPUTS_PER_TOKEN)));
+    }
+    if (random.chance(0.2)) {
+        inputs.push([random.pick(tokens), randomAmount(random)]);
+    }
+    inputs = random.shuffle(inputs);
+
+    return {
+        user,
+        nonce: random.int(2 ** 32),
+        originChainId: chainId,
+        expires: now + 3600,
+        fillDeadline: now + 3600,
+        inputOracle: ethers.ZeroAddress,
+        inputs,
+        outputs
+    };
+}
+
+function escrow(reason, index, order) {
+    return { route: "escrow", reason, index, collected: totalsByToken(inputEntries(order)) };
+}
+
+/**
+ * Independent model of the routing of `open` for the orders of `randomOrder`, with XCM enabled,
+ * split orders disabled, no limits, no fee and the surplus kept by the payer.
+ * Destinations are registered as the parachains of the same IDs, except chain ids beyond uint32.
+ * @param {Object} order
+ * @param {(destination: bigint, token: string) => boolean} isAllowed
+ * @returns {{ route: "xcm"|"escrow", reason: string, index: number, collected: Map<string, bigint> }}
+ *   `collected` is the amount of each token taken from the payer.
+ */
+function referenceRoute(order, isAllowed) {
+    for (const [i, output] of order.outputs.entries()) {
+        const destination = BigInt(output.chainId);
+        if (BigInt(output.recipient) === 0n) return escrow("RecipientZero", i, order);
+        if (destination > UINT32_MAX) return escrow("ChainNotRegistered", i, order);
+        if (!isAllowed(destination, fromBytes32(output.token))) return escrow("TeleportNotAllowed", i, order);
+        if (BigInt(output.amount) > UINT128_MAX) return escrow("OutputAmountTooLarge", i, order);
+    }
+    for (const [i, [, amount]] of order.inputs.entries()) {
+        if (BigInt(amount) > UINT128_MAX) return escrow("InputAmountTooLarge", i, order);
+    }
+
+    const owed = totalsByToken(outputEntries(order));
+    const provided = totalsByToken(inputEntries(order));
+    for (const [token, amount] of owed) {
+        if ((provided.get(token) ?? 0n) < amount) {
+            const index = order.outputs.findIndex((output) => fromBytes32(output.token) === token);
+            return escrow("OutputsNotCovered", index, order);
+        }
+    }
+    return { route: "xcm", reason: "None", index: 0, collected: owed };
+}
+
+module.exports = {
+    createRandom,
+    randomOrder,
+    referenceRoute
+};
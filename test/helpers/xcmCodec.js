@@ -0,0 +1,350 @@
+const { ethers } = require("hardhat");
+const { NATIVE_ASSET } = require("../../sdk");
+
+// =============================================================================
+// SCALE codec of the XCM v4 subset built by MockXcmProgramLibrary
+// =============================================================================
+//
+// Values use the polkadot.js JSON shape: enums are single-key objects, e.g.
+// `{ Parachain: 1000 }` or `{ Wild: { AllCounted: 1 } }`, unit variants are strings, e.g. `"Unlimited"`.
+
+const XCM_VERSION = 4;
+
+const INSTRUCTIONS = {
+    WithdrawAsset: 0,
+    ClearOrigin: 10,
+    DepositAsset: 13,
+    DepositReserveAsset: 14,
+    InitiateTeleport: 17,
+    BuyExecution: 19
+};
+
+const JUNCTIONS = {
+    Parachain: 0,
+    AccountId32: 1,
+    AccountKey20: 3,
+    PalletInstance: 4,
+    GeneralIndex: 5
+};
+
+const WILD_ASSETS = { All: 0, AllCounted: 2 };
+
+function nameOf(indices, index, kind) {
+    const name = Object.keys(indices).find((key) => indices[key] === index);
+    if (name === undefined) throw new Error(`Unsupported ${kind} ${index}`);
+    return name;
+}
+
+function indexOf(indices, name, kind) {
+    if (!(name in indices)) throw new Error(`Unsupported ${kind} ${name}`);
+    return indices[name];
+}
+
+function variant(value) {
+    const [name] = typeof value === "string" ? [value] : Object.keys(value);
+    return [name, typeof value === "string" ? undefined : value[name]];
+}
+
+// -----------------------------------------------------------------------------
+// Encoding
+// -----------------------------------------------------------------------------
+
+/**
+ * SCALE compact encoding of an unsigned integer.
+ * @param {bigint|number} value
+ * @returns {Uint8Array}
+ */
+function encodeCompact(value) {
+    const n = BigInt(value);
+    if (n < 0n) throw new Error(`Cannot compact-encode negative value ${n}`);
+    if (n < 1n << 6n) return littleEndian(n << 2n, 1);
+    if (n < 1n << 14n) return littleEndian((n << 2n) | 1n, 2);
+    if (n < 1n << 30n) return littleEndian((n << 2n) | 2n, 4);
+    let length = 0;
+    for (let rest = n; rest > 0n; rest >>= 8n) length++;
+    return ethers.getBytes(ethers.concat([Uint8Array.of(((length - 4) << 2) | 3), littleEndian(n, length)]));
+}
+
+function littleEndian(value, length) {
+    const out = new Uint8Array(length);
+    for (let i = 0; i < length; i++) {
+        out[i] = Number((value >> BigInt(8 * i)) & 0xffn);
+    }
+    return out;
+}
+
+function encodeNetwork(network) {
+    if (network != null) throw new Error("Unsupported network id");
+    return Uint8Array.of(0);
+}
+
+function encodeLocation({ parents, interior }) {
+    const parts = [Uint8Array.of(parents, interior.length)];
+    for (const junction of interior) {
+        const [name, value] = variant(junction);
+        parts.push(Uint8Array.of(indexOf(JUNCTIONS, name, "junction")));
+        if (name === "Parachain" || name === "GeneralIndex") parts.push(encodeCompact(value));
+        else if (name === "PalletInstance") parts.push(Uint8Array.of(value));
+        else if (name === "AccountId32") parts.push(encodeNetwork(value.network), ethers.getBytes(value.id));
+        else parts.push(encodeNetwork(value.network), ethers.getBytes(value.key));
+    }
+    return ethers.concat(parts);
+}
+
+function encodeAsset({ id, fun }) {
+    return ethers.concat([encodeLocation(id), Uint8Array.of(0), encodeCompact(fun.Fungible)]);
+}
+
+function encodeAssets(assets) {
+    return ethers.concat([encodeCompact(assets.length), ...assets.map(encodeAsset)]);
+}
+
+function encodeFilter(filter) {
+    const [name, value] = variant(filter);
+    if (name === "Definite") return ethers.concat([Uint8Array.of(0), encodeAssets(value)]);
+    const [wild, count] = variant(value);
+    const parts = [Uint8Array.of(1, indexOf(WILD_ASSETS, wild, "wild asset"))];
+    if (wild === "AllCounted") parts.push(encodeCompact(count));
+    return ethers.concat(parts);
+}
+
+function encodeWeightLimit(weightLimit) {
+    if (weightLimit === "Unlimited") return Uint8Array.of(0);
+    const { refTime, proofSize } = weightLimit.Limited;
+    return ethers.concat([Uint8Array.of(1), encodeCompact(refTime), encodeCompact(proofSize)]);
+}
+
+function encodeXcm(instructions) {
+    const parts = [encodeCompact(instructions.length)];
+    for (const instruction of instructions) {
+        const [name, value] = variant(instruction);
+        parts.push(Uint8Array.of(indexOf(INSTRUCTIONS, name, "instruction")));
+        if (name === "WithdrawAsset") {
+            parts.push(encodeAssets(value));
+        } else if (name === "BuyExecution") {
+            parts.push(encodeAsset(value.fees), encodeWeightLimit(value.weightLimit));
+        } else if (name === "DepositAsset") {
+            parts.push(encodeFilter(value.assets), encodeLocation(value.beneficiary));
+        } else if (name === "InitiateTeleport" || name === "DepositReserveAsset") {
+            parts.push(encodeFilter(value.assets), encodeLocation(value.dest), encodeXcm(value.xcm));
+        }
+    }
+    return ethers.concat(parts);
+}
+
+/**
+ * Encodes a VersionedXcm program.
+ * @param {Object[]} instructions
+ * @returns {string} Hex string.
+ */
+function encodeVersionedXcm(instructions) {
+    return ethers.hexlify(ethers.concat([Uint8Array.of(XCM_VERSION), encodeXcm(instructions)]));
+}
+
+/**
+ * Encodes a VersionedLocation.
+ * @param {{ parents: number, interior: Object[] }} location
+ * @returns {string} Hex string.
+ */
+function encodeVersionedLocation(location) {
+    return ethers.hexlify(ethers.concat([Uint8Array.of(XCM_VERSION), encodeLocation(location)]));
+}
+
+// -----------------------------------------------------------------------------
+// Decoding
+// -----------------------------------------------------------------------------
+
+class Reader {
+    constructor(data) {
+        this.bytes = ethers.getBytes(data);
+        this.offset = 0;
+    }
+
+    u8() {
+        if (this.offset >= this.bytes.length) throw new Error(`Malformed message at offset ${this.offset}`);
+        return this.bytes[this.offset++];
+    }
+
+    take(length) {
+        if (this.offset + length > this.bytes.length) throw new Error(`Malformed message at offset ${this.offset}`);
+        const slice = this.bytes.slice(this.offset, this.offset + length);
+        this.offset += length;
+        return ethers.hexlify(slice);
+    }
+
+    compact() {
+        const first = this.u8();
+        const mode = first & 3;
+        if (mode === 0) return BigInt(first >> 2);
+        const length = mode === 1 ? 1 : mode === 2 ? 3 : (first >> 2) + 4;
+        let value = 0n;
+        for (let i = 0; i < length; i++) {
+            value |= BigInt(this.u8()) << BigInt(8 * i);
+        }
+        return mode === 3 ? value : ((value << 8n) | BigInt(first)) >> 2n;
+    }
+
+    end() {
+        if (this.offset !== this.bytes.length) throw new Error(`Trailing bytes at offset ${this.offset}`);
+    }
+}
+
+/**
+ * Decodes a SCALE compact integer.
+ * @param {string|Uint8Array} data
+ * @returns {bigint}
+ */
+function decodeCompact(data) {
+    const reader = new Reader(data);
+    const value = reader.compact();
+    reader.end();
+    return value;
+}
+
+function decodeNetwork(reader) {
+    if (reader.u8() !== 0) throw new Error("Unsupported network id");
+    return null;
+}
+
+function decodeLocation(reader) {
+    const parents = reader.u8();
+    const length = reader.u8();
+    if (length > 8) throw new Error(`Malformed junctions X${length}`);
+    const interior = [];
+    for (let i = 0; i < length; i++) {
+        const name = nameOf(JUNCTIONS, reader.u8(), "junction");
+        if (name === "Parachain") interior.push({ Parachain: Number(reader.compact()) });
+        else if (name === "GeneralIndex") interior.push({ GeneralIndex: reader.compact() });
+        else if (name === "PalletInstance") interior.push({ PalletInstance: reader.u8() });
+        else if (name === "AccountId32") interior.push({ AccountId32: { network: decodeNetwork(reader), id: reader.take(32) } });
+        else interior.push({ AccountKey20: { network: decodeNetwork(reader), key: ethers.getAddress(reader.take(20)) } });
+    }
+    return { parents, interior };
+}
+
+function decodeAsset(reader) {
+    const id = decodeLocation(reader);
+    if (reader.u8() !== 0) throw new Error("Unsupported non-fungible asset");
+    return { id, fun: { Fungible: reader.compact() } };
+}
+
+function decodeAssets(reader) {
+    const length = Number(reader.compact());
+    return Array.from({ length }, () => decodeAsset(reader));
+}
+
+function decodeFilter(reader) {
+    const kind = reader.u8();
+    if (kind === 0) return { Definite: decodeAssets(reader) };
+    if (kind !== 1) throw new Error(`Malformed asset filter ${kind}`);
+    const wild = nameOf(WILD_ASSETS, reader.u8(), "wild asset");
+    return { Wild: wild === "AllCounted" ? { AllCounted: Number(reader.compact()) } : wild };
+}
+
+function decodeWeightLimit(reader) {
+    const kind = reader.u8();
+    if (kind === 0) return "Unlimited";
+    if (kind !== 1) throw new Error(`Malformed weight limit ${kind}`);
+    return { Limited: { refTime: reader.compact(), proofSize: reader.compact() } };
+}
+
+function decodeXcm(reader) {
+    const length = Number(reader.compact());
+    const instructions = [];
+    for (let i = 0; i < length; i++) {
+        const name = nameOf(INSTRUCTIONS, reader.u8(), "instruction");
+        if (name === "WithdrawAsset") {
+            instructions.push({ WithdrawAsset: decodeAssets(reader) });
+        } else if (name === "ClearOrigin") {
+            instructions.push("ClearOrigin");
+        } else if (name === "BuyExecution") {
+            instructions.push({ BuyExecution: { fees: decodeAsset(reader), weightLimit: decodeWeightLimit(reader) } });
+        } else if (name === "DepositAsset") {
+            instructions.push({ DepositAsset: { assets: decodeFilter(reader), beneficiary: decodeLocation(reader) } });
+        } else {
+            instructions.push({
+                [name]: { assets: decodeFilter(reader), dest: decodeLocation(reader), xcm: decodeXcm(reader) }
+            });
+        }
+    }
+    return instructions;
+}
+
+function versioned(data) {
+    const reader = new Reader(data);
+    const version = reader.u8();
+    if (version !== XCM_VERSION) throw new Error(`Unsupported XCM version ${version}`);
+    return reader;
+}
+
+/**
+ * Decodes a VersionedXcm program.
+ * @param {string|Uint8Array} data
+ * @returns {Object[]} The instructions.
+ */
+function decodeVersionedXcm(data) {
+    const reader = versioned(data);
+    const instructions = decodeXcm(reader);
+    reader.end();
+    return instructions;
+}
+
+/**
+ * Decodes a VersionedLocation.
+ * @param {string|Uint8Array} data
+ * @returns {{ parents: number, interior: Object[] }}
+ */
+function decodeVersionedLocation(data) {
+    const reader = versioned(data);
+    const location = decodeLocation(reader);
+    reader.end();
+    return location;
+}
+
+// -----------------------------------------------------------------------------
+// Locations
+// -----------------------------------------------------------------------------
+
+/**
+ * Location of a sibling parachain, zero being the relay chain.
+ */
+function parachainLocation(paraId) {
+    if (paraId === 0) return { parents: 1, interior: [] };
+    return { parents: 1, interior: [{ Parachain: paraId }] };
+}
+
+/**
+ * Location of an ERC20 token, or of the native asset for `NATIVE_ASSET`.
+ */
+function assetLocation(token) {
+    if (token === NATIVE_ASSET) return { parents: 1, interior: [] };
+    return keyLocation(token);
+}
+
+/**
+ * Location of a 32-byte account on the destination.
+ */
+function accountLocation(id) {
+    return { parents: 0, interior: [{ AccountId32: { network: null, id: ethers.zeroPadValue(id, 32) } }] };
+}
+
+/**
+ * Location of a 20-byte account on the destination.
+ */
+function keyLocation(address) {
+    return { parents: 0, interior: [{ AccountKey20: { network: null, key: ethers.getAddress(address) } }] };
+}
+
+module.exports = {
+    XCM_VERSION,
+    encodeCompact,
+    decodeCompact,
+    encodeVersionedXcm,
+    decodeVersionedXcm,
+    encodeVersionedLocation,
+    decodeVersionedLocation,
+    parachainLocation,
+    assetLocation,
+    accountLocation,
+    keyLocation
+};